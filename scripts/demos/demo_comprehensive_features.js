@@ -7,6 +7,7 @@
 
 import { NanoBananaIntegration } from '../../src/integrations/gemini_integration.js';
 import { ENV_CONFIG, validateEnvironment, displayEnvironmentStatus } from '../../src/config/environment.js';
+import { getRecordModeFromArgs } from '../../src/providers/requestRecorder.js';
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 
@@ -14,7 +15,9 @@ import * as path from 'node:path';
 const DEMO_CONFIG = {
   apiKey: ENV_CONFIG.GOOGLE_API_KEY,
   outputDir: ENV_CONFIG.DEMO_DIR,
-  timeout: ENV_CONFIG.API_TIMEOUT
+  timeout: ENV_CONFIG.API_TIMEOUT,
+  // --record saves Gemini responses as fixtures, --replay serves them back offline
+  recordMode: getRecordModeFromArgs(process.argv, ENV_CONFIG.GEMINI_RECORD_MODE)
 };
 
 // Ensure output directory exists
@@ -56,7 +59,7 @@ async function demoTextToImage() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     const result = await integration.textToImage(
       "A futuristic cityscape at sunset with flying cars and neon lights",
@@ -87,7 +90,7 @@ async function demoImageEditing(baseImagePath) {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     const result = await integration.imageEditing(
       baseImagePath,
@@ -116,7 +119,7 @@ async function demoMultiImageComposition() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     // Generate two base images
     const image1 = await integration.textToImage(
@@ -163,7 +166,7 @@ async function demoStyleTransfer() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     // Generate source and style images
     const source = await integration.textToImage(
@@ -211,7 +214,7 @@ async function demoTextRendering() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     const result = await integration.textRendering(
       "Create a professional poster with the text 'Welcome to AI' in bold, modern typography with a futuristic background",
@@ -240,7 +243,7 @@ async function demoIterativeRefinement() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     // Create initial image
     const initial = await integration.textToImage(
@@ -291,7 +294,7 @@ async function demoImagenGeneration() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     const result = await integration.textToImage(
       "A photorealistic portrait of a professional woman with detailed facial features, studio lighting",
@@ -320,7 +323,7 @@ async function demoOptions() {
   console.log('-'.repeat(40));
   
   try {
-    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(DEMO_CONFIG.apiKey, { recordMode: DEMO_CONFIG.recordMode });
     
     console.log('📐 Available Aspect Ratios:');
     const aspectRatios = integration.getAvailableAspectRatios();
@@ -362,7 +365,7 @@ async function runDemo() {
   displayFeatureInfo();
   
   try {
-    validateEnvironment();
+    validateEnvironment({ recordMode: DEMO_CONFIG.recordMode });
   } catch (error) {
     console.error('❌ Environment validation failed:', error.message);
     console.log('   Get your API key at: https://makersuite.google.com/app/apikey');
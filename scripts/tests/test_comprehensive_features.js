@@ -5,6 +5,7 @@
 
 import { NanoBananaIntegration } from '../../src/integrations/gemini_integration.js';
 import { ENV_CONFIG, validateEnvironment, displayEnvironmentStatus } from '../../src/config/environment.js';
+import { getRecordModeFromArgs } from '../../src/providers/requestRecorder.js';
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 
@@ -12,7 +13,9 @@ import * as path from 'node:path';
 const TEST_CONFIG = {
   apiKey: ENV_CONFIG.GOOGLE_API_KEY,
   testDir: ENV_CONFIG.TEST_DIR,
-  timeout: ENV_CONFIG.API_TIMEOUT
+  timeout: ENV_CONFIG.API_TIMEOUT,
+  // --record saves Gemini responses as fixtures, --replay serves them back offline
+  recordMode: getRecordModeFromArgs(process.argv, ENV_CONFIG.GEMINI_RECORD_MODE)
 };
 
 // Ensure test directory exists
@@ -27,7 +30,7 @@ async function testTextToImage() {
   console.log('🧪 Testing Text-to-Image Generation...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     const result = await integration.textToImage(
       "A beautiful sunset over a mountain landscape with a lake in the foreground",
@@ -57,7 +60,7 @@ async function testImageEditing() {
   console.log('🧪 Testing Image Editing...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     // First generate a base image
     const baseResult = await integration.textToImage(
@@ -95,7 +98,7 @@ async function testMultiImageComposition() {
   console.log('🧪 Testing Multi-Image Composition...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     // Generate two base images
     const image1Result = await integration.textToImage(
@@ -141,7 +144,7 @@ async function testStyleTransfer() {
   console.log('🧪 Testing Style Transfer...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     // Generate source and style images
     const sourceResult = await integration.textToImage(
@@ -188,7 +191,7 @@ async function testTextRendering() {
   console.log('🧪 Testing High-Fidelity Text Rendering...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     const result = await integration.textRendering(
       "Create a poster with the text 'Welcome to AI' in bold, colorful letters",
@@ -216,7 +219,7 @@ async function testIterativeRefinement() {
   console.log('🧪 Testing Iterative Refinement...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     // Create initial image
     const initialResult = await integration.textToImage(
@@ -266,7 +269,7 @@ async function testImagenGeneration() {
   console.log('🧪 Testing Imagen Generation...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     const result = await integration.textToImage(
       "A photorealistic portrait of a person with detailed facial features",
@@ -294,7 +297,7 @@ async function testAspectRatioValidation() {
   console.log('🧪 Testing Aspect Ratio Validation...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     // Test valid aspect ratios
     const validRatios = ['1:1', '16:9', '4:3', '3:2', '9:16'];
@@ -326,7 +329,7 @@ async function testModelRecommendations() {
   console.log('🧪 Testing Model Recommendations...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     const recommendations = {
       'photorealistic': 'imagen-4',
@@ -360,7 +363,7 @@ async function testIterativeSession() {
   console.log('🧪 Testing Iterative Session...');
   
   try {
-    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey);
+    const integration = new NanoBananaIntegration(TEST_CONFIG.apiKey, { recordMode: TEST_CONFIG.recordMode });
     
     const session = integration.createIterativeSession(
       "A simple flower",
@@ -393,7 +396,7 @@ async function runComprehensiveTests() {
   console.log('🚀 Starting Comprehensive Gemini Image Generation Tests...\n');
   
   try {
-    validateEnvironment();
+    validateEnvironment({ recordMode: TEST_CONFIG.recordMode });
     displayEnvironmentStatus();
   } catch (error) {
     console.error('❌ Environment validation failed:', error.message);
@@ -3,17 +3,31 @@
  * Handles command-line interface and user interactions
  */
 
+import * as path from 'node:path';
 import { Command } from 'commander';
 import { logger } from '../core/logger.js';
 import { CONFIG } from '../core/config.js';
 import { FileUtils } from '../utils/fileUtils.js';
 import { AnimationUtils } from '../utils/animationUtils.js';
 import { GifCommands } from './gifCommands.js';
+import { JobManifest } from '../core/jobManifest.js';
+import { JobWorkspace, isWorkspaceActive, readLock } from '../core/jobWorkspace.js';
+import { RefinementSession } from '../core/refinementSession.js';
+import { FRAME_MODEL, SequenceGenerator } from '../core/sequenceGenerator.js';
+import { DEFAULT_ANIMATION_TYPE, detectAnimationType, getAnimationType, listAnimationTypes } from '../core/animationTypes.js';
+import { loadStoryboard } from '../core/storyboard.js';
+import { DEFAULT_TWEEN_METHOD, TWEEN_METHODS, checkTweenMethod, getTweenCounts, getTweenedFrameCount } from '../utils/frameInterpolator.js';
+import { DEFAULT_PROVIDER, getAvailableProviders, getProviderService } from '../providers/index.js';
+import { EXIT_CODES, InvalidInputError, BudgetExceededError } from '../core/errors.js';
+import { ENV_CONFIG } from '../config/environment.js';
+import { UsageLedger, usageLedger, loadPriceTable } from '../core/usageLedger.js';
+import { estimateRun, checkBudget } from '../core/budget.js';
+import { ResponseCache, parseDuration } from '../core/responseCache.js';
 
 export class CLICommands {
   constructor() {
     this.program = new Command();
-    this.gifCommands = new GifCommands();
+    this.gifCommands = null;
     this.setupCommands();
   }
 
@@ -21,7 +35,15 @@ export class CLICommands {
     this.program
       .name('nano-banana-gif')
       .description('Generate animated GIFs using nano Banana-style image generation')
-      .version('1.0.0');
+      .version('1.0.0')
+      .option('--provider <name>', 'image provider (gemini, openai, stability, local, mock)', DEFAULT_PROVIDER)
+      .option('--rpm <number>', 'maximum model requests per minute (0 for no limit)', String(ENV_CONFIG.REQUESTS_PER_MINUTE))
+      .option('--no-cache', 'always call the model instead of reusing cached responses')
+      .option('--max-input-edge <pixels>', 'downscale input images to this longest edge before upload (0 for no limit)', String(ENV_CONFIG.INPUT_MAX_EDGE))
+      .hook('preAction', (program, actionCommand) => {
+        // Usage ledger entries are tagged with the command that made the call
+        usageLedger.setContext({ command: getCommandPath(actionCommand) });
+      });
 
     // Generate command (default: single image, use --gif for animation)
     this.program
@@ -29,15 +51,25 @@ export class CLICommands {
       .description('Generate an image from a text prompt (use --gif for animation)')
       .argument('<prompt>', 'text prompt for image generation')
       .option('--gif', 'generate animated GIF instead of single image', false)
-      .option('-f, --frames <number>', 'number of frames to generate (GIF only)', '5')
-      .option('-d, --delay <number>', 'delay between frames in milliseconds (GIF only)', '500')
-      .option('-a, --animation <type>', 'animation type (GIF only)', 'general')
+      .option('-f, --frames <number>', 'number of frames to generate (GIF only, default from the animation type)')
+      .option('-d, --delay <number>', 'delay between frames in milliseconds (GIF only, default from the animation type; phases with their own delay keep it; with --keyframes, per keyframe and shared with its in-betweens)')
+      .option('-a, --animation <type>', 'animation type, built-in or user-defined (GIF only; see list-options)', DEFAULT_ANIMATION_TYPE)
       .option('-w, --width <number>', 'image/GIF width in pixels', '512')
       .option('-h, --height <number>', 'image/GIF height in pixels', '512')
       .option('-q, --quality <number>', 'GIF quality (1-100)', '80')
       .option('-k, --keep-frames', 'keep individual frame files (GIF only)', false)
       .option('-r, --aspect-ratio <ratio>', 'aspect ratio (1:1, 16:9, 4:3, etc.)', '1:1')
-      .option('-m, --model <model>', 'model to use', 'gemini-2.5-flash-image')
+      .option('-m, --model <model>', `model to use (single image only; GIF frames use ${FRAME_MODEL})`, 'gemini-2.5-flash-image')
+      .option('--seed <number>', 'seed for providers that support one (e.g. mock)')
+      .option('-c, --concurrency <number>', 'frames generated in parallel after the first (GIF only)', String(ENV_CONFIG.FRAME_CONCURRENCY))
+      .option('--candidates <number>', 'candidates per frame; the one most similar to the first frame is kept (GIF only)', '1')
+      .option('--plan', 'have a text model write the pose of every frame and the invariants to keep (GIF only)', false)
+      .option('--plan-only', 'save the frame plan with a new job and stop; edit its plan.json, then render with resume (GIF only)', false)
+      .option('--keyframes <number>', 'generate only this many keyframes and tween the rest of --frames locally; each keyframe\'s delay is split with its in-betweens (GIF only)')
+      .option('--tween <method>', `how in-betweens are made with --keyframes: ${TWEEN_METHODS.join(' or ')} (default ${DEFAULT_TWEEN_METHOD})`)
+      .option('-s, --stream', 'stream the response, showing text and images as they arrive (single image only)', false)
+      .option('--dry-run', 'print the estimate and every frame prompt, then exit without calling the model (GIF only)', false)
+      .option('--force', 'run even if the estimate exceeds BUDGET_PER_RUN or BUDGET_PER_DAY (GIF only)', false)
       .action(this.handleGenerate.bind(this));
 
     // Generate multiple command
@@ -45,12 +77,39 @@ export class CLICommands {
       .command('generate-multiple')
       .description('Generate multiple GIFs with different animation types')
       .argument('<prompt>', 'text prompt for image generation')
-      .option('-a, --animations <types>', 'comma-separated animation types', 'walking,flying,dancing')
-      .option('-f, --frames <number>', 'number of frames to generate', '5')
+      .option('-a, --animations <types>', 'comma-separated animation types (see list-options)', 'walking,flying,dancing')
+      .option('-f, --frames <number>', 'number of frames to generate (default from each animation type)')
       .option('-w, --width <number>', 'GIF width in pixels', '512')
       .option('-h, --height <number>', 'GIF height in pixels', '512')
+      .option('-c, --concurrency <number>', 'frames generated in parallel after the first', String(ENV_CONFIG.FRAME_CONCURRENCY))
+      .option('--candidates <number>', 'candidates per frame; the one most similar to the first frame is kept', '1')
+      .option('--dry-run', 'print the estimate and every frame prompt, then exit without calling the model', false)
+      .option('--force', 'run even if the estimate exceeds BUDGET_PER_RUN or BUDGET_PER_DAY', false)
       .action(this.handleGenerateMultiple.bind(this));
 
+    // Resume command
+    this.program
+      .command('resume')
+      .description('Resume a failed, interrupted or planned GIF job, generating only the missing frames')
+      .argument('<job-id>', 'job id printed when the GIF job started')
+      .option('-o, --output-dir <dir>', 'output directory the job was created in', './output')
+      .option('-c, --concurrency <number>', 'frames generated in parallel', String(ENV_CONFIG.FRAME_CONCURRENCY))
+      .option('--pick <frame=candidate...>', 'use another candidate for a frame, e.g. 3=2 (reassembles completed jobs)')
+      .action(this.handleResume.bind(this));
+
+    // Render command
+    this.program
+      .command('render')
+      .description('Render a JSON or YAML storyboard of one or more scenes into one GIF')
+      .argument('<storyboard>', 'storyboard file (.json, .yaml or .yml)')
+      .option('-o, --output-dir <dir>', 'output directory', './output')
+      .option('-c, --concurrency <number>', 'frames generated in parallel within a scene', String(ENV_CONFIG.FRAME_CONCURRENCY))
+      .option('--candidates <number>', 'candidates per frame; the one most similar to the scene\'s first frame is kept', '1')
+      .option('-k, --keep-frames', 'keep the frame files of every scene', false)
+      .option('--dry-run', 'print the estimate and every frame prompt, then exit without calling the model', false)
+      .option('--force', 'run even if the estimate exceeds BUDGET_PER_RUN or BUDGET_PER_DAY', false)
+      .action(this.handleRender.bind(this));
+
     // Test command
     this.program
       .command('test')
@@ -84,8 +143,23 @@ export class CLICommands {
       .command('detect')
       .description('Detect objects in an image using Gemini enhanced object detection')
       .argument('<image-path>', 'path to the image for object detection')
+      .option('-l, --labels <labels>', 'comma-separated objects to look for (default: all prominent objects)')
+      .option('-n, --max-objects <number>', 'maximum number of detections', '25')
+      .option('--json', 'print the detections as JSON on stdout (progress goes to stderr)')
+      .option('-a, --annotate <path>', 'write a PNG with labelled boxes drawn over the image')
       .action(this.handleDetectObjects.bind(this));
 
+    // Segmentation command
+    this.program
+      .command('segment')
+      .description('Segment objects in an image into PNG masks using Gemini segmentation')
+      .argument('<image-path>', 'path to the image to segment')
+      .option('-l, --labels <labels>', 'comma-separated objects to segment (default: all prominent objects)')
+      .option('-o, --output-dir <dir>', 'directory for the mask PNGs (default: output/masks/<image>_<timestamp>)')
+      .option('--cutout', 'also write each object on a transparent background')
+      .option('--json', 'print the segmentation result as JSON on stdout (progress goes to stderr)')
+      .action(this.handleSegment.bind(this));
+
     // Image-to-image generation command
     this.program
       .command('transform')
@@ -101,10 +175,14 @@ export class CLICommands {
       .description('Generate animated GIF from a reference image with style variations')
       .argument('<image-path>', 'path to the reference image')
       .argument('<animation-prompt>', 'animation description')
-      .option('-f, --frames <number>', 'number of frames to generate', '5')
+      .option('-a, --animation <type>', 'animation type (detected from the prompt by default; see list-options)')
+      .option('-f, --frames <number>', 'number of frames to generate (default from the animation type)')
       .option('-w, --width <number>', 'GIF width in pixels', '512')
       .option('-h, --height <number>', 'GIF height in pixels', '512')
-      .option('-d, --delay <number>', 'delay between frames in milliseconds', '500')
+      .option('-d, --delay <number>', 'delay between frames in milliseconds (default from the animation type; phases with their own delay keep it)')
+      .option('-c, --concurrency <number>', 'frames generated in parallel', String(ENV_CONFIG.FRAME_CONCURRENCY))
+      .option('--dry-run', 'print the estimate and every frame prompt, then exit without calling the model', false)
+      .option('--force', 'run even if the estimate exceeds BUDGET_PER_RUN or BUDGET_PER_DAY', false)
       .action(this.handleStyleAnimation.bind(this));
 
     // Text-to-image command
@@ -115,6 +193,7 @@ export class CLICommands {
       .option('-m, --model <model>', 'model to use (gemini-2.5-flash-image, imagen-4, imagen-4-ultra)', 'gemini-2.5-flash-image')
       .option('-a, --aspect-ratio <ratio>', 'aspect ratio (1:1, 16:9, 4:3, etc.)', '1:1')
       .option('-o, --output <path>', 'output path for the generated image')
+      .option('-s, --stream', 'stream the response, showing text and images as they arrive', false)
       .action(this.handleTextToImage.bind(this));
 
     // Image editing command
@@ -167,18 +246,103 @@ export class CLICommands {
       .description('Progressively refine an image through iterative editing')
       .argument('<refinement-prompt>', 'prompt for refinement')
       .option('-p, --previous-image <path>', 'path to the previous image')
+      .option('-s, --session <id>', 'continue a saved session with its full conversation history')
+      .option('-n, --new-session', 'start a saved session (with --previous-image as its starting image)')
+      .option('--from <node-id>', 'with --session: branch from this node instead of the current one')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
       .option('-m, --model <model>', 'model to use', 'gemini-2.5-flash-image')
       .option('-a, --aspect-ratio <ratio>', 'aspect ratio', '1:1')
-      .option('-o, --output <path>', 'output path for the refined image')
+      .option('-o, --output <path>', 'output path for the refined image (copied from the session for session turns)')
       .action(this.handleIterativeRefinement.bind(this));
 
+    // Refinement session commands
+    const session = this.program
+      .command('session')
+      .description('Inspect and edit saved refinement sessions');
+
+    session
+      .command('list')
+      .description('List saved refinement sessions')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
+      .action(this.handleSessionList.bind(this));
+
+    session
+      .command('show')
+      .description('Show the turns of a session')
+      .argument('<session-id>', 'session id')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
+      .action(this.handleSessionShow.bind(this));
+
+    session
+      .command('undo')
+      .description('Step back to the parent of the current node (the undone node is kept)')
+      .argument('<session-id>', 'session id')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
+      .action(this.handleSessionUndo.bind(this));
+
+    session
+      .command('checkout')
+      .description('Make a node current; the next refine continues from it')
+      .argument('<session-id>', 'session id')
+      .argument('<node-id>', 'node id, or "root" to start over from an empty conversation')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
+      .action(this.handleSessionCheckout.bind(this));
+
+    session
+      .command('branch')
+      .description('Refine from an earlier node, keeping the existing branch')
+      .argument('<session-id>', 'session id')
+      .argument('<node-id>', 'node to branch from, or "root"')
+      .argument('<refinement-prompt>', 'prompt for the new branch')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
+      .option('-o, --output <path>', 'copy the new image to this path')
+      .action(this.handleSessionBranch.bind(this));
+
+    session
+      .command('export')
+      .description('Export the path from the first turn to a node as a before/after GIF')
+      .argument('<session-id>', 'session id')
+      .argument('[node-id]', 'last node of the path (default: current node)')
+      .option('--sessions-dir <dir>', 'output directory holding the sessions', './output')
+      .option('-o, --output <path>', 'GIF path (default: <session-dir>/path_<node-id>.gif)')
+      .option('-d, --delay <number>', 'delay between frames in milliseconds', '1000')
+      .option('-w, --width <number>', 'GIF width in pixels (default: first image width)')
+      .option('-h, --height <number>', 'GIF height in pixels (default: first image height)')
+      .action(this.handleSessionExport.bind(this));
+
+    // Token usage and cost command
+    this.program
+      .command('usage')
+      .description('Summarize token usage and estimated spend by day, command and model')
+      .option('--since <date>', 'only calls on or after this date (YYYY-MM-DD)')
+      .option('--ledger <path>', 'usage ledger to read', ENV_CONFIG.USAGE_LEDGER)
+      .option('--prices <path>', 'JSON price table in USD per million tokens (default: USAGE_PRICES or built-in prices)')
+      .option('--json', 'print the summary as JSON')
+      .action(this.handleUsage.bind(this));
+
+    // Response cache commands
+    const cache = this.program
+      .command('cache')
+      .description('Manage the cache of generation and analysis responses');
+
+    cache
+      .command('prune')
+      .description('Remove cached responses not used for a while')
+      .requiredOption('--older-than <age>', 'remove entries last used longer ago than this (e.g. 12h, 7d, 2w; 0 removes all)')
+      .option('--cache-dir <dir>', 'cache directory', ENV_CONFIG.CACHE_DIR)
+      .action(this.handleCachePrune.bind(this));
+
     // Imagen generation command
     this.program
       .command('imagen')
       .description('Generate images using Imagen model for specialized tasks')
       .argument('<prompt>', 'text prompt for image generation')
-      .option('-v, --version <version>', 'Imagen version (4 or ultra)', '4')
-      .option('-a, --aspect-ratio <ratio>', 'aspect ratio', '1:1')
+      .option('-v, --version <version>', 'Imagen version (4, ultra or fast)', '4')
+      .option('-a, --aspect-ratio <ratio>', 'aspect ratio (1:1, 3:4, 4:3, 9:16, 16:9)', '1:1')
+      .option('-n, --number-of-images <number>', 'images to generate (1-4), saved with an index suffix', '1')
+      .option('--negative-prompt <text>', 'what the images should not contain (Vertex AI only)')
+      .option('--person-generation <setting>', 'dont_allow, allow_adult or allow_all')
+      .option('--seed <number>', 'seed for repeatable images, turns the watermark off (Vertex AI only)')
       .option('-o, --output <path>', 'output path for the generated image')
       .action(this.handleImagenGeneration.bind(this));
 
@@ -189,6 +353,193 @@ export class CLICommands {
       .action(this.handleListOptions.bind(this));
   }
 
+  /**
+   * Get the image provider selected with --provider
+   * @returns {string} Provider name
+   */
+  getProvider() {
+    return this.program.opts().provider;
+  }
+
+  /**
+   * Get the options shared by every integration this CLI creates
+   * @returns {{provider: string, requestsPerMinute: number, cache: boolean}} Provider, rate limit and response cache from the global flags
+   */
+  getIntegrationOptions() {
+    const rpm = parseInt(this.program.opts().rpm);
+    const maxInputEdge = parseInt(this.program.opts().maxInputEdge);
+    return {
+      provider: this.getProvider(),
+      requestsPerMinute: isNaN(rpm) ? ENV_CONFIG.REQUESTS_PER_MINUTE : rpm,
+      cache: this.program.opts().cache,
+      maxInputEdge: isNaN(maxInputEdge) ? ENV_CONFIG.INPUT_MAX_EDGE : maxInputEdge
+    };
+  }
+
+  /**
+   * Get the GIF commands, created on first use for the selected provider
+   * @returns {GifCommands} GIF commands
+   */
+  getGifCommands() {
+    if (!this.gifCommands) {
+      this.gifCommands = new GifCommands(this.getIntegrationOptions());
+    }
+    return this.gifCommands;
+  }
+
+  /**
+   * Price a multi-frame run before anything is sent
+   * Prints the number of calls, the expected tokens and the estimated cost. With --dry-run
+   * every prompt is printed and the run stops there; otherwise a run that would exceed
+   * BUDGET_PER_RUN or BUDGET_PER_DAY is refused, unless --force is given
+   * @param {ImageProvider} provider - Provider the calls go to
+   * @param {Array<{label: string, prompt: string, inputImages: Object[]}>} calls - Planned model calls
+   * @param {Object} options - Command options (model, dryRun, force)
+   * @returns {boolean} True if the run should go ahead
+   * @throws {BudgetExceededError} If a budget would be exceeded without --force
+   */
+  confirmRun(provider, calls, options = {}) {
+    // Priced with the model the frames are billed for; --model only picks the model of single images
+    const model = provider.resolveModel(FRAME_MODEL);
+    if (options.model && provider.resolveModel(options.model) !== model) {
+      logger.warning(`--model ${options.model} only applies to single images; animation frames use ${model}`);
+    }
+    // Providers that need no API key (local, mock) run offline and cost nothing
+    const estimate = estimateRun(calls, { model, free: !getProviderService(provider.name) });
+    const { spentToday, exceeded } = checkBudget(estimate);
+
+    const cost = estimate.cost === null ? `cost unknown (no price for ${model})` : `~$${estimate.cost.toFixed(4)}`;
+    logger.info(`🧮 Estimate: ${estimate.calls} call(s) to ${model}, ~${estimate.totalTokens.toLocaleString('en-US')} tokens (${estimate.imageTokens.toLocaleString('en-US')} image), ${cost}`);
+    if (ENV_CONFIG.BUDGET_PER_DAY !== null) {
+      logger.info(`📒 Spent today: $${spentToday.toFixed(4)} of $${ENV_CONFIG.BUDGET_PER_DAY.toFixed(2)}`);
+    }
+
+    if (options.dryRun) {
+      calls.forEach(call => logger.info(`📝 ${call.label}: ${call.prompt}`));
+      exceeded.forEach(message => logger.warning(`Over budget: ${message}`));
+      logger.info('🚫 Dry run: nothing was sent');
+      return false;
+    }
+
+    if (exceeded.length > 0) {
+      if (!options.force) {
+        throw new BudgetExceededError(`Run refused: ${exceeded.join('; ')}`, { reason: 'BUDGET_EXCEEDED', estimate });
+      }
+      exceeded.forEach(message => logger.warning(`Over budget, continuing because of --force: ${message}`));
+    }
+    return true;
+  }
+
+  /**
+   * Plan the frames of one or more GIFs for confirmRun
+   * @param {string} prompt - Base prompt
+   * @param {number} frameCount - Frames per GIF (each type's default when unset)
+   * @param {string[]} animationTypes - One GIF per animation type
+   * @param {number} candidates - Candidates per frame after the first
+   * @returns {{provider: ImageProvider, calls: Object[]}} Provider and planned calls
+   */
+  planGifFrames(prompt, frameCount, animationTypes, candidates = 1) {
+    const sequenceGenerator = new SequenceGenerator(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
+    const calls = animationTypes.flatMap(animationType =>
+      sequenceGenerator.planSequence(prompt, frameCount || getAnimationType(animationType).defaults.frameCount, animationType, { candidates }).map(call => ({
+        ...call,
+        label: `${animationTypes.length > 1 ? `${animationType} ` : ''}frame ${call.frameIndex + 1}`
+      })));
+    return { provider: sequenceGenerator.nanoBanana.provider, calls };
+  }
+
+  /**
+   * Plan the frames of every scene of a storyboard for confirmRun
+   * @param {import('../core/storyboard.js').Storyboard} storyboard - Storyboard to render
+   * @param {number} candidates - Candidates per frame after each scene's first frame
+   * @returns {Promise<{provider: ImageProvider, calls: Object[]}>} Provider and planned calls
+   */
+  async planStoryboardFrames(storyboard, candidates = 1) {
+    const { getImageSize } = await import('../utils/visionUtils.js');
+    const sequenceGenerator = new SequenceGenerator(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
+    const calls = [];
+    for (const scene of storyboard.scenes) {
+      const referenceSizes = await Promise.all(scene.references.map(reference => getImageSize(reference)));
+      const sceneCalls = sequenceGenerator.planSequence(scene.prompt, scene.frameCount, scene.animationType, {
+        candidates,
+        framePrompts: scene.prompts,
+        referenceSizes
+      });
+      calls.push(...sceneCalls.map(call => ({ ...call, label: `${scene.name} frame ${call.frameIndex + 1}` })));
+    }
+    return { provider: sequenceGenerator.nanoBanana.provider, calls };
+  }
+
+  /**
+   * Report a failed command and exit with the code for its error type
+   * Typed errors also print the model's explanation, the flagged safety
+   * categories and a suggestion; other errors exit with the general code
+   * @param {string} context - What failed (e.g. "Generation failed")
+   * @param {Error} error - Error thrown by the command
+   */
+  fail(context, error) {
+    logger.error(`${context}:`, error.message);
+
+    if (error.explanation && !error.message.includes(error.explanation)) {
+      logger.info(`💬 Model explanation: ${error.explanation}`);
+    }
+    if (error.safetyRatings?.length) {
+      const ratings = error.safetyRatings.map(rating =>
+        `${(rating.category || 'UNKNOWN').replace('HARM_CATEGORY_', '')} (${rating.probability || 'blocked'})`);
+      logger.info(`🛡️ Flagged categories: ${ratings.join(', ')}`);
+    }
+    if (error.hint) {
+      logger.info(`💡 ${error.hint}`);
+    }
+
+    process.exit(error.exitCode || EXIT_CODES.GENERAL);
+  }
+
+  /**
+   * Send progress output to stderr so stdout carries only machine-readable results
+   * @returns {Function} Restores normal console output
+   */
+  reserveStdout() {
+    const log = console.log;
+    console.log = console.error;
+    return () => {
+      console.log = log;
+    };
+  }
+
+  /**
+   * Run a streaming generation, printing text as it arrives and each image as it is saved
+   * @param {Object} integration - NanoBananaIntegration instance
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - generateImage options
+   * @returns {Promise<Object>} Final generation result
+   */
+  async streamGeneration(integration, prompt, options) {
+    const startedAt = Date.now();
+    const elapsed = () => `${((Date.now() - startedAt) / 1000).toFixed(1)}s`;
+    let result = null;
+    let midLine = false;
+
+    for await (const event of integration.generateImageStream(prompt, options)) {
+      if (event.type === 'text') {
+        process.stdout.write(event.text);
+        midLine = true;
+        continue;
+      }
+      if (midLine) {
+        process.stdout.write('\n');
+        midLine = false;
+      }
+      if (event.type === 'image') {
+        logger.info(`🖼️ [${elapsed()}] Image ${event.index + 1} received (${Math.round(event.bytes / 1024)} KB): ${event.imagePath}`);
+      } else if (event.type === 'done') {
+        logger.info(`⏱️ Stream finished after ${elapsed()}`);
+        result = event.result;
+      }
+    }
+    return result;
+  }
+
   async handleGenerate(prompt, options) {
     try {
       const isGif = options.gif || false;
@@ -196,29 +547,74 @@ export class CLICommands {
       const model = options.model || 'gemini-2.5-flash-image';
       const width = parseInt(options.width) || 512;
       const height = parseInt(options.height) || 512;
+      const seed = options.seed !== undefined ? parseInt(options.seed) : undefined;
 
       if (isGif) {
         // GIF Generation Mode
-        const frameCount = parseInt(options.frames) || 5;
-        const delay = parseInt(options.delay) || 500;
+        const type = getAnimationType(options.animation || DEFAULT_ANIMATION_TYPE);
+        const animationType = type.name;
+        // With --keyframes the model draws the keyframes and the other frames are tweened locally
+        if (options.tween !== undefined && options.keyframes === undefined) {
+          throw new InvalidInputError('--tween needs --keyframes');
+        }
+        const keyframes = options.keyframes !== undefined ? parseInt(options.keyframes) : null;
+        const tween = keyframes !== null ? checkTweenMethod(options.tween || DEFAULT_TWEEN_METHOD) : null;
+        const wrap = type.loop === 'cycle';
+        const frameCount = parseInt(options.frames) || (keyframes !== null ? getTweenedFrameCount(keyframes, wrap) : type.defaults.frameCount);
+        if (keyframes !== null) {
+          getTweenCounts(keyframes, frameCount, wrap);
+        }
+        const modelFrames = keyframes ?? frameCount;
+        const delay = parseInt(options.delay) || type.defaults.delay;
         const quality = parseInt(options.quality) || 80;
-        const animationType = options.animation || 'general';
         const keepFrames = options.keepFrames || false;
+        const concurrency = parseInt(options.concurrency) || ENV_CONFIG.FRAME_CONCURRENCY;
+        const candidates = parseCandidates(options.candidates);
 
         logger.header('nano Banana GIF Generation');
         logger.info(`Prompt: "${prompt}"`);
-        logger.info(`Frames: ${frameCount}, Animation: ${animationType}`);
-        logger.info(`Size: ${width}x${height}, Delay: ${delay}ms`);
+        const tweenSummary = keyframes !== null ? ` (${keyframes} keyframes + ${frameCount - keyframes} ${tween} in-betweens)` : '';
+        logger.info(`Frames: ${frameCount}${tweenSummary}, Animation: ${animationType}, Concurrency: ${concurrency}${candidates > 1 ? `, Candidates: ${candidates}` : ''}`);
+        logger.info(`Size: ${width}x${height}, Delay: ${describeDelay(type, delay)}${keyframes !== null ? ' per keyframe, shared with its in-betweens' : ''}`);
 
-        const result = await this.gifCommands.generateGif(prompt, {
+        const gifOptions = {
           frameCount: frameCount,
           animationType: animationType,
           width: width,
           height: height,
           delay: delay,
           quality: quality,
-          keepFrames: keepFrames
-        });
+          keepFrames: keepFrames,
+          seed: seed,
+          concurrency: concurrency,
+          candidates,
+          keyframes,
+          tween
+        };
+
+        // The frame plan is a text model call, so a dry run shows the type's prompts instead
+        const planFrames = async () => {
+          const framePlan = await this.getGifCommands().planGif(prompt, { frameCount: modelFrames, animationType });
+          framePlan.frames.forEach(frame => logger.info(`🗒️ Frame ${frame.frame}: ${frame.state}`));
+          logger.info(`🔒 Invariants: ${framePlan.invariants.join('; ') || 'none'}`);
+          return framePlan;
+        };
+        if ((options.plan || options.planOnly) && options.dryRun) {
+          logger.warning('Dry run: frames are not planned; the prompts below come from the animation type');
+        }
+
+        if (options.planOnly && !options.dryRun) {
+          const planned = await this.getGifCommands().planGifJob(prompt, { ...gifOptions, plan: await planFrames() });
+          logger.info(`✏️ Edit ${planned.planPath} if needed, then render with: node src/index.js resume ${planned.jobId}`);
+          return;
+        }
+
+        // Frames are priced from the type's prompts, so nothing (not even the plan) is paid for before the budget check
+        const plan = this.planGifFrames(prompt, modelFrames, [animationType], candidates);
+        if (!this.confirmRun(plan.provider, plan.calls, options)) return;
+        const framePlan = options.plan ? await planFrames() : null;
+
+        const result = await this.getGifCommands().generateGif(prompt, { ...gifOptions, plan: framePlan });
 
         logger.success(`🎉 GIF generated successfully!`);
         logger.info(`📁 Location: ${result.gifPath}`);
@@ -229,49 +625,129 @@ export class CLICommands {
         logger.info(`Aspect Ratio: ${aspectRatio}, Model: ${model}`);
 
         const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-        const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+        const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
-        const result = await integration.textToImage(prompt, {
+        const generationOptions = {
           aspectRatio: aspectRatio,
           model: model,
-          outputPath: `output/images/generated_image_${Date.now()}.png`
-        });
+          outputPath: `output/images/generated_image_${Date.now()}.png`,
+          seed: seed
+        };
+        const result = options.stream
+          ? await this.streamGeneration(integration, prompt, generationOptions)
+          : await integration.textToImage(prompt, generationOptions);
 
         logger.success(`🎉 Image generated successfully!`);
         logger.info(`📁 Location: ${result.imagePath}`);
         logger.info(`📊 Resolution: ${result.resolution}`);
-        logger.info(`🎯 Tokens: ${result.tokens}`);
+        logger.info(`🎯 Tokens: ${describeUsage(result.usage)}`);
       }
       
     } catch (error) {
-      logger.error('Generation failed:', error.message);
-      process.exit(1);
+      this.fail('Generation failed', error);
     }
   }
 
   async handleGenerateMultiple(prompt, options) {
     try {
       // Validate and set default values
-      const frameCount = parseInt(options.frames) || 5;
+      // Without --frames every type uses its own frame count and delay
+      const frameCount = parseInt(options.frames) || undefined;
       const width = parseInt(options.width) || 512;
       const height = parseInt(options.height) || 512;
-      const animationTypes = (options.animations || 'walking,flying,dancing').split(',').map(type => type.trim());
+      const animationTypes = (options.animations || 'walking,flying,dancing').split(',').map(type => getAnimationType(type.trim()).name);
+      const concurrency = parseInt(options.concurrency) || ENV_CONFIG.FRAME_CONCURRENCY;
+      const candidates = parseCandidates(options.candidates);
 
       logger.header('nano Banana Multiple GIF Generation');
       logger.info(`Prompt: "${prompt}"`);
       logger.info(`Animation Types: ${animationTypes.join(', ')}`);
 
-      const results = await this.gifCommands.generateMultipleGifs(prompt, animationTypes, {
+      const plan = this.planGifFrames(prompt, frameCount, animationTypes, candidates);
+      if (!this.confirmRun(plan.provider, plan.calls, options)) return;
+
+      const results = await this.getGifCommands().generateMultipleGifs(prompt, animationTypes, {
         frameCount: frameCount,
         width: width,
-        height: height
+        height: height,
+        concurrency: concurrency,
+        candidates
       });
 
       logger.success(`🎉 Generated ${results.filter(r => r.success).length}/${results.length} GIFs successfully!`);
       
     } catch (error) {
-      logger.error('Multiple generation failed:', error.message);
-      process.exit(1);
+      this.fail('Multiple generation failed', error);
+    }
+  }
+
+  async handleResume(jobId, options) {
+    try {
+      const outputDir = options.outputDir || './output';
+      const concurrency = parseInt(options.concurrency) || ENV_CONFIG.FRAME_CONCURRENCY;
+      const picks = (options.pick || []).map(parsePick);
+      const job = JobManifest.load(jobId, outputDir);
+
+      // Finish the job with the provider that started it, unless --provider was given
+      const provider = this.program.getOptionValueSource('provider') === 'cli'
+        ? this.getProvider()
+        : job.options.provider;
+
+      logger.header('nano Banana GIF Resume');
+      logger.info(`Job: ${jobId} (${job.status})`);
+      logger.info(`Prompt: "${job.prompt}"`);
+      logger.info(`Frames: ${job.options.frameCount - job.getMissingFrames().length}/${job.options.frameCount} done, Provider: ${provider}`);
+      if (job.loadPlan()) {
+        logger.info(`Plan: ${job.planPath}`);
+      }
+      if (job.options.storyboard) {
+        logger.info(`Storyboard: ${job.options.storyboard.scenes.map(scene => `${scene.name} (${scene.frameCount})`).join(', ')}`);
+      }
+      if (job.options.tween) {
+        logger.info(`Tween: ${job.options.frameCount} keyframes into ${job.options.tween.frameCount} frames (${job.options.tween.method})`);
+      }
+
+      const gifCommands = new GifCommands({ ...this.getIntegrationOptions(), provider });
+      const result = await gifCommands.resumeGif(jobId, { outputDir, concurrency, picks });
+
+      logger.success(`🎉 GIF generated successfully!`);
+      logger.info(`📁 Location: ${result.gifPath}`);
+
+    } catch (error) {
+      this.fail('Resume failed', error);
+    }
+  }
+
+  async handleRender(storyboardPath, options) {
+    try {
+      const storyboard = loadStoryboard(storyboardPath);
+      const concurrency = parseInt(options.concurrency) || ENV_CONFIG.FRAME_CONCURRENCY;
+      const candidates = parseCandidates(options.candidates);
+
+      logger.header('nano Banana Storyboard Render');
+      logger.info(`Storyboard: ${storyboard.name} (${storyboardPath})`);
+      logger.info(`Size: ${storyboard.width}x${storyboard.height}, Loop: ${storyboard.loop ? 'forever' : 'once'}`);
+      storyboard.scenes.forEach((scene, i) => {
+        const overrides = scene.prompts.filter(Boolean).length;
+        logger.info(`${i + 1}. ${scene.name}: "${scene.prompt}" (${scene.animationType}, ${scene.frameCount} frames, ${scene.delay}ms` +
+          `${scene.references.length ? `, ${scene.references.length} reference(s)` : ''}${overrides ? `, ${overrides} prompt override(s)` : ''})`);
+      });
+
+      const plan = await this.planStoryboardFrames(storyboard, candidates);
+      if (!this.confirmRun(plan.provider, plan.calls, options)) return;
+
+      const result = await this.getGifCommands().renderStoryboard(storyboard, {
+        outputDir: options.outputDir || './output',
+        concurrency,
+        candidates,
+        keepFrames: options.keepFrames || false
+      });
+
+      logger.success('🎉 GIF generated successfully!');
+      logger.info(`📁 Location: ${result.gifPath}`);
+
+    } catch (error) {
+      this.fail('Render failed', error);
     }
   }
 
@@ -284,8 +760,7 @@ export class CLICommands {
       await testNanoBananaIntegration();
       
     } catch (error) {
-      logger.error('Test failed:', error.message);
-      process.exit(1);
+      this.fail('Test failed', error);
     }
   }
 
@@ -298,6 +773,7 @@ export class CLICommands {
         'test_output',
         'demo_output',
         'output/frames',
+        'output/jobs',
         'output/gifs',
         'output/images'
       ];
@@ -306,7 +782,12 @@ export class CLICommands {
       
       for (const dir of directoriesToClean) {
         try {
-          await FileUtils.cleanDirectory(dir);
+          // Job folders locked by a running process are left alone
+          const kept = await FileUtils.cleanDirectory(dir, { keep: isWorkspaceActive });
+          for (const jobDir of kept) {
+            // The job may have finished since it was kept
+            logger.warning(`⏳ Skipped active job: ${jobDir} (process ${readLock(jobDir)?.pid ?? 'unknown'})`);
+          }
           logger.info(`✅ Cleaned: ${dir}`);
           cleanedCount++;
         } catch (error) {
@@ -318,11 +799,10 @@ export class CLICommands {
       }
       
       logger.success(`🧹 Cleanup completed! Cleaned ${cleanedCount} directories`);
-      logger.info('📁 Cleaned directories: temp, test_output, demo_output, output/frames, output/gifs, output/images');
+      logger.info(`📁 Cleaned directories: ${directoriesToClean.join(', ')}`);
       
     } catch (error) {
-      logger.error('❌ Clean failed:', error.message);
-      process.exit(1);
+      this.fail('Clean failed', error);
     }
   }
 
@@ -338,7 +818,7 @@ export class CLICommands {
 
       // Import the integration
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.generateCaption(imagePath, style);
       
@@ -347,29 +827,80 @@ export class CLICommands {
       logger.info(result);
       
     } catch (error) {
-      logger.error('Analysis failed:', error.message);
-      process.exit(1);
+      this.fail('Analysis failed', error);
     }
   }
 
-  async handleDetectObjects(imagePath) {
+  async handleDetectObjects(imagePath, options) {
+    const restoreStdout = options.json ? this.reserveStdout() : null;
     try {
+      const labels = options.labels ? options.labels.split(',').map(label => label.trim()).filter(Boolean) : [];
+      const maxObjects = parseInt(options.maxObjects) || 25;
+
       logger.header('Gemini Object Detection');
       logger.info(`🖼️ Image: ${imagePath}`);
+      if (labels.length) logger.info(`🏷️ Labels: ${labels.join(', ')}`);
 
       // Import the integration
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
+
+      const result = await integration.detectObjects(imagePath, { labels, maxObjects });
+
+      if (options.annotate) {
+        const { annotateDetections } = await import('../utils/visionUtils.js');
+        result.annotatedPath = await annotateDetections(imagePath, result.objects, options.annotate);
+      }
 
-      const result = await integration.detectObjects(imagePath);
-      
       logger.success('🎉 Object detection completed!');
-      logger.info('🔍 Detection Results:');
-      logger.info(result);
-      
+      logger.info(`🔍 ${result.objects.length} object(s) in ${result.width}x${result.height} image:`);
+      result.objects.forEach(({ label, confidence, pixelBox }) => {
+        const score = confidence !== null ? ` ${Math.round(confidence * 100)}%` : '';
+        logger.info(`  • ${label}${score} at x=${pixelBox.x} y=${pixelBox.y} (${pixelBox.width}x${pixelBox.height})`);
+      });
+      if (result.annotatedPath) logger.info(`🖍️ Annotated image saved: ${result.annotatedPath}`);
+
+      if (restoreStdout) {
+        restoreStdout();
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      }
+    } catch (error) {
+      restoreStdout?.();
+      this.fail('Object detection failed', error);
+    }
+  }
+
+  async handleSegment(imagePath, options) {
+    const restoreStdout = options.json ? this.reserveStdout() : null;
+    try {
+      const labels = options.labels ? options.labels.split(',').map(label => label.trim()).filter(Boolean) : [];
+
+      logger.header('Gemini Segmentation');
+      logger.info(`🖼️ Image: ${imagePath}`);
+      if (labels.length) logger.info(`🏷️ Labels: ${labels.join(', ')}`);
+
+      // Import the integration
+      const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
+
+      const result = await integration.segmentObjects(imagePath, labels, {
+        outputDir: options.outputDir,
+        cutout: options.cutout || false
+      });
+
+      logger.success('🎉 Segmentation completed!');
+      result.objects.forEach(({ label, area, maskPath, cutoutPath }) => {
+        logger.info(`  • ${label} (${(area * 100).toFixed(1)}% of image): ${maskPath}`);
+        if (cutoutPath) logger.info(`    cutout: ${cutoutPath}`);
+      });
+
+      if (restoreStdout) {
+        restoreStdout();
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      }
     } catch (error) {
-      logger.error('Object detection failed:', error.message);
-      process.exit(1);
+      restoreStdout?.();
+      this.fail('Segmentation failed', error);
     }
   }
 
@@ -384,7 +915,7 @@ export class CLICommands {
 
       // Import the integration
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.imageToImageGeneration(imagePath, stylePrompt, outputPath);
       
@@ -392,44 +923,64 @@ export class CLICommands {
       logger.info(`📁 Transformed image saved: ${result}`);
       
     } catch (error) {
-      logger.error('Image transformation failed:', error.message);
-      process.exit(1);
+      this.fail('Image transformation failed', error);
     }
   }
 
   async handleStyleAnimation(imagePath, animationPrompt, options) {
+    let workspace = null;
     try {
-      const frameCount = parseInt(options.frames) || 5;
+      const type = getAnimationType(options.animation || detectAnimationType(animationPrompt));
+      const frameCount = parseInt(options.frames) || type.defaults.frameCount;
       const width = parseInt(options.width) || 512;
       const height = parseInt(options.height) || 512;
-      const delay = parseInt(options.delay) || 500;
+      const delay = parseInt(options.delay) || type.defaults.delay;
+      const concurrency = parseInt(options.concurrency) || ENV_CONFIG.FRAME_CONCURRENCY;
 
       logger.header('Gemini Style Animation');
       logger.info(`🖼️ Reference Image: ${imagePath}`);
       logger.info(`🎬 Animation Prompt: ${animationPrompt}`);
-      logger.info(`📊 Frames: ${frameCount}, Size: ${width}x${height}, Delay: ${delay}ms`);
+      logger.info(`📊 Frames: ${frameCount}, Animation: ${type.name}, Size: ${width}x${height}, Delay: ${describeDelay(type, delay)}`);
 
       // Import the integration
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
+
+      if (!await FileUtils.exists(imagePath)) {
+        throw new InvalidInputError(`Reference image file not found: ${imagePath}`);
+      }
+      const { getImageSize } = await import('../utils/visionUtils.js');
+      const calls = integration.planStyleAnimationFrames(await getImageSize(imagePath), animationPrompt, frameCount, type.name)
+        .map(call => ({ ...call, label: `frame ${call.frameIndex + 1}` }));
+      if (!this.confirmRun(integration.provider, calls, options)) return;
+
+      // Frames go to a private working directory, removed once the GIF is assembled or the job fails
+      workspace = JobWorkspace.create(CONFIG.tempDir);
+      logger.info(`🗂️ Working directory: ${workspace.dir}`);
 
       // Generate style animation frames
-      const framePaths = await integration.generateStyleAnimationFrames(imagePath, animationPrompt, frameCount, CONFIG.tempDir);
+      const framePaths = await integration.generateStyleAnimationFrames(imagePath, animationPrompt, frameCount, workspace.dir, {
+        concurrency: concurrency,
+        animationType: type.name,
+        jobId: workspace.jobId
+      });
 
       // Assemble frames into GIF
-      const result = await this.gifCommands.generateGifFromFrames(framePaths, {
+      const result = await this.getGifCommands().generateGifFromFrames(framePaths, {
         width: width,
         height: height,
         delay: delay,
-        animationType: 'style-animation'
+        animationType: type.name
       });
+      workspace.release();
 
       logger.success('🎉 Style animation completed!');
       logger.info(`📁 Animation GIF saved: ${result.gifPath}`);
       
     } catch (error) {
-      logger.error('Style animation failed:', error.message);
-      process.exit(1);
+      // Release before fail(), which exits the process
+      workspace?.release();
+      this.fail('Style animation failed', error);
     }
   }
 
@@ -445,22 +996,24 @@ export class CLICommands {
       logger.info(`📐 Aspect Ratio: ${aspectRatio}`);
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
-      const result = await integration.textToImage(prompt, {
+      const generationOptions = {
         model: model,
         aspectRatio: aspectRatio,
         outputPath: outputPath
-      });
+      };
+      const result = options.stream
+        ? await this.streamGeneration(integration, prompt, generationOptions)
+        : await integration.textToImage(prompt, generationOptions);
 
       logger.success('🎉 Text-to-image generation completed!');
       logger.info(`📁 Image saved: ${result.imagePath}`);
       logger.info(`📊 Resolution: ${result.resolution}`);
-      logger.info(`🎯 Tokens: ${result.tokens}`);
+      logger.info(`🎯 Tokens: ${describeUsage(result.usage)}`);
       
     } catch (error) {
-      logger.error('Text-to-image generation failed:', error.message);
-      process.exit(1);
+      this.fail('Text-to-image generation failed', error);
     }
   }
 
@@ -477,7 +1030,7 @@ export class CLICommands {
       logger.info(`📐 Aspect Ratio: ${aspectRatio}`);
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.imageEditing(imagePath, editPrompt, {
         model: model,
@@ -489,8 +1042,7 @@ export class CLICommands {
       logger.info(`📁 Edited image saved: ${result.imagePath}`);
       
     } catch (error) {
-      logger.error('Image editing failed:', error.message);
-      process.exit(1);
+      this.fail('Image editing failed', error);
     }
   }
 
@@ -508,7 +1060,7 @@ export class CLICommands {
       logger.info(`📐 Aspect Ratio: ${aspectRatio}`);
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.multiImageComposition(imagePaths, compositionPrompt, {
         model: model,
@@ -520,8 +1072,7 @@ export class CLICommands {
       logger.info(`📁 Composed image saved: ${result.imagePath}`);
       
     } catch (error) {
-      logger.error('Multi-image composition failed:', error.message);
-      process.exit(1);
+      this.fail('Multi-image composition failed', error);
     }
   }
 
@@ -538,7 +1089,7 @@ export class CLICommands {
       logger.info(`🔧 Model: ${model}`);
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.styleTransfer(sourceImage, styleImage, stylePrompt, {
         model: model,
@@ -550,8 +1101,7 @@ export class CLICommands {
       logger.info(`📁 Styled image saved: ${result.imagePath}`);
       
     } catch (error) {
-      logger.error('Style transfer failed:', error.message);
-      process.exit(1);
+      this.fail('Style transfer failed', error);
     }
   }
 
@@ -567,7 +1117,7 @@ export class CLICommands {
       logger.info(`📐 Aspect Ratio: ${aspectRatio}`);
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.textRendering(textPrompt, {
         model: model,
@@ -579,12 +1129,15 @@ export class CLICommands {
       logger.info(`📁 Text image saved: ${result.imagePath}`);
       
     } catch (error) {
-      logger.error('Text rendering failed:', error.message);
-      process.exit(1);
+      this.fail('Text rendering failed', error);
     }
   }
 
   async handleIterativeRefinement(refinementPrompt, options) {
+    if (options.session || options.newSession) {
+      return await this.handleSessionRefinement(refinementPrompt, options);
+    }
+
     try {
       const previousImagePath = options.previousImage;
       const model = options.model || 'gemini-2.5-flash-image';
@@ -597,7 +1150,7 @@ export class CLICommands {
       logger.info(`🔧 Model: ${model}`);
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.iterativeRefinement(refinementPrompt, previousImagePath, {
         model: model,
@@ -607,10 +1160,206 @@ export class CLICommands {
 
       logger.success('🎉 Iterative refinement completed!');
       logger.info(`📁 Refined image saved: ${result.imagePath}`);
+      logger.info('💡 Use --new-session to keep the conversation for later refinements');
       
     } catch (error) {
-      logger.error('Iterative refinement failed:', error.message);
-      process.exit(1);
+      this.fail('Iterative refinement failed', error);
+    }
+  }
+
+  async handleSessionRefinement(refinementPrompt, options) {
+    try {
+      const outputDir = options.sessionsDir || './output';
+      const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
+
+      let session;
+      let integration;
+      if (options.session) {
+        session = RefinementSession.load(options.session, outputDir);
+        // Continue with the provider that started the session, unless --provider was given
+        const provider = this.program.getOptionValueSource('provider') === 'cli'
+          ? this.getProvider()
+          : session.options.provider;
+        integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, { ...this.getIntegrationOptions(), provider });
+      } else {
+        integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
+        session = integration.startSession({
+          model: options.model,
+          aspectRatio: options.aspectRatio,
+          title: refinementPrompt,
+          outputDir
+        });
+      }
+
+      logger.header('Iterative Refinement Session');
+      logger.info(`💬 Session: ${session.sessionId} (${session.nodes.length} node(s))`);
+      logger.info(`📝 Refinement Prompt: ${refinementPrompt}`);
+
+      const images = options.previousImage ? [options.previousImage] : [];
+      const result = await integration.refineSession(session, refinementPrompt, {
+        images,
+        ...(options.from !== undefined && { from: parseNodeId(options.from) })
+      });
+
+      if (options.output) {
+        await FileUtils.ensureDirectory(path.dirname(options.output));
+        await FileUtils.writeFile(options.output, await FileUtils.readFile(result.imagePath));
+      }
+
+      logger.success(`🎉 Node ${result.node.id} completed (parent: ${result.node.parent ?? 'root'})!`);
+      logger.info(`📁 Refined image saved: ${options.output || result.imagePath}`);
+      if (result.text) logger.info(`💬 ${result.text}`);
+      logger.info(`💡 Continue with: node src/index.js refine "<prompt>" --session ${session.sessionId}`);
+
+    } catch (error) {
+      this.fail('Iterative refinement failed', error);
+    }
+  }
+
+  async handleSessionList(options) {
+    try {
+      const sessions = RefinementSession.list(options.sessionsDir || './output');
+      if (sessions.length === 0) {
+        logger.info('No saved sessions. Start one with: node src/index.js refine "<prompt>" --new-session');
+        return;
+      }
+
+      logger.header('Refinement Sessions');
+      for (const session of sessions) {
+        logger.info(`${session.sessionId}  ${session.nodes.length} node(s)  ${session.options.provider}  "${session.title || ''}"`);
+      }
+    } catch (error) {
+      this.fail('Listing sessions failed', error);
+    }
+  }
+
+  async handleSessionShow(sessionId, options) {
+    try {
+      const session = RefinementSession.load(sessionId, options.sessionsDir || './output');
+
+      logger.header(`Session ${session.sessionId}`);
+      logger.info(`🔧 Model: ${session.options.model}, Aspect Ratio: ${session.options.aspectRatio}, Provider: ${session.options.provider}`);
+      // Depth-first, children indented under their parent; * marks the current node
+      const printNode = (node, depth) => {
+        const marker = node.id === session.head?.id ? '*' : ' ';
+        const inputs = node.inputImages.length ? ` (+${node.inputImages.length} input image(s))` : '';
+        logger.info(`${marker} ${'  '.repeat(depth)}#${node.id} "${node.prompt}"${inputs}  → ${session.resolve(node.image)}`);
+        session.getChildren(node.id).forEach(child => printNode(child, depth + 1));
+      };
+      session.getChildren(null).forEach(node => printNode(node, 0));
+      logger.info(`🖼️ Current image: ${session.currentImage || 'None'}`);
+    } catch (error) {
+      this.fail('Showing session failed', error);
+    }
+  }
+
+  async handleSessionUndo(sessionId, options) {
+    try {
+      const session = RefinementSession.load(sessionId, options.sessionsDir || './output');
+      const undone = session.undo();
+
+      logger.success(`↩️ Stepped back from node ${undone.id}: "${undone.prompt}" (still available with session checkout)`);
+      logger.info(`🖼️ Current image: ${session.currentImage || 'None (back at the start)'}`);
+    } catch (error) {
+      this.fail('Undo failed', error);
+    }
+  }
+
+  async handleSessionCheckout(sessionId, nodeId, options) {
+    try {
+      const session = RefinementSession.load(sessionId, options.sessionsDir || './output');
+      const head = session.checkout(parseNodeId(nodeId));
+
+      logger.success(head ? `📍 Checked out node ${head.id}: "${head.prompt}"` : '📍 Checked out the start of the session');
+      logger.info(`🖼️ Current image: ${session.currentImage || 'None'}`);
+    } catch (error) {
+      this.fail('Checkout failed', error);
+    }
+  }
+
+  async handleSessionBranch(sessionId, nodeId, refinementPrompt, options) {
+    return await this.handleSessionRefinement(refinementPrompt, { ...options, session: sessionId, from: nodeId });
+  }
+
+  async handleSessionExport(sessionId, nodeId, options) {
+    try {
+      const session = RefinementSession.load(sessionId, options.sessionsDir || './output');
+      const lastNode = nodeId === undefined ? session.head : session.getNode(parseNodeId(nodeId));
+      if (!lastNode) {
+        throw new InvalidInputError(`Session ${sessionId} has no node to export`);
+      }
+
+      const framePaths = session.getPathImages(lastNode.id);
+      const { getImageSize } = await import('../utils/visionUtils.js');
+      const size = await getImageSize(framePaths[0]);
+      const width = parseInt(options.width) || size.width;
+      const height = parseInt(options.height) || size.height;
+      const outputPath = options.output || session.resolve(`path_${lastNode.id}.gif`);
+
+      logger.header('Session Export');
+      logger.info(`🧭 Path: ${session.getPath(lastNode.id).map(node => `#${node.id}`).join(' → ')} (${framePaths.length} frames)`);
+
+      const { CanvasGifAssembler } = await import('../core/canvasGifAssembler.js');
+      await FileUtils.ensureDirectory(path.dirname(outputPath));
+      const gifPath = await new CanvasGifAssembler().createGif(framePaths, outputPath, {
+        width,
+        height,
+        delay: parseInt(options.delay) || 1000
+      });
+
+      logger.success('🎉 Before/after GIF exported!');
+      logger.info(`📁 Location: ${gifPath}`);
+    } catch (error) {
+      this.fail('Export failed', error);
+    }
+  }
+
+  async handleUsage(options) {
+    try {
+      const ledger = new UsageLedger({ ledgerPath: options.ledger });
+      const entries = ledger.read({ since: options.since });
+      const summary = ledger.summarize(entries, loadPriceTable(options.prices));
+
+      if (options.json) {
+        console.log(JSON.stringify(summary, null, 2));
+        return;
+      }
+      if (entries.length === 0) {
+        logger.info(`No model calls recorded in ${ledger.ledgerPath}${options.since ? ` since ${options.since}` : ''}`);
+        return;
+      }
+
+      const formatTotal = (total) =>
+        `${total.calls} call(s)  ${total.totalTokens.toLocaleString('en-US')} tokens (${total.imageTokens.toLocaleString('en-US')} image)  $${total.cost.toFixed(4)}`;
+
+      logger.header('Token Usage');
+      logger.info(`📒 Ledger: ${ledger.ledgerPath}${options.since ? ` (since ${options.since})` : ''}`);
+      logger.info(`💰 Total: ${formatTotal(summary.total)}`);
+      for (const [title, groups] of [['By day', summary.byDay], ['By command', summary.byCommand], ['By model', summary.byModel]]) {
+        logger.separator();
+        logger.info(`${title}:`);
+        for (const [name, total] of Object.entries(groups)) {
+          logger.info(`  • ${name}: ${formatTotal(total)}`);
+        }
+      }
+      if (summary.unpriced.length > 0) {
+        logger.warning(`No price for ${summary.unpriced.join(', ')}; their calls count as $0. Add them with --prices or USAGE_PRICES`);
+      }
+    } catch (error) {
+      this.fail('Usage summary failed', error);
+    }
+  }
+
+  async handleCachePrune(options) {
+    try {
+      const maxAge = parseDuration(options.olderThan);
+      const cache = new ResponseCache({ cacheDir: options.cacheDir });
+      const { removed, kept, bytes } = cache.prune(maxAge);
+
+      logger.success(`🧹 Removed ${removed} cached response(s) (${(bytes / 1024 / 1024).toFixed(1)} MB), kept ${kept}`);
+      logger.info(`📁 Cache: ${cache.cacheDir}`);
+    } catch (error) {
+      this.fail('Cache prune failed', error);
     }
   }
 
@@ -624,22 +1373,30 @@ export class CLICommands {
       logger.info(`📝 Prompt: ${prompt}`);
       logger.info(`🔧 Imagen Version: ${version}`);
       logger.info(`📐 Aspect Ratio: ${aspectRatio}`);
+      if (options.negativePrompt) {
+        logger.info(`🚫 Negative Prompt: ${options.negativePrompt}`);
+      }
 
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
       const result = await integration.generateWithImagen(prompt, {
         imagenVersion: version,
         aspectRatio: aspectRatio,
-        outputPath: outputPath
+        outputPath: outputPath,
+        numberOfImages: parseInt(options.numberOfImages),
+        negativePrompt: options.negativePrompt,
+        personGeneration: options.personGeneration,
+        seed: options.seed !== undefined ? parseInt(options.seed) : undefined
       });
 
       logger.success('🎉 Imagen generation completed!');
-      logger.info(`📁 Image saved: ${result.imagePath}`);
+      for (const imagePath of result.imagePaths) {
+        logger.info(`📁 Image saved: ${imagePath}`);
+      }
       
     } catch (error) {
-      logger.error('Imagen generation failed:', error.message);
-      process.exit(1);
+      this.fail('Imagen generation failed', error);
     }
   }
 
@@ -648,8 +1405,16 @@ export class CLICommands {
       logger.header('Available Options');
       
       const { NanoBananaIntegration } = await import('../integrations/gemini_integration.js');
-      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY);
+      const integration = new NanoBananaIntegration(process.env.GOOGLE_API_KEY, this.getIntegrationOptions());
 
+      logger.info('🔌 Image Providers:');
+      for (const provider of getAvailableProviders()) {
+        const status = provider.available ? '✅' : '❌ (missing API key)';
+        const current = provider.name === this.getProvider() ? ' [selected]' : '';
+        logger.info(`  • ${provider.name}: ${provider.description} ${status}${current}`);
+      }
+
+      logger.separator();
       logger.info('🔧 Available Models:');
       const models = integration.getAvailableModels();
       for (const [model, description] of Object.entries(models)) {
@@ -663,6 +1428,13 @@ export class CLICommands {
         logger.info(`  • ${ratio}: ${config.resolution} (${config.tokens} tokens)`);
       }
 
+      logger.separator();
+      logger.info('🎬 Animation Types:');
+      for (const type of listAnimationTypes()) {
+        const custom = type.source === 'built-in' ? '' : ` [${type.source}]`;
+        logger.info(`  • ${type.name}: ${type.description} (${type.defaults.frameCount} frames, ${type.defaults.delay}ms, ${type.loop})${custom}`);
+      }
+
       logger.separator();
       logger.info('🎯 Model Recommendations:');
       logger.info('  • photorealistic → imagen-4');
@@ -673,8 +1445,7 @@ export class CLICommands {
       logger.info('  • ultra quality → imagen-4-ultra');
       
     } catch (error) {
-      logger.error('Failed to list options:', error.message);
-      process.exit(1);
+      this.fail('Failed to list options', error);
     }
   }
 
@@ -696,7 +1467,7 @@ export class CLICommands {
     logger.info('• 🎨 Sequential motion animation (like nano Banana\'s consistency)');
     logger.info('• 🌅 Progressive background sequences');
     logger.info('• 🎞️ Multiple animation types (walking, flying, dancing, etc.)');
-    logger.info('• 📱 Fallback to OpenAI DALL-E and Stability AI');
+    logger.info('• 🔌 Pluggable image providers: Gemini, OpenAI DALL-E, Stability AI, local (--provider)');
     logger.info('• 🎬 Actual GIF file generation');
     logger.separator();
     logger.info('NEW: Comprehensive Gemini Image Generation Features:');
@@ -725,15 +1496,31 @@ export class CLICommands {
     logger.info('• style-transfer "<source>" "<style>" "<prompt>" - Transfer style');
     logger.info('• render-text "<text>" - Generate image with text');
     logger.info('• refine "<prompt>" - Iteratively refine image');
-    logger.info('• imagen "<prompt>" - Generate with Imagen model');
+    logger.info('• imagen "<prompt>" [-n <count>] - Generate with Imagen (generateImages), up to 4 images per call');
     logger.info('• analyze "<image-path>" - Analyze image with Gemini');
-    logger.info('• detect "<image-path>" - Detect objects in image');
+    logger.info('• detect "<image-path>" [--json] [--annotate out.png] - Detect objects with bounding boxes');
+    logger.info('• segment "<image-path>" [--labels a,b] [--cutout] - Write PNG masks for objects');
     logger.info('• transform "<image-path>" "<style>" - Transform image with style');
     logger.info('• style-animation "<image-path>" "<prompt>" - Create style animation');
+    logger.info('• resume <job-id> - Resume a failed GIF job from its saved frames');
+    logger.info('• refine "<prompt>" --new-session | --session <id> - Multi-turn refinement with saved history');
+    logger.info('• session list | show <id> | undo <id> - Manage refinement sessions');
+    logger.info('• session branch <id> <node> "<prompt>" | checkout <id> <node> | export <id> [node] - Explore session branches');
+    logger.info('• usage [--since <date>] - Token usage and estimated spend by day, command and model');
+    logger.info('• --dry-run / --force on generate --gif, generate-multiple, style-animation, render - Preview prompts and cost, or skip the budget check');
     logger.info('• list-options - Show available models and options');
     logger.info('• test "<prompt>" - Test Gemini API connection');
     logger.info('• clean - Clean temporary files');
     logger.info('• info - Show this information');
+    logger.info('• --provider <name> - Use gemini, openai, stability or local for any command');
+    logger.info('• --rpm <number> - Limit model requests per minute (frames run in parallel with --concurrency)');
+    logger.info('• --candidates <n> on generate --gif, generate-multiple - Keep the best of n candidates per frame (SSIM to the first frame)');
+    logger.info('• resume <job-id> --pick <frame>=<candidate> - Swap in another candidate and reassemble the GIF');
+    logger.info('• render <storyboard> - Render a JSON or YAML storyboard of scenes into one GIF');
+    logger.info('• --plan / --plan-only on generate --gif - Let a text model script every frame; --plan-only saves plan.json to edit before resume');
+    logger.info('• --keyframes / --tween on generate --gif - Generate a few keyframes and tween the other frames locally (dissolve or motion)');
+    logger.info('• --no-cache - Call the model even when the same request was answered before');
+    logger.info('• cache prune --older-than <age> - Remove cached responses not used for a while');
     logger.separator();
     logger.info('Image Understanding Features:');
     logger.info('• 📸 Supports PNG, JPEG, WEBP, HEIC, HEIF formats');
@@ -744,8 +1531,18 @@ export class CLICommands {
     logger.separator();
     logger.info('Output Structure:');
     logger.info(`• Single images: output/images/`);
-    logger.info(`• Animation frames: output/frames/`);
+    logger.info(`• GIF jobs (manifest + frames): output/jobs/<job-id>/`);
     logger.info(`• Final GIFs: output/gifs/`);
+    logger.info(`• Response cache: ${ENV_CONFIG.CACHE_DIR}/`);
+    logger.separator();
+    logger.info('Exit Codes:');
+    logger.info(`• ${EXIT_CODES.GENERAL}: general failure`);
+    logger.info(`• ${EXIT_CODES.INVALID_INPUT}: invalid input (arguments, files, unsupported options)`);
+    logger.info(`• ${EXIT_CODES.SAFETY_BLOCKED}: blocked by a safety or recitation filter`);
+    logger.info(`• ${EXIT_CODES.QUOTA_EXCEEDED}: quota or rate limit exceeded`);
+    logger.info(`• ${EXIT_CODES.EMPTY_RESPONSE}: the model returned no image`);
+    logger.info(`• ${EXIT_CODES.TIMEOUT}: the API timed out`);
+    logger.info(`• ${EXIT_CODES.BUDGET_EXCEEDED}: refused because the estimate exceeds a budget`);
     logger.separator();
     logger.info('Important Links:');
     logger.info('• nano Banana: https://gemini.google/overview/image-generation/');
@@ -763,4 +1560,84 @@ export class CLICommands {
   }
 }
 
+/**
+ * Name of a command including its parent commands, e.g. "session branch"
+ * @param {Command} command - Commander command being run
+ * @returns {string} Command path without the program name
+ */
+function getCommandPath(command) {
+  const names = [];
+  for (let current = command; current?.parent; current = current.parent) {
+    names.unshift(current.name());
+  }
+  return names.join(' ');
+}
+
+/**
+ * Describe the token usage of a generation for the console
+ * @param {import('../core/usageLedger.js').TokenUsage|null} usage - Usage reported by the provider
+ * @returns {string} Total with prompt/output/image breakdown, or a note that none was reported
+ */
+function describeUsage(usage) {
+  if (!usage) return 'not reported by this provider';
+  if (usage.images !== undefined) return `none, billed per image (${usage.images} image(s))`;
+  return `${usage.totalTokens} (prompt ${usage.promptTokens}, output ${usage.outputTokens}, of which image ${usage.imageTokens})`;
+}
+
+/**
+ * Describe the frame delay of an animation for the console
+ * Phases with their own delay keep it whatever --delay is, so they are listed next to it
+ * @param {import('../core/animationTypes.js').AnimationType} type - Animation type
+ * @param {number} delay - Delay of the other frames, in milliseconds
+ * @returns {string} Delay with the phase delays that override it
+ */
+function describeDelay(type, delay) {
+  const phaseDelays = (type.phaseDelays || []).filter(phaseDelay => phaseDelay !== null);
+  if (phaseDelays.length === 0) return `${delay}ms`;
+  return `${delay}ms (phase delays of ${type.name} win: ${phaseDelays.map(phaseDelay => `${phaseDelay}ms`).join(', ')})`;
+}
+
+/**
+ * Parse --candidates
+ * @param {string} value - Candidates per frame
+ * @returns {number} Candidates, at least 1
+ * @throws {InvalidInputError} If the value is not a positive number
+ */
+function parseCandidates(value) {
+  const candidates = parseInt(value ?? 1);
+  if (isNaN(candidates) || candidates < 1) {
+    throw new InvalidInputError(`Invalid number of candidates: ${value} (use 1 or more)`);
+  }
+  return candidates;
+}
+
+/**
+ * Parse a --pick argument
+ * @param {string} value - frame=candidate, both 1-based (e.g. 3=2)
+ * @returns {{frame: number, candidate: number}} Pick
+ * @throws {InvalidInputError} If the value is not frame=candidate
+ */
+function parsePick(value) {
+  const match = /^(\d+)=(\d+)$/.exec(String(value).trim());
+  if (!match || match[1] === '0' || match[2] === '0') {
+    throw new InvalidInputError(`Invalid pick: ${value} (use <frame>=<candidate>, e.g. 3=2)`);
+  }
+  return { frame: parseInt(match[1]), candidate: parseInt(match[2]) };
+}
+
+/**
+ * Parse a session node argument
+ * @param {string} value - Node id, or "root" for the empty start of a session
+ * @returns {number|null} Node id, null for the root
+ * @throws {InvalidInputError} If the value is not a node id
+ */
+function parseNodeId(value) {
+  if (String(value).toLowerCase() === 'root') return null;
+  const nodeId = parseInt(value);
+  if (isNaN(nodeId)) {
+    throw new InvalidInputError(`Invalid node id: ${value} (use a number or "root")`);
+  }
+  return nodeId;
+}
+
 export default CLICommands;
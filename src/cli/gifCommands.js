@@ -4,23 +4,38 @@
 
 import { GifGenerator } from '../core/gifGenerator.js';
 import { Logger } from '../core/logger.js';
+import { DEFAULT_PROVIDER, getProviderService, isProviderAvailable } from '../providers/index.js';
 import * as dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
 export class GifCommands {
-    constructor() {
+    /**
+     * @param {Object} options - Command options
+     * @param {string} options.provider - Image provider name (gemini, openai, stability, local, mock)
+     * @param {number} options.requestsPerMinute - Rate limit for model calls
+     * @param {boolean} options.cache - Reuse cached model responses
+     */
+    constructor(options = {}) {
         this.logger = new Logger();
         this.apiKey = process.env.GOOGLE_API_KEY;
+        this.provider = options.provider || DEFAULT_PROVIDER;
         
-        if (!this.apiKey) {
-            this.logger.error('❌ GOOGLE_API_KEY not found in environment variables');
-            this.logger.info('🔑 Please set GOOGLE_API_KEY in your .env file');
+        if (!isProviderAvailable(this.provider)) {
+            const service = getProviderService(this.provider);
+            this.logger.error(`❌ Image provider "${this.provider}" is not available`);
+            if (service) {
+                this.logger.info(`🔑 Please set the ${service.toUpperCase()}_API_KEY for this provider in your .env file`);
+            }
             process.exit(1);
         }
         
-        this.gifGenerator = new GifGenerator(this.apiKey);
+        this.gifGenerator = new GifGenerator(this.apiKey, {
+            provider: this.provider,
+            requestsPerMinute: options.requestsPerMinute,
+            cache: options.cache
+        });
     }
 
     /**
@@ -50,6 +65,84 @@ export class GifCommands {
         }
     }
 
+    /**
+     * Ask the text model for a per-frame plan of an animation
+     * @param {string} prompt - Animation prompt
+     * @param {Object} options - Planning options (frameCount, animationType, model)
+     */
+    async planGif(prompt, options = {}) {
+        try {
+            const plan = await this.gifGenerator.planAnimation(prompt, options);
+            this.logger.success(`🗒️ Planned ${plan.frames.length} frames`);
+            return plan;
+
+        } catch (error) {
+            this.logger.error(`❌ Failed to plan frames: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a frame plan with a new GIF job without rendering it
+     * @param {string} prompt - Animation prompt
+     * @param {Object} options - Generation options; options.plan is the plan to save
+     */
+    async planGifJob(prompt, options = {}) {
+        try {
+            const planned = await this.gifGenerator.planAnimatedGif(prompt, options);
+            this.logger.success(`🗒️ Plan saved: ${planned.planPath}`);
+            return planned;
+
+        } catch (error) {
+            this.logger.error(`❌ Failed to plan GIF job: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Resume a failed or interrupted GIF job
+     * @param {string} jobId - Job id
+     * @param {Object} options - Resume options (outputDir, concurrency, picks)
+     */
+    async resumeGif(jobId, options = {}) {
+        this.logger.info(`🍌 nano Banana GIF Generator`);
+        this.logger.info(`🔁 Job: ${jobId}`);
+        
+        try {
+            const result = await this.gifGenerator.resumeJob(jobId, options);
+            
+            this.logger.success(`🎉 GIF generated successfully!`);
+            this.logger.info(`📁 Location: ${result.gifPath}`);
+            this.logger.info(`📊 Frames: ${result.frameCount}, Animation: ${result.animationType}`);
+            return result;
+            
+        } catch (error) {
+            this.logger.error(`❌ Failed to resume GIF job: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Render a storyboard into one GIF
+     * @param {import('../core/storyboard.js').Storyboard} storyboard - Storyboard from loadStoryboard
+     * @param {Object} options - Render options (outputDir, concurrency, candidates, keepFrames)
+     */
+    async renderStoryboard(storyboard, options = {}) {
+        this.logger.info('🍌 nano Banana GIF Generator');
+        this.logger.info(`🎞️ Storyboard: ${storyboard.name} (${storyboard.scenes.length} scenes)`);
+
+        try {
+            const result = await this.gifGenerator.renderStoryboard(storyboard, options);
+
+            this.logger.info(`📊 Frames: ${result.frameCount}, Scenes: ${result.scenes.map(scene => scene.name).join(', ')}`);
+            return result;
+
+        } catch (error) {
+            this.logger.error(`❌ Failed to render storyboard: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Generate multiple GIFs with different animation types
      * @param {string} prompt - Animation prompt
@@ -96,7 +189,7 @@ export class GifCommands {
         
         this.logger.info(`🎬 Available Animation Types:`);
         types.forEach((type, index) => {
-            this.logger.info(`${index + 1}. ${type}`);
+            this.logger.info(`${index + 1}. ${type.name} - ${type.description} (${type.defaults.frameCount} frames, ${type.defaults.delay}ms, ${type.loop})`);
         });
     }
 
@@ -4,8 +4,10 @@
  */
 
 import * as dotenv from 'dotenv';
+import * as os from 'node:os';
 import * as path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { CONFIG } from '../core/config.js';
 
 // Get the directory of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -39,8 +41,44 @@ export const ENV_CONFIG = {
   DEMO_DIR: process.env.DEMO_DIR || './demo_output',
   
   // API settings
-  API_TIMEOUT: parseInt(process.env.API_TIMEOUT) || 30000,
-  MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
+  API_TIMEOUT: parseInt(process.env.API_TIMEOUT) || CONFIG.apiTimeout,
+  MAX_RETRIES: process.env.MAX_RETRIES !== undefined && !isNaN(parseInt(process.env.MAX_RETRIES))
+    ? parseInt(process.env.MAX_RETRIES)
+    : CONFIG.maxRetries,
+  RETRY_DEADLINE_MS: parseInt(process.env.RETRY_DEADLINE_MS) || CONFIG.retryDeadline,
+  FRAME_CONCURRENCY: parseInt(process.env.FRAME_CONCURRENCY) || CONFIG.frameConcurrency,
+  REQUESTS_PER_MINUTE: process.env.REQUESTS_PER_MINUTE !== undefined && !isNaN(parseInt(process.env.REQUESTS_PER_MINUTE))
+    ? parseInt(process.env.REQUESTS_PER_MINUTE)
+    : CONFIG.requestsPerMinute,
+  INPUT_MAX_EDGE: process.env.INPUT_MAX_EDGE !== undefined && !isNaN(parseInt(process.env.INPUT_MAX_EDGE))
+    ? parseInt(process.env.INPUT_MAX_EDGE)
+    : CONFIG.inputMaxEdge,
+  UPLOAD_TIMEOUT_PER_MB: parseInt(process.env.UPLOAD_TIMEOUT_PER_MB) || CONFIG.uploadTimeoutPerMb,
+  
+  // Image provider used by the pipeline and CLI (gemini, openai, stability, local, mock)
+  IMAGE_PROVIDER: process.env.IMAGE_PROVIDER || 'gemini',
+  
+  // Gemini record/replay (off, record, replay) and where fixtures live
+  GEMINI_RECORD_MODE: process.env.GEMINI_RECORD_MODE || 'off',
+  GEMINI_FIXTURES_DIR: process.env.GEMINI_FIXTURES_DIR || './tests/fixtures/gemini',
+  
+  // Reference images sent through the Gemini Files API (auto: job frames and large images, always, off)
+  GEMINI_FILE_UPLOADS: process.env.GEMINI_FILE_UPLOADS || 'auto',
+  
+  // Directories of user-defined animation types (JSON or YAML); project definitions override user ones
+  ANIMATIONS_DIR: process.env.ANIMATIONS_DIR || './animations',
+  USER_ANIMATIONS_DIR: process.env.USER_ANIMATIONS_DIR || path.join(os.homedir(), '.nano-banana', 'animations'),
+  
+  // Token usage ledger ('off' disables it) and an optional JSON price table replacing the built-in one
+  USAGE_LEDGER: process.env.USAGE_LEDGER || path.join(process.env.OUTPUT_DIR || './output', 'usage.jsonl'),
+  USAGE_PRICES: process.env.USAGE_PRICES || null,
+  
+  // Cache of generation and analysis responses, keyed by a hash of the request and input images
+  CACHE_DIR: process.env.CACHE_DIR || path.join(process.env.OUTPUT_DIR || './output', 'cache'),
+  
+  // Spending limits in USD checked before multi-frame runs (unset: no limit; --force skips them)
+  BUDGET_PER_RUN: !isNaN(parseFloat(process.env.BUDGET_PER_RUN)) ? parseFloat(process.env.BUDGET_PER_RUN) : null,
+  BUDGET_PER_DAY: !isNaN(parseFloat(process.env.BUDGET_PER_DAY)) ? parseFloat(process.env.BUDGET_PER_DAY) : null,
   
   // Default model settings
   DEFAULT_MODEL: process.env.DEFAULT_MODEL,
@@ -53,11 +91,14 @@ export const ENV_CONFIG = {
 
 /**
  * Validate required environment variables
+ * @param {Object} options - Validation options
+ * @param {string} options.recordMode - Gemini record mode; replayed runs need no API key
  */
-export function validateEnvironment() {
+export function validateEnvironment(options = {}) {
+  const { recordMode = ENV_CONFIG.GEMINI_RECORD_MODE } = options;
   const errors = [];
   
-  if (!ENV_CONFIG.GOOGLE_API_KEY) {
+  if (!ENV_CONFIG.GOOGLE_API_KEY && recordMode !== 'replay') {
     errors.push('GOOGLE_API_KEY is required');
   }
   
@@ -133,6 +174,16 @@ export function displayEnvironmentStatus() {
   console.log(`  • Environment: ${ENV_CONFIG.NODE_ENV}`);
   console.log(`  • API Timeout: ${ENV_CONFIG.API_TIMEOUT}ms`);
   console.log(`  • Max Retries: ${ENV_CONFIG.MAX_RETRIES}`);
+  console.log(`  • Frame Concurrency: ${ENV_CONFIG.FRAME_CONCURRENCY}`);
+  console.log(`  • Requests Per Minute: ${ENV_CONFIG.REQUESTS_PER_MINUTE || 'unlimited'}`);
+  console.log(`  • Input Max Edge: ${ENV_CONFIG.INPUT_MAX_EDGE ? `${ENV_CONFIG.INPUT_MAX_EDGE}px` : 'unlimited'}`);
+  console.log(`  • Image Provider: ${ENV_CONFIG.IMAGE_PROVIDER}`);
+  console.log(`  • Gemini Record Mode: ${ENV_CONFIG.GEMINI_RECORD_MODE} (${ENV_CONFIG.GEMINI_FIXTURES_DIR})`);
+  console.log(`  • Gemini File Uploads: ${ENV_CONFIG.GEMINI_FILE_UPLOADS}`);
+  console.log(`  • Animation Types: ${ENV_CONFIG.ANIMATIONS_DIR}, ${ENV_CONFIG.USER_ANIMATIONS_DIR}`);
+  console.log(`  • Usage Ledger: ${ENV_CONFIG.USAGE_LEDGER}${ENV_CONFIG.USAGE_PRICES ? ` (prices: ${ENV_CONFIG.USAGE_PRICES})` : ''}`);
+  console.log(`  • Response Cache: ${ENV_CONFIG.CACHE_DIR}`);
+  console.log(`  • Budget: ${ENV_CONFIG.BUDGET_PER_RUN ?? 'unlimited'} USD per run, ${ENV_CONFIG.BUDGET_PER_DAY ?? 'unlimited'} USD per day`);
   console.log(`  • Default Model: ${ENV_CONFIG.DEFAULT_MODEL}`);
   console.log(`  • Default Aspect Ratio: ${ENV_CONFIG.DEFAULT_ASPECT_RATIO}`);
   console.log(`  • Log Level: ${ENV_CONFIG.LOG_LEVEL}`);
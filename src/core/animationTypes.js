@@ -0,0 +1,434 @@
+/**
+ * Animation type registry for nano Banana GIF Generator
+ * Each animation type defines the motion phases its frames step through, the consistency
+ * suffix that keeps frames alike, how the animation loops and its default frame count and
+ * delay. GIF jobs, frame batches, style animations and the legacy generator all build their
+ * frame prompts from this registry. Besides the built-in types, users can define their own
+ * in JSON or YAML files in the project and user animation directories
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import yaml from 'js-yaml';
+import { ENV_CONFIG } from '../config/environment.js';
+import { InvalidInputError } from './errors.js';
+
+export const DEFAULT_ANIMATION_TYPE = 'general';
+
+/**
+ * How frames relate to the GIF loop
+ * - cycle: phases wrap around and the last frame leads back into the first (walk cycles, spins)
+ * - pingpong: frames go from the first to the last phase, and the GIF plays them forward then backward
+ * - once: frames go from the first to the last phase, and the GIF plays a single time
+ */
+export const LOOP_MODES = ['cycle', 'pingpong', 'once'];
+
+export const ANIMATION_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Names end up in file names and --animation values, so they stay shell- and path-safe
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const DEFINITION_FIELDS = ['name', 'description', 'keywords', 'label', 'phases', 'motion', 'consistency', 'loop', 'defaults'];
+
+/**
+ * @typedef {Object} AnimationType
+ * @property {string} name - Name used by --animation and job manifests
+ * @property {string} description - One line for help output
+ * @property {string[]} keywords - Prompt words that select this type when none is given
+ * @property {string} label - Motion label put before the phase in frame prompts
+ * @property {string[]|Function} phases - Phase descriptions in order, or (progress) => description
+ * @property {Array<number|null>} [phaseDelays] - Delay in milliseconds of each phase's frames, null for the type's delay
+ * @property {string} motion - Motion qualities added to every frame
+ * @property {string} consistency - What must stay the same across frames
+ * @property {string} loop - One of LOOP_MODES
+ * @property {{frameCount: number, delay: number}} defaults - Frame count and delay in milliseconds
+ * @property {string} source - built-in, or the file the type was loaded from
+ */
+
+/** @type {Object<string, AnimationType>} */
+const BUILT_IN_TYPES = {
+  walking: {
+    description: 'Walking cycle with a consistent character',
+    keywords: ['walk', 'running', 'moving'],
+    label: 'walking motion',
+    phases: [
+      'left foot forward, right foot back',
+      'passing position, left leg straight, right leg bent',
+      'right foot forward, left foot back',
+      'passing position, right leg straight, left leg bent'
+    ],
+    motion: 'natural gait, dynamic pose',
+    consistency: 'exactly the same character, background, lighting and colors, only the legs and body pose change',
+    loop: 'cycle',
+    defaults: { frameCount: 8, delay: 150 }
+  },
+  flying: {
+    description: 'Wing-beat cycle with a consistent character',
+    keywords: ['fly', 'soar', 'flap'],
+    label: 'flying motion',
+    phases: [
+      'wings up',
+      'wings mid-beat, sweeping down',
+      'wings down',
+      'wings mid-beat, sweeping up'
+    ],
+    motion: 'graceful flight, dynamic wing movement',
+    consistency: 'exactly the same character, background, lighting and colors, only the wings and body pose change',
+    loop: 'cycle',
+    defaults: { frameCount: 6, delay: 150 }
+  },
+  dancing: {
+    description: 'Dance moves with a consistent dancer',
+    keywords: ['dance', 'dancing'],
+    label: 'dancing motion',
+    phases: [
+      'arms up, left foot forward',
+      'twisting, arms flowing',
+      'arms down, right foot forward',
+      'spinning, arms flowing'
+    ],
+    motion: 'rhythmic movement, expressive pose',
+    consistency: 'exactly the same dancer, outfit, background, lighting and colors, only the pose changes',
+    loop: 'cycle',
+    defaults: { frameCount: 8, delay: 200 }
+  },
+  transformation: {
+    description: 'Transformation from an initial to a final form, played back and forth',
+    keywords: ['grow', 'bloom', 'transform', 'morph'],
+    label: 'transformation',
+    phases: [
+      'initial form, before the transformation',
+      'early transformation, subtle changes',
+      'mid-transformation, morphing shape',
+      'late transformation, dramatic change',
+      'final form, transformation complete'
+    ],
+    motion: 'fluid morphing, gradual change',
+    consistency: 'exactly the same framing, background and lighting, only the subject\'s form changes',
+    loop: 'pingpong',
+    defaults: { frameCount: 6, delay: 400 }
+  },
+  flowing: {
+    description: 'Water or fabric moving in waves',
+    keywords: ['wave', 'ocean', 'water', 'flow'],
+    label: 'flowing motion',
+    phases: [
+      'gentle wave, calm flow',
+      'building wave, rising energy',
+      'peak wave, maximum flow',
+      'falling wave, settling'
+    ],
+    motion: 'fluid movement, natural flow',
+    consistency: 'exactly the same scene, framing and lighting, only the moving water or fabric changes',
+    loop: 'cycle',
+    defaults: { frameCount: 6, delay: 200 }
+  },
+  rotating: {
+    description: 'Full turn around the vertical axis',
+    keywords: ['spin', 'rotat', 'turn'],
+    label: 'rotating motion',
+    phases: progress => `turned ${Math.round(progress * 360)} degrees`,
+    motion: 'smooth spin',
+    consistency: 'exactly the same object, background and lighting, only the viewing angle changes',
+    loop: 'cycle',
+    defaults: { frameCount: 8, delay: 150 }
+  },
+  general: {
+    description: 'General motion (default)',
+    keywords: [],
+    label: 'motion',
+    phases: [
+      'starting position',
+      'building momentum, mid-motion',
+      'peak action',
+      'returning, mid-motion'
+    ],
+    motion: 'dynamic movement, natural progression',
+    consistency: 'exactly the same subject, background, lighting and colors, only the pose changes',
+    loop: 'cycle',
+    defaults: { frameCount: 5, delay: 500 }
+  }
+};
+
+const registry = new Map(Object.entries(BUILT_IN_TYPES).map(([name, definition]) => [name, { name, ...definition, source: 'built-in' }]));
+
+// User-defined types are read on first use, so a broken file only fails commands that need animation types
+let filesLoaded = false;
+
+/**
+ * Look up an animation type
+ * @param {string} name - Type name (case-insensitive; defaults to general)
+ * @returns {AnimationType} Type definition
+ * @throws {InvalidInputError} If no type has this name, or a definition file is invalid
+ */
+export function getAnimationType(name = DEFAULT_ANIMATION_TYPE) {
+  ensureFilesLoaded();
+  const type = registry.get(String(name).toLowerCase());
+  if (!type) {
+    throw new InvalidInputError(`Unknown animation type: ${name}. Available: ${[...registry.keys()].join(', ')}`);
+  }
+  return type;
+}
+
+/**
+ * Check whether an animation type is registered
+ * @param {string} name - Type name (case-insensitive)
+ * @returns {boolean} True if getAnimationType would find it
+ */
+export function hasAnimationType(name) {
+  ensureFilesLoaded();
+  return registry.has(String(name).toLowerCase());
+}
+
+/**
+ * List the registered animation types
+ * @returns {AnimationType[]} Built-in types first, then user-defined ones in load order
+ */
+export function listAnimationTypes() {
+  ensureFilesLoaded();
+  return [...registry.values()];
+}
+
+/**
+ * Add an animation type to the registry, replacing any type of the same name
+ * @param {Object} definition - Definition as written in a file (see README, "Custom Animation Types")
+ * @param {string} source - Where the definition comes from, for error messages and listings
+ * @returns {AnimationType} Registered type
+ * @throws {InvalidInputError} If the definition does not match the schema
+ */
+export function registerAnimationType(definition, source = 'code') {
+  const type = normalizeDefinition(definition, source);
+  // Re-inserting moves a replaced built-in after the others, where listings show user types
+  registry.delete(type.name);
+  registry.set(type.name, type);
+  return type;
+}
+
+/**
+ * Register the animation types defined in the JSON and YAML files of some directories
+ * A file holds one definition or an array of them. Later directories override earlier ones,
+ * and a definition may replace a built-in type of the same name
+ * @param {string[]} dirs - Directories to read; missing ones are skipped (defaults to the user, then the project directory)
+ * @returns {AnimationType[]} Types registered from files
+ * @throws {InvalidInputError} If a file cannot be parsed or a definition is invalid
+ */
+export function loadAnimationTypes(dirs = [ENV_CONFIG.USER_ANIMATIONS_DIR, ENV_CONFIG.ANIMATIONS_DIR]) {
+  const loaded = [];
+  for (const dir of dirs) {
+    if (!dir || !fs.existsSync(dir)) continue;
+    const files = fs.readdirSync(dir)
+      .filter(file => ANIMATION_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      for (const definition of readDefinitionFile(filePath)) {
+        loaded.push(registerAnimationType(definition, filePath));
+      }
+    }
+  }
+  filesLoaded = true;
+  return loaded;
+}
+
+/**
+ * Pick the animation type a prompt describes, from the types' keywords
+ * @param {string} prompt - Animation prompt
+ * @returns {string} Type name (general when no keyword matches)
+ */
+export function detectAnimationType(prompt) {
+  const lowerPrompt = prompt.toLowerCase();
+  // User-defined types are more specific than the built-in ones, so their keywords are tried first
+  const types = listAnimationTypes().sort((a, b) => (a.source === 'built-in') - (b.source === 'built-in'));
+  const match = types.find(type => type.keywords.some(keyword => lowerPrompt.includes(keyword)));
+  return match ? match.name : DEFAULT_ANIMATION_TYPE;
+}
+
+/**
+ * Position of a frame in the animation
+ * Cycles stop one step short of 1, so the last frame leads back into the first
+ * @param {AnimationType} type - Animation type
+ * @param {number} frameIndex - Frame index (0-based)
+ * @param {number} totalFrames - Number of frames
+ * @returns {number} Progress in [0, 1]
+ */
+export function getFrameProgress(type, frameIndex, totalFrames) {
+  if (type.loop === 'cycle') {
+    return frameIndex / totalFrames;
+  }
+  return totalFrames > 1 ? frameIndex / (totalFrames - 1) : 0;
+}
+
+/**
+ * Describe the phase a frame shows
+ * @param {AnimationType} type - Animation type
+ * @param {number} frameIndex - Frame index (0-based)
+ * @param {number} totalFrames - Number of frames
+ * @returns {string} Phase description
+ */
+export function getFramePhase(type, frameIndex, totalFrames) {
+  if (typeof type.phases === 'function') {
+    return type.phases(getFrameProgress(type, frameIndex, totalFrames));
+  }
+  return type.phases[getPhaseIndex(type, frameIndex, totalFrames)];
+}
+
+/**
+ * Delay of every frame, in generation order
+ * Frames of a phase with its own delay use it, even when the given delay was set with --delay; the others use the given delay
+ * @param {string} typeName - Animation type name
+ * @param {number} totalFrames - Number of frames
+ * @param {number} delay - Delay in milliseconds of frames without a phase delay
+ * @returns {number[]} Delay of each frame
+ */
+export function getFrameDelays(typeName, totalFrames, delay) {
+  const type = getAnimationType(typeName);
+  return Array.from({ length: totalFrames }, (_, i) => {
+    if (!type.phaseDelays) return delay;
+    return type.phaseDelays[getPhaseIndex(type, i, totalFrames)] ?? delay;
+  });
+}
+
+/**
+ * Build the prompt of one frame
+ * @param {string} basePrompt - Base prompt describing the subject and scene
+ * @param {string} typeName - Animation type name
+ * @param {number} frameIndex - Frame index (0-based)
+ * @param {number} totalFrames - Number of frames
+ * @returns {string} Frame prompt
+ */
+export function createFramePrompt(basePrompt, typeName, frameIndex, totalFrames) {
+  const type = getAnimationType(typeName);
+  const phase = getFramePhase(type, frameIndex, totalFrames);
+  return [basePrompt, `${type.label}: ${phase}`, type.motion, `frame ${frameIndex + 1} of ${totalFrames}`, type.consistency]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Order in which the GIF shows the frames
+ * Ping-pong types play their frames back without repeating the first and last frame
+ * @param {string} typeName - Animation type name
+ * @param {Array} frames - Frame paths (or per-frame values such as delays) in generation order
+ * @returns {Array} Frames in playback order
+ */
+export function getPlaybackOrder(typeName, frames) {
+  if (getAnimationType(typeName).loop !== 'pingpong') {
+    return frames;
+  }
+  return [...frames, ...frames.slice(1, -1).reverse()];
+}
+
+/**
+ * GIF repeat setting of a type
+ * @param {string} typeName - Animation type name
+ * @returns {number} 0 to loop forever, -1 to play once
+ */
+export function getGifRepeat(typeName) {
+  return getAnimationType(typeName).loop === 'once' ? -1 : 0;
+}
+
+/**
+ * Index of the phase a frame shows
+ * Cycles spread the phases over the loop; the other modes hit the first and last phase exactly
+ * @param {AnimationType} type - Animation type with a phase list
+ * @param {number} frameIndex - Frame index (0-based)
+ * @param {number} totalFrames - Number of frames
+ * @returns {number} Index into type.phases
+ */
+function getPhaseIndex(type, frameIndex, totalFrames) {
+  const progress = getFrameProgress(type, frameIndex, totalFrames);
+  return type.loop === 'cycle'
+    ? Math.floor(progress * type.phases.length) % type.phases.length
+    : Math.round(progress * (type.phases.length - 1));
+}
+
+function ensureFilesLoaded() {
+  if (!filesLoaded) {
+    loadAnimationTypes();
+  }
+}
+
+/**
+ * Parse an animation definition file
+ * @param {string} filePath - JSON or YAML file
+ * @returns {Object[]} Definitions in the file
+ * @throws {InvalidInputError} If the file cannot be read or parsed
+ */
+function readDefinitionFile(filePath) {
+  let content;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    content = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new InvalidInputError(`Cannot read animation types from ${filePath}: ${error.message}`);
+  }
+  return Array.isArray(content) ? content : [content];
+}
+
+/**
+ * Check a user definition against the schema and fill in the optional fields
+ * @param {Object} definition - Definition from a file or registerAnimationType
+ * @param {string} source - Where it comes from, for error messages
+ * @returns {AnimationType} Complete type
+ * @throws {InvalidInputError} Naming the source, the type and the first problem found
+ */
+function normalizeDefinition(definition, source) {
+  let where = source;
+  const fail = (problem) => {
+    throw new InvalidInputError(`Invalid animation type in ${where}: ${problem}`);
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+  if (!isObject(definition)) fail('expected an object with name and phases');
+  const unknown = Object.keys(definition).filter(key => !DEFINITION_FIELDS.includes(key));
+  if (unknown.length > 0) fail(`unknown field(s) ${unknown.join(', ')} (allowed: ${DEFINITION_FIELDS.join(', ')})`);
+
+  const { name, description, keywords = [], label, phases, motion, consistency, loop = 'cycle', defaults = {} } = definition;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    fail(`name must be lowercase letters, digits, - and _ (got ${JSON.stringify(name)}; e.g. waving-hand)`);
+  }
+  where = `${source} (${name})`;
+
+  for (const [field, value] of Object.entries({ description, label, motion, consistency })) {
+    if (value !== undefined && !isText(value)) fail(`${field} must be a non-empty string`);
+  }
+  if (!Array.isArray(keywords) || !keywords.every(isText)) fail('keywords must be a list of strings');
+  if (!LOOP_MODES.includes(loop)) fail(`loop must be one of ${LOOP_MODES.join(', ')}`);
+
+  if (!Array.isArray(phases) || phases.length === 0) fail('phases must be a non-empty list');
+  phases.forEach((phase, index) => {
+    if (isText(phase)) return;
+    if (!isObject(phase) || !isText(phase.description)) fail(`phase ${index + 1} must be a string or { description, delay }`);
+    const extra = Object.keys(phase).filter(key => key !== 'description' && key !== 'delay');
+    if (extra.length > 0) fail(`phase ${index + 1} has unknown field(s) ${extra.join(', ')}`);
+    if (phase.delay !== undefined && !isPositiveInteger(phase.delay)) fail(`phase ${index + 1} delay must be a positive number of milliseconds`);
+  });
+
+  if (!isObject(defaults)) fail('defaults must be an object with frameCount and delay');
+  const extraDefaults = Object.keys(defaults).filter(key => key !== 'frameCount' && key !== 'delay');
+  if (extraDefaults.length > 0) fail(`defaults has unknown field(s) ${extraDefaults.join(', ')}`);
+  if (defaults.frameCount !== undefined && !(Number.isInteger(defaults.frameCount) && defaults.frameCount >= 2)) {
+    fail('defaults.frameCount must be a whole number of at least 2');
+  }
+  if (defaults.delay !== undefined && !isPositiveInteger(defaults.delay)) fail('defaults.delay must be a positive number of milliseconds');
+
+  const phaseDelays = phases.map(phase => phase.delay ?? null);
+  return {
+    name,
+    description: description || `Custom animation from ${path.basename(source)}`,
+    keywords: keywords.map(keyword => keyword.toLowerCase()),
+    label: label || name.replace(/[-_]/g, ' '),
+    phases: phases.map(phase => (typeof phase === 'string' ? phase : phase.description)),
+    ...(phaseDelays.some(delay => delay !== null) && { phaseDelays }),
+    motion: motion || '',
+    consistency: consistency || BUILT_IN_TYPES.general.consistency,
+    loop,
+    defaults: {
+      frameCount: defaults.frameCount ?? Math.max(phases.length, 2),
+      delay: defaults.delay ?? BUILT_IN_TYPES.general.defaults.delay
+    },
+    source
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Cost estimates and budget checks for nano Banana GIF Generator
+ * Multi-frame runs are priced before anything is sent: the number of calls, the tokens
+ * they are expected to use and the cost from the usage price table. The estimate is then
+ * checked against the per-run and per-day budgets (BUDGET_PER_RUN, BUDGET_PER_DAY)
+ */
+
+import { ENV_CONFIG } from '../config/environment.js';
+import { estimateCost, loadPriceTable, usageLedger } from './usageLedger.js';
+
+// Output tokens of one generated image; Gemini bills 1290 tokens per image at every aspect ratio
+export const IMAGE_OUTPUT_TOKENS = 1290;
+
+// Input image tokens: images up to 384x384 cost one tile, larger ones are cut into 768x768 tiles
+const IMAGE_TILE_TOKENS = 258;
+const SMALL_IMAGE_SIZE = 384;
+const IMAGE_TILE_SIZE = 768;
+
+/**
+ * Expected tokens for an input image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {number} Tokens
+ */
+export function estimateImageInputTokens(width, height) {
+  if (width <= SMALL_IMAGE_SIZE && height <= SMALL_IMAGE_SIZE) return IMAGE_TILE_TOKENS;
+  return Math.ceil(width / IMAGE_TILE_SIZE) * Math.ceil(height / IMAGE_TILE_SIZE) * IMAGE_TILE_TOKENS;
+}
+
+/**
+ * Rough token count of a text prompt (about four characters per token)
+ * @param {string} text - Prompt text
+ * @returns {number} Tokens
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Estimate the tokens and cost of a run before sending it
+ * @param {Array<{prompt: string, inputImages: Array<{width: number, height: number}>}>} calls - One entry per model call
+ * @param {Object} options - Estimate options
+ * @param {string} options.model - Model the calls go to
+ * @param {boolean} options.free - Calls cost nothing (offline providers)
+ * @param {Object} options.prices - Price table (defaults to loadPriceTable())
+ * @returns {{calls: number, model: string, promptTokens: number, outputTokens: number, imageTokens: number, totalTokens: number, cost: (number|null)}}
+ *   Totals; cost is null when the model has no price
+ */
+export function estimateRun(calls, options = {}) {
+  const { model, free = false, prices = loadPriceTable() } = options;
+
+  const promptTokens = calls.reduce((sum, call) =>
+    sum + estimateTextTokens(call.prompt) +
+    (call.inputImages || []).reduce((imageSum, image) => imageSum + estimateImageInputTokens(image.width, image.height), 0), 0);
+  const imageTokens = calls.length * IMAGE_OUTPUT_TOKENS;
+
+  const estimate = {
+    calls: calls.length,
+    model,
+    promptTokens,
+    outputTokens: imageTokens,
+    imageTokens,
+    totalTokens: promptTokens + imageTokens
+  };
+  return { ...estimate, cost: free ? 0 : estimateCost(estimate, prices) };
+}
+
+/**
+ * Check an estimate against the per-run and per-day budgets
+ * Today's spend (UTC) is read from the usage ledger. A run whose model has no price cannot be
+ * checked, so it breaks any budget that is set
+ * @param {Object} estimate - Output of estimateRun
+ * @param {Object} options - Budget options
+ * @param {number|null} options.perRun - Budget per run in USD (defaults to BUDGET_PER_RUN)
+ * @param {number|null} options.perDay - Budget per day in USD (defaults to BUDGET_PER_DAY)
+ * @param {import('./usageLedger.js').UsageLedger} options.ledger - Ledger holding today's spend
+ * @param {Object} options.prices - Price table for today's spend
+ * @returns {{spentToday: number, exceeded: string[]}} Today's spend and one message per broken budget
+ */
+export function checkBudget(estimate, options = {}) {
+  const {
+    perRun = ENV_CONFIG.BUDGET_PER_RUN,
+    perDay = ENV_CONFIG.BUDGET_PER_DAY,
+    ledger = usageLedger,
+    prices = loadPriceTable()
+  } = options;
+  const cost = estimate.cost ?? 0;
+  const exceeded = [];
+
+  if (estimate.cost === null && (perRun !== null || perDay !== null)) {
+    exceeded.push(`${estimate.model} has no price in the price table, so the run cannot be checked against the budget`);
+  }
+
+  if (perRun !== null && cost > perRun) {
+    exceeded.push(`the estimated $${cost.toFixed(4)} exceeds the per-run budget of $${perRun.toFixed(2)}`);
+  }
+
+  let spentToday = 0;
+  if (perDay !== null) {
+    const today = new Date().toISOString().substring(0, 10);
+    spentToday = ledger.summarize(ledger.read({ since: today }), prices).total.cost;
+    if (spentToday + cost > perDay) {
+      exceeded.push(`$${spentToday.toFixed(4)} spent today plus the estimated $${cost.toFixed(4)} exceeds the daily budget of $${perDay.toFixed(2)}`);
+    }
+  }
+
+  return { spentToday, exceeded };
+}
@@ -18,7 +18,8 @@ export class CanvasGifAssembler {
      * Create an animated GIF from a sequence of images using canvas
      * @param {string[]} imagePaths - Array of image file paths
      * @param {string} outputPath - Output path for the GIF
-     * @param {Object} options - GIF creation options
+     * @param {Object} options - GIF creation options; options.delays gives each frame its own delay
+     *   (frames without an entry use options.delay)
      * @returns {Promise<string>} Path to the created GIF
      */
     async createGif(imagePaths, outputPath, options = {}) {
@@ -26,6 +27,7 @@ export class CanvasGifAssembler {
             width = 512,
             height = 512,
             delay = 500,
+            delays = [],
             quality = 80,
             loop = 0
         } = options;
@@ -75,7 +77,8 @@ export class CanvasGifAssembler {
                     // Get image data from canvas
                     const imageData = ctx.getImageData(0, 0, width, height);
                     
-                    // Add frame to GIF
+                    // Add frame to GIF; the encoder writes the current delay into each frame
+                    encoder.setDelay(delays[i] ?? delay);
                     encoder.addFrame(imageData.data);
                     
                     this.logger.success(`✅ Frame ${i + 1} added to GIF`);
@@ -15,18 +15,28 @@ export const CONFIG = {
   imageHeight: 512,
   
   // API settings
-  apiTimeout: 30000, // 30 seconds
+  apiTimeout: 30000, // 30 seconds, per attempt
   maxRetries: 3,
+  retryBaseDelay: 1000, // first backoff, doubled on every retry
+  retryMaxDelay: 30000, // cap for our own backoff; server retry hints may ask for longer
+  retryDeadline: 120000, // a call gives up instead of waiting past this long after its first attempt
+  frameConcurrency: 3, // frames generated in parallel after the anchor frame
+  requestsPerMinute: 60, // token-bucket limit per provider, 0 disables it
+  inputMaxEdge: 2048, // input images are downscaled to this longest edge before upload, 0 disables it
+  uploadTimeoutPerMb: 5000, // Files API uploads get the API timeout plus this much per MB, per attempt
   
-  // Animation types
-  animationTypes: {
-    WALKING: 'walking',
-    FLYING: 'flying',
-    DANCING: 'dancing',
-    TRANSFORMATION: 'transformation',
-    FLOWING: 'flowing',
-    ROTATING: 'rotating',
-    GENERAL: 'general'
+  // USD per million tokens, matched by model prefix (override with USAGE_PRICES or usage --prices)
+  // image is the rate for generated image tokens; 1290 tokens is one 1024x1024 image
+  // perImage is USD per image for Imagen, which is billed by the image
+  modelPrices: {
+    'gemini-2.5-flash-image': { input: 0.30, output: 2.50, image: 30.00 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'imagen-4.0-generate': { perImage: 0.04 },
+    'imagen-4.0-ultra-generate': { perImage: 0.06 },
+    'imagen-4.0-fast-generate': { perImage: 0.02 }
   },
   
   // Supported image formats
@@ -38,7 +48,13 @@ export const CONFIG = {
     '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
     '.gif': 'image/gif',
-    '.webp': 'image/webp'
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff'
   }
 };
 
@@ -0,0 +1,205 @@
+/**
+ * Error types for nano Banana GIF Generator
+ * Typed generation failures that carry the model's explanation and a CLI exit code
+ */
+
+// Process exit codes used by the CLI, one per failure class
+export const EXIT_CODES = {
+  GENERAL: 1,
+  INVALID_INPUT: 2,
+  SAFETY_BLOCKED: 3,
+  QUOTA_EXCEEDED: 4,
+  EMPTY_RESPONSE: 5,
+  TIMEOUT: 6,
+  BUDGET_EXCEEDED: 7
+};
+
+// Gemini finish reasons that mean the output was withheld by a policy filter
+export const BLOCKING_FINISH_REASONS = [
+  'SAFETY',
+  'RECITATION',
+  'BLOCKLIST',
+  'PROHIBITED_CONTENT',
+  'SPII',
+  'IMAGE_SAFETY',
+  'IMAGE_PROHIBITED_CONTENT',
+  'IMAGE_RECITATION'
+];
+
+/**
+ * Base class for generation failures
+ */
+export class GenerationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.explanation - Explanation returned by the model or API, if any
+   * @param {string} details.reason - Machine-readable reason (block reason, finish reason, status)
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'GenerationError';
+    this.explanation = details.explanation || null;
+    this.reason = details.reason || null;
+    this.exitCode = EXIT_CODES.GENERAL;
+  }
+
+  /**
+   * What the user can do about the failure
+   * @returns {string|null} Suggestion shown by the CLI
+   */
+  get hint() {
+    return null;
+  }
+}
+
+/**
+ * The prompt or the output was blocked by a safety or recitation filter
+ */
+export class SafetyBlockedError extends GenerationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details (see GenerationError)
+   * @param {Object[]} details.safetyRatings - Ratings for the categories that triggered the block
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'SafetyBlockedError';
+    this.safetyRatings = details.safetyRatings || [];
+    this.exitCode = EXIT_CODES.SAFETY_BLOCKED;
+  }
+
+  get hint() {
+    if (this.reason?.includes('RECITATION')) {
+      return 'The output was too close to existing content. Make the prompt more original (avoid named characters, logos or quoted text).';
+    }
+    return 'Rephrase the prompt or choose a different reference image; the request was blocked by the safety filter.';
+  }
+}
+
+/**
+ * The API rejected the call for rate limit or quota reasons
+ */
+export class QuotaExceededError extends GenerationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details (see GenerationError)
+   * @param {number} details.retryAfter - Suggested wait in milliseconds, if the API sent one
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'QuotaExceededError';
+    this.retryAfter = details.retryAfter ?? null;
+    this.exitCode = EXIT_CODES.QUOTA_EXCEEDED;
+  }
+
+  get hint() {
+    const wait = this.retryAfter ? ` in ${Math.ceil(this.retryAfter / 1000)}s` : ' later';
+    return `Try again${wait}, raise MAX_RETRIES, or check the quota for your API key.`;
+  }
+}
+
+/**
+ * The request itself was invalid (bad argument, unsupported file, missing input)
+ */
+export class InvalidInputError extends GenerationError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'InvalidInputError';
+    this.exitCode = EXIT_CODES.INVALID_INPUT;
+  }
+
+  get hint() {
+    return 'Check the command arguments and input files.';
+  }
+}
+
+/**
+ * The model answered but returned no usable output
+ */
+export class EmptyResponseError extends GenerationError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'EmptyResponseError';
+    this.exitCode = EXIT_CODES.EMPTY_RESPONSE;
+  }
+
+  get hint() {
+    return 'Run the command again or make the prompt ask explicitly for an image.';
+  }
+}
+
+/**
+ * A single attempt exceeded its timeout
+ */
+export class RequestTimeoutError extends GenerationError {
+  /**
+   * @param {string} message - Error message
+   * @param {number} timeout - Timeout that was exceeded, in milliseconds
+   */
+  constructor(message, timeout) {
+    super(message, { reason: 'TIMEOUT' });
+    this.name = 'RequestTimeoutError';
+    this.timeout = timeout;
+    this.exitCode = EXIT_CODES.TIMEOUT;
+  }
+
+  get hint() {
+    return 'Increase API_TIMEOUT or try again when the API is less busy.';
+  }
+}
+
+/**
+ * A run was refused before sending anything because it would exceed a spending budget
+ */
+export class BudgetExceededError extends GenerationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details (see GenerationError)
+   * @param {Object} details.estimate - Cost estimate of the refused run
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'BudgetExceededError';
+    this.estimate = details.estimate || null;
+    this.exitCode = EXIT_CODES.BUDGET_EXCEEDED;
+  }
+
+  get hint() {
+    return 'Use fewer frames, pass --force to run anyway, or raise BUDGET_PER_RUN / BUDGET_PER_DAY.';
+  }
+}
+
+/**
+ * Convert an SDK or HTTP error into a typed error
+ * Errors that are already typed, and ones without a recognisable status, are returned unchanged
+ * @param {Error} error - Error thrown by a model call
+ * @param {Object} details - Extra details
+ * @param {number} details.retryAfter - Retry hint in milliseconds
+ * @returns {Error} Typed error, or the original one
+ */
+export function fromApiError(error, details = {}) {
+  if (error instanceof GenerationError) return error;
+
+  const status = error?.status ?? error?.response?.status;
+  const body = error?.response?.data;
+  const explanation = body?.error?.message || body?.message || error?.message;
+
+  if (status === 429) {
+    return new QuotaExceededError(`Quota or rate limit exceeded: ${explanation}`, {
+      explanation,
+      reason: 'RESOURCE_EXHAUSTED',
+      retryAfter: details.retryAfter,
+      cause: error
+    });
+  }
+  if (status === 400 || status === 413 || status === 422) {
+    return new InvalidInputError(`Request rejected as invalid: ${explanation}`, {
+      explanation,
+      reason: `HTTP_${status}`,
+      cause: error
+    });
+  }
+  return error;
+}
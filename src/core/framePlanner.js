@@ -0,0 +1,163 @@
+/**
+ * Frame planner for nano Banana GIF Generator
+ * Asks a text model for a script of the animation before any frame is drawn: the pose or
+ * state of the subject in every frame and the invariants every frame must keep. Animation
+ * types only know the motion of their keywords, so "a kettle whistling" would get the
+ * general type's sway; a plan is written for the prompt itself. Plans are saved with their
+ * job as plan.json and can be edited before the frames are rendered
+ */
+
+import { InvalidInputError, EmptyResponseError } from './errors.js';
+import { getAnimationType } from './animationTypes.js';
+import { parseJsonResponse } from '../utils/visionUtils.js';
+
+// JSON response schema for frame plans (OpenAPI subset understood by Gemini)
+export const FRAME_PLAN_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    invariants: {
+      type: 'ARRAY',
+      description: 'What must look the same in every frame',
+      items: { type: 'STRING' }
+    },
+    frames: {
+      type: 'ARRAY',
+      description: 'One entry per frame, in order',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          state: { type: 'STRING', description: 'Pose or state of the subject in this frame' }
+        },
+        required: ['state']
+      }
+    }
+  },
+  required: ['invariants', 'frames'],
+  propertyOrdering: ['invariants', 'frames']
+};
+
+// How each loop mode asks the model to end the script
+const LOOP_INSTRUCTIONS = {
+  cycle: 'The GIF loops, so the last frame must lead smoothly back into the first.',
+  pingpong: 'The GIF plays the frames forward and then backward, so go from a start state to an end state without returning.',
+  once: 'The GIF plays once, so go from a start state to a clear end state.'
+};
+
+/**
+ * @typedef {Object} FramePlan
+ * @property {string} prompt - Animation prompt the plan was made for
+ * @property {string} animationType - Animation type whose loop mode the plan follows
+ * @property {string|null} model - Text model that wrote the plan
+ * @property {string} createdAt - ISO timestamp
+ * @property {string[]} invariants - What must look the same in every frame
+ * @property {Array<{frame: number, state: string}>} frames - Pose or state of each frame (frame is 1-based)
+ */
+
+/**
+ * Ask a text model for a per-frame plan of an animation
+ * @param {import('../integrations/gemini_integration.js').NanoBananaIntegration} integration - Integration whose provider writes the plan
+ * @param {string} prompt - Animation prompt
+ * @param {number} frameCount - Number of frames
+ * @param {Object} options - Planning options
+ * @param {string} options.animationType - Animation type whose loop mode the plan follows (default general)
+ * @param {string} options.model - Text model override (defaults to the provider's analysis model)
+ * @returns {Promise<FramePlan>} Plan with frameCount frames
+ * @throws {InvalidInputError} If the provider cannot generate text or the type is not registered
+ * @throws {EmptyResponseError} If the model returns no valid plan, or one with the wrong number of frames
+ */
+export async function planFrames(integration, prompt, frameCount, options = {}) {
+  const type = getAnimationType(options.animationType);
+  const text = await integration.generateText(createPlanningPrompt(prompt, frameCount, type), {
+    model: options.model,
+    responseSchema: FRAME_PLAN_SCHEMA,
+    totalFrames: frameCount
+  });
+
+  const answer = parseJsonResponse(text);
+  if (!Array.isArray(answer?.frames) || answer.frames.length !== frameCount) {
+    throw new EmptyResponseError(`The model planned ${Array.isArray(answer?.frames) ? answer.frames.length : 'no'} frames instead of ${frameCount}`, {
+      reason: 'INVALID_PLAN',
+      explanation: text.substring(0, 200)
+    });
+  }
+
+  return validatePlan({
+    prompt,
+    animationType: type.name,
+    model: integration.provider.resolveAnalysisModel(options.model) || null,
+    createdAt: new Date().toISOString(),
+    invariants: answer.invariants ?? [],
+    frames: answer.frames.map((frame, i) => ({ frame: i + 1, state: frame?.state }))
+  }, 'the model response');
+}
+
+/**
+ * Check a plan and return it with its frames numbered in order
+ * Plans are edited by hand, so every field a frame prompt uses is checked
+ * @param {Object} plan - Plan to check
+ * @param {string} source - Where the plan came from, for error messages
+ * @returns {FramePlan} The plan
+ * @throws {InvalidInputError} If the plan is malformed
+ */
+export function validatePlan(plan, source = 'plan') {
+  const fail = (message) => new InvalidInputError(`Invalid frame plan in ${source}: ${message}`);
+
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    throw fail('expected an object with invariants and frames');
+  }
+  const invariants = plan.invariants ?? [];
+  if (!Array.isArray(invariants) || invariants.some(invariant => typeof invariant !== 'string')) {
+    throw fail('invariants must be a list of strings');
+  }
+  if (!Array.isArray(plan.frames) || plan.frames.length === 0) {
+    throw fail('frames must be a non-empty list');
+  }
+  plan.frames.forEach((frame, i) => {
+    if (typeof frame?.state !== 'string' || frame.state.trim() === '') {
+      throw fail(`frame ${i + 1} needs a non-empty state`);
+    }
+  });
+
+  return {
+    ...plan,
+    invariants: invariants.map(invariant => invariant.trim()).filter(Boolean),
+    frames: plan.frames.map((frame, i) => ({ ...frame, frame: i + 1, state: frame.state.trim() }))
+  };
+}
+
+/**
+ * Build the prompt of one frame from a plan
+ * @param {string} basePrompt - Base prompt describing the subject and scene
+ * @param {FramePlan} plan - Frame plan
+ * @param {number} frameIndex - Frame index (0-based)
+ * @param {number} totalFrames - Number of frames
+ * @returns {string} Frame prompt
+ * @throws {InvalidInputError} If the plan has no entry for the frame
+ */
+export function createPlannedFramePrompt(basePrompt, plan, frameIndex, totalFrames) {
+  const frame = plan.frames[frameIndex];
+  if (!frame) {
+    throw new InvalidInputError(`The frame plan has ${plan.frames.length} frames, frame ${frameIndex + 1} has none`);
+  }
+  const invariants = plan.invariants.length > 0 ? `keep ${plan.invariants.join('; ')}` : null;
+  return [basePrompt, frame.state, `frame ${frameIndex + 1} of ${totalFrames}`, invariants]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Instructions sent to the text model
+ * @param {string} prompt - Animation prompt
+ * @param {number} frameCount - Number of frames
+ * @param {import('./animationTypes.js').AnimationType} type - Animation type
+ * @returns {string} Planning prompt
+ */
+function createPlanningPrompt(prompt, frameCount, type) {
+  return [
+    `Plan a ${frameCount}-frame animated GIF of: "${prompt}".`,
+    `An image model draws every frame separately from the first frame, so each frame needs its own description. ${LOOP_INSTRUCTIONS[type.loop]}`,
+    type.name === 'general' ? null : `Animation style: ${type.description}.`,
+    `For each of the ${frameCount} frames, in order, describe in one short phrase the pose or state of the subject in that frame: what is positioned where and what has changed since the previous frame. Change a little between frames so the motion reads smoothly, and do not repeat the subject or scene description.`,
+    'List the invariants every frame must keep, such as the subject\'s identity, colors and proportions, the camera angle, the background and the lighting.'
+  ].filter(Boolean).join('\n');
+}
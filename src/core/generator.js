@@ -10,6 +10,8 @@ import { logger } from './logger.js';
 import { FileUtils } from '../utils/fileUtils.js';
 import { AnimationUtils } from '../utils/animationUtils.js';
 import { NanoBananaIntegration } from '../integrations/gemini_integration.js';
+import { createProvider, isProviderAvailable } from '../providers/index.js';
+import { JobWorkspace } from './jobWorkspace.js';
 
 export class GifGenerator {
   constructor() {
@@ -36,28 +38,33 @@ export class GifGenerator {
    * @returns {Promise<string>} Path to generated GIF
    */
   async generateAnimatedGif(prompt, options = {}) {
+    let workspace = null;
     try {
       await this.ensureDirectories();
       
+      // Frames live in a private working directory so parallel runs never overwrite each other
+      workspace = JobWorkspace.create(CONFIG.tempDir);
+      
       const frames = options.frames || CONFIG.defaultFrames;
       const delay = options.delay || CONFIG.defaultDelay;
+      const animationType = options.animationType || AnimationUtils.detectAnimationType(prompt);
       const output = options.output || path.join(CONFIG.outputDir, `animation_${Date.now()}.gif`);
       
       logger.info('Starting animation generation...');
       logger.info(`Prompt: "${prompt}"`);
-      logger.info(`Frames: ${frames}`);
+      logger.info(`Frames: ${frames}, Animation: ${animationType}`);
       logger.info(`Delay: ${delay}ms`);
       
       // Generate frame prompts
-      const framePrompts = AnimationUtils.generateFramePrompts(prompt, frames);
+      const framePrompts = AnimationUtils.generateFramePrompts(prompt, frames, animationType);
       const imagePaths = [];
       
       // Generate images for each frame
       for (let i = 0; i < frames; i++) {
         logger.info(`Generating frame ${i + 1}/${frames}...`);
         
-        const imageBuffer = await this.generateImage(framePrompts[i], i, frames);
-        const imagePath = path.join(CONFIG.tempDir, `frame_${String(i).padStart(3, '0')}.png`);
+        const imageBuffer = await this.generateImage(framePrompts[i], i, frames, workspace);
+        const imagePath = workspace.path(`frame_${String(i).padStart(3, '0')}.png`);
         
         await FileUtils.writeFile(imagePath, imageBuffer);
         imagePaths.push(imagePath);
@@ -76,6 +83,8 @@ export class GifGenerator {
     } catch (error) {
       logger.error('Animation generation failed:', error.message);
       throw error;
+    } finally {
+      workspace?.release();
     }
   }
 
@@ -84,15 +93,18 @@ export class GifGenerator {
    * @param {string} prompt - Image prompt
    * @param {number} frameIndex - Frame index
    * @param {number} totalFrames - Total frames
+   * @param {JobWorkspace} workspace - Working directory of the job
    * @returns {Promise<Buffer>} Image buffer
    */
-  async generateImage(prompt, frameIndex, totalFrames) {
+  async generateImage(prompt, frameIndex, totalFrames, workspace) {
     try {
       // Try nano Banana first
       if (this.nanoBanana) {
         try {
           logger.info(`Using nano Banana for frame ${frameIndex + 1}...`);
-          const imagePath = await this.nanoBanana.generateImage(prompt);
+          const { imagePath } = await this.nanoBanana.generateImage(prompt, {
+            outputPath: workspace.path(`nano_banana_${String(frameIndex).padStart(3, '0')}.png`)
+          });
           const imageBuffer = await FileUtils.readFile(imagePath);
           await FileUtils.deleteFile(imagePath); // Clean up temp file
           return imageBuffer;
@@ -119,157 +131,43 @@ export class GifGenerator {
    * @returns {Promise<Buffer>} Image buffer
    */
   async generateWithFallback(prompt, frameIndex, totalFrames) {
-    // Try OpenAI DALL-E
-    const openaiKey = process.env.OPENAI_API_KEY;
-    if (openaiKey) {
-      try {
-        logger.info(`Using OpenAI DALL-E for frame ${frameIndex + 1}...`);
-        return await this.generateWithOpenAI(prompt, frameIndex, totalFrames, openaiKey);
-      } catch (error) {
-        logger.warning(`OpenAI failed for frame ${frameIndex + 1}:`, error.message);
-      }
-    }
-    
-    // Try Stability AI
-    const stabilityKey = process.env.STABILITY_API_KEY;
-    if (stabilityKey) {
+    // Try OpenAI DALL-E, then Stability AI
+    for (const providerName of ['openai', 'stability']) {
+      if (!isProviderAvailable(providerName)) continue;
       try {
-        logger.info(`Using Stability AI for frame ${frameIndex + 1}...`);
-        return await this.generateWithStability(prompt, frameIndex, totalFrames, stabilityKey);
+        logger.info(`Using ${providerName} provider for frame ${frameIndex + 1}...`);
+        return await this.generateWithProvider(providerName, `${prompt} - frame ${frameIndex + 1} of ${totalFrames}`, frameIndex, totalFrames);
       } catch (error) {
-        logger.warning(`Stability AI failed for frame ${frameIndex + 1}:`, error.message);
+        logger.warning(`${providerName} provider failed for frame ${frameIndex + 1}:`, error.message);
       }
     }
     
     // Fallback to placeholder
     logger.warning(`Using placeholder for frame ${frameIndex + 1}...`);
-    return await this.generatePlaceholderImage(prompt, frameIndex, totalFrames);
-  }
-
-  /**
-   * Generate image with OpenAI DALL-E
-   * @param {string} prompt - Image prompt
-   * @param {number} frameIndex - Frame index
-   * @param {number} totalFrames - Total frames
-   * @param {string} apiKey - OpenAI API key
-   * @returns {Promise<Buffer>} Image buffer
-   */
-  async generateWithOpenAI(prompt, frameIndex, totalFrames, apiKey) {
-    const axios = (await import('axios')).default;
-    const sharp = (await import('sharp')).default;
-    
-    const response = await axios.post('https://api.openai.com/v1/images/generations', {
-      model: "dall-e-3",
-      prompt: `${prompt} - frame ${frameIndex + 1} of ${totalFrames}, high quality, detailed`,
-      n: 1,
-      size: "1024x1024",
-      quality: "standard"
-    }, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    const imageUrl = response.data.data[0].url;
-    const imageResponse = await axios.get(imageUrl, { responseType: 'arraybuffer' });
-    
-    const resizedBuffer = await sharp(Buffer.from(imageResponse.data))
-      .resize(CONFIG.imageWidth, CONFIG.imageHeight)
-      .png()
-      .toBuffer();
-    
-    return resizedBuffer;
+    return await this.generateWithProvider('local', prompt, frameIndex, totalFrames);
   }
 
   /**
-   * Generate image with Stability AI
+   * Generate a frame with a named image provider
+   * @param {string} providerName - Provider name (openai, stability, local)
    * @param {string} prompt - Image prompt
    * @param {number} frameIndex - Frame index
    * @param {number} totalFrames - Total frames
-   * @param {string} apiKey - Stability AI API key
-   * @returns {Promise<Buffer>} Image buffer
+   * @returns {Promise<Buffer>} PNG buffer resized to the configured frame size
    */
-  async generateWithStability(prompt, frameIndex, totalFrames, apiKey) {
-    const axios = (await import('axios')).default;
+  async generateWithProvider(providerName, prompt, frameIndex, totalFrames) {
     const sharp = (await import('sharp')).default;
+    const provider = createProvider(providerName);
+    const result = await provider.generate(prompt, { frameIndex, totalFrames });
     
-    const response = await axios.post('https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image', {
-      text_prompts: [{
-        text: `${prompt} - frame ${frameIndex + 1} of ${totalFrames}`,
-        weight: 1
-      }],
-      cfg_scale: 7,
-      height: 1024,
-      width: 1024,
-      samples: 1,
-      steps: 30
-    }, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    });
-    
-    const imageBase64 = response.data.artifacts[0].base64;
-    const imageBuffer = Buffer.from(imageBase64, 'base64');
+    if (!result.images.length) {
+      throw new Error('No image data found in response');
+    }
     
-    const resizedBuffer = await sharp(imageBuffer)
+    return await sharp(result.images[0].data)
       .resize(CONFIG.imageWidth, CONFIG.imageHeight)
       .png()
       .toBuffer();
-    
-    return resizedBuffer;
-  }
-
-  /**
-   * Generate placeholder image
-   * @param {string} prompt - Image prompt
-   * @param {number} frameIndex - Frame index
-   * @param {number} totalFrames - Total frames
-   * @returns {Promise<Buffer>} Image buffer
-   */
-  async generatePlaceholderImage(prompt, frameIndex, totalFrames) {
-    const { createCanvas } = await import('canvas');
-    
-    const canvas = createCanvas(CONFIG.imageWidth, CONFIG.imageHeight);
-    const ctx = canvas.getContext('2d');
-    
-    // Simple placeholder with prompt text
-    ctx.fillStyle = '#1a1a1a';
-    ctx.fillRect(0, 0, CONFIG.imageWidth, CONFIG.imageHeight);
-    
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 20px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    
-    const words = prompt.split(' ');
-    const lines = [];
-    let currentLine = '';
-    
-    for (const word of words) {
-      const testLine = currentLine + word + ' ';
-      const metrics = ctx.measureText(testLine);
-      if (metrics.width > CONFIG.imageWidth - 40 && currentLine !== '') {
-        lines.push(currentLine.trim());
-        currentLine = word + ' ';
-      } else {
-        currentLine = testLine;
-      }
-    }
-    lines.push(currentLine.trim());
-    
-    const startY = (CONFIG.imageHeight - (lines.length * 25)) / 2;
-    lines.forEach((line, index) => {
-      ctx.fillText(line, CONFIG.imageWidth / 2, startY + index * 25);
-    });
-    
-    ctx.font = '16px Arial';
-    ctx.fillText(`Frame ${frameIndex + 1}/${totalFrames}`, CONFIG.imageWidth / 2, CONFIG.imageHeight - 50);
-    
-    return canvas.toBuffer('image/png');
   }
 
   /**
@@ -293,7 +191,7 @@ export class GifGenerator {
       
       for (let i = 0; i < imagePaths.length; i++) {
         const imageBuffer = await FileUtils.readFile(imagePaths[i]);
-        const { loadImage } = await import('canvas');
+        const { loadImage, createCanvas } = await import('canvas');
         const image = await loadImage(imageBuffer);
         
         const canvas = createCanvas(CONFIG.imageWidth, CONFIG.imageHeight);
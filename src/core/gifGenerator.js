@@ -7,59 +7,232 @@ import { CanvasGifAssembler } from './canvasGifAssembler.js';
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 import { Logger } from './logger.js';
+import { JobManifest } from './jobManifest.js';
+import { JobWorkspace } from './jobWorkspace.js';
+import { InvalidInputError } from './errors.js';
+import { getAnimationType, getFrameDelays, getGifRepeat, getPlaybackOrder, hasAnimationType, listAnimationTypes } from './animationTypes.js';
+import { getStoryboardTimeline } from './storyboard.js';
+import { DEFAULT_TWEEN_METHOD, checkTweenMethod, getTweenCounts, getTweenedDelays, getTweenedFrameCount, tweenSequence } from '../utils/frameInterpolator.js';
 
 export class GifGenerator {
-    constructor(apiKey) {
-        this.sequenceGenerator = new SequenceGenerator(apiKey);
+    /**
+     * @param {string} apiKey - Google API key
+     * @param {Object} options - Generator options
+     * @param {string|ImageProvider} options.provider - Image provider name or instance
+     * @param {number} options.requestsPerMinute - Rate limit for model calls
+     * @param {boolean} options.cache - Reuse cached model responses
+     */
+    constructor(apiKey, options = {}) {
+        this.sequenceGenerator = new SequenceGenerator(apiKey, {
+            provider: options.provider,
+            requestsPerMinute: options.requestsPerMinute,
+            cache: options.cache
+        });
         this.gifAssembler = new CanvasGifAssembler();
         this.logger = new Logger();
     }
 
     /**
      * Generate a complete animated GIF
+     * The run is checkpointed as a job in <outputDir>/jobs/<jobId>, so a failed run can be resumed
+     * Frame count and delay default to those of the animation type
      * @param {string} prompt - Base prompt for the animation
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options (see createJob); options.concurrency sets the frames generated in parallel
      * @returns {Promise<Object>} Result object with paths and metadata
+     * @throws {InvalidInputError} If the animation type is not registered
      */
     async generateAnimatedGif(prompt, options = {}) {
+        const job = this.createJob(prompt, options);
+        return await this.runJob(job, options.outputDir || './output', { concurrency: options.concurrency });
+    }
+
+    /**
+     * Ask the text model for a per-frame plan of an animation (see framePlanner.js)
+     * @param {string} prompt - Base prompt for the animation
+     * @param {Object} options - Planning options (frameCount, animationType, model); with options.keyframes
+     *   only the keyframes are planned
+     * @returns {Promise<import('./framePlanner.js').FramePlan>} Frame plan
+     * @throws {InvalidInputError} If the animation type is not registered or the provider cannot generate text
+     */
+    async planAnimation(prompt, options = {}) {
+        const type = getAnimationType(options.animationType);
+        const frameCount = options.keyframes || options.frameCount || type.defaults.frameCount;
+        return await this.sequenceGenerator.planFrames(prompt, frameCount, type.name, { model: options.model });
+    }
+
+    /**
+     * Plan an animation and save the plan with a new job without rendering any frame
+     * The job waits in the planned state; plan.json can be edited, then `resume <jobId>` renders it
+     * @param {string} prompt - Base prompt for the animation
+     * @param {Object} options - Generation options (see createJob); options.plan skips the planning call
+     * @returns {Promise<{jobId: string, planPath: string, plan: import('./framePlanner.js').FramePlan}>} Planned job
+     */
+    async planAnimatedGif(prompt, options = {}) {
+        const plan = options.plan || await this.planAnimation(prompt, options);
+        const job = this.createJob(prompt, { ...options, plan });
+        job.markPlanned();
+        return { jobId: job.jobId, planPath: job.planPath, plan };
+    }
+
+    /**
+     * Start a GIF job: write its manifest and, if given, its frame plan
+     * With options.keyframes the model only generates that many keyframes and the other frames
+     * are tweened locally (see frameInterpolator.js); frameCount is then the total of the GIF
+     * @param {string} prompt - Base prompt for the animation
+     * @param {Object} options - Generation options (frameCount, animationType, width, height, delay, quality,
+     *   outputDir, keepFrames, seed, candidates, keyframes, tween); options.plan is saved as the job's plan.json
+     * @returns {JobManifest} New job
+     * @throws {InvalidInputError} If the animation type is not registered, the tween method is unknown
+     *   or the frame counts do not fit
+     */
+    createJob(prompt, options = {}) {
+        const type = getAnimationType(options.animationType);
+        const wrap = type.loop === 'cycle';
         const {
-            frameCount = 5,
-            animationType = 'general',
+            plan = null,
+            keyframes = null,
+            tween = DEFAULT_TWEEN_METHOD,
+            frameCount = keyframes !== null ? getTweenedFrameCount(keyframes, wrap) : plan ? plan.frames.length : type.defaults.frameCount,
             width = 512,
             height = 512,
-            delay = 500,
+            delay = type.defaults.delay,
             quality = 80,
             outputDir = './output',
-            keepFrames = false
+            keepFrames = false,
+            seed,
+            candidates = 1
         } = options;
 
+        let tweening = null;
+        if (keyframes !== null) {
+            checkTweenMethod(tween);
+            getTweenCounts(keyframes, frameCount, wrap);
+            if (plan && plan.frames.length !== keyframes) {
+                throw new InvalidInputError(`The plan has ${plan.frames.length} frames but ${keyframes} keyframes were asked for`);
+            }
+            tweening = { method: tween, frameCount };
+        }
+        const modelFrames = tweening ? keyframes : frameCount;
+        const frameSummary = tweening
+            ? `${frameCount} frames from ${keyframes} keyframes, ${tween} tweening`
+            : `${frameCount} frames`;
+
         this.logger.info(`🍌 Starting nano Banana GIF generation...`);
         this.logger.info(`📝 Prompt: ${prompt}`);
-        this.logger.info(`🎬 Animation: ${animationType} (${frameCount} frames)`);
+        this.logger.info(`🎬 Animation: ${type.name} (${frameSummary}, ${type.loop}${plan ? ', planned' : ''})`);
+
+        const job = JobManifest.create(prompt, {
+            frameCount: modelFrames,
+            animationType: type.name,
+            width,
+            height,
+            delay,
+            quality,
+            keepFrames,
+            seed,
+            candidates,
+            tween: tweening,
+            provider: this.getProviderName()
+        }, outputDir);
+        if (plan) {
+            job.savePlan(plan);
+        }
+        this.logger.info(`🗂️ Job: ${job.jobId}`);
+        return job;
+    }
+
+    /**
+     * Resume a failed or interrupted GIF or storyboard job
+     * Only frames missing from the job manifest are generated; the GIF is then assembled.
+     * Picks replace frames with other candidates first; a completed job is then assembled again
+     * @param {string} jobId - Job id printed when the job started
+     * @param {Object} options - Resume options
+     * @param {string} options.outputDir - Output directory the job was created in
+     * @param {number} options.concurrency - Frames generated in parallel
+     * @param {Array<{frame: number, candidate: number}>} options.picks - Candidates to use instead of the automatic picks (1-based)
+     * @returns {Promise<Object>} Result object with paths and metadata
+     */
+    async resumeJob(jobId, options = {}) {
+        const { outputDir = './output', concurrency, picks = [] } = options;
+        const job = JobManifest.load(jobId, outputDir);
+
+        for (const { frame, candidate } of picks) {
+            job.pickCandidate(frame - 1, candidate);
+            this.logger.info(`👆 Frame ${frame}: using candidate ${candidate}`);
+        }
+
+        if (picks.length === 0 && job.status === 'completed' && job.data.gifPath && fs.existsSync(job.data.gifPath)) {
+            throw new InvalidInputError(`Job ${jobId} is already completed: ${job.data.gifPath}`);
+        }
+
+        const missing = job.getMissingFrames();
+        this.logger.info(`🔁 Resuming job ${jobId}: ${job.options.frameCount - missing.length}/${job.options.frameCount} frames already done`);
+
+        if (job.options.storyboard) {
+            return await this.runStoryboardJob(job, outputDir, { concurrency });
+        }
+        return await this.runJob(job, outputDir, { concurrency });
+    }
+
+    /**
+     * Generate the missing frames of a job, assemble the GIF and update the manifest
+     * A job with a plan.json renders the plan as it is on disk; a plan whose frames were added
+     * or removed changes the frame count, as long as no frame has been generated yet.
+     * Tweened jobs fill in their in-betweens after every run, so they are never stored as frames
+     * @param {JobManifest} job - Job to run
+     * @param {string} outputDir - Output directory
+     * @param {Object} runOptions - Options that may change between runs (concurrency)
+     * @returns {Promise<Object>} Result object with paths and metadata
+     */
+    async runJob(job, outputDir, runOptions = {}) {
+        const plan = job.loadPlan();
+        if (plan && plan.frames.length !== job.options.frameCount) {
+            this.logger.info(`🗒️ The plan has ${plan.frames.length} frames instead of ${job.options.frameCount}; rendering the plan`);
+            job.setFrameCount(plan.frames.length);
+        }
+        const { frameCount, animationType, width, height, delay, quality, keepFrames, seed, candidates = 1, tween = null } = job.options;
+        const prompt = job.prompt;
+
+        // Lock the job folder; an interrupted run keeps its frames and can be resumed
+        const workspace = JobWorkspace.acquire(job.jobDir, {
+            jobId: job.jobId,
+            removeOnRelease: false,
+            onInterrupt: (signal) => {
+                job.fail(Object.assign(new Error(`Interrupted by ${signal}`), { name: 'Interrupted' }));
+                this.logger.warning(`⏹️ Job ${job.jobId} interrupted. Resume with: node src/index.js resume ${job.jobId}`);
+            }
+        });
+        if (job.status !== 'running') {
+            job.restart();
+        }
 
         try {
             // Create output directories
-            const framesDir = path.join(outputDir, 'frames');
             const gifsDir = path.join(outputDir, 'gifs');
             
             try {
-                await fs.mkdir(framesDir, { recursive: true });
-            } catch (error) {
-                // Directory might already exist, ignore error
-            }
-            try {
-                await fs.mkdir(gifsDir, { recursive: true });
+                await fs.promises.mkdir(gifsDir, { recursive: true });
             } catch (error) {
                 // Directory might already exist, ignore error
             }
 
-            // Generate image sequence
+            // Generate image sequence, skipping frames the manifest already has
             this.logger.info(`🎨 Generating ${frameCount} frames...`);
             const framePaths = await this.sequenceGenerator.generateSequence(
                 prompt,
                 frameCount,
                 animationType,
-                framesDir
+                job.framesDir,
+                {
+                    seed,
+                    jobId: job.jobId,
+                    uploadsPath: job.uploadsPath,
+                    concurrency: runOptions.concurrency,
+                    existingFrames: job.frames,
+                    candidates,
+                    plan,
+                    onFrame: (frameIndex, framePath, scored) => job.recordFrame(frameIndex, framePath, scored)
+                }
             );
 
             if (framePaths.length === 0) {
@@ -75,25 +248,41 @@ export class GifGenerator {
             // Assemble GIF
             this.logger.info(`🎬 Assembling GIF...`);
             const gifSettings = this.getOptimalSettings(frameCount);
-            const finalGifPath = await this.gifAssembler.createGif(framePaths, gifPath, {
+            let gifFrames = framePaths;
+            let frameDelays = getFrameDelays(animationType, framePaths.length, delay || gifSettings.delay);
+            const tweenDir = path.join(job.framesDir, 'tween');
+            if (tween) {
+                const wrap = getAnimationType(animationType).loop === 'cycle';
+                this.logger.info(`🪄 Tweening ${framePaths.length} keyframes into ${tween.frameCount} frames (${tween.method})...`);
+                gifFrames = await tweenSequence(framePaths, { frameCount: tween.frameCount, method: tween.method, wrap, outputDir: tweenDir });
+                frameDelays = getTweenedDelays(frameDelays, getTweenCounts(framePaths.length, tween.frameCount, wrap));
+            }
+            const finalGifPath = await this.gifAssembler.createGif(getPlaybackOrder(animationType, gifFrames), gifPath, {
                 width,
                 height,
                 delay: delay || gifSettings.delay,
-                quality: quality || gifSettings.quality
+                delays: getPlaybackOrder(animationType, frameDelays),
+                quality: quality || gifSettings.quality,
+                loop: getGifRepeat(animationType)
             });
+            job.complete(finalGifPath);
 
-            // Clean up frames if requested
-            if (!keepFrames) {
+            // Clean up frames if requested; frames picked from candidates stay, so picks can be changed later
+            if (!keepFrames && candidates <= 1) {
                 this.logger.info(`🧹 Cleaning up frame files...`);
                 await this.gifAssembler.cleanup(framePaths);
             }
+            if (tween && !keepFrames) {
+                await fs.promises.rm(tweenDir, { recursive: true, force: true });
+            }
 
             // Return result
             const result = {
                 success: true,
+                jobId: job.jobId,
                 gifPath: finalGifPath,
-                framePaths: keepFrames ? framePaths : [],
-                frameCount: framePaths.length,
+                framePaths: keepFrames ? gifFrames : [],
+                frameCount: gifFrames.length,
                 animationType,
                 prompt,
                 settings: {
@@ -107,16 +296,193 @@ export class GifGenerator {
 
             this.logger.success(`🎉 GIF generation complete!`);
             this.logger.info(`📁 GIF saved: ${finalGifPath}`);
-            this.logger.info(`📊 Frames: ${framePaths.length}, Size: ${width}x${height}`);
+            this.logger.info(`📊 Frames: ${gifFrames.length}, Size: ${width}x${height}`);
 
             return result;
 
         } catch (error) {
+            job.fail(error);
             this.logger.error(`❌ GIF generation failed: ${error.message}`);
+            const done = frameCount - job.getMissingFrames().length;
+            this.logger.info(`💾 ${done}/${frameCount} frames saved. Resume with: node src/index.js resume ${job.jobId}`);
+            error.jobId = job.jobId;
             throw error;
+        } finally {
+            workspace.release();
         }
     }
 
+    /**
+     * Assemble a GIF from existing frame files
+     * When animationType is a registered type its loop mode is applied; other values only name the GIF
+     * @param {string[]} framePaths - Frame paths, in order
+     * @param {Object} options - GIF options (width, height, delay, quality, outputDir, animationType)
+     * @returns {Promise<Object>} Result object with the GIF path
+     */
+    async assembleGifFromFrames(framePaths, options = {}) {
+        const {
+            width = 512,
+            height = 512,
+            delay = 500,
+            quality = 80,
+            outputDir = './output',
+            animationType = 'custom'
+        } = options;
+
+        const gifsDir = path.join(outputDir, 'gifs');
+        await fs.promises.mkdir(gifsDir, { recursive: true });
+
+        const gifPath = path.join(gifsDir, `${animationType}_${Date.now()}.gif`);
+        const registered = hasAnimationType(animationType);
+        const finalGifPath = await this.gifAssembler.createGif(registered ? getPlaybackOrder(animationType, framePaths) : framePaths, gifPath, {
+            width,
+            height,
+            delay,
+            delays: registered ? getPlaybackOrder(animationType, getFrameDelays(animationType, framePaths.length, delay)) : [],
+            quality,
+            loop: registered ? getGifRepeat(animationType) : 0
+        });
+
+        return {
+            success: true,
+            gifPath: finalGifPath,
+            frameCount: framePaths.length,
+            animationType
+        };
+    }
+
+    /**
+     * Render a storyboard into one GIF
+     * The render is checkpointed as a job in <outputDir>/jobs/<jobId>, like generateAnimatedGif, so an
+     * interrupted render can be resumed and `clean` leaves it alone while it runs
+     * @param {import('./storyboard.js').Storyboard} storyboard - Storyboard from loadStoryboard
+     * @param {Object} options - Render options
+     * @param {string} options.outputDir - Output directory (default ./output)
+     * @param {number} options.concurrency - Frames generated in parallel within a scene
+     * @param {number} options.candidates - Candidates per frame after each scene's anchor (default 1)
+     * @param {boolean} options.keepFrames - Keep the frame files after the GIF is assembled
+     * @returns {Promise<Object>} Result object with the GIF path and the frames of each scene
+     */
+    async renderStoryboard(storyboard, options = {}) {
+        const job = this.createStoryboardJob(storyboard, options);
+        return await this.runStoryboardJob(job, options.outputDir || './output', { concurrency: options.concurrency });
+    }
+
+    /**
+     * Start a storyboard job: its manifest holds the whole storyboard, and its frames are numbered
+     * across scenes
+     * @param {import('./storyboard.js').Storyboard} storyboard - Storyboard from loadStoryboard
+     * @param {Object} options - Render options (outputDir, candidates, keepFrames)
+     * @returns {JobManifest} New job
+     */
+    createStoryboardJob(storyboard, options = {}) {
+        const { outputDir = './output', candidates = 1, keepFrames = false } = options;
+        const frameCount = storyboard.scenes.reduce((sum, scene) => sum + scene.frameCount, 0);
+        this.logger.info(`🎞️ Rendering storyboard ${storyboard.name}: ${storyboard.scenes.length} scenes, ${frameCount} frames`);
+
+        const job = JobManifest.create(storyboard.name, {
+            frameCount,
+            storyboard,
+            seed: storyboard.seed,
+            candidates,
+            keepFrames,
+            provider: this.getProviderName()
+        }, outputDir);
+        this.logger.info(`🗂️ Job: ${job.jobId}`);
+        return job;
+    }
+
+    /**
+     * Generate the missing frames of a storyboard job, assemble the GIF and update the manifest
+     * @param {JobManifest} job - Storyboard job to run
+     * @param {string} outputDir - Output directory
+     * @param {Object} runOptions - Options that may change between runs (concurrency)
+     * @returns {Promise<Object>} Result object with the GIF path and the frames of each scene
+     */
+    async runStoryboardJob(job, outputDir, runOptions = {}) {
+        const { storyboard, seed, candidates = 1, keepFrames } = job.options;
+
+        // Lock the job folder; an interrupted render keeps its frames and can be resumed
+        const workspace = JobWorkspace.acquire(job.jobDir, {
+            jobId: job.jobId,
+            removeOnRelease: false,
+            onInterrupt: (signal) => {
+                job.fail(Object.assign(new Error(`Interrupted by ${signal}`), { name: 'Interrupted' }));
+                this.logger.warning(`⏹️ Job ${job.jobId} interrupted. Resume with: node src/index.js resume ${job.jobId}`);
+            }
+        });
+        if (job.status !== 'running') {
+            job.restart();
+        }
+
+        try {
+            const gifsDir = path.join(outputDir, 'gifs');
+            await fs.promises.mkdir(gifsDir, { recursive: true });
+
+            const sceneFrames = await this.sequenceGenerator.generateScenes(storyboard.scenes, job.framesDir, {
+                seed,
+                jobId: job.jobId,
+                uploadsPath: job.uploadsPath,
+                concurrency: runOptions.concurrency,
+                candidates,
+                existingFrames: job.frames,
+                onFrame: (frameIndex, framePath, scored) => job.recordFrame(frameIndex, framePath, scored)
+            });
+
+            this.logger.info('🎬 Assembling GIF...');
+            const { frames, delays } = getStoryboardTimeline(storyboard.scenes, sceneFrames);
+            const gifPath = await this.gifAssembler.createGif(frames, path.join(gifsDir, `${storyboard.name}_${Date.now()}.gif`), {
+                width: storyboard.width,
+                height: storyboard.height,
+                delay: storyboard.scenes[0].delay,
+                delays,
+                quality: storyboard.quality,
+                loop: storyboard.loop ? 0 : -1
+            });
+            job.complete(gifPath);
+
+            // Frames picked from candidates stay, so picks can be changed later
+            if (!keepFrames && candidates <= 1) {
+                this.logger.info('🧹 Cleaning up frame files...');
+                await this.gifAssembler.cleanup(sceneFrames.flat());
+            }
+
+            this.logger.success(`🎉 Storyboard rendered: ${gifPath}`);
+            return {
+                success: true,
+                jobId: job.jobId,
+                gifPath,
+                storyboard: storyboard.name,
+                frameCount: frames.length,
+                animationType: [...new Set(storyboard.scenes.map(scene => scene.animationType))].join(', '),
+                scenes: storyboard.scenes.map((scene, i) => ({
+                    name: scene.name,
+                    animationType: scene.animationType,
+                    framePaths: keepFrames ? sceneFrames[i] : []
+                })),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            job.fail(error);
+            this.logger.error(`❌ Storyboard render failed: ${error.message}`);
+            const done = job.options.frameCount - job.getMissingFrames().length;
+            this.logger.info(`💾 ${done}/${job.options.frameCount} frames saved. Resume with: node src/index.js resume ${job.jobId}`);
+            error.jobId = job.jobId;
+            throw error;
+        } finally {
+            workspace.release();
+        }
+    }
+
+    /**
+     * Name of the provider used for frames, recorded in job manifests
+     * @returns {string} Provider name
+     */
+    getProviderName() {
+        return this.sequenceGenerator.nanoBanana.provider.name;
+    }
+
     /**
      * Generate multiple GIFs with different animation types
      * @param {string} prompt - Base prompt
@@ -159,18 +525,10 @@ export class GifGenerator {
 
     /**
      * Get available animation types
-     * @returns {string[]} Array of animation types
+     * @returns {AnimationType[]} Registered animation types with their loop mode and defaults
      */
     getAvailableAnimationTypes() {
-        return [
-            'walking',
-            'flying', 
-            'dancing',
-            'transformation',
-            'rotating',
-            'flowing',
-            'general'
-        ];
+        return listAnimationTypes();
     }
 
     /**
@@ -0,0 +1,320 @@
+/**
+ * Job manifest for nano Banana GIF Generator
+ * Checkpoints a GIF job on disk (prompt, options, anchor frame, completed frames)
+ * so a failed or interrupted run can be resumed without regenerating paid-for frames.
+ * A job may also hold a frame plan (plan.json) that is edited before its frames are rendered
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { InvalidInputError } from './errors.js';
+import { validatePlan } from './framePlanner.js';
+import { getAnimationType } from './animationTypes.js';
+import { getTweenCounts } from '../utils/frameInterpolator.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+// Files API handles of the job's reference images, reused across runs until they expire
+export const UPLOADS_FILE = 'uploads.json';
+// Per-frame plan written by the text model, read again on every run so hand edits are used
+export const PLAN_FILE = 'plan.json';
+export const MANIFEST_VERSION = 1;
+
+export class JobManifest {
+  /**
+   * @param {string} jobDir - Job directory holding the manifest and its frames
+   * @param {Object} data - Manifest contents
+   */
+  constructor(jobDir, data) {
+    this.jobDir = jobDir;
+    this.data = data;
+  }
+
+  /**
+   * Start a new job and write its manifest
+   * @param {string} prompt - Base prompt for the animation
+   * @param {Object} options - Generation options to replay on resume (frameCount, animationType, ...)
+   * @param {string} outputDir - Output directory; jobs live in <outputDir>/jobs/<jobId>
+   * @returns {JobManifest} New manifest
+   */
+  static create(prompt, options, outputDir = './output') {
+    const jobId = createJobId();
+    const jobDir = path.join(getJobsDir(outputDir), jobId);
+    const now = new Date().toISOString();
+
+    const manifest = new JobManifest(jobDir, {
+      version: MANIFEST_VERSION,
+      jobId,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      prompt,
+      options,
+      anchor: null,
+      frames: new Array(options.frameCount).fill(null),
+      gifPath: null,
+      error: null
+    });
+    fs.mkdirSync(manifest.framesDir, { recursive: true });
+    manifest.save();
+    return manifest;
+  }
+
+  /**
+   * Load the manifest of an existing job
+   * @param {string} jobId - Job id
+   * @param {string} outputDir - Output directory the job was created in
+   * @returns {JobManifest} Loaded manifest
+   * @throws {InvalidInputError} If the job does not exist
+   */
+  static load(jobId, outputDir = './output') {
+    const jobDir = path.join(getJobsDir(outputDir), jobId);
+    const manifestPath = path.join(jobDir, MANIFEST_FILE);
+
+    if (!fs.existsSync(manifestPath)) {
+      throw new InvalidInputError(`Job not found: ${jobId} (no ${manifestPath})`);
+    }
+    return new JobManifest(jobDir, JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+  }
+
+  get jobId() {
+    return this.data.jobId;
+  }
+
+  get status() {
+    return this.data.status;
+  }
+
+  get prompt() {
+    return this.data.prompt;
+  }
+
+  get options() {
+    return this.data.options;
+  }
+
+  get framesDir() {
+    return path.join(this.jobDir, 'frames');
+  }
+
+  get manifestPath() {
+    return path.join(this.jobDir, MANIFEST_FILE);
+  }
+
+  get uploadsPath() {
+    return path.join(this.jobDir, UPLOADS_FILE);
+  }
+
+  get planPath() {
+    return path.join(this.jobDir, PLAN_FILE);
+  }
+
+  /**
+   * Write the frame plan of the job
+   * @param {import('./framePlanner.js').FramePlan} plan - Frame plan
+   */
+  savePlan(plan) {
+    fs.writeFileSync(this.planPath, JSON.stringify(plan, null, 2));
+  }
+
+  /**
+   * Read the frame plan of the job, as edited since it was saved
+   * @returns {import('./framePlanner.js').FramePlan|null} Plan, or null if the job has none
+   * @throws {InvalidInputError} If plan.json is not valid JSON or not a valid plan
+   */
+  loadPlan() {
+    if (!fs.existsSync(this.planPath)) return null;
+
+    let plan;
+    try {
+      plan = JSON.parse(fs.readFileSync(this.planPath, 'utf8'));
+    } catch (error) {
+      throw new InvalidInputError(`Cannot read ${this.planPath}: ${error.message}`);
+    }
+    return validatePlan(plan, this.planPath);
+  }
+
+  /**
+   * Change the number of frames of a job that has not rendered any yet (e.g. after frames were
+   * added to or removed from its plan)
+   * Keyframe jobs keep the frame count of their GIF, which must still hold the new keyframes
+   * @param {number} frameCount - New number of frames
+   * @throws {InvalidInputError} If frames were already generated or the keyframes no longer fit the GIF
+   */
+  setFrameCount(frameCount) {
+    if (this.frames.some(Boolean)) {
+      throw new InvalidInputError(`Job ${this.jobId} already has frames for ${this.options.frameCount} frames; its frame count cannot change to ${frameCount}`);
+    }
+    const { tween, animationType } = this.options;
+    if (tween) {
+      getTweenCounts(frameCount, tween.frameCount, getAnimationType(animationType).loop === 'cycle');
+    }
+    this.data.options.frameCount = frameCount;
+    this.data.frames = new Array(frameCount).fill(null);
+    this.save();
+  }
+
+  /**
+   * Path of the anchor (reference) frame, if it still exists on disk
+   * @returns {string|null} Absolute or cwd-relative path
+   */
+  get anchor() {
+    return this.resolveExisting(this.data.anchor);
+  }
+
+  /**
+   * Completed frames, by index; frames whose file has gone missing count as not done
+   * @returns {Array<string|null>} Frame paths, null for missing frames
+   */
+  get frames() {
+    return this.data.frames.map(framePath => this.resolveExisting(framePath));
+  }
+
+  /**
+   * Indexes of frames that still have to be generated
+   * @returns {number[]} Frame indexes
+   */
+  getMissingFrames() {
+    return this.frames
+      .map((framePath, index) => (framePath ? null : index))
+      .filter(index => index !== null);
+  }
+
+  /**
+   * Record a completed frame; frame 0 also becomes the anchor
+   * @param {number} index - Frame index
+   * @param {string} framePath - Generated frame path
+   * @param {Array<{path: string, score: number}>} candidates - Scored candidates the frame was picked from, if any
+   */
+  recordFrame(index, framePath, candidates = null) {
+    this.data.frames[index] = this.toJobPath(framePath);
+    if (index === 0) {
+      this.data.anchor = this.data.frames[index];
+    }
+    if (candidates) {
+      const best = candidates.reduce((bestIndex, candidate, i) => (candidate.score > candidates[bestIndex].score ? i : bestIndex), 0);
+      this.data.candidates = this.data.candidates || {};
+      this.data.candidates[index] = {
+        chosen: best + 1,
+        candidates: candidates.map(candidate => ({ path: this.toJobPath(candidate.path), score: candidate.score }))
+      };
+    }
+    this.save();
+  }
+
+  /**
+   * Candidates recorded for a frame
+   * @param {number} index - Frame index
+   * @returns {{chosen: number, candidates: Array<{path: string, score: number}>}|null} 1-based chosen candidate and all candidates
+   */
+  getCandidates(index) {
+    return this.data.candidates?.[index] ?? null;
+  }
+
+  /**
+   * Replace a frame with another of its candidates (manual override of the automatic pick)
+   * @param {number} index - Frame index (0-based)
+   * @param {number} candidateNumber - Candidate number (1-based, as in candidate_K.png)
+   * @throws {InvalidInputError} If the frame has no such candidate
+   */
+  pickCandidate(index, candidateNumber) {
+    const entry = this.getCandidates(index);
+    if (!entry) {
+      throw new InvalidInputError(`Frame ${index + 1} of job ${this.jobId} has no candidates`);
+    }
+    const candidate = entry.candidates[candidateNumber - 1];
+    const candidatePath = candidate && this.resolveExisting(candidate.path);
+    if (!candidatePath) {
+      throw new InvalidInputError(`Frame ${index + 1} has no candidate ${candidateNumber} (candidates: 1-${entry.candidates.length})`);
+    }
+
+    const framePath = this.resolveExisting(this.data.frames[index]) || path.join(this.framesDir, `frame_${index.toString().padStart(2, '0')}_picked.png`);
+    fs.copyFileSync(candidatePath, framePath);
+    this.data.frames[index] = this.toJobPath(framePath);
+    entry.chosen = candidateNumber;
+    this.save();
+  }
+
+  /**
+   * Mark the job as completed
+   * @param {string} gifPath - Assembled GIF path
+   */
+  complete(gifPath) {
+    this.data.status = 'completed';
+    this.data.gifPath = gifPath;
+    this.data.error = null;
+    this.save();
+  }
+
+  /**
+   * Mark the job as failed, keeping the frames done so far
+   * @param {Error} error - Failure
+   */
+  fail(error) {
+    this.data.status = 'failed';
+    this.data.error = { name: error.name, message: error.message };
+    this.save();
+  }
+
+  /**
+   * Mark the job as planned: its frame plan is saved and waits for resume to render it
+   */
+  markPlanned() {
+    this.data.status = 'planned';
+    this.save();
+  }
+
+  /**
+   * Mark a failed, interrupted or planned job as running again
+   */
+  restart() {
+    this.data.status = 'running';
+    this.data.error = null;
+    this.save();
+  }
+
+  /**
+   * Write the manifest atomically (temp file + rename), so a crash never leaves half a manifest
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const tempPath = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+
+  /**
+   * Store frame paths relative to the job directory so jobs can be moved
+   * @param {string} filePath - File path
+   * @returns {string} Path relative to the job directory
+   */
+  toJobPath(filePath) {
+    return path.relative(this.jobDir, path.resolve(filePath));
+  }
+
+  resolveExisting(jobPath) {
+    if (!jobPath) return null;
+    const filePath = path.join(this.jobDir, jobPath);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+}
+
+/**
+ * Directory that holds all job folders
+ * @param {string} outputDir - Output directory
+ * @returns {string} Jobs directory
+ */
+export function getJobsDir(outputDir = './output') {
+  return path.join(outputDir, 'jobs');
+}
+
+/**
+ * Create a sortable, collision-resistant job id (e.g. 20261019-142301-3fa9c1)
+ * @returns {string} Job id
+ */
+export function createJobId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export default JobManifest;
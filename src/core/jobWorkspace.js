@@ -0,0 +1,229 @@
+/**
+ * Per-job working directories for nano Banana GIF Generator
+ * Each job works in its own folder, locked with the owning process id, so parallel
+ * runs never share files and `clean` can tell which folders are still in use
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { createJobId } from './jobManifest.js';
+import { InvalidInputError } from './errors.js';
+
+export const LOCK_FILE = '.lock';
+
+// A lock file that cannot be read yet is being written; past this age it is treated as stale
+const LOCK_WRITE_GRACE = 5000;
+
+// Workspaces owned by this process, released on SIGINT/SIGTERM
+const activeWorkspaces = new Set();
+
+export class JobWorkspace {
+  /**
+   * @param {string} dir - Workspace directory
+   * @param {string} jobId - Job id the workspace belongs to
+   * @param {Object} options - Lifecycle options
+   * @param {boolean} options.removeOnRelease - Delete the directory when the job ends (temporary workspaces)
+   * @param {Function} options.onInterrupt - Called before release when the process is interrupted
+   */
+  constructor(dir, jobId, options = {}) {
+    this.dir = dir;
+    this.jobId = jobId;
+    this.removeOnRelease = options.removeOnRelease ?? true;
+    this.onInterrupt = options.onInterrupt || null;
+    this.released = false;
+  }
+
+  /**
+   * Create and lock a fresh workspace under a root directory
+   * @param {string} rootDir - Parent directory (e.g. CONFIG.tempDir)
+   * @param {Object} options - Workspace options (see constructor); options.jobId defaults to a new id
+   * @returns {JobWorkspace} Locked workspace
+   */
+  static create(rootDir, options = {}) {
+    const jobId = options.jobId || createJobId();
+    return JobWorkspace.acquire(path.join(rootDir, jobId), { ...options, jobId });
+  }
+
+  /**
+   * Lock an existing (or new) directory for this process
+   * The lock file is created exclusively, so of two processes taking the same job only one wins;
+   * a lock is only replaced once its process is gone
+   * @param {string} dir - Workspace directory
+   * @param {Object} options - Workspace options (see constructor)
+   * @returns {JobWorkspace} Locked workspace
+   * @throws {InvalidInputError} If another live process holds the lock
+   */
+  static acquire(dir, options = {}) {
+    const workspace = new JobWorkspace(dir, options.jobId || path.basename(dir), options);
+    fs.mkdirSync(dir, { recursive: true });
+    const lock = JSON.stringify({
+      pid: process.pid,
+      jobId: workspace.jobId,
+      startedAt: new Date().toISOString()
+    });
+
+    while (!createLock(workspace.lockPath, lock)) {
+      const owner = readLock(dir);
+      if (owner?.pid === process.pid) {
+        // Already ours (e.g. a job run again in the same process)
+        fs.writeFileSync(workspace.lockPath, lock);
+        break;
+      }
+      if (owner ? isProcessAlive(owner.pid) : isLockBeingWritten(workspace.lockPath)) {
+        throw new InvalidInputError(owner
+          ? `Job ${owner.jobId} is already running in process ${owner.pid} (${dir})`
+          : `Job ${workspace.jobId} is being started by another process (${dir})`);
+      }
+      removeStaleLock(workspace.lockPath);
+    }
+
+    activeWorkspaces.add(workspace);
+    installSignalHandlers();
+    return workspace;
+  }
+
+  get lockPath() {
+    return path.join(this.dir, LOCK_FILE);
+  }
+
+  /**
+   * Build a path inside the workspace
+   * @param {...string} segments - Path segments
+   * @returns {string} Path inside the workspace directory
+   */
+  path(...segments) {
+    return path.join(this.dir, ...segments);
+  }
+
+  /**
+   * End the job: drop the lock and, for temporary workspaces, delete the directory
+   * Safe to call more than once
+   */
+  release() {
+    if (this.released) return;
+    this.released = true;
+    activeWorkspaces.delete(this);
+    uninstallSignalHandlers();
+
+    if (this.removeOnRelease) {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    } else {
+      fs.rmSync(this.lockPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Check whether a directory is locked by a running process
+ * Locks left behind by crashed processes count as inactive
+ * @param {string} dir - Directory to check
+ * @returns {boolean} True if a live process owns the directory
+ */
+export function isWorkspaceActive(dir) {
+  const owner = readLock(dir);
+  return !!owner && isProcessAlive(owner.pid);
+}
+
+/**
+ * Read a workspace lock file
+ * @param {string} dir - Workspace directory
+ * @param {string} file - Lock file name
+ * @returns {Object|null} Lock contents ({ pid, jobId, startedAt }) or null
+ */
+export function readLock(dir, file = LOCK_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a lock file unless one exists
+ * @param {string} lockPath - Lock file path
+ * @param {string} contents - Lock contents
+ * @returns {boolean} True if this call created the lock
+ */
+function createLock(lockPath, contents) {
+  let fd;
+  try {
+    fd = fs.openSync(lockPath, 'wx');
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  }
+  try {
+    fs.writeSync(fd, contents);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return true;
+}
+
+/**
+ * Remove a lock whose process is gone
+ * The lock is moved aside first, so only one of several processes taking it over removes it;
+ * if another process locked the job in the meantime, its lock is put back
+ * @param {string} lockPath - Lock file path
+ */
+function removeStaleLock(lockPath) {
+  const aside = `${lockPath}.${process.pid}`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  const owner = readLock(path.dirname(aside), path.basename(aside));
+  if (owner && isProcessAlive(owner.pid)) {
+    try {
+      fs.linkSync(aside, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  fs.rmSync(aside, { force: true });
+}
+
+function isLockBeingWritten(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs < LOCK_WRITE_GRACE;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+function handleSignal(signal) {
+  for (const workspace of [...activeWorkspaces]) {
+    try {
+      workspace.onInterrupt?.(signal);
+    } finally {
+      workspace.release();
+    }
+  }
+  process.exit(signal === 'SIGINT' ? 130 : 143);
+}
+
+function installSignalHandlers() {
+  if (process.listeners('SIGINT').includes(handleSignal)) return;
+  process.on('SIGINT', handleSignal);
+  process.on('SIGTERM', handleSignal);
+}
+
+function uninstallSignalHandlers() {
+  if (activeWorkspaces.size > 0) return;
+  process.off('SIGINT', handleSignal);
+  process.off('SIGTERM', handleSignal);
+}
+
+export default JobWorkspace;
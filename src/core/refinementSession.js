@@ -0,0 +1,309 @@
+/**
+ * Refinement sessions for nano Banana GIF Generator
+ * A session is a multi-turn image conversation saved on disk (session.json plus the
+ * images of every turn), so `refine --session <id>` can continue it in a later run.
+ * Turns form a tree: each node keeps its prompt, image and parent, and the head node
+ * decides which branch the next refinement continues
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { createJobId } from './jobManifest.js';
+import { InvalidInputError } from './errors.js';
+
+export const SESSION_FILE = 'session.json';
+export const SESSION_VERSION = 2;
+
+export class RefinementSession {
+  /**
+   * @param {string} sessionDir - Session directory holding session.json and the turn images
+   * @param {Object} data - Session contents
+   */
+  constructor(sessionDir, data) {
+    this.sessionDir = sessionDir;
+    this.data = upgradeSessionData(data);
+  }
+
+  /**
+   * Start a new, empty session
+   * @param {Object} options - Settings reused by every turn (model, aspectRatio, provider, title)
+   * @param {string} outputDir - Output directory; sessions live in <outputDir>/sessions/<sessionId>
+   * @returns {RefinementSession} New session
+   */
+  static create(options = {}, outputDir = './output') {
+    const sessionId = createJobId();
+    const sessionDir = path.join(getSessionsDir(outputDir), sessionId);
+    const now = new Date().toISOString();
+
+    const { title = null, ...settings } = options;
+    const session = new RefinementSession(sessionDir, {
+      version: SESSION_VERSION,
+      sessionId,
+      title,
+      createdAt: now,
+      updatedAt: now,
+      options: settings,
+      head: null,
+      nodes: []
+    });
+    fs.mkdirSync(sessionDir, { recursive: true });
+    session.save();
+    return session;
+  }
+
+  /**
+   * Load a saved session
+   * @param {string} sessionId - Session id
+   * @param {string} outputDir - Output directory the session was created in
+   * @returns {RefinementSession} Loaded session
+   * @throws {InvalidInputError} If the session does not exist
+   */
+  static load(sessionId, outputDir = './output') {
+    const sessionDir = path.join(getSessionsDir(outputDir), sessionId);
+    const sessionPath = path.join(sessionDir, SESSION_FILE);
+
+    if (!fs.existsSync(sessionPath)) {
+      throw new InvalidInputError(`Session not found: ${sessionId} (no ${sessionPath})`);
+    }
+    return new RefinementSession(sessionDir, JSON.parse(fs.readFileSync(sessionPath, 'utf8')));
+  }
+
+  /**
+   * All saved sessions, oldest first
+   * @param {string} outputDir - Output directory
+   * @returns {RefinementSession[]} Sessions
+   */
+  static list(outputDir = './output') {
+    const sessionsDir = getSessionsDir(outputDir);
+    if (!fs.existsSync(sessionsDir)) return [];
+
+    return fs.readdirSync(sessionsDir)
+      .filter(entry => fs.existsSync(path.join(sessionsDir, entry, SESSION_FILE)))
+      .sort()
+      .map(entry => RefinementSession.load(entry, outputDir));
+  }
+
+  get sessionId() {
+    return this.data.sessionId;
+  }
+
+  get title() {
+    return this.data.title;
+  }
+
+  get options() {
+    return this.data.options;
+  }
+
+  /**
+   * Every node of the tree, in creation order
+   * @returns {Object[]} Nodes ({ id, parent, prompt, inputImages, image, text, ... })
+   */
+  get nodes() {
+    return this.data.nodes;
+  }
+
+  /**
+   * Node the next refinement continues from
+   * @returns {Object|null} Head node, or null when the session is back at its (empty) root
+   */
+  get head() {
+    return this.data.head === null ? null : this.getNode(this.data.head);
+  }
+
+  get sessionPath() {
+    return path.join(this.sessionDir, SESSION_FILE);
+  }
+
+  /**
+   * Image of the head node
+   * @returns {string|null} Image path, or null at the root
+   */
+  get currentImage() {
+    return this.head ? this.resolve(this.head.image) : null;
+  }
+
+  /**
+   * Look up a node by id
+   * @param {number} nodeId - Node id
+   * @returns {Object} Node
+   * @throws {InvalidInputError} If the session has no such node
+   */
+  getNode(nodeId) {
+    const node = this.data.nodes.find(candidate => candidate.id === Number(nodeId));
+    if (!node) {
+      throw new InvalidInputError(`Session ${this.sessionId} has no node ${nodeId}`);
+    }
+    return node;
+  }
+
+  /**
+   * Direct children of a node
+   * @param {number|null} nodeId - Parent node id, null for the first turns of the session
+   * @returns {Object[]} Child nodes
+   */
+  getChildren(nodeId) {
+    return this.data.nodes.filter(node => node.parent === nodeId);
+  }
+
+  /**
+   * Nodes from the first turn down to a node
+   * @param {number|null} nodeId - Last node of the path (defaults to the head)
+   * @returns {Object[]} Nodes, root first
+   */
+  getPath(nodeId = this.data.head) {
+    const nodes = [];
+    let node = nodeId === null ? null : this.getNode(nodeId);
+    while (node) {
+      nodes.unshift(node);
+      node = node.parent === null ? null : this.getNode(node.parent);
+    }
+    return nodes;
+  }
+
+  /**
+   * Images along a path, as a before/after sequence: the first turn's input image
+   * (if it had one), then the image of every node
+   * @param {number|null} nodeId - Last node of the path (defaults to the head)
+   * @returns {string[]} Image paths
+   */
+  getPathImages(nodeId = this.data.head) {
+    const nodes = this.getPath(nodeId);
+    const before = nodes[0]?.inputImages[0];
+    return [...(before ? [before] : []), ...nodes.map(node => node.image)].map(file => this.resolve(file));
+  }
+
+  /**
+   * Conversation leading to a node, in the provider-neutral chat format
+   * Other branches are not part of the history
+   * @param {number|null} nodeId - Last node of the conversation (defaults to the head)
+   * @returns {import('../providers/imageProvider.js').ChatTurn[]} Alternating user and model turns
+   */
+  getHistory(nodeId = this.data.head) {
+    return this.getPath(nodeId).flatMap(node => [
+      {
+        role: 'user',
+        text: node.prompt,
+        images: node.inputImages.map(image => ({ path: this.resolve(image) }))
+      },
+      {
+        role: 'model',
+        text: node.text,
+        images: [{ path: this.resolve(node.image), thoughtSignature: node.thoughtSignature }]
+      }
+    ]);
+  }
+
+  /**
+   * Record a completed turn as a child of the head (or of details.parent) and make it the new head
+   * The image is written into the session directory; input images are copied too,
+   * so the history survives the originals being moved
+   * @param {string} prompt - User prompt of the turn
+   * @param {import('../providers/imageProvider.js').ProviderImage} image - Image the model returned
+   * @param {Object} details - Turn details
+   * @param {string|null} details.text - Text the model returned with the image
+   * @param {string} details.model - Model that produced the image
+   * @param {string[]} details.inputImages - Images sent with the prompt
+   * @param {number|null} details.parent - Node the turn branches from, null for a new first turn (defaults to the head)
+   * @returns {Object} Recorded node, with imagePath resolved
+   */
+  addTurn(prompt, image, details = {}) {
+    const parent = details.parent === undefined ? this.data.head : details.parent === null ? null : this.getNode(details.parent).id;
+    const id = this.data.nodes.reduce((max, node) => Math.max(max, node.id), 0) + 1;
+    const prefix = `node_${String(id).padStart(3, '0')}`;
+    const ext = image.mimeType.split('/')[1] || 'png';
+
+    const inputImages = (details.inputImages || []).map((inputPath, i) => {
+      const copyName = `${prefix}_input_${i}${path.extname(inputPath) || '.png'}`;
+      fs.copyFileSync(inputPath, path.join(this.sessionDir, copyName));
+      return copyName;
+    });
+    fs.writeFileSync(path.join(this.sessionDir, `${prefix}.${ext}`), image.data);
+
+    const node = {
+      id,
+      parent,
+      prompt,
+      inputImages,
+      image: `${prefix}.${ext}`,
+      text: details.text ?? null,
+      thoughtSignature: image.thoughtSignature ?? null,
+      model: details.model ?? null,
+      createdAt: new Date().toISOString()
+    };
+    this.data.nodes.push(node);
+    this.data.head = id;
+    this.save();
+    return { ...node, imagePath: this.resolve(node.image) };
+  }
+
+  /**
+   * Move the head to a node; the next refinement branches from there
+   * @param {number|null} nodeId - Node id, or null to start over from an empty conversation
+   * @returns {Object|null} New head
+   */
+  checkout(nodeId) {
+    this.data.head = nodeId === null ? null : this.getNode(nodeId).id;
+    this.save();
+    return this.head;
+  }
+
+  /**
+   * Step the head back to its parent
+   * The undone node stays in the tree and can be checked out again
+   * @returns {Object} Node that was the head
+   * @throws {InvalidInputError} If the head is already at the root
+   */
+  undo() {
+    const node = this.head;
+    if (!node) {
+      throw new InvalidInputError(`Session ${this.sessionId} has nothing to undo`);
+    }
+    this.checkout(node.parent);
+    return node;
+  }
+
+  /**
+   * Write the session atomically (temp file + rename)
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const tempPath = `${this.sessionPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.sessionPath);
+  }
+
+  resolve(sessionPath) {
+    return path.join(this.sessionDir, sessionPath);
+  }
+}
+
+/**
+ * Bring older session files up to the current format
+ * Version 1 kept a linear list of turns; each turn becomes a node whose parent is the previous turn
+ * @param {Object} data - Session contents as read from disk
+ * @returns {Object} Current-version contents
+ */
+function upgradeSessionData(data) {
+  if (data.version >= SESSION_VERSION) return data;
+
+  const { turns = [], ...rest } = data;
+  const nodes = turns.map(({ index, ...turn }) => ({ id: index, parent: index > 1 ? index - 1 : null, ...turn }));
+  return {
+    ...rest,
+    version: SESSION_VERSION,
+    head: nodes.length > 0 ? nodes[nodes.length - 1].id : null,
+    nodes
+  };
+}
+
+/**
+ * Directory that holds all session folders
+ * @param {string} outputDir - Output directory
+ * @returns {string} Sessions directory
+ */
+export function getSessionsDir(outputDir = './output') {
+  return path.join(outputDir, 'sessions');
+}
+
+export default RefinementSession;
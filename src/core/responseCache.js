@@ -0,0 +1,160 @@
+/**
+ * Response cache for nano Banana GIF Generator
+ * Generation and analysis results are stored under a hash of everything that determines
+ * them: provider, model, config, prompt and the bytes of every input image. Asking the same
+ * question again (same analyze on the same image, same frame prompt with the same reference)
+ * is answered from disk instead of calling the model and paying for it again
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { ENV_CONFIG } from '../config/environment.js';
+import { InvalidInputError } from './errors.js';
+import { stableStringify } from '../providers/requestRecorder.js';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+export class ResponseCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.cacheDir - Cache directory (defaults to CACHE_DIR)
+   */
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || ENV_CONFIG.CACHE_DIR;
+  }
+
+  /**
+   * Build the cache key of a request
+   * Input images are identified by the hash of their bytes, so a renamed file still hits
+   * @param {Object} request - Request fields
+   * @param {string} request.operation - generate or analyze
+   * @param {string} request.provider - Provider name
+   * @param {string|null} request.model - Model requested
+   * @param {Object} request.config - Settings that change the output (aspect ratio, seed, schema, ...)
+   * @param {string} request.prompt - Prompt
+   * @param {string[]} request.images - Input image paths, in prompt order
+   * @returns {string} Hex key
+   */
+  getKey(request) {
+    const description = {
+      ...request,
+      images: (request.images || []).map(imagePath => crypto.createHash('sha256').update(fs.readFileSync(imagePath)).digest('hex'))
+    };
+    return crypto.createHash('sha256').update(stableStringify(description)).digest('hex');
+  }
+
+  /**
+   * Look up a cached entry; a hit refreshes its age for prune
+   * @param {string} key - Cache key
+   * @returns {Object|null} Entry ({ text, model, images: ProviderImage[], createdAt }) or null
+   */
+  get(key) {
+    const entryPath = this.getEntryPath(key);
+    if (!fs.existsSync(entryPath)) return null;
+
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch {
+      return null;
+    }
+
+    const imagePaths = (entry.images || []).map(image => path.join(this.cacheDir, image.file));
+    if (!imagePaths.every(imagePath => fs.existsSync(imagePath))) return null;
+
+    const now = new Date();
+    fs.utimesSync(entryPath, now, now);
+    return {
+      ...entry,
+      images: entry.images.map((image, index) => ({ data: fs.readFileSync(imagePaths[index]), mimeType: image.mimeType }))
+    };
+  }
+
+  /**
+   * Store a result
+   * Images are written before the entry, so a reader never sees an entry without its images
+   * @param {string} key - Cache key
+   * @param {Object} result - Result to store
+   * @param {string|null} result.text - Text of the response
+   * @param {string} result.model - Model that answered
+   * @param {import('../providers/imageProvider.js').ProviderImage[]} result.images - Generated images, if any
+   */
+  set(key, result) {
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+
+    const images = (result.images || []).map((image, index) => {
+      const file = `${key}_${index}.${image.mimeType.split('/')[1] || 'png'}`;
+      writeAtomic(path.join(this.cacheDir, file), image.data);
+      return { file, mimeType: image.mimeType };
+    });
+
+    writeAtomic(this.getEntryPath(key), JSON.stringify({
+      key,
+      text: result.text ?? null,
+      model: result.model ?? null,
+      images,
+      createdAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  /**
+   * Remove entries not used for a while
+   * @param {number} maxAge - Remove entries last used more than this many milliseconds ago (0 removes all)
+   * @returns {{removed: number, kept: number, bytes: number}} Entries removed and kept, bytes freed
+   */
+  prune(maxAge) {
+    if (!fs.existsSync(this.cacheDir)) return { removed: 0, kept: 0, bytes: 0 };
+
+    const cutoff = Date.now() - maxAge;
+    const stats = { removed: 0, kept: 0, bytes: 0 };
+
+    for (const file of fs.readdirSync(this.cacheDir).filter(name => name.endsWith('.json'))) {
+      const entryPath = path.join(this.cacheDir, file);
+      if (fs.statSync(entryPath).mtimeMs > cutoff) {
+        stats.kept++;
+        continue;
+      }
+
+      const key = path.basename(file, '.json');
+      for (const name of fs.readdirSync(this.cacheDir).filter(candidate => candidate.startsWith(`${key}.`) || candidate.startsWith(`${key}_`))) {
+        const filePath = path.join(this.cacheDir, name);
+        stats.bytes += fs.statSync(filePath).size;
+        fs.rmSync(filePath, { force: true });
+      }
+      stats.removed++;
+    }
+    return stats;
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+}
+
+/**
+ * Parse an age such as 30m, 12h, 7d or 2w
+ * @param {string} value - Number followed by s, m, h, d or w (plain numbers are days)
+ * @returns {number} Milliseconds
+ * @throws {InvalidInputError} If the value is not a duration
+ */
+export function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhdw]?)$/i.exec(String(value).trim());
+  if (!match) {
+    throw new InvalidInputError(`Invalid age: ${value} (use e.g. 30m, 12h, 7d or 2w)`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'd').toLowerCase()];
+}
+
+/**
+ * Write a file through a temp file and a rename, so readers never see half a file
+ * @param {string} filePath - Destination
+ * @param {string|Buffer} data - Contents
+ */
+function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+export default ResponseCache;
@@ -7,226 +7,301 @@ import { NanoBananaIntegration } from '../integrations/gemini_integration.js';
 import * as fs from 'node:fs';
 import * as path from 'node:path';
 import { Logger } from './logger.js';
+import { ENV_CONFIG } from '../config/environment.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { compareImages } from '../utils/imageSimilarity.js';
+import { createFramePrompt, getAnimationType } from './animationTypes.js';
+import { InvalidInputError } from './errors.js';
+import { createPlannedFramePrompt, planFrames, validatePlan } from './framePlanner.js';
+
+// Model of every animation frame (resolved by the provider); estimates are priced with it
+export const FRAME_MODEL = 'gemini-2.5-flash-image';
 
 export class SequenceGenerator {
-    constructor(apiKey) {
-        this.nanoBanana = new NanoBananaIntegration(apiKey);
+    /**
+     * @param {string} apiKey - Google API key
+     * @param {Object} options - Generator options
+     * @param {string|ImageProvider} options.provider - Image provider name or instance
+     * @param {number} options.requestsPerMinute - Rate limit for model calls
+     * @param {boolean} options.cache - Reuse cached model responses
+     */
+    constructor(apiKey, options = {}) {
+        this.nanoBanana = new NanoBananaIntegration(apiKey, {
+            provider: options.provider,
+            requestsPerMinute: options.requestsPerMinute,
+            cache: options.cache
+        });
         this.logger = new Logger();
     }
 
     /**
      * Generate a sequence of images for GIF animation
+     * The first frame is generated from text and becomes the anchor; the remaining
+     * frames are edited from it concurrently, up to options.concurrency at a time.
+     * With options.candidates > 1 every later frame is generated that many times and the
+     * candidate most similar to the anchor (SSIM) is kept; all candidates stay in
+     * <outputDir>/candidates/frame_NN/ so another one can be picked by hand.
+     * With options.plan every frame prompt comes from the plan instead of the animation type's phases;
+     * options.framePrompts replaces the prompts of single frames. Reference images are sent with the
+     * first frame only, and later frames follow the anchor
      * @param {string} basePrompt - The base prompt for the animation
      * @param {number} frameCount - Number of frames to generate
-     * @param {string} animationType - Type of animation (walking, flying, dancing, etc.)
+     * @param {string} animationType - Animation type from the registry (walking, flying, dancing, etc.)
      * @param {string} outputDir - Output directory for frames
-     * @returns {Promise<string[]>} Array of generated image paths
+     * @param {Object} options - Sequence options
+     * @param {number} options.seed - Seed passed to providers that support one
+     * @param {number} options.concurrency - Frames generated in parallel after the anchor (default FRAME_CONCURRENCY)
+     * @param {Array<string|null>} options.existingFrames - Frames already generated by an earlier run, by index
+     * @param {number} options.candidates - Candidates per frame after the anchor (default 1)
+     * @param {Function} options.onFrame - Called as (frameIndex, framePath, candidates) after each frame is saved;
+     *   candidates is [{ path, score }] in generation order, or null without candidates
+     * @param {string} options.jobId - Job the frames belong to, recorded in the usage ledger
+     * @param {string} options.uploadsPath - Where the job keeps the Files API handle of its anchor frame
+     * @param {import('./framePlanner.js').FramePlan} options.plan - Frame plan with one entry per frame (see planFrames)
+     * @param {Array<string|null>} options.framePrompts - Whole prompts of single frames by index, null to build them as usual
+     * @param {string[]} options.referenceImages - Images the first frame is generated from, instead of from text alone
+     * @returns {Promise<string[]>} Array of generated image paths, in frame order
+     * @throws {InvalidInputError} If the animation type is not registered, or the plan does not have frameCount frames
      */
-    async generateSequence(basePrompt, frameCount = 5, animationType = 'general', outputDir = './output/frames') {
-        this.logger.info(`🎬 Generating ${frameCount} frames for animation: ${animationType}`);
+    async generateSequence(basePrompt, frameCount = 5, animationType = 'general', outputDir = './output/frames', options = {}) {
+        const { seed, jobId, uploadsPath, concurrency = ENV_CONFIG.FRAME_CONCURRENCY, existingFrames = [], onFrame = null, candidates = 1, framePrompts = [], referenceImages = [] } = options;
+        const reused = existingFrames.filter(Boolean).length;
+        // Fail on unknown types and plans of another length before the anchor is paid for
+        getAnimationType(animationType);
+        const plan = options.plan ? checkPlanLength(validatePlan(options.plan), frameCount) : null;
+        this.logger.info(`🎬 Generating ${frameCount - reused} frames for animation: ${animationType}${reused ? ` (${reused} reused from an earlier run)` : ''}`);
         
         // Ensure output directory exists
         try {
-            await fs.mkdir(outputDir, { recursive: true });
+            await fs.promises.mkdir(outputDir, { recursive: true });
         } catch (error) {
             // Directory might already exist, ignore error
         }
         
-        const framePaths = [];
         const timestamp = Date.now();
-        let referenceImagePath = null;
+        let completed = 0;
+        let fromCache = 0;
         
-        for (let i = 0; i < frameCount; i++) {
+        const generateFrame = async (i, referenceImagePath) => {
             try {
                 this.logger.info(`🎨 Generating frame ${i + 1}/${frameCount}...`);
                 
                 // Create enhanced prompt for this frame
-                const framePrompt = this.createFramePrompt(basePrompt, i, frameCount, animationType);
-                
-                // Generate image
+                const framePrompt = framePrompts[i] || this.createFramePrompt(basePrompt, i, frameCount, animationType, plan);
                 const framePath = path.join(outputDir, `frame_${i.toString().padStart(2, '0')}_${timestamp}.png`);
                 
+                // First frame: generate from text prompt (and reference images); later frames: edit the anchor for consistency
+                const frameOptions = {
+                    aspectRatio: "1:1",
+                    model: FRAME_MODEL,
+                    referenceImagePath: referenceImagePath || referenceImages[0] || null,
+                    additionalImages: referenceImagePath ? [] : referenceImages.slice(1),
+                    basePrompt: basePrompt,
+                    frameIndex: i,
+                    totalFrames: frameCount,
+                    seed: seed,
+                    jobId,
+                    uploadsPath
+                };
+                
                 let result;
-                if (i === 0) {
-                    // First frame: generate from text prompt
-                    result = await this.nanoBanana.generateImage(framePrompt, {
-                        outputPath: framePath,
-                        aspectRatio: "1:1",
-                        model: "gemini-2.5-flash-image"
-                    });
-                    referenceImagePath = result.imagePath;
+                let scored = null;
+                if (referenceImagePath && candidates > 1) {
+                    ({ result, scored } = await this.generateCandidates(framePrompt, frameOptions, candidates, framePath, outputDir));
                 } else {
-                    // Subsequent frames: use reference image for consistency
-                    result = await this.nanoBanana.generateImage(framePrompt, {
-                        outputPath: framePath,
-                        aspectRatio: "1:1",
-                        model: "gemini-2.5-flash-image",
-                        referenceImagePath: referenceImagePath
-                    });
+                    result = await this.nanoBanana.generateImage(framePrompt, { ...frameOptions, outputPath: framePath });
                 }
                 
-                const generatedPath = result.imagePath;
-                framePaths.push(generatedPath);
-                this.logger.success(`✅ Frame ${i + 1} generated: ${path.basename(generatedPath)}`);
-                
-                // Add small delay to avoid rate limiting
-                if (i < frameCount - 1) {
-                    await this.delay(1000); // 1 second delay between requests
+                completed++;
+                if (result.cached) {
+                    fromCache++;
+                }
+                this.logger.success(`✅ Frame ${i + 1} ${result.cached ? 'reused from cache' : 'generated'} (${reused + completed}/${frameCount}): ${path.basename(result.imagePath)}`);
+                if (onFrame) {
+                    onFrame(i, result.imagePath, scored);
                 }
+                return result.imagePath;
                 
             } catch (error) {
                 this.logger.error(`❌ Failed to generate frame ${i + 1}: ${error.message}`);
                 throw error;
             }
-        }
+        };
         
-        this.logger.success(`🎉 Generated ${framePaths.length} frames successfully!`);
-        return framePaths;
-    }
-
-    /**
-     * Create an enhanced prompt for a specific frame
-     * @param {string} basePrompt - Base prompt
-     * @param {number} frameIndex - Current frame index (0-based)
-     * @param {number} totalFrames - Total number of frames
-     * @param {string} animationType - Type of animation
-     * @returns {string} Enhanced prompt for the frame
-     */
-    createFramePrompt(basePrompt, frameIndex, totalFrames, animationType) {
-        const progress = (frameIndex / (totalFrames - 1)) * 100;
-        const frameNumber = frameIndex + 1;
-        
-        let motionPrompt = '';
+        const framePaths = Array.from({ length: frameCount }, (_, i) => existingFrames[i] || null);
+        if (!framePaths[0]) {
+            framePaths[0] = await generateFrame(0, null);
+        }
+        const anchorPath = framePaths[0];
         
-        switch (animationType.toLowerCase()) {
-            case 'walking':
-                motionPrompt = this.getWalkingMotionPrompt(progress);
-                break;
-            case 'flying':
-                motionPrompt = this.getFlyingMotionPrompt(progress);
-                break;
-            case 'dancing':
-                motionPrompt = this.getDancingMotionPrompt(progress);
-                break;
-            case 'transformation':
-                motionPrompt = this.getTransformationPrompt(progress);
-                break;
-            case 'rotating':
-                motionPrompt = this.getRotatingPrompt(progress);
-                break;
-            case 'flowing':
-                motionPrompt = this.getFlowingPrompt(progress);
-                break;
-            default:
-                motionPrompt = this.getGeneralMotionPrompt(progress);
+        const remaining = framePaths.map((framePath, i) => (framePath ? null : i)).filter(i => i !== null);
+        if (remaining.length > 0) {
+            this.logger.info(`⚡ Generating ${remaining.length} frames from the anchor, ${Math.min(concurrency, remaining.length)} at a time`);
         }
+        const generated = await mapWithConcurrency(remaining, concurrency, i => generateFrame(i, anchorPath));
+        remaining.forEach((frameIndex, n) => {
+            framePaths[frameIndex] = generated[n];
+        });
         
-        // Enhanced consistency prompt
-        return `${basePrompt}, ${motionPrompt}, frame ${frameNumber} of ${totalFrames}, EXACTLY the same character, EXACTLY the same background, EXACTLY the same lighting, EXACTLY the same colors, EXACTLY the same scene composition, EXACTLY the same environment, ONLY the pose/motion changes, maintain perfect consistency, smooth animation sequence, cinematic quality, identical character, identical setting, identical everything except the specific movement described`;
-    }
-
-    /**
-     * Get walking motion prompt based on progress
-     */
-    getWalkingMotionPrompt(progress) {
-        const phases = [
-            'left foot forward, right foot back',
-            'mid-step, both feet off ground',
-            'right foot forward, left foot back',
-            'mid-step, both feet off ground',
-            'left foot forward, right foot back'
-        ];
-        const phaseIndex = Math.floor((progress / 100) * phases.length);
-        return `walking motion: ${phases[phaseIndex]}, natural gait, dynamic pose, SAME cat, SAME background, SAME colors, SAME lighting, IDENTICAL character`;
+        this.logger.success(`🎉 Generated ${completed} frames successfully!${fromCache ? ` (${fromCache} from the response cache)` : ''}`);
+        return framePaths;
     }
 
     /**
-     * Get flying motion prompt based on progress
+     * Generate the scenes of a storyboard one after another, each from its own anchor frame
+     * Frames are numbered across scenes (scene 2 starts after the last frame of scene 1), so a
+     * storyboard job keeps them in one frame list; frames already done are skipped
+     * @param {import('./storyboard.js').StoryboardScene[]} scenes - Scenes in order
+     * @param {string} framesDir - Directory holding one <NN>_<scene> folder per scene
+     * @param {Object} options - Generation options (seed, jobId, uploadsPath, concurrency, candidates);
+     *   existingFrames and onFrame work as in generateSequence, with frame indexes across scenes
+     * @returns {Promise<string[][]>} Frame paths of each scene, in generation order
      */
-    getFlyingMotionPrompt(progress) {
-        const phases = [
-            'wings up, ascending motion',
-            'wings mid-beat, soaring',
-            'wings down, gliding',
-            'wings mid-beat, soaring',
-            'wings up, ascending motion'
-        ];
-        const phaseIndex = Math.floor((progress / 100) * phases.length);
-        return `flying motion: ${phases[phaseIndex]}, graceful flight, dynamic wing movement, SAME bird, SAME background, SAME colors, SAME lighting, IDENTICAL character`;
+    async generateScenes(scenes, framesDir, options = {}) {
+        const { existingFrames = [], onFrame = null, ...sequenceOptions } = options;
+        const sceneFrames = [];
+        let start = 0;
+        for (const [i, scene] of scenes.entries()) {
+            const sceneStart = start;
+            this.logger.info(`🎬 Scene ${i + 1}/${scenes.length}: ${scene.name} (${scene.animationType}, ${scene.frameCount} frames)`);
+            sceneFrames.push(await this.generateSequence(
+                scene.prompt,
+                scene.frameCount,
+                scene.animationType,
+                path.join(framesDir, `${(i + 1).toString().padStart(2, '0')}_${scene.name}`),
+                {
+                    ...sequenceOptions,
+                    framePrompts: scene.prompts,
+                    referenceImages: scene.references,
+                    existingFrames: existingFrames.slice(sceneStart, sceneStart + scene.frameCount),
+                    onFrame: onFrame && ((frameIndex, framePath, scored) => onFrame(sceneStart + frameIndex, framePath, scored))
+                }
+            ));
+            start += scene.frameCount;
+        }
+        return sceneFrames;
     }
 
     /**
-     * Get dancing motion prompt based on progress
+     * Generate several candidates for a frame and keep the one closest to the anchor
+     * Candidates are saved in <outputDir>/candidates/frame_NN/candidate_K.png and scored with
+     * SSIM against the anchor; the best one is copied to framePath. With a seed, candidate K
+     * gets seed + K - 1, so seeded providers draw different candidates
+     * @param {string} framePrompt - Prompt of the frame
+     * @param {Object} frameOptions - generateImage options; referenceImagePath is the anchor
+     * @param {number} count - Number of candidates
+     * @param {string} framePath - Where the chosen candidate goes
+     * @param {string} outputDir - Frames directory
+     * @returns {Promise<{result: Object, scored: Array<{path: string, score: number}>}>}
+     *   Result of the chosen candidate (imagePath is framePath) and every candidate with its score
      */
-    getDancingMotionPrompt(progress) {
-        const phases = [
-            'arms up, left foot forward',
-            'twisting motion, arms flowing',
-            'arms down, right foot forward',
-            'spinning motion, arms flowing',
-            'arms up, left foot forward'
-        ];
-        const phaseIndex = Math.floor((progress / 100) * phases.length);
-        return `dancing motion: ${phases[phaseIndex]}, rhythmic movement, expressive pose, SAME dancer, SAME background, SAME colors, SAME lighting, IDENTICAL character`;
+    async generateCandidates(framePrompt, frameOptions, count, framePath, outputDir) {
+        const candidateDir = getCandidateDir(outputDir, frameOptions.frameIndex);
+        const scored = [];
+        const results = [];
+        
+        for (let c = 0; c < count; c++) {
+            // candidateIndex keeps the candidates apart in the response cache
+            const result = await this.nanoBanana.generateImage(framePrompt, {
+                ...frameOptions,
+                ...(frameOptions.seed !== undefined && { seed: frameOptions.seed + c }),
+                candidateIndex: c,
+                outputPath: path.join(candidateDir, `candidate_${c + 1}.png`)
+            });
+            const score = await compareImages(frameOptions.referenceImagePath, result.imagePath);
+            results.push(result);
+            scored.push({ path: result.imagePath, score });
+        }
+        
+        const best = scored.reduce((bestIndex, candidate, index) => (candidate.score > scored[bestIndex].score ? index : bestIndex), 0);
+        this.logger.info(`🔎 Frame ${frameOptions.frameIndex + 1}: kept candidate ${best + 1}/${count} (SSIM ${scored.map(candidate => candidate.score.toFixed(3)).join(', ')})`);
+        await fs.promises.copyFile(scored[best].path, framePath);
+        
+        return {
+            result: { ...results[best], imagePath: framePath, cached: results.every(result => result.cached) },
+            scored
+        };
     }
 
     /**
-     * Get transformation motion prompt based on progress
+     * Describe the model calls generateSequence would make, without making them
+     * The first frame is generated from text and the reference images, if any; every later frame
+     * sends the anchor frame as input, once per candidate
+     * @param {string} basePrompt - Base prompt
+     * @param {number} frameCount - Number of frames
+     * @param {string} animationType - Type of animation
+     * @param {Object} options - Plan options
+     * @param {number} options.candidates - Candidates per frame after the anchor (default 1)
+     * @param {import('./framePlanner.js').FramePlan} options.plan - Frame plan the prompts come from, if any
+     * @param {Array<string|null>} options.framePrompts - Whole prompts of single frames by index
+     * @param {Array<{width: number, height: number}>} options.referenceSizes - Sizes of the reference images sent with the first frame
+     * @returns {Array<{frameIndex: number, prompt: string, inputImages: Array<{width: number, height: number}>}>} One entry per call
      */
-    getTransformationPrompt(progress) {
-        const phases = [
-            'beginning transformation, subtle changes',
-            'mid-transformation, morphing shape',
-            'peak transformation, dramatic change',
-            'mid-transformation, morphing shape',
-            'completing transformation, final form'
-        ];
-        const phaseIndex = Math.floor((progress / 100) * phases.length);
-        return `transformation: ${phases[phaseIndex]}, magical morphing, fluid change`;
+    planSequence(basePrompt, frameCount = 5, animationType = 'general', options = {}) {
+        const { candidates = 1, framePrompts = [], referenceSizes = [] } = options;
+        const plan = options.plan ? checkPlanLength(validatePlan(options.plan), frameCount) : null;
+        const [width, height] = this.nanoBanana.supportedAspectRatios['1:1'].resolution.split('x').map(Number);
+        return Array.from({ length: frameCount }, (_, i) => {
+            const call = {
+                frameIndex: i,
+                prompt: framePrompts[i] || this.createFramePrompt(basePrompt, i, frameCount, animationType, plan),
+                inputImages: i === 0 ? referenceSizes : [{ width, height }]
+            };
+            return i === 0 ? [call] : Array.from({ length: candidates }, () => call);
+        }).flat();
     }
 
     /**
-     * Get rotating motion prompt based on progress
+     * Ask the text model for a per-frame plan of the animation (see framePlanner.js)
+     * @param {string} basePrompt - Base prompt
+     * @param {number} frameCount - Number of frames
+     * @param {string} animationType - Type of animation; its loop mode shapes the plan
+     * @param {Object} options - Planning options (model)
+     * @returns {Promise<import('./framePlanner.js').FramePlan>} Plan with frameCount frames
      */
-    getRotatingPrompt(progress) {
-        const angle = (progress / 100) * 360;
-        return `rotating motion: ${Math.round(angle)} degrees, spinning movement, dynamic rotation`;
+    async planFrames(basePrompt, frameCount, animationType = 'general', options = {}) {
+        this.logger.info(`🗒️ Planning ${frameCount} frames with the ${this.nanoBanana.provider.name} text model...`);
+        return await planFrames(this.nanoBanana, basePrompt, frameCount, { ...options, animationType });
     }
 
     /**
-     * Get flowing motion prompt based on progress
+     * Create the prompt of a specific frame from a frame plan, or else from the animation type registry
+     * @param {string} basePrompt - Base prompt
+     * @param {number} frameIndex - Current frame index (0-based)
+     * @param {number} totalFrames - Total number of frames
+     * @param {string} animationType - Type of animation
+     * @param {import('./framePlanner.js').FramePlan} plan - Frame plan, if any
+     * @returns {string} Prompt for the frame
+     * @throws {InvalidInputError} If the animation type is not registered
      */
-    getFlowingPrompt(progress) {
-        const phases = [
-            'gentle wave motion, calm flow',
-            'building wave, increasing energy',
-            'peak wave, maximum flow',
-            'building wave, increasing energy',
-            'gentle wave motion, calm flow'
-        ];
-        const phaseIndex = Math.floor((progress / 100) * phases.length);
-        return `flowing motion: ${phases[phaseIndex]}, fluid movement, natural flow`;
+    createFramePrompt(basePrompt, frameIndex, totalFrames, animationType, plan = null) {
+        if (plan) {
+            return createPlannedFramePrompt(basePrompt, plan, frameIndex, totalFrames);
+        }
+        return createFramePrompt(basePrompt, animationType, frameIndex, totalFrames);
     }
+}
 
-    /**
-     * Get general motion prompt based on progress
-     */
-    getGeneralMotionPrompt(progress) {
-        const phases = [
-            'starting position, initial movement',
-            'building momentum, mid-motion',
-            'peak action, maximum movement',
-            'building momentum, mid-motion',
-            'completing action, final position'
-        ];
-        const phaseIndex = Math.floor((progress / 100) * phases.length);
-        return `motion: ${phases[phaseIndex]}, dynamic movement, natural progression`;
+/**
+ * Make sure a plan has one entry per frame
+ * @param {import('./framePlanner.js').FramePlan} plan - Validated plan
+ * @param {number} frameCount - Frames to generate
+ * @returns {import('./framePlanner.js').FramePlan} The plan
+ * @throws {InvalidInputError} If the plan has another number of frames
+ */
+function checkPlanLength(plan, frameCount) {
+    if (plan.frames.length !== frameCount) {
+        throw new InvalidInputError(`The frame plan has ${plan.frames.length} frames but ${frameCount} are to be generated`);
     }
+    return plan;
+}
 
-    /**
-     * Utility function to add delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+/**
+ * Folder holding the candidates of a frame
+ * @param {string} outputDir - Frames directory
+ * @param {number} frameIndex - Frame index (0-based)
+ * @returns {string} Candidate folder
+ */
+export function getCandidateDir(outputDir, frameIndex) {
+    return path.join(outputDir, 'candidates', `frame_${frameIndex.toString().padStart(2, '0')}`);
 }
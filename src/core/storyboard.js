@@ -0,0 +1,212 @@
+/**
+ * Storyboards for nano Banana GIF Generator
+ * A storyboard is a JSON or YAML file describing a multi-scene animation: every scene has
+ * its own base prompt, reference images, animation type, frame count, per-frame prompt
+ * overrides and per-frame delays. `render <storyboard>` generates each scene as a sequence
+ * and assembles all of them into one GIF, so animations can be kept in version control
+ * instead of long command lines
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import yaml from 'js-yaml';
+import { InvalidInputError } from './errors.js';
+import { detectAnimationType, getAnimationType, getFrameDelays, getPlaybackOrder } from './animationTypes.js';
+
+export const STORYBOARD_FIELDS = ['name', 'width', 'height', 'quality', 'seed', 'loop', 'scenes'];
+
+export const SCENE_FIELDS = ['name', 'prompt', 'references', 'animation', 'frameCount', 'delay', 'prompts', 'delays'];
+
+// Names end up in folder names, so they stay shell- and path-safe
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * @typedef {Object} StoryboardScene
+ * @property {string} name - Scene name, used for its frame folder
+ * @property {string} prompt - Base prompt of the scene
+ * @property {string[]} references - Reference images for the scene's first frame (resolved against the storyboard folder)
+ * @property {string} animationType - Animation type (given, or detected from the prompt)
+ * @property {number} frameCount - Number of frames
+ * @property {number} delay - Delay of frames without their own, in milliseconds
+ * @property {Array<string|null>} prompts - Frame prompt overrides by frame index, null to use the animation type
+ * @property {Array<number|null>} delays - Frame delays by frame index, null to use the type and scene delay
+ */
+
+/**
+ * @typedef {Object} Storyboard
+ * @property {string} name - Storyboard name (defaults to the file name)
+ * @property {string} source - File the storyboard was read from
+ * @property {number} width - GIF width in pixels
+ * @property {number} height - GIF height in pixels
+ * @property {number} quality - GIF quality (1-100)
+ * @property {number|undefined} seed - Seed for providers that support one
+ * @property {boolean} loop - Whether the GIF loops forever or plays once
+ * @property {StoryboardScene[]} scenes - Scenes in playback order
+ */
+
+/**
+ * Read and check a storyboard file
+ * @param {string} filePath - JSON, YAML or YML file
+ * @returns {Storyboard} Storyboard with every default filled in
+ * @throws {InvalidInputError} If the file cannot be read or parsed, or describes an invalid storyboard
+ */
+export function loadStoryboard(filePath) {
+  let content;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    content = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new InvalidInputError(`Cannot read storyboard ${filePath}: ${error.message}`);
+  }
+  return normalizeStoryboard(content, filePath);
+}
+
+/**
+ * Check a storyboard and fill in the optional fields
+ * Reference image paths are resolved against the folder of the storyboard file
+ * @param {Object} content - Parsed storyboard
+ * @param {string} source - File it came from, for error messages and relative paths
+ * @returns {Storyboard} Complete storyboard
+ * @throws {InvalidInputError} Naming the source, the scene and the first problem found
+ */
+export function normalizeStoryboard(content, source) {
+  let where = source;
+  const fail = (problem) => {
+    throw new InvalidInputError(`Invalid storyboard ${where}: ${problem}`);
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+  if (!isObject(content)) fail('expected an object with scenes');
+  const unknown = Object.keys(content).filter(key => !STORYBOARD_FIELDS.includes(key));
+  if (unknown.length > 0) fail(`unknown field(s) ${unknown.join(', ')} (allowed: ${STORYBOARD_FIELDS.join(', ')})`);
+
+  const {
+    name = path.basename(source, path.extname(source)).toLowerCase().replace(/[^a-z0-9_-]+/g, '-'),
+    width = 512,
+    height = 512,
+    quality = 80,
+    seed,
+    loop = true,
+    scenes
+  } = content;
+  if (!NAME_PATTERN.test(name)) fail(`name must be lowercase letters, digits, - and _ (got ${JSON.stringify(name)})`);
+  for (const [field, value] of Object.entries({ width, height })) {
+    if (!isPositiveInteger(value)) fail(`${field} must be a positive number of pixels`);
+  }
+  if (!isPositiveInteger(quality) || quality > 100) fail('quality must be a whole number from 1 to 100');
+  if (seed !== undefined && !Number.isInteger(seed)) fail('seed must be a whole number');
+  if (typeof loop !== 'boolean') fail('loop must be true or false');
+  if (!Array.isArray(scenes) || scenes.length === 0) fail('scenes must be a non-empty list');
+
+  const baseDir = path.dirname(source);
+  const sceneNames = new Set();
+  const normalizedScenes = scenes.map((scene, index) => {
+    where = `${source} (scene ${index + 1})`;
+    if (!isObject(scene)) fail('expected an object with a prompt');
+    const extra = Object.keys(scene).filter(key => !SCENE_FIELDS.includes(key));
+    if (extra.length > 0) fail(`unknown field(s) ${extra.join(', ')} (allowed: ${SCENE_FIELDS.join(', ')})`);
+
+    const sceneName = scene.name ?? `scene-${index + 1}`;
+    if (typeof sceneName !== 'string' || !NAME_PATTERN.test(sceneName)) {
+      fail(`name must be lowercase letters, digits, - and _ (got ${JSON.stringify(sceneName)})`);
+    }
+    if (sceneNames.has(sceneName)) fail(`name ${sceneName} is used by an earlier scene`);
+    sceneNames.add(sceneName);
+    where = `${source} (scene ${index + 1}, ${sceneName})`;
+
+    if (!isText(scene.prompt)) fail('prompt must be a non-empty string');
+
+    const references = scene.references ?? [];
+    if (!Array.isArray(references) || !references.every(isText)) fail('references must be a list of image paths');
+    const referencePaths = references.map(reference => path.resolve(baseDir, reference));
+    referencePaths.forEach((referencePath, i) => {
+      if (!fs.existsSync(referencePath)) fail(`reference image ${references[i]} not found (${referencePath})`);
+    });
+
+    if (scene.animation !== undefined && !isText(scene.animation)) fail('animation must be the name of an animation type');
+    let type;
+    try {
+      type = getAnimationType(scene.animation ?? detectAnimationType(scene.prompt));
+    } catch (error) {
+      fail(error.message);
+    }
+
+    const frameCount = scene.frameCount ?? type.defaults.frameCount;
+    if (!isPositiveInteger(frameCount)) fail('frameCount must be a positive whole number');
+    const delay = scene.delay ?? type.defaults.delay;
+    if (!isPositiveInteger(delay)) fail('delay must be a positive number of milliseconds');
+
+    const prompts = toFrameList(scene.prompts, frameCount, 'prompts', isText, 'a non-empty prompt', fail);
+    const delays = toFrameList(scene.delays, frameCount, 'delays', isPositiveInteger, 'a positive number of milliseconds', fail);
+
+    return {
+      name: sceneName,
+      prompt: scene.prompt.trim(),
+      references: referencePaths,
+      animationType: type.name,
+      frameCount,
+      delay,
+      prompts: prompts.map(prompt => (prompt === null ? null : prompt.trim())),
+      delays
+    };
+  });
+
+  return { name, source, width, height, quality, seed, loop, scenes: normalizedScenes };
+}
+
+/**
+ * Delays of every frame of a scene, in generation order
+ * Frames with an override keep it; the others get their phase delay or the scene delay
+ * @param {StoryboardScene} scene - Scene
+ * @returns {number[]} Delay of each frame in milliseconds
+ */
+export function getSceneDelays(scene) {
+  const typeDelays = getFrameDelays(scene.animationType, scene.frameCount, scene.delay);
+  return typeDelays.map((delay, i) => scene.delays[i] ?? delay);
+}
+
+/**
+ * Lay the frames of all scenes end to end in playback order
+ * Each scene follows the loop mode of its type, so ping-pong scenes play back before the next scene starts
+ * @param {StoryboardScene[]} scenes - Scenes in order
+ * @param {string[][]} sceneFrames - Generated frame paths of each scene, in generation order
+ * @returns {{frames: string[], delays: number[]}} Frames and their delays for the GIF
+ */
+export function getStoryboardTimeline(scenes, sceneFrames) {
+  const frames = [];
+  const delays = [];
+  scenes.forEach((scene, i) => {
+    frames.push(...getPlaybackOrder(scene.animationType, sceneFrames[i]));
+    delays.push(...getPlaybackOrder(scene.animationType, getSceneDelays(scene)));
+  });
+  return { frames, delays };
+}
+
+/**
+ * Turn a mapping of 1-based frame numbers to values into a list by frame index
+ * @param {Object|undefined} mapping - e.g. { 1: 800, 4: 120 }
+ * @param {number} frameCount - Frames in the scene
+ * @param {string} field - Field name, for error messages
+ * @param {Function} isValid - Checks a value
+ * @param {string} expected - What a value must be, for error messages
+ * @param {Function} fail - Throws the error of the storyboard
+ * @returns {Array} One entry per frame, null where the mapping has none
+ */
+function toFrameList(mapping, frameCount, field, isValid, expected, fail) {
+  const list = new Array(frameCount).fill(null);
+  if (mapping === undefined) return list;
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    fail(`${field} must map frame numbers to values, e.g. { 3: ... }`);
+  }
+  for (const [key, value] of Object.entries(mapping)) {
+    const frame = Number(key);
+    if (!Number.isInteger(frame) || frame < 1 || frame > frameCount) {
+      fail(`${field} has frame ${key}, but the scene has frames 1-${frameCount}`);
+    }
+    if (!isValid(value)) fail(`${field} of frame ${frame} must be ${expected}`);
+    list[frame - 1] = value;
+  }
+  return list;
+}
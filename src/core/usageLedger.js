@@ -0,0 +1,217 @@
+/**
+ * Usage ledger for nano Banana GIF Generator
+ * Every model call that reports token usage is appended as one JSON line to a local
+ * ledger (output/usage.jsonl by default), tagged with the model, the CLI command and the
+ * job it ran for. Costs are worked out when the ledger is summarized, from a price table
+ * that can be replaced without rewriting past entries
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { CONFIG } from './config.js';
+import { ENV_CONFIG } from '../config/environment.js';
+import { InvalidInputError } from './errors.js';
+import { logger } from './logger.js';
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Input tokens (text and images sent)
+ * @property {number} outputTokens - All generated tokens, images included
+ * @property {number} imageTokens - Generated tokens that belong to images
+ * @property {number} thoughtsTokens - Thinking tokens, billed as output
+ * @property {number} totalTokens - Total reported by the API
+ * @property {number} [images] - Images returned, for models billed per image (Imagen)
+ */
+
+/**
+ * Read token counts from a Gemini usageMetadata object
+ * @param {Object} usageMetadata - usageMetadata of a response or of the last stream chunk
+ * @returns {TokenUsage|null} Token usage, or null if the response reported none
+ */
+export function extractUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+
+  const imageTokens = (usageMetadata.candidatesTokensDetails ?? [])
+    .filter(detail => detail.modality === 'IMAGE')
+    .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+  const outputTokens = usageMetadata.candidatesTokenCount || 0;
+  const thoughtsTokens = usageMetadata.thoughtsTokenCount || 0;
+
+  return {
+    promptTokens,
+    outputTokens,
+    imageTokens,
+    thoughtsTokens,
+    totalTokens: usageMetadata.totalTokenCount || promptTokens + outputTokens + thoughtsTokens
+  };
+}
+
+/**
+ * Load a price table: the built-in one, or a JSON file of the same shape
+ * ({ "<model prefix>": { input, output, image } } in USD per million tokens, plus perImage
+ * in USD per image for models billed by the image)
+ * @param {string} pricesPath - JSON price file (defaults to USAGE_PRICES, then the built-in table)
+ * @returns {Object} Price table
+ * @throws {InvalidInputError} If the file cannot be read
+ */
+export function loadPriceTable(pricesPath = ENV_CONFIG.USAGE_PRICES) {
+  if (!pricesPath) return CONFIG.modelPrices;
+
+  try {
+    return JSON.parse(fs.readFileSync(pricesPath, 'utf8'));
+  } catch (error) {
+    throw new InvalidInputError(`Cannot read price table ${pricesPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the prices for a model; the longest matching prefix wins, so
+ * "gemini-2.5-flash-image-preview" is priced as "gemini-2.5-flash-image"
+ * @param {string} model - Model name
+ * @param {Object} prices - Price table
+ * @returns {Object|null} Prices, or null for models missing from the table
+ */
+export function findPrices(model, prices) {
+  const key = Object.keys(prices)
+    .filter(prefix => String(model).startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Estimated cost of one ledger entry
+ * Image tokens use the image rate; other output and thinking tokens use the output rate.
+ * Entries with an images count (Imagen) add the perImage price for each image
+ * @param {Object} entry - Ledger entry
+ * @param {Object} prices - Price table
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+export function estimateCost(entry, prices) {
+  const price = findPrices(entry.model, prices);
+  if (!price) return null;
+
+  const textOutput = entry.outputTokens - entry.imageTokens + (entry.thoughtsTokens || 0);
+  return (
+    entry.promptTokens * (price.input || 0) +
+    textOutput * (price.output || 0) +
+    entry.imageTokens * (price.image ?? price.output ?? 0)
+  ) / 1e6 + (entry.images || 0) * (price.perImage || 0);
+}
+
+export class UsageLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {string} options.ledgerPath - JSONL file (defaults to USAGE_LEDGER); 'off' disables recording
+   * @param {Object} options.context - Fields added to every entry (command, jobId)
+   */
+  constructor(options = {}) {
+    this.ledgerPath = options.ledgerPath ?? ENV_CONFIG.USAGE_LEDGER;
+    this.context = { ...options.context };
+  }
+
+  get enabled() {
+    return !!this.ledgerPath && this.ledgerPath !== 'off';
+  }
+
+  /**
+   * Set fields recorded with every following entry, e.g. the CLI command being run
+   * @param {Object} context - Context fields (command, jobId)
+   */
+  setContext(context) {
+    this.context = { ...this.context, ...context };
+  }
+
+  /**
+   * Append one model call
+   * The call has already been paid for, so a ledger that cannot be written (read-only folder,
+   * full disk) only logs a warning instead of failing the command
+   * @param {Object} entry - provider, model and TokenUsage fields; jobId and command override the context
+   * @returns {Object|null} Written entry, or null when the ledger is off or could not be written
+   */
+  record(entry) {
+    if (!this.enabled) return null;
+
+    const line = {
+      timestamp: new Date().toISOString(),
+      command: this.context.command ?? null,
+      jobId: this.context.jobId ?? null,
+      ...entry
+    };
+    try {
+      fs.mkdirSync(path.dirname(this.ledgerPath), { recursive: true });
+      fs.appendFileSync(this.ledgerPath, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      logger.warning(`Could not write the usage ledger ${this.ledgerPath}: ${error.message}`);
+      return null;
+    }
+    return line;
+  }
+
+  /**
+   * Read the ledger, skipping lines that do not parse (e.g. a write cut short)
+   * @param {Object} options - Filters
+   * @param {string} options.since - Only entries on or after this date (YYYY-MM-DD or ISO timestamp)
+   * @returns {Object[]} Entries, oldest first
+   */
+  read(options = {}) {
+    if (!this.enabled || !fs.existsSync(this.ledgerPath)) return [];
+
+    const since = options.since ? new Date(options.since) : null;
+    if (since && isNaN(since)) {
+      throw new InvalidInputError(`Invalid date: ${options.since}`);
+    }
+
+    return fs.readFileSync(this.ledgerPath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      })
+      .filter(entry => !since || new Date(entry.timestamp) >= since);
+  }
+
+  /**
+   * Totals by day, command and model
+   * @param {Object[]} entries - Ledger entries (see read)
+   * @param {Object} prices - Price table (see loadPriceTable)
+   * @returns {{total: Object, byDay: Object, byCommand: Object, byModel: Object, unpriced: string[]}}
+   *   Each total holds calls, token counts and cost in USD; unpriced lists models without a price
+   */
+  summarize(entries, prices = loadPriceTable()) {
+    const emptyTotal = () => ({ calls: 0, promptTokens: 0, outputTokens: 0, imageTokens: 0, totalTokens: 0, cost: 0 });
+    const summary = { total: emptyTotal(), byDay: {}, byCommand: {}, byModel: {}, unpriced: [] };
+
+    for (const entry of entries) {
+      const cost = estimateCost(entry, prices);
+      if (cost === null && !summary.unpriced.includes(entry.model)) {
+        summary.unpriced.push(entry.model);
+      }
+
+      const groups = [
+        summary.total,
+        summary.byDay[entry.timestamp.substring(0, 10)] ??= emptyTotal(),
+        summary.byCommand[entry.command || 'unknown'] ??= emptyTotal(),
+        summary.byModel[entry.model] ??= emptyTotal()
+      ];
+      for (const group of groups) {
+        group.calls++;
+        group.promptTokens += entry.promptTokens;
+        group.outputTokens += entry.outputTokens;
+        group.imageTokens += entry.imageTokens;
+        group.totalTokens += entry.totalTokens;
+        group.cost += cost ?? 0;
+      }
+    }
+    return summary;
+  }
+}
+
+// Ledger shared by every provider in the process
+export const usageLedger = new UsageLedger();
+
+export default UsageLedger;
@@ -3,18 +3,52 @@
  * Enhanced with Gemini Image Understanding capabilities
  * Supports comprehensive image generation, editing, and analysis features
  * Based on Gemini API documentation: https://ai.google.dev/gemini-api/docs/image-generation
+ * Model calls go through a pluggable image provider (Gemini by default, see src/providers)
  */
 
-import { GoogleGenAI } from "@google/genai";
 import * as fs from "node:fs";
 import * as path from "node:path";
+import { DEFAULT_PROVIDER, getProviderService, resolveProvider } from "../providers/index.js";
+import { InvalidInputError, EmptyResponseError } from "../core/errors.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { RefinementSession } from "../core/refinementSession.js";
+import { ResponseCache } from "../core/responseCache.js";
+import { normalizeImage } from "../utils/imagePreprocessor.js";
+import { FileUtils } from "../utils/fileUtils.js";
+import { createFramePrompt, detectAnimationType, getAnimationType } from "../core/animationTypes.js";
+import { ENV_CONFIG } from "../config/environment.js";
+import {
+    DETECTION_SCHEMA,
+    SEGMENTATION_SCHEMA,
+    parseJsonResponse,
+    toDetection,
+    getImageSize,
+    decodeMask,
+    writeMaskPng,
+    writeCutout
+} from "../utils/visionUtils.js";
 
 export class NanoBananaIntegration {
-    constructor(apiKey) {
-        this.ai = new GoogleGenAI({
-            apiKey: apiKey,
-        });
-        this.supportedImageFormats = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+    /**
+     * @param {string} apiKey - Google API key (used by the Gemini provider)
+     * @param {Object} options - Integration options
+     * @param {string|ImageProvider} options.provider - Provider name (gemini, openai, stability, local, mock) or instance
+     * @param {string} options.recordMode - Gemini record/replay mode (off, record, replay)
+     * @param {string} options.fixturesDir - Fixture directory for record/replay
+     * @param {number} options.requestsPerMinute - Rate limit for model calls (defaults to REQUESTS_PER_MINUTE)
+     * @param {boolean|ResponseCache} options.cache - Answer repeated generate/analyze/text calls from the response cache
+     * @param {number} options.maxInputEdge - Downscale input images to this longest edge, 0 for no limit (defaults to INPUT_MAX_EDGE)
+     */
+    constructor(apiKey, options = {}) {
+        const { provider = DEFAULT_PROVIDER, recordMode, fixturesDir, requestsPerMinute, cache = false, maxInputEdge = ENV_CONFIG.INPUT_MAX_EDGE } = options;
+
+        // apiKey is the Google key; other providers read their own key from the environment
+        const providerOptions = typeof provider === "string" && getProviderService(provider) === "google"
+            ? { apiKey, recordMode, fixturesDir, requestsPerMinute }
+            : { requestsPerMinute };
+        this.provider = resolveProvider(provider, providerOptions);
+        this.cache = cache === true ? new ResponseCache() : cache || null;
+        this.maxInputEdge = maxInputEdge;
         
         // Supported aspect ratios from Gemini API documentation
         this.supportedAspectRatios = {
@@ -34,7 +68,8 @@ export class NanoBananaIntegration {
         this.models = {
             'gemini-2.5-flash-image': 'Default recommendation for flexibility and contextual understanding',
             'imagen-4': 'Specialized for photorealistic images and advanced typography',
-            'imagen-4-ultra': 'Best image quality for advanced use cases'
+            'imagen-4-ultra': 'Best image quality for advanced use cases',
+            'imagen-4-fast': 'Fastest and cheapest Imagen model'
         };
     }
 
@@ -51,7 +86,11 @@ export class NanoBananaIntegration {
      * @param {string} options.responseModalities - Response modalities (Image, Text, or both)
      * @param {boolean} options.iterative - Enable iterative refinement
      * @param {string} options.previousImagePath - Path to previous image for iterative refinement
-     * @returns {Promise<Object>} Generation result with image path and metadata
+     * @param {number} options.numberOfImages - Images to generate (Imagen models, 1-4)
+     * @param {string} options.negativePrompt - What the images should not contain (Imagen on Vertex AI)
+     * @param {string} options.personGeneration - dont_allow, allow_adult or allow_all (Imagen models)
+     * @param {boolean} options.cache - Set to false to skip the response cache for this call
+     * @returns {Promise<Object>} Generation result with image path and metadata (cached is true when no model call was made)
      */
     async generateImage(prompt, options = {}) {
         try {
@@ -66,114 +105,109 @@ export class NanoBananaIntegration {
                 previousImagePath = null
             } = options;
 
-            console.log(`🍌 Generating image with ${model}...`);
+            console.log(`🍌 Generating image with ${model} (${this.provider.name} provider)...`);
             console.log(`📝 Prompt: ${prompt}`);
             console.log(`📐 Aspect Ratio: ${aspectRatio}`);
             console.log(`🔄 Iterative: ${iterative}`);
 
             // Validate aspect ratio
             if (!this.supportedAspectRatios[aspectRatio]) {
-                throw new Error(`Unsupported aspect ratio: ${aspectRatio}. Supported: ${Object.keys(this.supportedAspectRatios).join(', ')}`);
+                throw new InvalidInputError(`Unsupported aspect ratio: ${aspectRatio}. Supported: ${Object.keys(this.supportedAspectRatios).join(', ')}`);
             }
 
-            let contents = [];
+            const imagePaths = [];
             
             // Add reference image if provided (for image editing)
             if (referenceImagePath && fs.existsSync(referenceImagePath)) {
                 console.log(`🖼️ Using reference image: ${referenceImagePath}`);
-                const base64Image = fs.readFileSync(referenceImagePath, { encoding: "base64" });
-                const mimeType = this.getMimeType(referenceImagePath);
-                
-                contents.push({
-                    inlineData: {
-                        mimeType: mimeType,
-                        data: base64Image,
-                    },
-                });
+                imagePaths.push(referenceImagePath);
             }
 
             // Add additional images for multi-image composition
             for (const imagePath of additionalImages) {
                 if (fs.existsSync(imagePath)) {
                     console.log(`🖼️ Adding composition image: ${imagePath}`);
-                    const base64Image = fs.readFileSync(imagePath, { encoding: "base64" });
-                    const mimeType = this.getMimeType(imagePath);
-                    
-                    contents.push({
-                        inlineData: {
-                            mimeType: mimeType,
-                            data: base64Image,
-                        },
-                    });
+                    imagePaths.push(imagePath);
                 }
             }
 
             // Add previous image for iterative refinement
             if (iterative && previousImagePath && fs.existsSync(previousImagePath)) {
                 console.log(`🔄 Using previous image for iterative refinement: ${previousImagePath}`);
-                const base64Image = fs.readFileSync(previousImagePath, { encoding: "base64" });
-                const mimeType = this.getMimeType(previousImagePath);
-                
-                contents.push({
-                    inlineData: {
-                        mimeType: mimeType,
-                        data: base64Image,
-                    },
-                });
+                imagePaths.push(previousImagePath);
+            }
+            const inputPaths = await this.prepareInputImages(imagePaths);
+
+            // Frame fields and the seed change what offline providers draw, so they are part of the key;
+            // so is the effective model, so a new default model is not answered from the cache
+            const cacheKey = this.getCacheKey('generate', prompt, inputPaths, {
+                model: this.provider.resolveModel(model),
+                aspectRatio,
+                responseModalities,
+                numberOfImages: options.numberOfImages,
+                negativePrompt: options.negativePrompt,
+                personGeneration: options.personGeneration,
+                seed: options.seed,
+                basePrompt: options.basePrompt,
+                frameIndex: options.frameIndex,
+                totalFrames: options.totalFrames,
+                candidateIndex: options.candidateIndex
+            }, options);
+            const cached = cacheKey ? this.cache.get(cacheKey) : null;
+
+            // Pick the provider operation from the number of input images
+            const providerOptions = { ...options, model, aspectRatio, responseModalities };
+            let result;
+            if (cached) {
+                console.log(`♻️ Reusing cached result ${cacheKey.substring(0, 12)} (no model call)`);
+                result = { images: cached.images, text: cached.text, model: cached.model, usage: null };
+            } else if (inputPaths.length === 0) {
+                result = await this.provider.generate(prompt, providerOptions);
+            } else if (inputPaths.length === 1) {
+                result = await this.provider.edit(inputPaths[0], prompt, providerOptions);
+            } else {
+                result = await this.provider.compose(inputPaths, prompt, providerOptions);
             }
 
-            // Add text prompt
-            contents.push({ text: prompt });
-
-            // Configure generation parameters
-            const config = {
-                imageConfig: {
-                    aspectRatio: aspectRatio
-                },
-                responseModalities: responseModalities
-            };
-
-            console.log(`🔧 Using model: ${model}`);
-            console.log(`⚙️ Config:`, JSON.stringify(config, null, 2));
-
-            // Generate content using the enhanced API
-            const response = await this.ai.models.generateContent({
-                model: model,
-                contents: contents,
-                config: config
-            });
+            if (result.text) {
+                console.log(`📄 Generated description: ${result.text}`);
+            }
 
-            // Process the response
-            const parts = response?.candidates?.[0]?.content?.parts ?? [];
-            let savedImagePath = null;
-            let generatedText = null;
-            
-            for (const part of parts) {
-                if (part.text) {
-                    generatedText = part.text;
-                    console.log(`📄 Generated description: ${part.text}`);
-                } else if (part.inlineData?.data) {
-                    const mime = part.inlineData.mimeType || "image/png";
-                    const ext = mime.split("/")[1] || "png";
-                    const finalOutputPath = outputPath || path.resolve(`output/images/generated_image_${Date.now()}.${ext}`);
-                    
-                    fs.writeFileSync(finalOutputPath, Buffer.from(part.inlineData.data, "base64"));
-                    console.log(`✅ Image saved: ${finalOutputPath}`);
-                    savedImagePath = finalOutputPath;
-                }
+            if (result.images.length === 0) {
+                throw new EmptyResponseError(`No image data found in ${this.provider.name} response`, {
+                    explanation: result.text
+                });
             }
 
-            if (!savedImagePath) {
-                throw new Error("No image data found in response");
+            if (cacheKey && !cached) {
+                this.cache.set(cacheKey, { text: result.text, model: result.model || model, images: result.images });
             }
 
+            // A single image keeps the requested path; several (Imagen numberOfImages) get an index suffix
+            const basePath = outputPath
+                ? outputPath.replace(/\.[^./\\]+$/, '')
+                : path.resolve(`output/images/generated_image_${Date.now()}`);
+            const savedImagePaths = result.images.map((image, index) => {
+                const ext = image.mimeType.split('/')[1] || 'png';
+                const imagePath = result.images.length === 1 && outputPath ? outputPath : `${basePath}${result.images.length > 1 ? `_${index}` : ''}.${ext}`;
+                fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+                fs.writeFileSync(imagePath, image.data);
+                console.log(`✅ Image saved: ${imagePath}`);
+                return imagePath;
+            });
+
             return {
-                imagePath: savedImagePath,
-                text: generatedText,
-                model: model,
+                imagePath: savedImagePaths[0],
+                imagePaths: savedImagePaths,
+                text: result.text,
+                model: result.model || model,
+                provider: this.provider.name,
                 aspectRatio: aspectRatio,
                 resolution: this.supportedAspectRatios[aspectRatio].resolution,
-                tokens: this.supportedAspectRatios[aspectRatio].tokens
+                // Reported by the API; null for providers that do not report usage and for cache hits
+                tokens: result.usage?.totalTokens ?? null,
+                usage: result.usage ?? null,
+                cached: !!cached
             };
             
         } catch (error) {
@@ -182,6 +216,72 @@ export class NanoBananaIntegration {
         }
     }
 
+    /**
+     * Streaming variant of generateImage
+     * Yields progress events while the model is still generating, saving each image as soon
+     * as it arrives:
+     * - { type: 'text', text } for every text chunk
+     * - { type: 'image', index, imagePath, mimeType, bytes } for every image part
+     * - { type: 'done', result } with the same fields as generateImage plus imagePaths
+     * A safety block reported by any chunk ends the stream with a SafetyBlockedError
+     * @param {string} prompt - Text prompt for image generation
+     * @param {Object} options - Same options as generateImage; responseModalities defaults to Text and Image
+     * @returns {AsyncGenerator<Object>} Stream events
+     */
+    async *generateImageStream(prompt, options = {}) {
+        const {
+            referenceImagePath = null,
+            additionalImages = [],
+            outputPath = null,
+            model = 'gemini-2.5-flash-image',
+            aspectRatio = '1:1',
+            responseModalities = ['Text', 'Image']
+        } = options;
+
+        console.log(`🍌 Streaming image generation with ${model} (${this.provider.name} provider)...`);
+        console.log(`📝 Prompt: ${prompt}`);
+
+        if (!this.supportedAspectRatios[aspectRatio]) {
+            throw new InvalidInputError(`Unsupported aspect ratio: ${aspectRatio}. Supported: ${Object.keys(this.supportedAspectRatios).join(', ')}`);
+        }
+
+        const imagePaths = await this.prepareInputImages([referenceImagePath, ...additionalImages].filter(imagePath => imagePath && fs.existsSync(imagePath)));
+        const basePath = outputPath
+            ? outputPath.replace(/\.[^./\\]+$/, '')
+            : path.resolve(`output/images/generated_image_${Date.now()}`);
+        const savedPaths = [];
+
+        const events = this.provider.stream(imagePaths, prompt, { ...options, model, aspectRatio, responseModalities });
+        for await (const event of events) {
+            if (event.type === 'image') {
+                const ext = event.image.mimeType.split('/')[1] || 'png';
+                // The first image keeps the requested path; later ones get a numeric suffix
+                const imagePath = event.index === 0 && outputPath ? outputPath : `${basePath}${event.index > 0 ? `_${event.index}` : ''}.${ext}`;
+                fs.mkdirSync(path.dirname(imagePath), { recursive: true });
+                fs.writeFileSync(imagePath, event.image.data);
+                savedPaths.push(imagePath);
+                yield { type: 'image', index: event.index, imagePath, mimeType: event.image.mimeType, bytes: event.image.data.length };
+            } else if (event.type === 'text') {
+                yield event;
+            } else if (event.type === 'done') {
+                yield {
+                    type: 'done',
+                    result: {
+                        imagePath: savedPaths[0],
+                        imagePaths: savedPaths,
+                        text: event.result.text,
+                        model: event.result.model || model,
+                        provider: this.provider.name,
+                        aspectRatio,
+                        resolution: this.supportedAspectRatios[aspectRatio].resolution,
+                        tokens: event.result.usage?.totalTokens ?? null,
+                        usage: event.result.usage ?? null
+                    }
+                };
+            }
+        }
+    }
+
     /**
      * Text-to-Image Generation
      * Generate high-quality images from simple or complex text descriptions
@@ -281,12 +381,18 @@ export class NanoBananaIntegration {
 
     /**
      * Generate images with Imagen model for specialized tasks
+     * Imagen is called through generateImages; every returned image is saved (see imagePaths)
      * @param {string} prompt - Text prompt for image generation
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options (numberOfImages, negativePrompt, personGeneration, seed, ...)
+     * @param {string} options.imagenVersion - 4, ultra or fast
      * @returns {Promise<Object>} Generation result
      */
     async generateWithImagen(prompt, options = {}) {
-        const model = options.imagenVersion === 'ultra' ? 'imagen-4-ultra' : 'imagen-4';
+        const versions = { '4': 'imagen-4', ultra: 'imagen-4-ultra', fast: 'imagen-4-fast' };
+        const model = versions[options.imagenVersion || '4'];
+        if (!model) {
+            throw new InvalidInputError(`Unknown Imagen version: ${options.imagenVersion} (use 4, ultra or fast)`);
+        }
         return await this.generateImage(prompt, {
             ...options,
             model: model
@@ -298,147 +404,78 @@ export class NanoBananaIntegration {
      * @param {string} basePrompt - Base prompt for the animation
      * @param {number} frameCount - Number of frames to generate
      * @param {string} outputDir - Directory to save frames
-     * @returns {Promise<string[]>} Array of generated image paths
+     * @param {Object} options - Generation options; options.concurrency limits parallel frames (default FRAME_CONCURRENCY)
+     *   and options.animationType picks the animation type (detected from the prompt by default)
+     * @returns {Promise<string[]>} Array of generated image paths, in frame order
      */
     async generateAnimationFrames(basePrompt, frameCount, outputDir = './output/frames', options = {}) {
-        const framePaths = [];
+        const { concurrency = ENV_CONFIG.FRAME_CONCURRENCY, animationType = detectAnimationType(basePrompt), ...generateOptions } = options;
+        getAnimationType(animationType);
         
         // Ensure output directory exists
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
         
-        for (let i = 0; i < frameCount; i++) {
-            const progress = i / (frameCount - 1);
-            const framePrompt = this.createFramePrompt(basePrompt, i, frameCount, progress);
+        // Frames are independent text-to-image calls, so they can run in parallel
+        const frameIndexes = Array.from({ length: frameCount }, (_, i) => i);
+        return await mapWithConcurrency(frameIndexes, concurrency, async (i) => {
+            const framePrompt = createFramePrompt(basePrompt, animationType, i, frameCount);
             const outputPath = path.join(outputDir, `frame_${String(i).padStart(3, '0')}_${Date.now()}.png`);
             
             try {
                 const result = await this.generateImage(framePrompt, {
-                    ...options,
-                    outputPath: outputPath
+                    ...generateOptions,
+                    outputPath: outputPath,
+                    frameIndex: i,
+                    totalFrames: frameCount
                 });
-                framePaths.push(result.imagePath);
                 console.log(`✅ Generated frame ${i + 1}/${frameCount}: ${result.imagePath}`);
+                return result.imagePath;
             } catch (error) {
                 console.error(`❌ Error generating frame ${i + 1}: ${error.message}`);
                 throw error;
             }
-        }
-        
-        return framePaths;
-    }
-
-    /**
-     * Create a frame-specific prompt for animation
-     * @param {string} basePrompt - Base prompt
-     * @param {number} frameIndex - Current frame index
-     * @param {number} totalFrames - Total number of frames
-     * @param {number} progress - Animation progress (0-1)
-     * @returns {string} Frame-specific prompt
-     */
-    createFramePrompt(basePrompt, frameIndex, totalFrames, progress) {
-        const progressPercent = Math.round(progress * 100);
-        
-        // Detect animation type
-        const animationType = this.detectAnimationType(basePrompt);
-        
-        switch (animationType) {
-            case 'walking':
-                const walkCycle = ['left foot forward', 'mid-stride', 'right foot forward', 'mid-stride'];
-                const walkPhase = walkCycle[frameIndex % walkCycle.length];
-                return `${basePrompt}, ${walkPhase}, step ${frameIndex + 1} of walking cycle, consistent character and background`;
-                
-            case 'flying':
-                const flyPositions = ['wings up', 'wings mid-flap', 'wings down', 'wings mid-flap'];
-                const flyPhase = flyPositions[frameIndex % flyPositions.length];
-                return `${basePrompt}, ${flyPhase}, flight position ${frameIndex + 1}, same character and environment`;
-                
-            case 'dancing':
-                const dancePositions = ['arms up', 'arms to side', 'arms down', 'arms crossed'];
-                const dancePhase = dancePositions[frameIndex % dancePositions.length];
-                return `${basePrompt}, ${dancePhase}, dance pose ${frameIndex + 1}, same dancer and setting`;
-                
-            case 'transformation':
-                if (frameIndex === 0) {
-                    return `${basePrompt}, initial state, beginning of transformation`;
-                } else if (frameIndex === totalFrames - 1) {
-                    return `${basePrompt}, final state, transformation complete`;
-                } else {
-                    return `${basePrompt}, ${progressPercent}% transformed, mid-transformation stage ${frameIndex}`;
-                }
-                
-            default:
-                const positions = ['center position', 'slightly left', 'slightly right', 'back to center'];
-                const position = positions[frameIndex % positions.length];
-                return `${basePrompt}, ${position}, frame ${frameIndex + 1} of ${totalFrames}, consistent scene and lighting`;
-        }
-    }
-
-    /**
-     * Detect animation type from prompt
-     * @param {string} prompt - The prompt to analyze
-     * @returns {string} Animation type
-     */
-    detectAnimationType(prompt) {
-        const lowerPrompt = prompt.toLowerCase();
-        
-        if (lowerPrompt.includes('walk') || lowerPrompt.includes('running') || lowerPrompt.includes('moving')) {
-            return 'walking';
-        } else if (lowerPrompt.includes('fly') || lowerPrompt.includes('flying') || lowerPrompt.includes('soar')) {
-            return 'flying';
-        } else if (lowerPrompt.includes('dance') || lowerPrompt.includes('dancing')) {
-            return 'dancing';
-        } else if (lowerPrompt.includes('grow') || lowerPrompt.includes('bloom') || lowerPrompt.includes('transform')) {
-            return 'transformation';
-        } else {
-            return 'general';
-        }
+        });
     }
 
     /**
      * Analyze an image using Gemini's image understanding capabilities
      * @param {string} imagePath - Path to the image to analyze
      * @param {string} prompt - Analysis prompt (e.g., "Caption this image", "What objects do you see?")
+     * @param {Object} options - Analysis options passed to the provider (e.g. model, responseSchema);
+     *   cache: false skips the response cache for this call
      * @returns {Promise<string>} Analysis result
      */
-    async analyzeImage(imagePath, prompt = "Analyze this image and describe what you see") {
+    async analyzeImage(imagePath, prompt = "Analyze this image and describe what you see", options = {}) {
         try {
-            console.log(`🔍 Analyzing image with Gemini image understanding...`);
+            console.log(`🔍 Analyzing image with ${this.provider.name} image understanding...`);
             console.log(`📝 Prompt: ${prompt}`);
             console.log(`🖼️ Image: ${imagePath}`);
 
             if (!fs.existsSync(imagePath)) {
-                throw new Error(`Image file not found: ${imagePath}`);
+                throw new InvalidInputError(`Image file not found: ${imagePath}`);
             }
 
-            const base64Image = fs.readFileSync(imagePath, { encoding: "base64" });
-            const mimeType = this.getMimeType(imagePath);
-
-            if (!this.supportedImageFormats.includes(mimeType)) {
-                throw new Error(`Unsupported image format: ${mimeType}. Supported formats: ${this.supportedImageFormats.join(', ')}`);
+            const [inputPath] = await this.prepareInputImages([imagePath]);
+
+            // The effective model is part of the key, so a new default model is not answered from the cache
+            const model = this.provider.resolveAnalysisModel(options.model);
+            const cacheKey = this.getCacheKey('analyze', prompt, [inputPath], {
+                model,
+                responseSchema: options.responseSchema
+            }, options);
+            const cached = cacheKey ? this.cache.get(cacheKey) : null;
+            if (cached) {
+                console.log(`♻️ Reusing cached analysis ${cacheKey.substring(0, 12)} (no model call)`);
+                return cached.text;
             }
 
-            const contents = [
-                {
-                    inlineData: {
-                        mimeType: mimeType,
-                        data: base64Image,
-                    },
-                },
-                { text: prompt },
-            ];
-
-            const modelName = process.env.GOOGLE_MODEL || "gemini-2.5-flash";
-            console.log(`🔧 Using model: ${modelName}`);
-
-            const response = await this.ai.models.generateContent({
-                model: modelName,
-                contents: contents,
-            });
-
-            const analysisResult = response.text || "No analysis result found";
+            const analysisResult = await this.provider.analyze(inputPath, prompt, options);
             console.log(`✅ Analysis completed: ${analysisResult}`);
+            if (cacheKey) {
+                this.cache.set(cacheKey, { text: analysisResult, model });
+            }
             
             return analysisResult;
 
@@ -449,13 +486,157 @@ export class NanoBananaIntegration {
     }
 
     /**
-     * Perform object detection on an image
+     * Generate text without input images (e.g. a frame plan before any frame is drawn)
+     * @param {string} prompt - Text prompt
+     * @param {Object} options - Options passed to the provider (e.g. model, responseSchema);
+     *   cache: false skips the response cache for this call
+     * @returns {Promise<string>} Response text
+     * @throws {InvalidInputError} If the provider cannot generate text
+     */
+    async generateText(prompt, options = {}) {
+        if (!this.provider.supports('text')) {
+            throw this.provider.unsupported('text');
+        }
+
+        // As for analyses, the effective model is part of the key
+        const model = this.provider.resolveAnalysisModel(options.model);
+        const cacheKey = this.getCacheKey('text', prompt, [], {
+            model,
+            responseSchema: options.responseSchema
+        }, options);
+        const cached = cacheKey ? this.cache.get(cacheKey) : null;
+        if (cached) {
+            console.log(`♻️ Reusing cached text ${cacheKey.substring(0, 12)} (no model call)`);
+            return cached.text;
+        }
+
+        const text = await this.provider.generateText(prompt, options);
+        if (cacheKey) {
+            this.cache.set(cacheKey, { text, model });
+        }
+        return text;
+    }
+
+    /**
+     * Convert input images into what the provider accepts before they are sent
+     * (format sniffed from the bytes, EXIF orientation, longest edge, transparency; see imagePreprocessor.js).
+     * Providers without input requirements get the images unchanged
+     * @param {string[]} imagePaths - Input images
+     * @returns {Promise<string[]>} Images to send, in the same order
+     */
+    async prepareInputImages(imagePaths) {
+        const requirements = this.provider.inputRequirements;
+        if (!requirements) {
+            return imagePaths;
+        }
+
+        return await Promise.all(imagePaths.map(async (imagePath) => {
+            const normalized = await normalizeImage(imagePath, { ...requirements, maxEdge: this.maxInputEdge });
+            if (normalized.changed) {
+                console.log(`🪄 Converted ${path.basename(imagePath)} to ${normalized.mimeType} (${normalized.reasons.join(', ')})`);
+            }
+            return normalized.path;
+        }));
+    }
+
+    /**
+     * Response cache key of a call, or null when the call must reach the model
+     * (cache off, or cache: false in the call options)
+     * @param {string} operation - generate, analyze or text
+     * @param {string} prompt - Prompt sent
+     * @param {string[]} imagePaths - Input images, in prompt order
+     * @param {Object} config - Settings that change the output
+     * @param {Object} options - Call options
+     * @returns {string|null} Cache key
+     */
+    getCacheKey(operation, prompt, imagePaths, config, options) {
+        if (!this.cache || options.cache === false) return null;
+        return this.cache.getKey({ operation, provider: this.provider.name, model: config.model ?? null, config, prompt, images: imagePaths });
+    }
+
+    /**
+     * Detect objects with labelled bounding boxes
+     * The model answers with box_2d ([ymin, xmin, ymax, xmax] on a 0-1000 grid) through a
+     * JSON response schema; boxes are returned as fractions of the image size and in pixels
      * @param {string} imagePath - Path to the image
-     * @returns {Promise<Object>} Object detection results
+     * @param {Object} options - Detection options
+     * @param {string[]} options.labels - Only look for these objects (default: all prominent objects)
+     * @param {number} options.maxObjects - Maximum number of detections (default 25)
+     * @param {string} options.model - Analysis model override
+     * @returns {Promise<Object>} { imagePath, width, height, objects: Detection[] }
      */
-    async detectObjects(imagePath) {
-        const prompt = "Identify and describe all objects in this image. Provide a detailed list with their locations and characteristics.";
-        return await this.analyzeImage(imagePath, prompt);
+    async detectObjects(imagePath, options = {}) {
+        const { labels = [], maxObjects = 25 } = options;
+        const focus = labels.length > 0
+            ? `Detect only these objects: ${labels.join(', ')}.`
+            : 'Detect all prominent objects.';
+        const prompt = `${focus} Return a JSON array with at most ${maxObjects} items. ` +
+            'Each item has a short "label", a "confidence" between 0 and 1, and "box_2d" as ' +
+            '[ymin, xmin, ymax, xmax] normalized to 0-1000. Use distinct labels for distinct instances.';
+
+        const text = await this.analyzeImage(imagePath, prompt, { model: options.model, responseSchema: DETECTION_SCHEMA });
+        const parsed = parseJsonResponse(text);
+        // JSON modes that only allow objects wrap the array (e.g. { "objects": [...] })
+        const items = Array.isArray(parsed) ? parsed : Object.values(parsed ?? {}).find(Array.isArray) ?? [];
+
+        const { width, height } = await getImageSize(imagePath);
+        const objects = items
+            .map(item => toDetection(item, width, height))
+            .filter(Boolean)
+            .slice(0, maxObjects);
+
+        console.log(`🎯 Detected ${objects.length} object(s)`);
+        return { imagePath, width, height, objects };
+    }
+
+    /**
+     * Segment objects into full-resolution PNG masks
+     * The model returns box_2d plus a base64 probability mask for each box; masks are
+     * thresholded and written at image size (white = object) so they can serve as alpha
+     * channels for background removal or masked editing
+     * @param {string} imagePath - Path to the image
+     * @param {string[]} labels - Objects to segment (default: all prominent objects)
+     * @param {Object} options - Segmentation options
+     * @param {string} options.outputDir - Where masks are written (default ./output/masks/<image>_<timestamp>)
+     * @param {boolean} options.cutout - Also write each object cut out on a transparent background
+     * @param {string} options.model - Analysis model override
+     * @returns {Promise<Object>} { imagePath, width, height, outputDir, objects: [Detection & { maskPath, cutoutPath, area }] }
+     */
+    async segmentObjects(imagePath, labels = [], options = {}) {
+        const baseName = path.basename(imagePath, path.extname(imagePath));
+        const { outputDir = path.join('./output/masks', `${baseName}_${Date.now()}`), cutout = false } = options;
+        const focus = labels.length > 0
+            ? `Give the segmentation masks for these objects: ${labels.join(', ')}.`
+            : 'Give the segmentation masks for all prominent objects.';
+        const prompt = `${focus} Return a JSON array where each entry has the 2D bounding box in "box_2d" ` +
+            '([ymin, xmin, ymax, xmax] normalized to 0-1000), the segmentation mask in "mask" as a base64 PNG ' +
+            'covering the box, and the text label in "label". Use distinct labels for distinct instances.';
+
+        const text = await this.analyzeImage(imagePath, prompt, { model: options.model, responseSchema: SEGMENTATION_SCHEMA });
+        const parsed = parseJsonResponse(text);
+        const items = Array.isArray(parsed) ? parsed : Object.values(parsed ?? {}).find(Array.isArray) ?? [];
+        const { width, height } = await getImageSize(imagePath);
+
+        const objects = [];
+        for (const item of items) {
+            const detection = toDetection(item, width, height);
+            if (!detection || !item.mask) continue;
+
+            const { mask, area } = await decodeMask(item.mask, detection.pixelBox, width, height);
+            const name = `${String(objects.length).padStart(2, '0')}_${detection.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+            const object = {
+                ...detection,
+                area,
+                maskPath: await writeMaskPng(mask, width, height, path.join(outputDir, `${name}_mask.png`))
+            };
+            if (cutout) {
+                object.cutoutPath = await writeCutout(imagePath, mask, path.join(outputDir, `${name}_cutout.png`));
+            }
+            objects.push(object);
+        }
+
+        console.log(`✂️ Segmented ${objects.length} object(s) into ${outputDir}`);
+        return { imagePath, width, height, outputDir, objects };
     }
 
     /**
@@ -501,12 +682,10 @@ export class NanoBananaIntegration {
             console.log(`🖼️ Reference image: ${referenceImagePath}`);
 
             if (!fs.existsSync(referenceImagePath)) {
-                throw new Error(`Reference image file not found: ${referenceImagePath}`);
+                throw new InvalidInputError(`Reference image file not found: ${referenceImagePath}`);
             }
 
-            const enhancedPrompt = `Transform this image with the following style: ${stylePrompt}. Maintain the main subject but apply the new style.`;
-            
-            return await this.imageEditing(referenceImagePath, enhancedPrompt, {
+            return await this.imageEditing(referenceImagePath, this.createStyleTransferPrompt(stylePrompt), {
                 ...options,
                 outputPath: outputPath
             });
@@ -517,103 +696,79 @@ export class NanoBananaIntegration {
         }
     }
 
+    /**
+     * Wrap a style description into the editing prompt sent by imageToImageGeneration
+     * @param {string} stylePrompt - Style description
+     * @returns {string} Editing prompt
+     */
+    createStyleTransferPrompt(stylePrompt) {
+        return `Transform this image with the following style: ${stylePrompt}. Maintain the main subject but apply the new style.`;
+    }
+
+    /**
+     * Describe the model calls generateStyleAnimationFrames would make, without making them
+     * @param {{width: number, height: number}} referenceSize - Size of the reference image, sent with every frame
+     * @param {string} animationPrompt - Animation description
+     * @param {number} frameCount - Number of frames
+     * @param {string} animationType - Animation type (detected from the prompt by default)
+     * @returns {Array<{frameIndex: number, prompt: string, inputImages: Array<{width: number, height: number}>}>} One entry per frame
+     */
+    planStyleAnimationFrames(referenceSize, animationPrompt, frameCount, animationType = detectAnimationType(animationPrompt)) {
+        return Array.from({ length: frameCount }, (_, i) => ({
+            frameIndex: i,
+            prompt: this.createStyleTransferPrompt(createFramePrompt(animationPrompt, animationType, i, frameCount)),
+            inputImages: [referenceSize]
+        }));
+    }
+
     /**
      * Create animation frames from a reference image with different styles
      * @param {string} referenceImagePath - Path to the reference image
      * @param {string} animationPrompt - Animation description
      * @param {number} frameCount - Number of frames to generate
      * @param {string} outputDir - Directory to save frames
-     * @returns {Promise<string[]>} Array of generated image paths
+     * @param {Object} options - Generation options; options.concurrency limits parallel frames (default FRAME_CONCURRENCY)
+     *   and options.animationType picks the animation type (detected from the prompt by default)
+     * @returns {Promise<string[]>} Array of generated image paths, in frame order
      */
     async generateStyleAnimationFrames(referenceImagePath, animationPrompt, frameCount, outputDir = './output/frames', options = {}) {
-        const framePaths = [];
+        const { concurrency = ENV_CONFIG.FRAME_CONCURRENCY, animationType = detectAnimationType(animationPrompt), ...generateOptions } = options;
+        getAnimationType(animationType);
         
         // Ensure output directory exists
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        for (let i = 0; i < frameCount; i++) {
-            const progress = i / (frameCount - 1);
-            const frameStyle = this.createAnimationStylePrompt(animationPrompt, i, frameCount, progress);
+        // Every frame is edited from the same reference image, so they can run in parallel
+        const frameIndexes = Array.from({ length: frameCount }, (_, i) => i);
+        return await mapWithConcurrency(frameIndexes, concurrency, async (i) => {
+            const frameStyle = createFramePrompt(animationPrompt, animationType, i, frameCount);
             const outputPath = path.join(outputDir, `style_frame_${String(i).padStart(3, '0')}_${Date.now()}.png`);
             
             try {
-                const result = await this.imageToImageGeneration(referenceImagePath, frameStyle, outputPath, options);
-                framePaths.push(result.imagePath);
+                const result = await this.imageToImageGeneration(referenceImagePath, frameStyle, outputPath, {
+                    ...generateOptions,
+                    frameIndex: i,
+                    totalFrames: frameCount
+                });
                 console.log(`✅ Generated style frame ${i + 1}/${frameCount}: ${result.imagePath}`);
+                return result.imagePath;
             } catch (error) {
                 console.error(`❌ Error generating style frame ${i + 1}: ${error.message}`);
                 throw error;
             }
-        }
-
-        return framePaths;
-    }
-
-    /**
-     * Create animation style prompt for different frames
-     * @param {string} baseAnimationPrompt - Base animation prompt
-     * @param {number} frameIndex - Current frame index
-     * @param {number} totalFrames - Total number of frames
-     * @param {number} progress - Animation progress (0-1)
-     * @returns {string} Frame-specific style prompt
-     */
-    createAnimationStylePrompt(baseAnimationPrompt, frameIndex, totalFrames, progress) {
-        const progressPercent = Math.round(progress * 100);
-        
-        // Detect animation type
-        const animationType = this.detectAnimationType(baseAnimationPrompt);
-        
-        switch (animationType) {
-            case 'walking':
-                const walkStyles = ['dynamic pose', 'mid-motion blur', 'dynamic pose', 'motion trail'];
-                const walkStyle = walkStyles[frameIndex % walkStyles.length];
-                return `${baseAnimationPrompt}, ${walkStyle}, step ${frameIndex + 1} of walking cycle, consistent character and background`;
-                
-            case 'flying':
-                const flyStyles = ['wings extended up', 'motion blur', 'wings extended down', 'motion trail'];
-                const flyStyle = flyStyles[frameIndex % flyStyles.length];
-                return `${baseAnimationPrompt}, ${flyStyle}, flight position ${frameIndex + 1}, same character and environment`;
-                
-            case 'dancing':
-                const danceStyles = ['elegant pose', 'motion blur', 'dynamic movement', 'graceful flow'];
-                const danceStyle = danceStyles[frameIndex % danceStyles.length];
-                return `${baseAnimationPrompt}, ${danceStyle}, dance pose ${frameIndex + 1}, same dancer and setting`;
-                
-            case 'transformation':
-                if (frameIndex === 0) {
-                    return `${baseAnimationPrompt}, initial state, beginning of transformation, original style`;
-                } else if (frameIndex === totalFrames - 1) {
-                    return `${baseAnimationPrompt}, final state, transformation complete, new style fully applied`;
-                } else {
-                    return `${baseAnimationPrompt}, ${progressPercent}% transformed, mid-transformation stage ${frameIndex}, mixed styles`;
-                }
-                
-            default:
-                const generalStyles = ['static pose', 'subtle motion', 'dynamic pose', 'flowing movement'];
-                const generalStyle = generalStyles[frameIndex % generalStyles.length];
-                return `${baseAnimationPrompt}, ${generalStyle}, frame ${frameIndex + 1} of ${totalFrames}, consistent scene and lighting`;
-        }
+        });
     }
 
     /**
-     * Get MIME type from file extension
+     * Get the MIME type of an image file, sniffed from its contents
      * @param {string} filePath - Path to the file
      * @returns {string} MIME type
+     * @throws {InvalidInputError} If the file is not a recognized image
      */
     getMimeType(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        const mimeTypes = {
-            '.png': 'image/png',
-            '.jpg': 'image/jpeg',
-            '.jpeg': 'image/jpeg',
-            '.gif': 'image/gif',
-            '.webp': 'image/webp',
-            '.heic': 'image/heic',
-            '.heif': 'image/heif'
-        };
-        return mimeTypes[ext] || 'image/png';
+        return FileUtils.getMimeType(filePath);
     }
 
     /**
@@ -659,40 +814,115 @@ export class NanoBananaIntegration {
         return recommendations[taskType] || 'gemini-2.5-flash-image';
     }
 
+    /**
+     * Start a saved multi-turn refinement session
+     * @param {Object} options - Session settings
+     * @param {string} options.model - Model used for every turn
+     * @param {string} options.aspectRatio - Aspect ratio used for every turn
+     * @param {string} options.title - Label shown by `session list`
+     * @param {string} options.outputDir - Output directory (sessions live in <outputDir>/sessions)
+     * @returns {RefinementSession} New, empty session
+     */
+    startSession(options = {}) {
+        const { model = 'gemini-2.5-flash-image', aspectRatio = '1:1', title = null, outputDir } = options;
+        if (!this.supportedAspectRatios[aspectRatio]) {
+            throw new InvalidInputError(`Unsupported aspect ratio: ${aspectRatio}. Supported: ${Object.keys(this.supportedAspectRatios).join(', ')}`);
+        }
+        return RefinementSession.create({ model, aspectRatio, provider: this.provider.name, title }, outputDir);
+    }
+
+    /**
+     * Send the next prompt of a session
+     * The conversation leading to the head node (earlier prompts, input images and results)
+     * goes to the model as chat history, so instructions like "make it bigger" refer to the
+     * head image. The new turn becomes a child of the head, so refining from an earlier
+     * node starts a new branch and keeps the old one
+     * @param {RefinementSession} session - Session to continue
+     * @param {string} prompt - Refinement prompt
+     * @param {Object} options - Turn options
+     * @param {string[]} options.images - Extra input images for this turn (e.g. a starting photo)
+     * @param {number|null} options.from - Branch from this node instead of the head (null starts over); the head
+     *   only moves once the turn succeeds
+     * @returns {Promise<Object>} { sessionId, node, imagePath, text, model }
+     */
+    async refineSession(session, prompt, options = {}) {
+        const { images = [], from } = options;
+        // The head only moves once the turn is recorded, so a failed branch leaves the session as it was
+        const parentId = from === undefined ? (session.head?.id ?? null) : from === null ? null : session.getNode(from).id;
+        for (const imagePath of images) {
+            if (!fs.existsSync(imagePath)) {
+                throw new InvalidInputError(`Image file not found: ${imagePath}`);
+            }
+        }
+
+        const parent = parentId !== null ? `node ${parentId}` : 'the start';
+        console.log(`💬 Session ${session.sessionId}, refining from ${parent} (${this.provider.name} provider)`);
+        if (!this.provider.supports('chat')) {
+            console.log(`⚠️ ${this.provider.name} has no multi-turn chat; only the latest image is sent`);
+        }
+
+        const result = await this.provider.chat(session.getHistory(parentId), prompt, {
+            model: session.options.model,
+            aspectRatio: session.options.aspectRatio,
+            images,
+            // Usage of session turns is booked against the session
+            jobId: session.sessionId
+        });
+
+        const image = result.images[0];
+        if (!image) {
+            throw new EmptyResponseError(`No image data found in ${this.provider.name} response`, {
+                explanation: result.text
+            });
+        }
+
+        const node = session.addTurn(prompt, image, { text: result.text, model: result.model, inputImages: images, parent: parentId });
+        console.log(`✅ Image saved: ${node.imagePath}`);
+        return { sessionId: session.sessionId, node, imagePath: node.imagePath, text: result.text, model: result.model };
+    }
+
     /**
      * Create a conversation session for iterative refinement
+     * Backed by a saved RefinementSession, so the conversation can be continued later
+     * with `refine --session <sessionId>`
      * @param {string} initialPrompt - Initial prompt
-     * @param {Object} options - Initial options
+     * @param {Object} options - Session settings (see startSession)
      * @returns {Object} Session object for iterative refinement
      */
     createIterativeSession(initialPrompt, options = {}) {
         const self = this;
+        const session = this.startSession({ title: initialPrompt, ...options });
         return {
             prompt: initialPrompt,
             options: options,
-            iterations: [],
-            currentImage: null,
-            
+            session: session,
+
+            get sessionId() {
+                return session.sessionId;
+            },
+
+            get iterations() {
+                return session.getPath();
+            },
+
+            get currentImage() {
+                return session.currentImage;
+            },
+
             async refine(refinementPrompt) {
-                const result = await self.iterativeRefinement(
-                    refinementPrompt, 
-                    this.currentImage, 
-                    this.options
-                );
-                this.iterations.push({
-                    prompt: refinementPrompt,
-                    result: result
-                });
-                this.currentImage = result.imagePath;
-                return result;
+                return await self.refineSession(session, refinementPrompt);
             },
-            
+
+            async undo() {
+                return session.undo();
+            },
+
+            async branch(nodeId, refinementPrompt) {
+                return await self.refineSession(session, refinementPrompt, { from: nodeId });
+            },
+
             async reset() {
-                this.iterations = [];
-                this.currentImage = null;
-                const result = await self.textToImage(this.prompt, this.options);
-                this.currentImage = result.imagePath;
-                return result;
+                return await self.refineSession(session, this.prompt, { from: null });
             }
         };
     }
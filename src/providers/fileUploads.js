@@ -0,0 +1,188 @@
+/**
+ * Uploaded file handles for nano Banana GIF Generator
+ * Reference images are uploaded once through the Gemini Files API and referenced by URI
+ * afterwards, instead of being inlined as base64 in every request. Handles are keyed by
+ * the hash of the image bytes and re-uploaded shortly before the API expires them
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { ENV_CONFIG } from '../config/environment.js';
+import { InvalidInputError, RequestTimeoutError } from '../core/errors.js';
+
+// Images larger than this are uploaded even outside jobs (inline requests are capped at 20 MB)
+export const INLINE_SIZE_LIMIT = 4 * 1024 * 1024;
+
+// Handles expiring sooner than this are uploaded again rather than sent
+const EXPIRY_MARGIN = 10 * 60 * 1000;
+
+// Polling while the API processes an upload
+const ACTIVE_POLL_INTERVAL = 1000;
+const ACTIVE_TIMEOUT = 60 * 1000;
+
+/**
+ * @typedef {Object} FileHandle
+ * @property {string} name - Files API name (files/abc123)
+ * @property {string} uri - URI sent as fileData.fileUri
+ * @property {string} mimeType - MIME type of the upload
+ * @property {string|null} expirationTime - ISO time the API deletes the file, if reported
+ */
+
+export class FileUploads {
+  /**
+   * @param {Object} options - Upload options
+   * @param {Object} options.client - Files client with upload({ file, config }) and get({ name }) (the SDK's ai.files)
+   * @param {string} options.storePath - JSON file keeping handles between runs (a job's uploads.json); in memory when unset
+   * @param {number} options.expiryMargin - Re-upload handles expiring within this many milliseconds
+   * @param {number} options.pollInterval - Milliseconds between checks while an upload is processing
+   * @param {Function} options.request - Runs each Files API call: (call, { timeout }) => Promise, where call is
+   *   (abortSignal) => Promise; the provider passes its retry, rate-limit and error mapping here
+   * @param {number} options.timeout - Per-attempt timeout of status checks, and the base of upload timeouts
+   *   (defaults to API_TIMEOUT)
+   * @param {number} options.timeoutPerMb - Time added per MB to the timeout of an upload (defaults to UPLOAD_TIMEOUT_PER_MB)
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.request = options.request || (call => call(undefined));
+    this.timeout = options.timeout ?? ENV_CONFIG.API_TIMEOUT;
+    this.timeoutPerMb = options.timeoutPerMb ?? ENV_CONFIG.UPLOAD_TIMEOUT_PER_MB;
+    this.storePath = options.storePath || null;
+    this.expiryMargin = options.expiryMargin ?? EXPIRY_MARGIN;
+    this.pollInterval = options.pollInterval ?? ACTIVE_POLL_INTERVAL;
+    this.handles = this.load();
+    // Uploads in flight, so frames generated in parallel share one upload of the anchor
+    this.pending = new Map();
+  }
+
+  /**
+   * Get a usable handle for an image, uploading it if there is none or it is about to expire
+   * @param {string} imagePath - Image path
+   * @param {string} mimeType - MIME type of the image
+   * @returns {Promise<FileHandle>} Handle of the uploaded image
+   */
+  async getHandle(imagePath, mimeType) {
+    const key = hashFile(imagePath);
+    const handle = this.handles[key];
+    if (handle && this.isUsable(handle)) {
+      return handle;
+    }
+
+    if (!this.pending.has(key)) {
+      const upload = this.upload(imagePath, mimeType)
+        .then((uploaded) => {
+          this.handles[key] = uploaded;
+          this.save();
+          return uploaded;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, upload);
+    }
+    return await this.pending.get(key);
+  }
+
+  /**
+   * Upload an image and wait until the API can use it
+   * @param {string} imagePath - Image path
+   * @param {string} mimeType - MIME type of the image
+   * @returns {Promise<FileHandle>} Handle of the new upload
+   * @throws {RequestTimeoutError} If processing does not finish in time
+   * @throws {InvalidInputError} If the API cannot process the image
+   */
+  async upload(imagePath, mimeType) {
+    const size = fs.statSync(imagePath).size;
+    console.log(`⬆️ Uploading ${path.basename(imagePath)} (${(size / 1024 / 1024).toFixed(1)} MB) to the Files API`);
+    let file = await this.request(abortSignal => this.client.upload({
+      file: imagePath,
+      config: { mimeType, displayName: path.basename(imagePath), abortSignal }
+    }), { timeout: this.getUploadTimeout(size) });
+
+    const deadline = Date.now() + ACTIVE_TIMEOUT;
+    while (file.state === 'PROCESSING') {
+      if (Date.now() > deadline) {
+        throw new RequestTimeoutError(`Upload of ${imagePath} is still processing after ${ACTIVE_TIMEOUT / 1000}s`, ACTIVE_TIMEOUT);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      const name = file.name;
+      file = await this.request(abortSignal => this.client.get({ name, config: { abortSignal } }), { timeout: this.timeout });
+    }
+    if (file.state === 'FAILED') {
+      const explanation = file.error?.message || 'processing failed';
+      throw new InvalidInputError(`Upload of ${imagePath} failed: ${explanation}`, { explanation, reason: 'UPLOAD_FAILED' });
+    }
+
+    return {
+      name: file.name,
+      uri: file.uri,
+      mimeType: file.mimeType || mimeType,
+      expirationTime: file.expirationTime || null
+    };
+  }
+
+  /**
+   * Per-attempt timeout of an upload, which grows with the file so large images are not cut off
+   * @param {number} size - File size in bytes
+   * @returns {number} Timeout in milliseconds
+   */
+  getUploadTimeout(size) {
+    return this.timeout + Math.ceil(size / (1024 * 1024)) * this.timeoutPerMb;
+  }
+
+  /**
+   * Check whether a handle can still be sent
+   * @param {FileHandle} handle - Stored handle
+   * @returns {boolean} True if the handle is not expired or about to expire
+   */
+  isUsable(handle) {
+    if (!handle.expirationTime) return true;
+    return new Date(handle.expirationTime).getTime() - this.expiryMargin > Date.now();
+  }
+
+  /**
+   * Drop the handles of images, so the next request uploads them again
+   * Used when the API reports a file as missing before its recorded expiry
+   * @param {string[]} imagePaths - Images whose handles are stale
+   */
+  forget(imagePaths) {
+    for (const imagePath of imagePaths) {
+      delete this.handles[hashFile(imagePath)];
+    }
+    this.save();
+  }
+
+  load() {
+    if (!this.storePath || !fs.existsSync(this.storePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  save() {
+    if (!this.storePath) return;
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    fs.writeFileSync(this.storePath, JSON.stringify(this.handles, null, 2));
+  }
+}
+
+/**
+ * Check whether a failed request referenced an uploaded file the API no longer has
+ * @param {Error} error - Error from a model call
+ * @returns {boolean} True for missing, expired or inaccessible file errors
+ */
+export function isExpiredFileError(error) {
+  const message = `${error?.explanation || ''} ${error?.message || ''}`;
+  return /file/i.test(message) && /(not[ _]found|expired|not exist|permission)/i.test(message);
+}
+
+/**
+ * Hash the bytes of a file
+ * @param {string} filePath - File path
+ * @returns {string} Hex sha256
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+export default FileUploads;
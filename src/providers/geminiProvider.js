@@ -0,0 +1,614 @@
+/**
+ * Gemini image provider
+ * Calls Google Gemini (nano Banana) through the @google/genai SDK
+ */
+
+import * as fs from 'node:fs';
+import { GoogleGenAI } from '@google/genai';
+import { ENV_CONFIG } from '../config/environment.js';
+import { ImageProvider } from './imageProvider.js';
+import { RequestRecorder } from './requestRecorder.js';
+import { FileUploads, INLINE_SIZE_LIMIT, isExpiredFileError } from './fileUploads.js';
+import { FileUtils } from '../utils/fileUtils.js';
+import { BLOCKING_FINISH_REASONS, SafetyBlockedError, EmptyResponseError, InvalidInputError, RequestTimeoutError, fromApiError } from '../core/errors.js';
+import { getRetryAfter } from '../utils/retry.js';
+import { extractUsage } from '../core/usageLedger.js';
+
+// Short Imagen names used across the CLI and the model ids generateImages expects
+export const IMAGEN_MODELS = {
+  'imagen-4': 'imagen-4.0-generate-001',
+  'imagen-4-ultra': 'imagen-4.0-ultra-generate-001',
+  'imagen-4-fast': 'imagen-4.0-fast-generate-001'
+};
+
+// Aspect ratios Imagen accepts (a subset of the Gemini image model's)
+export const IMAGEN_ASPECT_RATIOS = ['1:1', '3:4', '4:3', '9:16', '16:9'];
+
+// personGeneration values, as accepted on the command line
+const PERSON_GENERATION = {
+  dont_allow: 'DONT_ALLOW',
+  allow_adult: 'ALLOW_ADULT',
+  allow_all: 'ALLOW_ALL'
+};
+
+export class GeminiProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Google API key
+   * @param {string} options.analysisModel - Model used for image understanding and text (frame plans)
+   * @param {string} options.recordMode - off, record or replay (defaults to GEMINI_RECORD_MODE)
+   * @param {string} options.fixturesDir - Fixture directory for record/replay
+   * @param {string} options.fileUploads - Files API use: auto, always or off (defaults to GEMINI_FILE_UPLOADS)
+   */
+  constructor(options = {}) {
+    super('gemini', { defaultModel: 'gemini-2.5-flash-image', ...options });
+    this.ai = new GoogleGenAI({
+      apiKey: options.apiKey
+    });
+    this.analysisModel = options.analysisModel || process.env.GOOGLE_MODEL || 'gemini-2.5-flash';
+    this.recorder = new RequestRecorder({
+      mode: options.recordMode || ENV_CONFIG.GEMINI_RECORD_MODE,
+      fixturesDir: options.fixturesDir || ENV_CONFIG.GEMINI_FIXTURES_DIR
+    });
+    this.fileUploads = options.fileUploads || ENV_CONFIG.GEMINI_FILE_UPLOADS;
+    // Uploaded file handles, one set per job (keyed by its uploads file) plus one for calls outside jobs
+    this.uploads = new Map();
+
+    // Replayed responses never reach the API, so they are not rate limited
+    if (this.recorder.mode === 'replay') {
+      this.rateLimiter = null;
+    }
+  }
+
+  get capabilities() {
+    return { generate: true, edit: true, compose: true, analyze: true, chat: true, text: true };
+  }
+
+  // Transparent pixels are read as black by Gemini, so they are flattened onto white
+  get inputRequirements() {
+    return { formats: ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'], alpha: 'flatten' };
+  }
+
+  ownsModel(model) {
+    return model.startsWith('gemini') || model.startsWith('imagen');
+  }
+
+  async generate(prompt, options = {}) {
+    return await this.generateContent([], prompt, options);
+  }
+
+  async edit(imagePath, prompt, options = {}) {
+    return await this.generateContent([imagePath], prompt, options);
+  }
+
+  async compose(imagePaths, prompt, options = {}) {
+    return await this.generateContent(imagePaths, prompt, options);
+  }
+
+  /**
+   * Continue a conversation: earlier prompts and images are replayed as chat history,
+   * with thought signatures returned alongside the images they belong to
+   * @param {import('./imageProvider.js').ChatTurn[]} history - Earlier turns, oldest first
+   * @param {string} prompt - New user message
+   * @param {Object} options - Generation options; options.images adds input images to the new turn
+   * @returns {Promise<import('./imageProvider.js').ProviderResult>} Images for the new model turn
+   */
+  async chat(history, prompt, options = {}) {
+    const contents = history.map(turn => ({
+      role: turn.role,
+      parts: [
+        ...turn.images.map(image => ({
+          ...this.toInlinePart(image.path),
+          ...(image.thoughtSignature && { thoughtSignature: image.thoughtSignature })
+        })),
+        ...(turn.text ? [{ text: turn.text }] : [])
+      ]
+    }));
+    contents.push({
+      role: 'user',
+      parts: [...(options.images || []).map(imagePath => this.toInlinePart(imagePath)), { text: prompt }]
+    });
+
+    return await this.requestImages(contents, { responseModalities: ['Text', 'Image'], ...options });
+  }
+
+  /**
+   * Stream a generation with generateContentStream
+   * Text and image parts are yielded as their chunks arrive; a chunk reporting a blocked
+   * prompt or a safety stop ends the stream with a SafetyBlockedError straight away.
+   * Once open, a stream that sends no chunk for the request timeout is aborted with a
+   * RequestTimeoutError; other failures mid-stream become typed errors too
+   * @param {string[]} imagePaths - Input images, in prompt order
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options (model, aspectRatio, responseModalities, ...)
+   * @returns {AsyncGenerator<Object>} Stream events (see ImageProvider.stream)
+   */
+  async *stream(imagePaths, prompt, options = {}) {
+    // Fixtures hold whole responses, so recorded runs go through generateContent in one piece;
+    // Imagen has no streaming endpoint
+    if (this.recorder.mode !== 'off' || isImagenModel(this.resolveModel(options.model))) {
+      yield* super.stream(imagePaths, prompt, options);
+      return;
+    }
+
+    const {
+      aspectRatio = '1:1',
+      responseModalities = ['Text', 'Image']
+    } = options;
+    const model = this.resolveModel(options.model);
+
+    console.log(`🔧 Using model: ${model} (streaming)`);
+
+    // Retries and the timeout cover opening the stream; once chunks flow, the idle timeout
+    // takes over and a failure ends the stream
+    const idleTimeout = options.timeout ?? this.timeout;
+    const streamController = new AbortController();
+    const chunks = await this.withImageParts(imagePaths, options, parts => this.request((abortSignal) => this.ai.models.generateContentStream({
+      model,
+      contents: [...parts, { text: prompt }],
+      config: { imageConfig: { aspectRatio }, responseModalities, abortSignal: AbortSignal.any([abortSignal, streamController.signal]) }
+    }), options));
+    const iterator = chunks[Symbol.asyncIterator]();
+
+    const images = [];
+    let text = '';
+    let finishReason = null;
+    let usageMetadata = null;
+
+    // The HTTP stream is closed on every exit: errors, blocked chunks and consumers that stop early.
+    // A stalled read never settles, so the abort alone ends that stream
+    let stalled = false;
+    try {
+      for (;;) {
+        let next;
+        try {
+          next = await nextChunk(iterator, idleTimeout, streamController);
+        } catch (error) {
+          stalled = error instanceof RequestTimeoutError;
+          throw fromApiError(error, { retryAfter: getRetryAfter(error) });
+        }
+        if (next.done) break;
+        const chunk = next.value;
+
+        this.checkBlocked(chunk);
+        const candidate = chunk.candidates?.[0];
+        finishReason = candidate?.finishReason || finishReason;
+        // Counts are cumulative; the last chunk carries the totals
+        usageMetadata = chunk.usageMetadata || usageMetadata;
+
+        for (const part of candidate?.content?.parts ?? []) {
+          if (part.thought) continue;
+          if (part.text) {
+            text += part.text;
+            yield { type: 'text', text: part.text };
+          } else if (part.inlineData?.data) {
+            const image = {
+              data: Buffer.from(part.inlineData.data, 'base64'),
+              mimeType: part.inlineData.mimeType || 'image/png',
+              ...(part.thoughtSignature && { thoughtSignature: part.thoughtSignature })
+            };
+            images.push(image);
+            yield { type: 'image', index: images.length - 1, image };
+          }
+        }
+      }
+    } finally {
+      streamController.abort();
+      if (!stalled) await iterator.return?.();
+    }
+
+    const usage = this.recordUsage(model, extractUsage(usageMetadata), options);
+
+    if (images.length === 0) {
+      throw new EmptyResponseError(`${model} returned no image (finish reason: ${finishReason || 'unknown'})`, {
+        reason: finishReason || 'NO_IMAGE',
+        explanation: text || null
+      });
+    }
+
+    yield { type: 'done', result: { images, text: text || null, model, usage } };
+  }
+
+  async analyze(imagePath, prompt, options = {}) {
+    const model = this.resolveAnalysisModel(options.model);
+    console.log(`🔧 Using model: ${model}`);
+
+    // A response schema switches the model to structured JSON output
+    const config = {};
+    if (options.responseSchema) {
+      config.responseMimeType = 'application/json';
+      config.responseSchema = options.responseSchema;
+    }
+
+    const response = await this.withImageParts([imagePath], options, parts => this.callModel({
+      model,
+      contents: [...parts, { text: prompt }],
+      config
+    }, options));
+
+    this.checkResponse(response);
+    return this.getResponseText(response) || 'No analysis result found';
+  }
+
+  async generateText(prompt, options = {}) {
+    const model = this.resolveAnalysisModel(options.model);
+    console.log(`🔧 Using model: ${model}`);
+
+    const config = {};
+    if (options.responseSchema) {
+      config.responseMimeType = 'application/json';
+      config.responseSchema = options.responseSchema;
+    }
+
+    const response = await this.callModel({ model, contents: [{ text: prompt }], config }, options);
+    this.checkResponse(response);
+    const text = this.getResponseText(response);
+    if (!text) {
+      throw new EmptyResponseError(`${model} returned no text`, { reason: 'NO_TEXT' });
+    }
+    return text;
+  }
+
+  /**
+   * Send images and a prompt to generateContent and collect the image parts
+   * Imagen models go through generateImages instead; they only generate from text
+   * @param {string[]} imagePaths - Input images, in prompt order
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options
+   * @returns {Promise<import('./imageProvider.js').ProviderResult>} Generated images
+   */
+  async generateContent(imagePaths, prompt, options = {}) {
+    const model = this.resolveModel(options.model);
+    if (isImagenModel(model)) {
+      if (imagePaths.length > 0) {
+        throw new InvalidInputError(`${model} only generates images from text; use gemini-2.5-flash-image to edit or compose images`);
+      }
+      return await this.generateImages(prompt, options);
+    }
+
+    return await this.withImageParts(imagePaths, options, parts => this.requestImages([...parts, { text: prompt }], options));
+  }
+
+  /**
+   * Generate images with Imagen through the SDK's generateImages endpoint
+   * negativePrompt and seed are only accepted by Vertex AI (GOOGLE_GENAI_USE_VERTEXAI=true);
+   * images removed by the responsible-AI filter are skipped, and a call where every image
+   * was removed fails with a SafetyBlockedError
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options
+   * @param {string} options.model - imagen-4, imagen-4-ultra, imagen-4-fast or a full Imagen model id
+   * @param {number} options.numberOfImages - Images to generate, 1-4 (default 1)
+   * @param {string} options.aspectRatio - One of IMAGEN_ASPECT_RATIOS (default 1:1)
+   * @param {string} options.negativePrompt - What the images should not contain
+   * @param {string} options.personGeneration - dont_allow, allow_adult or allow_all
+   * @param {number} options.seed - Seed for repeatable images (turns the watermark off)
+   * @returns {Promise<import('./imageProvider.js').ProviderResult>} Generated images, in response order
+   */
+  async generateImages(prompt, options = {}) {
+    const { numberOfImages = 1, aspectRatio = '1:1', negativePrompt, personGeneration, seed } = options;
+    const requested = this.resolveModel(options.model);
+    const model = IMAGEN_MODELS[requested] || requested;
+
+    const count = Number(numberOfImages);
+    if (!Number.isInteger(count) || count < 1 || count > 4) {
+      throw new InvalidInputError(`Invalid number of images: ${numberOfImages} (Imagen returns 1 to 4)`);
+    }
+    if (!IMAGEN_ASPECT_RATIOS.includes(aspectRatio)) {
+      throw new InvalidInputError(`Unsupported aspect ratio for Imagen: ${aspectRatio}. Supported: ${IMAGEN_ASPECT_RATIOS.join(', ')}`);
+    }
+
+    const config = { numberOfImages: count, aspectRatio, includeRaiReason: true };
+    if (personGeneration) {
+      config.personGeneration = PERSON_GENERATION[String(personGeneration).toLowerCase()];
+      if (!config.personGeneration) {
+        throw new InvalidInputError(`Invalid person generation setting: ${personGeneration}. Supported: ${Object.keys(PERSON_GENERATION).join(', ')}`);
+      }
+    }
+    if (negativePrompt) {
+      this.requireVertex('negative prompts');
+      config.negativePrompt = negativePrompt;
+    }
+    if (seed !== undefined && seed !== null) {
+      this.requireVertex('seeds');
+      // Imagen ignores the seed of watermarked images
+      config.seed = Number(seed);
+      config.addWatermark = false;
+    }
+
+    console.log(`🔧 Using model: ${model} (generateImages)`);
+    console.log('⚙️ Config:', JSON.stringify(config, null, 2));
+
+    const response = await this.request((abortSignal) => this.recorder.run(
+      { model, prompt, config: { ...config, abortSignal } },
+      (req) => this.ai.models.generateImages(req)
+    ), options);
+
+    const generated = response?.generatedImages ?? [];
+    const images = generated
+      .filter(generatedImage => generatedImage.image?.imageBytes)
+      .map(generatedImage => ({
+        data: Buffer.from(generatedImage.image.imageBytes, 'base64'),
+        mimeType: generatedImage.image.mimeType || 'image/png'
+      }));
+    const filtered = generated.filter(generatedImage => generatedImage.raiFilteredReason).map(generatedImage => generatedImage.raiFilteredReason);
+
+    if (images.length === 0) {
+      if (filtered.length > 0) {
+        throw new SafetyBlockedError(`${model} filtered every image`, { reason: 'RAI_FILTERED', explanation: filtered.join(' ') });
+      }
+      throw new EmptyResponseError(`${model} returned no image`, { reason: 'NO_IMAGE' });
+    }
+    if (filtered.length > 0) {
+      console.log(`⚠️ ${filtered.length} of ${count} images were filtered: ${filtered.join(' ')}`);
+    }
+
+    // Imagen is billed per image rather than per token
+    let usage = { promptTokens: 0, outputTokens: 0, imageTokens: 0, thoughtsTokens: 0, totalTokens: 0, images: images.length };
+    if (this.recorder.mode !== 'replay') {
+      usage = this.recordUsage(model, usage, options);
+    }
+    return { images, text: null, model, usage };
+  }
+
+  /**
+   * Throw for Imagen settings the Gemini Developer API rejects
+   * @param {string} feature - Feature name for the message
+   * @throws {InvalidInputError} If the client does not use Vertex AI
+   */
+  requireVertex(feature) {
+    if (!this.ai.vertexai) {
+      throw new InvalidInputError(`Imagen ${feature} are only supported on Vertex AI. Set GOOGLE_GENAI_USE_VERTEXAI=true with GOOGLE_CLOUD_PROJECT and GOOGLE_CLOUD_LOCATION`);
+    }
+  }
+
+  /**
+   * Call the image model and collect the image parts of the first candidate
+   * @param {Object[]} contents - generateContent contents (parts, or chat turns with roles)
+   * @param {Object} options - Generation options (model, aspectRatio, responseModalities, ...)
+   * @returns {Promise<import('./imageProvider.js').ProviderResult>} Generated images
+   */
+  async requestImages(contents, options = {}) {
+    const {
+      aspectRatio = '1:1',
+      responseModalities = ['Image']
+    } = options;
+    const model = this.resolveModel(options.model);
+
+    const config = {
+      imageConfig: {
+        aspectRatio
+      },
+      responseModalities
+    };
+
+    console.log(`🔧 Using model: ${model}`);
+    console.log('⚙️ Config:', JSON.stringify(config, null, 2));
+
+    const response = await this.callModel({
+      model,
+      contents,
+      config
+    }, options);
+
+    const candidate = this.checkResponse(response);
+    const images = [];
+    let text = null;
+
+    for (const part of candidate.content?.parts ?? []) {
+      if (part.text) {
+        text = part.text;
+      } else if (part.inlineData?.data) {
+        images.push({
+          data: Buffer.from(part.inlineData.data, 'base64'),
+          mimeType: part.inlineData.mimeType || 'image/png',
+          ...(part.thoughtSignature && { thoughtSignature: part.thoughtSignature })
+        });
+      }
+    }
+
+    // Without an image the text part usually says why (refusal, clarifying question)
+    if (images.length === 0) {
+      throw new EmptyResponseError(`${model} returned no image (finish reason: ${candidate.finishReason || 'unknown'})`, {
+        reason: candidate.finishReason || 'NO_IMAGE',
+        explanation: text || candidate.finishMessage
+      });
+    }
+
+    return { images, text, model, usage: extractUsage(response.usageMetadata) };
+  }
+
+  /**
+   * Turn blocked prompts, filtered candidates and empty responses into typed errors
+   * @param {Object} response - Model response
+   * @returns {Object} First candidate, when the response was not blocked
+   * @throws {SafetyBlockedError} If promptFeedback or finishReason report a block
+   * @throws {EmptyResponseError} If the response has no candidates
+   */
+  checkResponse(response) {
+    this.checkBlocked(response);
+
+    const candidate = response?.candidates?.[0];
+    if (!candidate) {
+      throw new EmptyResponseError('Gemini returned no candidates', { reason: 'NO_CANDIDATES' });
+    }
+    return candidate;
+  }
+
+  /**
+   * Throw if a response (or a single stream chunk) reports a blocked prompt or a safety stop
+   * @param {Object} response - Model response or stream chunk
+   * @throws {SafetyBlockedError} If promptFeedback or finishReason report a block
+   */
+  checkBlocked(response) {
+    const feedback = response?.promptFeedback;
+    if (feedback?.blockReason) {
+      throw new SafetyBlockedError(`Prompt blocked by Gemini (${feedback.blockReason})`, {
+        reason: feedback.blockReason,
+        explanation: feedback.blockReasonMessage,
+        safetyRatings: getFlaggedRatings(feedback.safetyRatings)
+      });
+    }
+
+    const candidate = response?.candidates?.[0];
+    if (BLOCKING_FINISH_REASONS.includes(candidate?.finishReason)) {
+      throw new SafetyBlockedError(`Gemini stopped generating (${candidate.finishReason})`, {
+        reason: candidate.finishReason,
+        explanation: candidate.finishMessage || this.getResponseText(response) || null,
+        safetyRatings: getFlaggedRatings(candidate.safetyRatings)
+      });
+    }
+  }
+
+  /**
+   * Call generateContent with the retry policy, through the record/replay layer
+   * The token usage of live and recorded calls goes to the usage ledger; replayed calls cost nothing
+   * @param {Object} request - generateContent request (model, contents, config)
+   * @param {Object} options - Generation options (frameIndex, maxRetries, timeout, jobId)
+   * @returns {Promise<Object>} Model response
+   */
+  async callModel(request, options = {}) {
+    const response = await this.request((abortSignal) => this.recorder.run(
+      { ...request, config: { ...request.config, abortSignal } },
+      (req) => this.ai.models.generateContent(req)
+    ), options);
+
+    if (this.recorder.mode !== 'replay') {
+      this.recordUsage(request.model, extractUsage(response?.usageMetadata), options);
+    }
+    return response;
+  }
+
+  /**
+   * Join the text parts of a response
+   * Works on live SDK responses and on plain replayed fixtures alike
+   * @param {Object} response - Model response
+   * @returns {string} Response text
+   */
+  getResponseText(response) {
+    const parts = response?.candidates?.[0]?.content?.parts ?? [];
+    return parts.filter(part => part.text && !part.thought).map(part => part.text).join('');
+  }
+
+  /**
+   * Build the image parts of a request and send it
+   * Images are inlined or referenced by Files API URI (see toImagePart). If the API no longer
+   * has an uploaded file, its handles are dropped and the request is sent once more with fresh uploads
+   * @param {string[]} imagePaths - Input images, in prompt order
+   * @param {Object} options - Generation options (jobId, uploadsPath)
+   * @param {Function} send - Sends the request: (parts) => Promise
+   * @returns {Promise<*>} Result of send
+   */
+  async withImageParts(imagePaths, options, send) {
+    const parts = await Promise.all(imagePaths.map(imagePath => this.toImagePart(imagePath, options)));
+    try {
+      return await send(parts);
+    } catch (error) {
+      if (!parts.some(part => part.fileData) || !isExpiredFileError(error)) throw error;
+      console.log('⬆️ An uploaded file is no longer available, uploading again');
+      this.getUploads(options).forget(imagePaths);
+      return await send(await Promise.all(imagePaths.map(imagePath => this.toImagePart(imagePath, options))));
+    }
+  }
+
+  /**
+   * Build the part of an input image
+   * With GEMINI_FILE_UPLOADS=auto, images of a job (sent again for every frame) and images over
+   * INLINE_SIZE_LIMIT are uploaded once and referenced by URI; always uploads every image and off
+   * inlines every image. Recorded runs and Vertex AI (no Files API) always inline
+   * @param {string} imagePath - Image path
+   * @param {Object} options - Generation options (jobId, uploadsPath)
+   * @returns {Promise<Object>} fileData or inlineData part
+   */
+  async toImagePart(imagePath, options = {}) {
+    const uploads = this.getUploads(options);
+    const upload = uploads && (this.fileUploads === 'always' || options.jobId || fs.statSync(imagePath).size > INLINE_SIZE_LIMIT);
+    if (!upload) {
+      return this.toInlinePart(imagePath);
+    }
+
+    const handle = await uploads.getHandle(imagePath, FileUtils.getMimeType(imagePath));
+    return { fileData: { fileUri: handle.uri, mimeType: handle.mimeType } };
+  }
+
+  /**
+   * Get the uploaded file handles for a call
+   * @param {Object} options - Generation options; options.uploadsPath keeps a job's handles on disk
+   * @returns {FileUploads|null} Handles, or null when files are always inlined
+   */
+  getUploads(options = {}) {
+    if (this.fileUploads === 'off' || this.recorder.mode !== 'off' || this.ai.vertexai) {
+      return null;
+    }
+
+    const key = options.uploadsPath || options.jobId || '';
+    if (!this.uploads.has(key)) {
+      this.uploads.set(key, new FileUploads({
+        client: this.ai.files,
+        storePath: options.uploadsPath,
+        // Uploads and status checks get the same retries, rate limit and typed errors as model calls;
+        // uploads get a longer timeout that grows with the file size
+        request: (call, requestOptions) => this.request(call, requestOptions),
+        timeout: this.timeout
+      }));
+    }
+    return this.uploads.get(key);
+  }
+
+  /**
+   * Build an inline image part for a Gemini request
+   * @param {string} imagePath - Image path
+   * @returns {Object} Inline data part
+   */
+  toInlinePart(imagePath) {
+    const { data, mimeType } = this.readImage(imagePath);
+    return {
+      inlineData: {
+        mimeType,
+        data: data.toString('base64')
+      }
+    };
+  }
+}
+
+/**
+ * Check whether a model is an Imagen model (called through generateImages)
+ * @param {string} model - Model name
+ * @returns {boolean} True for Imagen models
+ */
+export function isImagenModel(model) {
+  return String(model).startsWith('imagen');
+}
+
+/**
+ * Keep the safety ratings that explain a block
+ * @param {Object[]} ratings - Safety ratings from promptFeedback or a candidate
+ * @returns {Object[]} Blocked or medium/high probability ratings
+ */
+function getFlaggedRatings(ratings = []) {
+  return ratings.filter(rating => rating.blocked || ['MEDIUM', 'HIGH'].includes(rating.probability));
+}
+
+/**
+ * Wait for the next chunk of a stream, aborting the stream if none arrives in time
+ * @param {AsyncIterator<Object>} iterator - Stream iterator
+ * @param {number} timeout - Longest wait for a chunk, in milliseconds
+ * @param {AbortController} controller - Aborts the underlying request when the wait expires
+ * @returns {Promise<IteratorResult<Object>>} Next chunk
+ * @throws {RequestTimeoutError} If the stream stalls
+ */
+async function nextChunk(iterator, timeout, controller) {
+  let timer;
+  const stalled = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new RequestTimeoutError(`Stream stalled: no chunk for ${timeout}ms`, timeout));
+    }, timeout);
+  });
+  try {
+    return await Promise.race([iterator.next(), stalled]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,289 @@
+/**
+ * Image provider contract for nano Banana GIF Generator
+ * Every image backend (Gemini, OpenAI, Stability, local) implements this interface
+ */
+
+import * as fs from 'node:fs';
+import { FileUtils } from '../utils/fileUtils.js';
+import { withRetry, describeError, getRetryAfter } from '../utils/retry.js';
+import { fromApiError, InvalidInputError } from '../core/errors.js';
+import { RateLimiter } from '../utils/concurrency.js';
+import { ENV_CONFIG } from '../config/environment.js';
+import { logger } from '../core/logger.js';
+import { usageLedger } from '../core/usageLedger.js';
+
+/**
+ * @typedef {Object} ProviderImage
+ * @property {Buffer} data - Raw image bytes
+ * @property {string} mimeType - MIME type of the image bytes
+ * @property {string} [thoughtSignature] - Opaque signature to send back with the image in later chat turns
+ */
+
+/**
+ * @typedef {Object} ChatTurn
+ * @property {string} role - user or model
+ * @property {string|null} text - Prompt (user) or text reply (model)
+ * @property {Array<{path: string, thoughtSignature: (string|undefined)}>} images - Images sent or returned in the turn
+ */
+
+/**
+ * @typedef {Object} ProviderResult
+ * @property {ProviderImage[]} images - Generated images, best candidate first
+ * @property {string|null} text - Text returned alongside the images
+ * @property {string} model - Model that produced the result
+ * @property {import('../core/usageLedger.js').TokenUsage|null} [usage] - Token usage reported by the API, if any
+ */
+
+export class ImageProvider {
+  /**
+   * @param {string} name - Provider name used by the registry and the --provider flag
+   * @param {Object} options - Provider options
+   * @param {string} options.defaultModel - Model used when the requested one belongs to another vendor
+   * @param {number} options.maxRetries - Retries per model call (defaults to MAX_RETRIES)
+   * @param {number} options.timeout - Per-attempt timeout in milliseconds (defaults to API_TIMEOUT)
+   * @param {number} options.requestsPerMinute - Rate limit for model calls (defaults to REQUESTS_PER_MINUTE)
+   * @param {import('../core/usageLedger.js').UsageLedger} options.ledger - Ledger for token usage (defaults to the shared one)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.defaultModel = options.defaultModel || null;
+    this.maxRetries = options.maxRetries ?? ENV_CONFIG.MAX_RETRIES;
+    this.timeout = options.timeout ?? ENV_CONFIG.API_TIMEOUT;
+    this.rateLimiter = new RateLimiter({
+      requestsPerMinute: options.requestsPerMinute ?? ENV_CONFIG.REQUESTS_PER_MINUTE
+    });
+    this.ledger = options.ledger ?? usageLedger;
+  }
+
+  /**
+   * Operations this provider implements
+   * @returns {{generate: boolean, edit: boolean, compose: boolean, analyze: boolean, chat: (boolean|undefined), text: (boolean|undefined)}}
+   */
+  get capabilities() {
+    return { generate: false, edit: false, compose: false, analyze: false, chat: false, text: false };
+  }
+
+  /**
+   * What input images must look like before this provider sends them (see utils/imagePreprocessor.js)
+   * Providers that only draw locally take images as they are
+   * @returns {import('../utils/imagePreprocessor.js').InputRequirements|null} Requirements, or null for none
+   */
+  get inputRequirements() {
+    return null;
+  }
+
+  /**
+   * Check whether the provider implements an operation
+   * @param {string} capability - generate, edit, compose, analyze, chat or text
+   * @returns {boolean} True if supported
+   */
+  supports(capability) {
+    return !!this.capabilities[capability];
+  }
+
+  /**
+   * Text-to-image generation
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options (model, aspectRatio, frameIndex, totalFrames, ...)
+   * @returns {Promise<ProviderResult>} Generated images
+   */
+  async generate() {
+    throw this.unsupported('generate');
+  }
+
+  /**
+   * Image + text-to-image editing
+   * @param {string} imagePath - Image to edit
+   * @param {string} prompt - Editing instructions
+   * @param {Object} options - Generation options
+   * @returns {Promise<ProviderResult>} Edited images
+   */
+  async edit() {
+    throw this.unsupported('edit');
+  }
+
+  /**
+   * Multi-image composition
+   * @param {string[]} imagePaths - Input images, in prompt order
+   * @param {string} prompt - Composition instructions
+   * @param {Object} options - Generation options
+   * @returns {Promise<ProviderResult>} Composed images
+   */
+  async compose() {
+    throw this.unsupported('compose');
+  }
+
+  /**
+   * Streaming generation
+   * Yields events as the model produces them: { type: 'text', text }, { type: 'image', index, image }
+   * and finally { type: 'done', result }. Providers without a streaming API yield the finished
+   * result in one go, so callers can treat every provider alike
+   * @param {string[]} imagePaths - Input images (none for text-to-image)
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options
+   * @returns {AsyncGenerator<Object>} Stream events
+   */
+  async *stream(imagePaths, prompt, options = {}) {
+    let result;
+    if (imagePaths.length === 0) {
+      result = await this.generate(prompt, options);
+    } else if (imagePaths.length === 1) {
+      result = await this.edit(imagePaths[0], prompt, options);
+    } else {
+      result = await this.compose(imagePaths, prompt, options);
+    }
+
+    if (result.text) {
+      yield { type: 'text', text: result.text };
+    }
+    for (const [index, image] of result.images.entries()) {
+      yield { type: 'image', index, image };
+    }
+    yield { type: 'done', result };
+  }
+
+  /**
+   * Multi-turn image conversation
+   * Providers without native chat (capability `chat`) fall back to editing the most
+   * recent image of the conversation, so the model does not see earlier prompts
+   * @param {ChatTurn[]} history - Earlier turns, oldest first
+   * @param {string} prompt - New user message
+   * @param {Object} options - Generation options; options.images adds input images to the new turn
+   * @returns {Promise<ProviderResult>} Images for the new model turn
+   */
+  async chat(history, prompt, options = {}) {
+    const images = [...(options.images || [])];
+    if (images.length === 0) {
+      const latest = history.flatMap(turn => turn.images).pop();
+      if (latest) images.push(latest.path);
+    }
+
+    if (images.length === 0) return await this.generate(prompt, options);
+    if (images.length === 1) return await this.edit(images[0], prompt, options);
+    return await this.compose(images, prompt, options);
+  }
+
+  /**
+   * Image understanding
+   * @param {string} imagePath - Image to analyze
+   * @param {string} prompt - Analysis prompt
+   * @param {Object} options - Analysis options (model, responseSchema for JSON output)
+   * @returns {Promise<string>} Analysis text
+   */
+  async analyze() {
+    throw this.unsupported('analyze');
+  }
+
+  /**
+   * Text generation, used to plan frames before any image is made
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options (model, responseSchema for JSON output)
+   * @returns {Promise<string>} Response text
+   */
+  async generateText() {
+    throw this.unsupported('text');
+  }
+
+  /**
+   * Resolve the model used for analysis and text calls
+   * @param {string} model - Requested model, if any
+   * @returns {string} Model this provider will use
+   */
+  resolveAnalysisModel(model) {
+    return model || this.analysisModel || this.defaultModel;
+  }
+
+  /**
+   * Resolve the model to call, ignoring model names that belong to other vendors
+   * @param {string} model - Requested model
+   * @returns {string} Model this provider will use
+   */
+  resolveModel(model) {
+    return model && this.ownsModel(model) ? model : this.defaultModel;
+  }
+
+  /**
+   * Check whether a model name belongs to this provider
+   * @param {string} model - Model name
+   * @returns {boolean} True if the provider can call this model
+   */
+  ownsModel(model) {
+    return model === this.defaultModel;
+  }
+
+  /**
+   * Run a model call with the rate limiter and the retry policy
+   * Every attempt, retries included, waits for a rate-limiter token first.
+   * The call receives an AbortSignal that fires when the attempt times out;
+   * retries are logged against the frame being generated, if any. Quota and
+   * invalid-request failures that survive the retries are rethrown as typed errors
+   * @param {Function} call - Model call: (abortSignal) => Promise
+   * @param {Object} options - Generation options (frameIndex, maxRetries, timeout)
+   * @returns {Promise<*>} Result of the call
+   */
+  async request(call, options = {}) {
+    const label = options.frameIndex !== undefined
+      ? `Frame ${options.frameIndex + 1}`
+      : `${this.name} request`;
+
+    try {
+      return await withRetry(call, {
+        maxRetries: options.maxRetries ?? this.maxRetries,
+        timeout: options.timeout ?? this.timeout,
+        label,
+        beforeAttempt: () => this.rateLimiter?.acquire(),
+        onRetry: ({ attempt, maxRetries, delay, error }) => {
+          logger.warning(`${label}: attempt ${attempt}/${maxRetries + 1} failed (${describeError(error)}), retrying in ${(delay / 1000).toFixed(1)}s`);
+        },
+        onDeadline: ({ attempt, maxRetries, delay, deadline, error }) => {
+          logger.warning(`${label}: attempt ${attempt}/${maxRetries + 1} failed (${describeError(error)}); not retrying, as waiting ${(delay / 1000).toFixed(1)}s would pass RETRY_DEADLINE_MS (${deadline}ms)`);
+        }
+      });
+    } catch (error) {
+      throw fromApiError(error, { retryAfter: getRetryAfter(error) });
+    }
+  }
+
+  /**
+   * Append the token usage of a model call to the usage ledger
+   * @param {string} model - Model that was called
+   * @param {import('../core/usageLedger.js').TokenUsage|null} usage - Usage reported by the API
+   * @param {Object} options - Generation options; options.jobId tags the entry with its job
+   * @returns {import('../core/usageLedger.js').TokenUsage|null} The usage, unchanged
+   */
+  recordUsage(model, usage, options = {}) {
+    if (usage) {
+      this.ledger?.record({
+        provider: this.name,
+        model,
+        ...(options.jobId && { jobId: options.jobId }),
+        ...usage
+      });
+    }
+    return usage;
+  }
+
+  /**
+   * Read an image file for upload
+   * @param {string} imagePath - Image path
+   * @returns {{data: Buffer, mimeType: string}} Image bytes and MIME type
+   */
+  readImage(imagePath) {
+    return {
+      data: fs.readFileSync(imagePath),
+      mimeType: FileUtils.getMimeType(imagePath)
+    };
+  }
+
+  /**
+   * Build the error thrown for operations the provider does not implement
+   * @param {string} capability - Operation name
+   * @returns {InvalidInputError} Error describing the missing capability
+   */
+  unsupported(capability) {
+    return new InvalidInputError(`The ${this.name} provider does not support ${capability}`);
+  }
+}
+
+export default ImageProvider;
@@ -0,0 +1,112 @@
+/**
+ * Image provider registry
+ * Resolves provider names (from --provider or IMAGE_PROVIDER) to provider instances
+ */
+
+import { ENV_CONFIG, getApiKey, isServiceAvailable } from '../config/environment.js';
+import { ImageProvider } from './imageProvider.js';
+import { InvalidInputError } from '../core/errors.js';
+import { GeminiProvider } from './geminiProvider.js';
+import { OpenAIProvider } from './openaiProvider.js';
+import { StabilityProvider } from './stabilityProvider.js';
+import { LocalProvider } from './localProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+const PROVIDERS = {
+  gemini: {
+    description: 'Google Gemini (nano Banana) image generation and understanding',
+    service: 'google',
+    offline: () => ENV_CONFIG.GEMINI_RECORD_MODE === 'replay',
+    create: (options) => new GeminiProvider(options)
+  },
+  openai: {
+    description: 'OpenAI DALL-E 3 / gpt-image-1 generation and GPT-4o analysis',
+    service: 'openai',
+    create: (options) => new OpenAIProvider(options)
+  },
+  stability: {
+    description: 'Stability AI Stable Diffusion XL generation and editing',
+    service: 'stability',
+    create: (options) => new StabilityProvider(options)
+  },
+  local: {
+    description: 'Offline canvas placeholders, no API key required',
+    service: null,
+    create: (options) => new LocalProvider(options)
+  },
+  mock: {
+    description: 'Deterministic synthetic frames for offline runs and tests',
+    service: null,
+    create: (options) => new MockProvider(options)
+  }
+};
+
+export const DEFAULT_PROVIDER = ENV_CONFIG.IMAGE_PROVIDER;
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name (gemini, openai, stability, local, mock)
+ * @param {Object} options - Provider options; apiKey defaults to the service key from the environment
+ * @returns {ImageProvider} Provider instance
+ */
+export function createProvider(name = DEFAULT_PROVIDER, options = {}) {
+  const entry = PROVIDERS[name.toLowerCase()];
+  if (!entry) {
+    throw new InvalidInputError(`Unknown provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const apiKey = options.apiKey || (entry.service ? getApiKey(entry.service) : null);
+  return entry.create({ ...options, apiKey });
+}
+
+/**
+ * Resolve a provider option that may be a name or an instance
+ * @param {string|ImageProvider} provider - Provider name or instance
+ * @param {Object} options - Options used when a provider has to be created
+ * @returns {ImageProvider} Provider instance
+ */
+export function resolveProvider(provider = DEFAULT_PROVIDER, options = {}) {
+  return provider instanceof ImageProvider ? provider : createProvider(provider, options);
+}
+
+/**
+ * Register an additional provider
+ * @param {string} name - Provider name
+ * @param {Object} entry - Registry entry with description, service, create(options) and optional offline()
+ */
+export function registerProvider(name, entry) {
+  PROVIDERS[name.toLowerCase()] = entry;
+}
+
+/**
+ * Get the service whose API key a provider needs
+ * @param {string} name - Provider name
+ * @returns {string|null} Service name for getApiKey, or null if no key is needed
+ */
+export function getProviderService(name) {
+  return PROVIDERS[name.toLowerCase()]?.service ?? null;
+}
+
+/**
+ * Check if a provider is registered and has the API key it needs (or can run offline)
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the provider can be used
+ */
+export function isProviderAvailable(name) {
+  const entry = PROVIDERS[name.toLowerCase()];
+  return !!entry && (!entry.service || isServiceAvailable(entry.service) || !!entry.offline?.());
+}
+
+/**
+ * List registered providers
+ * @returns {Object[]} Provider name, description and availability
+ */
+export function getAvailableProviders() {
+  return Object.entries(PROVIDERS).map(([name, entry]) => ({
+    name,
+    description: entry.description,
+    available: isProviderAvailable(name)
+  }));
+}
+
+export { ImageProvider, GeminiProvider, OpenAIProvider, StabilityProvider, LocalProvider, MockProvider };
@@ -0,0 +1,118 @@
+/**
+ * Local image provider
+ * Draws placeholder frames with canvas, no network or API key required
+ */
+
+import sharp from 'sharp';
+import { CONFIG } from '../core/config.js';
+import { ImageProvider } from './imageProvider.js';
+
+export class LocalProvider extends ImageProvider {
+  constructor(options = {}) {
+    super('local', { defaultModel: 'local-placeholder', ...options });
+  }
+
+  get capabilities() {
+    return { generate: true, edit: true, compose: true, analyze: true };
+  }
+
+  async generate(prompt, options = {}) {
+    const { frameIndex = 0, totalFrames = 1 } = options;
+    const { canvas, ctx, width, height } = await this.createCanvas(options.aspectRatio);
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+    this.drawCaption(ctx, prompt, width, height / 2);
+
+    ctx.font = '16px Arial';
+    ctx.fillText(`Frame ${frameIndex + 1}/${totalFrames}`, width / 2, height - 50);
+
+    return this.toResult(canvas);
+  }
+
+  async edit(imagePath, prompt, options = {}) {
+    return await this.compose([imagePath], prompt, options);
+  }
+
+  async compose(imagePaths, prompt, options = {}) {
+    const { loadImage } = await import('canvas');
+    const { canvas, ctx, width, height } = await this.createCanvas(options.aspectRatio);
+
+    // Tile the inputs side by side, then caption them with the prompt
+    const tileWidth = width / imagePaths.length;
+    for (let i = 0; i < imagePaths.length; i++) {
+      const image = await loadImage(this.readImage(imagePaths[i]).data);
+      ctx.drawImage(image, i * tileWidth, 0, tileWidth, height);
+    }
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, height - 120, width, 120);
+    this.drawCaption(ctx, prompt, width, height - 60);
+
+    return this.toResult(canvas);
+  }
+
+  async analyze(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+    return `Local analysis: ${metadata.width}x${metadata.height} ${metadata.format} image, ` +
+      `${metadata.channels} channels${metadata.hasAlpha ? ' with alpha' : ''}.`;
+  }
+
+  /**
+   * Create a canvas sized for the aspect ratio, using the configured image width
+   * @param {string} aspectRatio - Aspect ratio (e.g. 16:9)
+   * @returns {Promise<Object>} Canvas, 2D context and dimensions
+   */
+  async createCanvas(aspectRatio = '1:1') {
+    const { createCanvas } = await import('canvas');
+    const [w, h] = aspectRatio.split(':').map(Number);
+    const width = CONFIG.imageWidth;
+    const height = Math.round(width * h / w);
+    const canvas = createCanvas(width, height);
+    return { canvas, ctx: canvas.getContext('2d'), width, height };
+  }
+
+  /**
+   * Draw word-wrapped text centred on a horizontal line
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} text - Text to draw
+   * @param {number} width - Canvas width
+   * @param {number} centerY - Vertical centre of the text block
+   */
+  drawCaption(ctx, text, width, centerY) {
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 20px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const words = text.split(' ');
+    const lines = [];
+    let currentLine = '';
+
+    for (const word of words) {
+      const testLine = `${currentLine}${word} `;
+      if (ctx.measureText(testLine).width > width - 40 && currentLine !== '') {
+        lines.push(currentLine.trim());
+        currentLine = `${word} `;
+      } else {
+        currentLine = testLine;
+      }
+    }
+    lines.push(currentLine.trim());
+
+    const startY = centerY - (lines.length * 25) / 2;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, width / 2, startY + index * 25);
+    });
+  }
+
+  toResult(canvas) {
+    return {
+      images: [{ data: canvas.toBuffer('image/png'), mimeType: 'image/png' }],
+      text: null,
+      model: this.defaultModel
+    };
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,198 @@
+/**
+ * Mock image provider
+ * Draws deterministic synthetic frames for offline runs, CI and tests
+ * The same prompt, frame index and seed always produce the same PNG bytes
+ */
+
+import * as path from 'node:path';
+import sharp from 'sharp';
+import { CONFIG } from '../core/config.js';
+import { ImageProvider } from './imageProvider.js';
+
+// Fixed detections (0-1000 grid) returned for structured analysis requests
+const MOCK_DETECTIONS = [
+  { label: 'round character', confidence: 0.93, box_2d: [300, 350, 700, 650] },
+  { label: 'background shape', confidence: 0.61, box_2d: [80, 60, 260, 240] }
+];
+
+export class MockProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {number} options.seed - Default seed when a call does not pass one
+   */
+  constructor(options = {}) {
+    super('mock', { defaultModel: 'mock-synthetic', ...options });
+    this.seed = Number(options.seed ?? process.env.MOCK_SEED ?? 0);
+  }
+
+  get capabilities() {
+    return { generate: true, edit: true, compose: true, analyze: true, text: true };
+  }
+
+  async generate(prompt, options = {}) {
+    return await this.drawFrame(prompt, options);
+  }
+
+  async edit(imagePath, prompt, options = {}) {
+    return await this.drawFrame(prompt, options);
+  }
+
+  async compose(imagePaths, prompt, options = {}) {
+    return await this.drawFrame(prompt, options);
+  }
+
+  async analyze(imagePath, prompt, options = {}) {
+    if (options.responseSchema?.items?.properties?.mask) {
+      const mask = await this.drawEllipseMask();
+      return JSON.stringify(MOCK_DETECTIONS.map(detection => ({ label: detection.label, box_2d: detection.box_2d, mask })));
+    }
+    if (options.responseSchema) {
+      return JSON.stringify(MOCK_DETECTIONS);
+    }
+    return `Mock analysis of ${path.basename(imagePath)}: a synthetic test frame showing a round character ` +
+      `on a two-tone gradient background with scattered shapes. Prompt: "${prompt}"`;
+  }
+
+  /**
+   * Text generation; structured frame plan requests get a plan with options.totalFrames frames
+   * that names the frame in every state, so tests can see which frame used which state
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options (responseSchema, totalFrames)
+   * @returns {Promise<string>} Response text
+   */
+  async generateText(prompt, options = {}) {
+    if (options.responseSchema?.properties?.frames) {
+      const { totalFrames = 1 } = options;
+      return JSON.stringify({
+        invariants: ['same subject, colors and proportions', 'same camera angle and background'],
+        frames: Array.from({ length: totalFrames }, (_, i) => ({ state: `mock state ${i + 1} of ${totalFrames}` }))
+      });
+    }
+    return `Mock text for: "${prompt}"`;
+  }
+
+  /**
+   * Draw a segmentation mask the way Gemini returns it: a small PNG covering the box,
+   * here an ellipse filling the box
+   * @param {number} size - Mask width and height
+   * @returns {Promise<string>} data: URL of a greyscale PNG
+   */
+  async drawEllipseMask(size = 64) {
+    const pixels = Buffer.alloc(size * size);
+    const center = (size - 1) / 2;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const inside = ((x - center) / center) ** 2 + ((y - center) / center) ** 2 <= 1;
+        pixels[y * size + x] = inside ? 255 : 0;
+      }
+    }
+    const png = await sharp(pixels, { raw: { width: size, height: size, channels: 1 } }).toColourspace('b-w').png().toBuffer();
+    return `data:image/png;base64,${png.toString('base64')}`;
+  }
+
+  /**
+   * Draw a synthetic frame
+   * The scene (palette, background shapes) comes from the base prompt and seed;
+   * the frame index moves the character so sequences read as animation
+   * @param {string} prompt - Frame prompt
+   * @param {Object} options - Generation options
+   * @param {string} options.basePrompt - Animation prompt shared by every frame of a sequence
+   * @param {number} options.frameIndex - Frame index (0-based)
+   * @param {number} options.totalFrames - Number of frames in the sequence
+   * @param {number} options.seed - Seed for the scene
+   * @returns {Promise<import('./imageProvider.js').ProviderResult>} One PNG image
+   */
+  async drawFrame(prompt, options = {}) {
+    const { createCanvas } = await import('canvas');
+    const {
+      basePrompt = prompt,
+      frameIndex = 0,
+      totalFrames = 1,
+      aspectRatio = '1:1'
+    } = options;
+    const seed = Number(options.seed ?? this.seed);
+
+    const [w, h] = aspectRatio.split(':').map(Number);
+    const width = CONFIG.imageWidth;
+    const height = Math.round(width * h / w);
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const random = createRandom(hashString(`${basePrompt}:${seed}`));
+
+    const hue = Math.floor(random() * 360);
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, `hsl(${hue}, 60%, 70%)`);
+    gradient.addColorStop(1, `hsl(${(hue + 40) % 360}, 50%, 35%)`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    // Static scenery, identical in every frame of the sequence
+    for (let i = 0; i < 12; i++) {
+      ctx.fillStyle = `hsla(${(hue + 180 + random() * 60) % 360}, 70%, 60%, 0.5)`;
+      ctx.beginPath();
+      ctx.arc(random() * width, random() * height * 0.6, 6 + random() * 20, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.fillStyle = `hsl(${(hue + 90) % 360}, 40%, 25%)`;
+    ctx.fillRect(0, height * 0.8, width, height * 0.2);
+
+    // Character position and bounce follow the frame index
+    const progress = totalFrames > 1 ? frameIndex / (totalFrames - 1) : 0;
+    const radius = width * 0.1;
+    const x = radius * 2 + progress * (width - radius * 4);
+    const y = height * 0.8 - radius - Math.abs(Math.sin(progress * Math.PI * 2)) * radius;
+    ctx.fillStyle = `hsl(${(hue + 200) % 360}, 80%, 55%)`;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(x - radius * 0.35, y - radius * 0.2, radius * 0.2, 0, Math.PI * 2);
+    ctx.arc(x + radius * 0.35, y - radius * 0.2, radius * 0.2, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(basePrompt.substring(0, 60), width / 2, height - 36);
+    ctx.fillText(`Frame ${frameIndex + 1}/${totalFrames} · seed ${seed}`, width / 2, height - 16);
+
+    return {
+      images: [{ data: canvas.toBuffer('image/png'), mimeType: 'image/png' }],
+      text: null,
+      model: this.defaultModel
+    };
+  }
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} value - Input string
+ * @returns {number} 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default MockProvider;
@@ -0,0 +1,145 @@
+/**
+ * OpenAI image provider
+ * DALL-E 3 for text-to-image, gpt-image-1 for editing and composition, GPT-4o for analysis
+ */
+
+import axios from 'axios';
+import { ImageProvider } from './imageProvider.js';
+
+const API_BASE = 'https://api.openai.com/v1';
+
+export class OpenAIProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.editModel - Model used for edits and composition
+   * @param {string} options.analysisModel - Model used for image understanding
+   */
+  constructor(options = {}) {
+    super('openai', { defaultModel: 'dall-e-3', ...options });
+    this.apiKey = options.apiKey;
+    this.editModel = options.editModel || 'gpt-image-1';
+    this.analysisModel = options.analysisModel || 'gpt-4o-mini';
+  }
+
+  get capabilities() {
+    return { generate: true, edit: true, compose: true, analyze: true };
+  }
+
+  // Edits use transparent areas of the input, so alpha is kept
+  get inputRequirements() {
+    return { formats: ['image/png', 'image/jpeg', 'image/webp'], alpha: 'keep' };
+  }
+
+  ownsModel(model) {
+    return model.startsWith('dall-e') || model.startsWith('gpt-image');
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.resolveModel(options.model);
+    console.log(`🔧 Using model: ${model}`);
+
+    const response = await this.request((signal) => axios.post(`${API_BASE}/images/generations`, {
+      model,
+      prompt,
+      n: 1,
+      size: this.getSize(model, options.aspectRatio),
+      response_format: 'b64_json'
+    }, {
+      headers: this.getHeaders(),
+      signal
+    }), options);
+
+    return this.toResult(response.data, model);
+  }
+
+  async edit(imagePath, prompt, options = {}) {
+    return await this.compose([imagePath], prompt, options);
+  }
+
+  async compose(imagePaths, prompt, options = {}) {
+    const model = this.editModel;
+    console.log(`🔧 Using model: ${model}`);
+
+    const form = new FormData();
+    form.append('model', model);
+    form.append('prompt', prompt);
+    form.append('size', this.getSize(model, options.aspectRatio));
+    for (const imagePath of imagePaths) {
+      const { data, mimeType } = this.readImage(imagePath);
+      form.append('image[]', new Blob([data], { type: mimeType }), imagePath.split(/[\\/]/).pop());
+    }
+
+    const response = await this.request((signal) => axios.post(`${API_BASE}/images/edits`, form, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+      signal
+    }), options);
+
+    return this.toResult(response.data, model);
+  }
+
+  /**
+   * Analysis always uses the configured chat model; model overrides name image models
+   * @returns {string} Analysis model
+   */
+  resolveAnalysisModel() {
+    return this.analysisModel;
+  }
+
+  async analyze(imagePath, prompt, options = {}) {
+    const { data, mimeType } = this.readImage(imagePath);
+    console.log(`🔧 Using model: ${this.analysisModel}`);
+
+    const response = await this.request((signal) => axios.post(`${API_BASE}/chat/completions`, {
+      model: this.analysisModel,
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } }
+        ]
+      }],
+      // JSON mode only guarantees an object; the schema itself is described in the prompt
+      ...(options.responseSchema && { response_format: { type: 'json_object' } })
+    }, {
+      headers: this.getHeaders(),
+      signal
+    }), options);
+
+    return response.data.choices?.[0]?.message?.content || 'No analysis result found';
+  }
+
+  /**
+   * Pick the closest supported output size for an aspect ratio
+   * @param {string} model - Image model
+   * @param {string} aspectRatio - Requested aspect ratio (e.g. 16:9)
+   * @returns {string} OpenAI size string
+   */
+  getSize(model, aspectRatio = '1:1') {
+    const [w, h] = aspectRatio.split(':').map(Number);
+    const long = model === 'dall-e-3' ? '1792' : '1536';
+    if (w > h) return `${long}x1024`;
+    if (h > w) return `1024x${long}`;
+    return '1024x1024';
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  toResult(body, model) {
+    const images = (body.data || [])
+      .filter(item => item.b64_json)
+      .map(item => ({ data: Buffer.from(item.b64_json, 'base64'), mimeType: 'image/png' }));
+    return {
+      images,
+      text: body.data?.[0]?.revised_prompt || null,
+      model
+    };
+  }
+}
+
+export default OpenAIProvider;
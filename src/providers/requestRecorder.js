@@ -0,0 +1,129 @@
+/**
+ * Record/replay layer for Gemini requests
+ * Record mode saves every request with its response as a JSON fixture;
+ * replay mode serves those fixtures back without touching the network
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+
+export const RECORD_MODES = ['off', 'record', 'replay'];
+
+export class RequestRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {string} options.mode - off, record or replay
+   * @param {string} options.fixturesDir - Directory holding the fixture files
+   */
+  constructor(options = {}) {
+    const { mode = 'off', fixturesDir = './tests/fixtures/gemini' } = options;
+
+    if (!RECORD_MODES.includes(mode)) {
+      throw new Error(`Unknown record mode: ${mode}. Supported: ${RECORD_MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Run a model call through the recorder
+   * @param {Object} request - Request passed to generateContent
+   * @param {Function} call - Performs the real call: (request) => Promise<response>
+   * @returns {Promise<Object>} Live or replayed response
+   */
+  async run(request, call) {
+    if (this.mode === 'off') {
+      return await call(request);
+    }
+
+    const description = this.describeRequest(request);
+    const fixturePath = path.join(this.fixturesDir, `${this.getFixtureKey(description)}.json`);
+
+    if (this.mode === 'replay') {
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`No recorded fixture for ${description.model} request "${description.prompt.substring(0, 60)}" (${fixturePath}). Record it first with GEMINI_RECORD_MODE=record`);
+      }
+      console.log(`📼 Replaying recorded response: ${path.basename(fixturePath)}`);
+      return JSON.parse(fs.readFileSync(fixturePath, 'utf8')).response;
+    }
+
+    const response = await call(request);
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify({
+      request: description,
+      response,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+    console.log(`📼 Recorded response: ${path.basename(fixturePath)}`);
+
+    return response;
+  }
+
+  /**
+   * Reduce a request to the fields that identify it
+   * Inline images are replaced by a hash of their bytes; per-call transport
+   * settings (abort signals, HTTP options) are left out
+   * @param {Object} request - Request passed to generateContent (contents) or generateImages (prompt)
+   * @returns {Object} Model, config, chat roles, prompt and image hashes
+   */
+  describeRequest(request) {
+    const contents = Array.isArray(request.contents) ? request.contents : [{ text: String(request.contents ?? request.prompt) }];
+    // Chat requests carry turns ({ role, parts }); they are keyed on every turn's parts, in order
+    const parts = contents.flatMap(content => content.parts ?? [content]);
+    const roles = contents.filter(content => content.role).map(content => content.role);
+    const config = { ...request.config };
+    delete config.abortSignal;
+    delete config.httpOptions;
+
+    return {
+      model: request.model,
+      config,
+      ...(roles.length > 0 && { roles }),
+      prompt: parts.filter(part => part.text).map(part => part.text).join('\n'),
+      images: parts
+        .filter(part => part.inlineData?.data)
+        .map(part => crypto.createHash('sha256').update(part.inlineData.data).digest('hex'))
+    };
+  }
+
+  /**
+   * Hash a request description into a fixture file name
+   * @param {Object} description - Output of describeRequest
+   * @returns {string} Fixture key
+   */
+  getFixtureKey(description) {
+    return crypto.createHash('sha256').update(stableStringify(description)).digest('hex').substring(0, 32);
+  }
+}
+
+/**
+ * Read a record mode from --record / --replay command-line flags
+ * @param {string[]} argv - Command-line arguments
+ * @param {string} fallback - Mode used when neither flag is present
+ * @returns {string} Record mode
+ */
+export function getRecordModeFromArgs(argv = process.argv, fallback = 'off') {
+  if (argv.includes('--replay')) return 'replay';
+  if (argv.includes('--record')) return 'record';
+  return fallback;
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal requests hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export default RequestRecorder;
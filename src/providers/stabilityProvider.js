@@ -0,0 +1,126 @@
+/**
+ * Stability AI image provider
+ * Stable Diffusion XL text-to-image and image-to-image
+ */
+
+import axios from 'axios';
+import sharp from 'sharp';
+import { ImageProvider } from './imageProvider.js';
+
+const API_BASE = 'https://api.stability.ai/v1/generation';
+
+// SDXL only accepts these dimensions
+const SDXL_DIMENSIONS = {
+  '1:1': [1024, 1024],
+  '2:3': [832, 1216],
+  '3:2': [1216, 832],
+  '3:4': [896, 1152],
+  '4:3': [1152, 896],
+  '4:5': [896, 1152],
+  '5:4': [1152, 896],
+  '9:16': [768, 1344],
+  '16:9': [1344, 768],
+  '21:9': [1536, 640]
+};
+
+export class StabilityProvider extends ImageProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Stability AI API key
+   * @param {number} options.imageStrength - How much of the init image survives an edit (0-1)
+   */
+  constructor(options = {}) {
+    super('stability', { defaultModel: 'stable-diffusion-xl-1024-v1-0', ...options });
+    this.apiKey = options.apiKey;
+    this.imageStrength = options.imageStrength ?? 0.35;
+  }
+
+  get capabilities() {
+    return { generate: true, edit: true, compose: false, analyze: false };
+  }
+
+  get inputRequirements() {
+    return { formats: ['image/png', 'image/jpeg', 'image/webp'], alpha: 'flatten' };
+  }
+
+  ownsModel(model) {
+    return model.startsWith('stable-diffusion');
+  }
+
+  async generate(prompt, options = {}) {
+    const model = this.resolveModel(options.model);
+    const [width, height] = this.getDimensions(options.aspectRatio);
+    console.log(`🔧 Using model: ${model}`);
+
+    const response = await this.request((signal) => axios.post(`${API_BASE}/${model}/text-to-image`, {
+      text_prompts: [{
+        text: prompt,
+        weight: 1
+      }],
+      cfg_scale: 7,
+      height,
+      width,
+      samples: 1,
+      steps: 30
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      signal
+    }), options);
+
+    return this.toResult(response.data, model);
+  }
+
+  async edit(imagePath, prompt, options = {}) {
+    const model = this.resolveModel(options.model);
+    const [width, height] = this.getDimensions(options.aspectRatio);
+    console.log(`🔧 Using model: ${model}`);
+
+    // SDXL rejects init images that are not one of its native sizes
+    const initImage = await sharp(this.readImage(imagePath).data)
+      .resize(width, height, { fit: 'cover' })
+      .png()
+      .toBuffer();
+
+    const form = new FormData();
+    form.append('init_image', new Blob([initImage], { type: 'image/png' }), 'init.png');
+    form.append('init_image_mode', 'IMAGE_STRENGTH');
+    form.append('image_strength', String(this.imageStrength));
+    form.append('text_prompts[0][text]', prompt);
+    form.append('text_prompts[0][weight]', '1');
+    form.append('cfg_scale', '7');
+    form.append('samples', '1');
+    form.append('steps', '30');
+
+    const response = await this.request((signal) => axios.post(`${API_BASE}/${model}/image-to-image`, form, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Accept': 'application/json'
+      },
+      signal
+    }), options);
+
+    return this.toResult(response.data, model);
+  }
+
+  /**
+   * Map an aspect ratio to SDXL dimensions
+   * @param {string} aspectRatio - Requested aspect ratio
+   * @returns {number[]} [width, height]
+   */
+  getDimensions(aspectRatio = '1:1') {
+    return SDXL_DIMENSIONS[aspectRatio] || SDXL_DIMENSIONS['1:1'];
+  }
+
+  toResult(body, model) {
+    const images = (body.artifacts || [])
+      .filter(artifact => artifact.base64)
+      .map(artifact => ({ data: Buffer.from(artifact.base64, 'base64'), mimeType: 'image/png' }));
+    return { images, text: null, model };
+  }
+}
+
+export default StabilityProvider;
@@ -0,0 +1,94 @@
+/**
+ * Concurrency utilities for nano Banana GIF Generator
+ * Token-bucket rate limiting and a bounded worker pool for frame generation
+ */
+
+/**
+ * Token-bucket rate limiter
+ * Tokens refill continuously at requestsPerMinute; each call to acquire()
+ * takes one, waiting in FIFO order when the bucket is empty
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerMinute - Sustained rate; 0 or less disables limiting
+   * @param {number} options.burst - Bucket size, i.e. requests allowed back to back (default 1)
+   */
+  constructor(options = {}) {
+    const { requestsPerMinute = 0, burst = 1 } = options;
+    this.requestsPerMinute = requestsPerMinute;
+    this.interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<void>} Resolves when the caller may send a request
+   */
+  acquire() {
+    if (!this.interval) return Promise.resolve();
+
+    const turn = this.queue.then(() => this.take());
+    this.queue = turn;
+    return turn;
+  }
+
+  async take() {
+    this.refill();
+    if (this.tokens < 1) {
+      await sleep(Math.ceil((1 - this.tokens) * this.interval));
+      this.refill();
+    }
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / this.interval);
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the input order. The first failure stops new work from starting;
+ * calls already running are allowed to settle before that error is rethrown
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Worker: (item, index) => Promise
+ * @returns {Promise<Array>} Results, in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  if (failure) throw failure;
+  return results;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
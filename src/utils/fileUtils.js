@@ -7,6 +7,25 @@ import * as fs from 'node:fs';
 import * as path from 'node:path';
 import { CONFIG } from '../core/config.js';
 import { logger } from '../core/logger.js';
+import { InvalidInputError } from '../core/errors.js';
+
+// Leading bytes of each image format; null entries match any byte
+const MAGIC_BYTES = [
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', offset: 0, bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { mimeType: 'image/bmp', offset: 0, bytes: [0x42, 0x4d] },
+  { mimeType: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] }
+];
+
+// ISO base media brands (bytes 8-11 after "ftyp") of HEIF-family images
+const FTYP_BRANDS = {
+  heic: 'image/heic', heix: 'image/heic', hevc: 'image/heic', hevx: 'image/heic', heim: 'image/heic', heis: 'image/heic',
+  mif1: 'image/heif', msf1: 'image/heif',
+  avif: 'image/avif', avis: 'image/avif'
+};
 
 export class FileUtils {
   /**
@@ -33,13 +52,48 @@ export class FileUtils {
   }
 
   /**
-   * Get MIME type from file extension
+   * Get the MIME type of an image file
+   * The format is sniffed from the file's first bytes; the extension is only used when the
+   * contents are not recognized
    * @param {string} filePath - File path
    * @returns {string} MIME type
+   * @throws {InvalidInputError} If neither the contents nor the extension name an image format
    */
   static getMimeType(filePath) {
-    const ext = this.getExtension(filePath);
-    return CONFIG.mimeTypes[ext] || 'image/png';
+    let sniffed = null;
+    if (fs.existsSync(filePath)) {
+      const header = Buffer.alloc(16);
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        fs.readSync(fd, header, 0, header.length, 0);
+      } finally {
+        fs.closeSync(fd);
+      }
+      sniffed = this.sniffMimeType(header);
+    }
+
+    const mimeType = sniffed || CONFIG.mimeTypes[this.getExtension(filePath)];
+    if (!mimeType) {
+      throw new InvalidInputError(`Unrecognized image format: ${filePath}`);
+    }
+    return mimeType;
+  }
+
+  /**
+   * Identify an image format from its magic bytes
+   * @param {Buffer} data - Start of the file (16 bytes are enough)
+   * @returns {string|null} MIME type, or null if the bytes match no known image format
+   */
+  static sniffMimeType(data) {
+    const match = MAGIC_BYTES.find(({ offset, bytes }) =>
+      data.length >= offset + bytes.length && bytes.every((byte, i) => byte === null || data[offset + i] === byte)
+    );
+    if (match) return match.mimeType;
+
+    if (data.length >= 12 && data.toString('latin1', 4, 8) === 'ftyp') {
+      return FTYP_BRANDS[data.toString('latin1', 8, 12)] || null;
+    }
+    return null;
   }
 
   /**
@@ -102,17 +156,27 @@ export class FileUtils {
   /**
    * Clean directory
    * @param {string} dirPath - Directory path
+   * @param {Object} options - Clean options
+   * @param {Function} options.keep - Return true for entry paths that must survive (e.g. active job folders)
+   * @returns {Promise<string[]>} Entries that were kept
    */
-  static async cleanDirectory(dirPath) {
+  static async cleanDirectory(dirPath, options = {}) {
+    const kept = [];
     try {
       const files = await fs.promises.readdir(dirPath);
       for (const file of files) {
-        await fs.promises.unlink(path.join(dirPath, file));
+        const entryPath = path.join(dirPath, file);
+        if (options.keep && options.keep(entryPath)) {
+          kept.push(entryPath);
+          continue;
+        }
+        await fs.promises.rm(entryPath, { recursive: true, force: true });
       }
       logger.debug(`Directory cleaned: ${dirPath}`);
     } catch (error) {
       logger.debug(`Failed to clean directory ${dirPath}:`, error.message);
     }
+    return kept;
   }
 
   /**
@@ -0,0 +1,390 @@
+/**
+ * Frame interpolation for nano Banana GIF Generator
+ * Synthesizes in-between frames locally from AI keyframes, so a smooth GIF costs one model
+ * call per keyframe instead of one per frame. Two methods:
+ * - dissolve: cross-dissolve between the two keyframes
+ * - motion: block matching estimates where each part of the first keyframe moved to in the
+ *   second; in-betweens sample both keyframes along those vectors before blending them
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import sharp from 'sharp';
+import { InvalidInputError } from '../core/errors.js';
+
+export const TWEEN_METHODS = ['dissolve', 'motion'];
+export const DEFAULT_TWEEN_METHOD = 'motion';
+
+// In-betweens per pair of keyframes when the total frame count is not given
+export const DEFAULT_TWEENS_PER_PAIR = 3;
+
+// Shortest frame delay; most viewers slow down GIF frames shorter than this
+const MIN_DELAY = 20;
+
+// Motion is estimated on greyscale copies whose longest edge is at most this many pixels
+const MOTION_EDGE = 256;
+const BLOCK_SIZE = 8;
+// Pyramid levels, each half the size of the one below; the smallest is searched exhaustively
+const MOTION_LEVELS = 3;
+// Displacement searched on the smallest level, and around the doubled vector on the others, in level pixels
+const SEARCH_RANGE = 12;
+const REFINE_RANGE = 2;
+// Cost per pixel of displacement (in mean absolute difference), so flat areas keep a zero vector
+const MOTION_PENALTY = 0.5;
+
+/**
+ * @typedef {Object} MotionField
+ * @property {number} blocksX - Blocks per row
+ * @property {number} blocksY - Blocks per column
+ * @property {Float32Array} vectors - dx, dy of each block in full-size pixels, row by row
+ * @property {number} blockSpan - Block side in full-size pixels
+ */
+
+/**
+ * Check a tween method name
+ * @param {string} method - dissolve or motion
+ * @returns {string} The method
+ * @throws {InvalidInputError} If the method is unknown
+ */
+export function checkTweenMethod(method) {
+  if (!TWEEN_METHODS.includes(method)) {
+    throw new InvalidInputError(`Unknown tween method: ${method} (use ${TWEEN_METHODS.join(' or ')})`);
+  }
+  return method;
+}
+
+/**
+ * Number of in-betweens after each keyframe
+ * Extra frames that do not divide evenly go to the earliest pairs
+ * @param {number} keyframeCount - Keyframes generated by the model
+ * @param {number} frameCount - Frames of the finished animation, keyframes included
+ * @param {boolean} wrap - Also tween from the last keyframe back to the first (looping animations)
+ * @returns {number[]} In-betweens after each keyframe; one entry per pair
+ * @throws {InvalidInputError} If there are fewer than 2 keyframes or fewer frames than keyframes
+ */
+export function getTweenCounts(keyframeCount, frameCount, wrap = false) {
+  if (!Number.isInteger(keyframeCount) || keyframeCount < 2) {
+    throw new InvalidInputError(`Tweening needs at least 2 keyframes (got ${keyframeCount})`);
+  }
+  if (!Number.isInteger(frameCount) || frameCount < keyframeCount) {
+    throw new InvalidInputError(`Cannot tween ${keyframeCount} keyframes into ${frameCount} frames (use at least ${keyframeCount} frames)`);
+  }
+
+  const pairs = wrap ? keyframeCount : keyframeCount - 1;
+  const tweens = frameCount - keyframeCount;
+  return Array.from({ length: pairs }, (_, i) => Math.floor(tweens / pairs) + (i < tweens % pairs ? 1 : 0));
+}
+
+/**
+ * Frame count of an animation with the same number of in-betweens after every keyframe
+ * @param {number} keyframeCount - Keyframes generated by the model
+ * @param {boolean} wrap - Whether the last keyframe is tweened back into the first
+ * @param {number} perPair - In-betweens per pair of keyframes
+ * @returns {number} Frames, keyframes included
+ */
+export function getTweenedFrameCount(keyframeCount, wrap = false, perPair = DEFAULT_TWEENS_PER_PAIR) {
+  return keyframeCount + (wrap ? keyframeCount : keyframeCount - 1) * perPair;
+}
+
+/**
+ * Delays of a tweened sequence
+ * Each keyframe's delay is shared by the keyframe and the in-betweens after it, so the
+ * animation keeps the timing of its keyframes
+ * @param {number[]} keyframeDelays - Delay of each keyframe in milliseconds
+ * @param {number[]} counts - In-betweens after each keyframe (see getTweenCounts)
+ * @returns {number[]} Delay of every frame, in the order of tweenSequence
+ */
+export function getTweenedDelays(keyframeDelays, counts) {
+  return keyframeDelays.flatMap((delay, i) => {
+    const frames = 1 + (counts[i] ?? 0);
+    return new Array(frames).fill(Math.max(MIN_DELAY, Math.round(delay / frames)));
+  });
+}
+
+/**
+ * Fill the gaps between keyframes with interpolated frames
+ * @param {string[]} keyframes - Keyframe paths, in order
+ * @param {Object} options - Tween options
+ * @param {number} options.frameCount - Frames of the finished animation, keyframes included
+ * @param {string} options.method - dissolve or motion (default motion)
+ * @param {boolean} options.wrap - Also tween from the last keyframe back to the first
+ * @param {string} options.outputDir - Where the in-betweens are written
+ * @returns {Promise<string[]>} Keyframes and in-betweens, in playback order
+ * @throws {InvalidInputError} If the method is unknown or the frame counts do not fit
+ */
+export async function tweenSequence(keyframes, options) {
+  const { frameCount, method = DEFAULT_TWEEN_METHOD, wrap = false, outputDir } = options;
+  checkTweenMethod(method);
+  const counts = getTweenCounts(keyframes.length, frameCount, wrap);
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const frames = [];
+  for (const [i, keyframe] of keyframes.entries()) {
+    frames.push(keyframe);
+    if (i < counts.length) {
+      const next = keyframes[(i + 1) % keyframes.length];
+      frames.push(...await interpolateFrames(keyframe, next, counts[i], {
+        method,
+        outputDir,
+        prefix: `tween_${i.toString().padStart(2, '0')}`
+      }));
+    }
+  }
+  return frames;
+}
+
+/**
+ * Write evenly spaced in-betweens of two frames
+ * The second frame is resized to the first one's size if they differ
+ * @param {string} fromPath - First frame
+ * @param {string} toPath - Second frame
+ * @param {number} count - In-betweens to write
+ * @param {Object} options - Interpolation options
+ * @param {string} options.method - dissolve or motion (default motion)
+ * @param {string} options.outputDir - Where the in-betweens are written
+ * @param {string} options.prefix - File name prefix; files are <prefix>_NN.png
+ * @returns {Promise<string[]>} In-between paths, in order
+ */
+export async function interpolateFrames(fromPath, toPath, count, options = {}) {
+  const { method = DEFAULT_TWEEN_METHOD, outputDir, prefix = 'tween' } = options;
+  if (count <= 0) return [];
+
+  const from = await loadRgb(fromPath);
+  const to = await loadRgb(toPath, from);
+  const field = method === 'motion' ? await estimateMotion(fromPath, toPath, from.width, from.height) : null;
+
+  const paths = [];
+  for (let k = 1; k <= count; k++) {
+    const t = k / (count + 1);
+    const pixels = field ? blendAlongMotion(from, to, field, t) : crossDissolve(from, to, t);
+    const outputPath = path.join(outputDir, `${prefix}_${k.toString().padStart(2, '0')}.png`);
+    await sharp(pixels, { raw: { width: from.width, height: from.height, channels: 3 } }).png().toFile(outputPath);
+    paths.push(outputPath);
+  }
+  return paths;
+}
+
+/**
+ * Estimate how each block of the first frame moved in the second
+ * Block matching (sum of absolute differences) on downscaled greyscale copies, coarse to fine:
+ * the smallest copy is searched exhaustively and every finer level only refines the doubled
+ * vectors of the level above, so large moves are found without a large search. A 3x3 median
+ * over the vectors of each level drops stray matches
+ * @param {string} fromPath - First frame
+ * @param {string} toPath - Second frame
+ * @param {number} width - Full frame width
+ * @param {number} height - Full frame height
+ * @returns {Promise<MotionField>} Motion of each block
+ */
+export async function estimateMotion(fromPath, toPath, width, height) {
+  const scale = Math.min(1, MOTION_EDGE / Math.max(width, height));
+  let level = null;
+
+  for (let depth = MOTION_LEVELS - 1; depth >= 0; depth--) {
+    const levelScale = scale / 2 ** depth;
+    const w = Math.max(1, Math.round(width * levelScale));
+    const h = Math.max(1, Math.round(height * levelScale));
+    const [a, b] = await Promise.all([fromPath, toPath].map(imagePath => sharp(imagePath)
+      .flatten({ background: '#ffffff' })
+      .resize(w, h, { fit: 'fill' })
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer()));
+    level = { w, h, ...matchBlocks(a, b, w, h, level) };
+  }
+
+  const vectors = level.vectors.map(value => value / scale);
+  return { blocksX: level.blocksX, blocksY: level.blocksY, vectors, blockSpan: BLOCK_SIZE / scale };
+}
+
+/**
+ * Match every block of one level
+ * Without a coarser level the whole search range is tried; otherwise small windows around the
+ * zero vector and the vectors of the nearest coarser blocks, scaled to this level
+ * @param {Buffer} a - Greyscale pixels of the first frame
+ * @param {Buffer} b - Greyscale pixels of the second frame
+ * @param {number} w - Level width
+ * @param {number} h - Level height
+ * @param {{w: number, blocksX: number, blocksY: number, vectors: Float32Array}|null} coarser - Level above, if any
+ * @returns {{blocksX: number, blocksY: number, vectors: Float32Array}} Median-filtered vectors in level pixels
+ */
+function matchBlocks(a, b, w, h, coarser) {
+  const blocksX = Math.ceil(w / BLOCK_SIZE);
+  const blocksY = Math.ceil(h / BLOCK_SIZE);
+  const raw = new Float32Array(blocksX * blocksY * 2);
+  const at = (x, y) => Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x));
+  const range = coarser ? REFINE_RANGE : SEARCH_RANGE;
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      const x0 = bx * BLOCK_SIZE;
+      const y0 = by * BLOCK_SIZE;
+      const x1 = Math.min(w, x0 + BLOCK_SIZE);
+      const y1 = Math.min(h, y0 + BLOCK_SIZE);
+      const pixels = (x1 - x0) * (y1 - y0);
+      const cost = (dx, dy) => {
+        let sad = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            sad += Math.abs(a[y * w + x] - b[at(x + dx, y + dy)]);
+          }
+        }
+        return sad / pixels + MOTION_PENALTY * (Math.abs(dx) + Math.abs(dy));
+      };
+
+      // Blocks on the edge of a moving object may belong with any neighbour of their coarse block
+      const predictions = new Map([['0,0', [0, 0]]]);
+      if (coarser) {
+        const factor = w / coarser.w;
+        const cx = Math.min(coarser.blocksX - 1, bx >> 1);
+        const cy = Math.min(coarser.blocksY - 1, by >> 1);
+        for (let ny = Math.max(0, cy - 1); ny <= Math.min(coarser.blocksY - 1, cy + 1); ny++) {
+          for (let nx = Math.max(0, cx - 1); nx <= Math.min(coarser.blocksX - 1, cx + 1); nx++) {
+            const i = (ny * coarser.blocksX + nx) * 2;
+            const prediction = [Math.round(coarser.vectors[i] * factor), Math.round(coarser.vectors[i + 1] * factor)];
+            predictions.set(prediction.join(','), prediction);
+          }
+        }
+      }
+
+      let best = { cost: cost(0, 0), dx: 0, dy: 0 };
+      const tried = new Set();
+      for (const [px, py] of predictions.values()) {
+        for (let dy = py - range; dy <= py + range; dy++) {
+          for (let dx = px - range; dx <= px + range; dx++) {
+            const key = dy * 65536 + dx;
+            if (tried.has(key)) continue;
+            tried.add(key);
+            const candidate = cost(dx, dy);
+            if (candidate < best.cost) best = { cost: candidate, dx, dy };
+          }
+        }
+      }
+      raw[(by * blocksX + bx) * 2] = best.dx;
+      raw[(by * blocksX + bx) * 2 + 1] = best.dy;
+    }
+  }
+
+  const vectors = new Float32Array(raw.length);
+  const median = values => values.sort((p, q) => p - q)[values.length >> 1];
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      for (let component = 0; component < 2; component++) {
+        const neighbours = [];
+        for (let ny = Math.max(0, by - 1); ny <= Math.min(blocksY - 1, by + 1); ny++) {
+          for (let nx = Math.max(0, bx - 1); nx <= Math.min(blocksX - 1, bx + 1); nx++) {
+            neighbours.push(raw[(ny * blocksX + nx) * 2 + component]);
+          }
+        }
+        vectors[(by * blocksX + bx) * 2 + component] = median(neighbours);
+      }
+    }
+  }
+  return { blocksX, blocksY, vectors };
+}
+
+/**
+ * Load an image as RGB pixels
+ * @param {string} imagePath - Image path
+ * @param {{width: number, height: number}} size - Resize to this size, if given
+ * @returns {Promise<{data: Buffer, width: number, height: number}>} Pixels and size
+ */
+async function loadRgb(imagePath, size = null) {
+  let image = sharp(imagePath).flatten({ background: '#ffffff' });
+  if (size) {
+    image = image.resize(size.width, size.height, { fit: 'fill' });
+  }
+  const { data, info } = await image.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Cross-dissolve two frames
+ * @param {{data: Buffer}} from - First frame
+ * @param {{data: Buffer}} to - Second frame, same size
+ * @param {number} t - Position between the frames (0-1)
+ * @returns {Buffer} RGB pixels of the in-between
+ */
+function crossDissolve(from, to, t) {
+  const out = Buffer.alloc(from.data.length);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = Math.round(from.data[i] + (to.data[i] - from.data[i]) * t);
+  }
+  return out;
+}
+
+/**
+ * Blend two frames along a motion field
+ * Each output pixel takes the vector interpolated between the nearest block centres, samples
+ * the first frame t of the way back along it and the second frame the rest of the way forward,
+ * and blends the two samples by t
+ * @param {{data: Buffer, width: number, height: number}} from - First frame
+ * @param {{data: Buffer, width: number, height: number}} to - Second frame, same size
+ * @param {MotionField} field - Motion from the first frame to the second
+ * @param {number} t - Position between the frames (0-1)
+ * @returns {Buffer} RGB pixels of the in-between
+ */
+function blendAlongMotion(from, to, field, t) {
+  const { width, height } = from;
+  const { blocksX, blocksY, vectors, blockSpan } = field;
+  const out = Buffer.alloc(from.data.length);
+  const a = [0, 0, 0];
+  const b = [0, 0, 0];
+
+  const vector = (x, y, result) => {
+    const gx = Math.min(blocksX - 1, Math.max(0, x / blockSpan - 0.5));
+    const gy = Math.min(blocksY - 1, Math.max(0, y / blockSpan - 0.5));
+    const x0 = Math.floor(gx);
+    const y0 = Math.floor(gy);
+    const x1 = Math.min(blocksX - 1, x0 + 1);
+    const y1 = Math.min(blocksY - 1, y0 + 1);
+    const fx = gx - x0;
+    const fy = gy - y0;
+    for (let c = 0; c < 2; c++) {
+      const v00 = vectors[(y0 * blocksX + x0) * 2 + c];
+      const v10 = vectors[(y0 * blocksX + x1) * 2 + c];
+      const v01 = vectors[(y1 * blocksX + x0) * 2 + c];
+      const v11 = vectors[(y1 * blocksX + x1) * 2 + c];
+      result[c] = (v00 * (1 - fx) + v10 * fx) * (1 - fy) + (v01 * (1 - fx) + v11 * fx) * fy;
+    }
+  };
+  const v = [0, 0];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      vector(x, y, v);
+      sample(from, x - t * v[0], y - t * v[1], a);
+      sample(to, x + (1 - t) * v[0], y + (1 - t) * v[1], b);
+      const i = (y * width + x) * 3;
+      for (let c = 0; c < 3; c++) {
+        out[i + c] = Math.round(a[c] * (1 - t) + b[c] * t);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Bilinear sample of an RGB image, clamped to its edges
+ * @param {{data: Buffer, width: number, height: number}} image - Image
+ * @param {number} x - Column, may be fractional
+ * @param {number} y - Row, may be fractional
+ * @param {number[]} result - Receives the three channel values
+ */
+function sample(image, x, y, result) {
+  const { data, width, height } = image;
+  const cx = Math.min(width - 1, Math.max(0, x));
+  const cy = Math.min(height - 1, Math.max(0, y));
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = cx - x0;
+  const fy = cy - y0;
+
+  for (let c = 0; c < 3; c++) {
+    const top = data[(y0 * width + x0) * 3 + c] * (1 - fx) + data[(y0 * width + x1) * 3 + c] * fx;
+    const bottom = data[(y1 * width + x0) * 3 + c] * (1 - fx) + data[(y1 * width + x1) * 3 + c] * fx;
+    result[c] = top * (1 - fy) + bottom * fy;
+  }
+}
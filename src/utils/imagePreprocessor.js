@@ -0,0 +1,128 @@
+/**
+ * Input image preprocessing for nano Banana GIF Generator
+ * Normalizes user images before a provider uploads them: the real format is sniffed from
+ * the file's magic bytes, EXIF orientation is applied, oversized images are downscaled and
+ * transparency is flattened or kept as the provider requires. Images that already fit are
+ * sent unchanged; re-encoded copies are written once per input and settings
+ */
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import sharp from 'sharp';
+import { ENV_CONFIG } from '../config/environment.js';
+import { FileUtils } from './fileUtils.js';
+import { InvalidInputError } from '../core/errors.js';
+
+export const NORMALIZED_DIR = path.join(ENV_CONFIG.TEMP_DIR, 'normalized');
+
+// Formats re-encoded losslessly when converted (they are usually drawings, screenshots or frames)
+const LOSSLESS_SOURCES = ['image/png', 'image/gif', 'image/bmp', 'image/tiff'];
+
+const ENCODERS = {
+  'image/png': { extension: 'png', encode: image => image.png() },
+  'image/jpeg': { extension: 'jpg', encode: image => image.jpeg({ quality: 90 }) },
+  'image/webp': { extension: 'webp', encode: image => image.webp({ quality: 90 }) }
+};
+
+/**
+ * @typedef {Object} InputRequirements
+ * @property {string[]} formats - MIME types the provider accepts
+ * @property {string} alpha - keep, or flatten transparency onto white
+ */
+
+/**
+ * @typedef {Object} NormalizedImage
+ * @property {string} path - Image to send (the input itself when nothing had to change)
+ * @property {string} mimeType - MIME type of that image
+ * @property {boolean} changed - True if a converted copy was written
+ * @property {string[]} reasons - Why the image was converted
+ */
+
+/**
+ * Prepare an input image for a provider
+ * @param {string} imagePath - Input image
+ * @param {Object} options - Preprocessing options
+ * @param {string[]} options.formats - MIME types the provider accepts
+ * @param {string} options.alpha - keep or flatten (default keep)
+ * @param {number} options.maxEdge - Longest edge in pixels, 0 for no limit (defaults to INPUT_MAX_EDGE)
+ * @param {string} options.outputDir - Where converted copies go (defaults to temp/normalized)
+ * @returns {Promise<NormalizedImage>} Image to send
+ * @throws {InvalidInputError} If the file is not an image, or one that cannot be converted
+ */
+export async function normalizeImage(imagePath, options = {}) {
+  const {
+    formats = Object.keys(ENCODERS),
+    alpha = 'keep',
+    maxEdge = ENV_CONFIG.INPUT_MAX_EDGE,
+    outputDir = NORMALIZED_DIR
+  } = options;
+
+  const data = fs.readFileSync(imagePath);
+  const mimeType = FileUtils.sniffMimeType(data);
+  if (!mimeType) {
+    throw new InvalidInputError(`${imagePath} is not a PNG, JPEG, WebP, GIF, HEIC/HEIF, AVIF, BMP or TIFF image`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(data).metadata();
+  } catch (error) {
+    // Prebuilt sharp cannot decode HEVC-coded HEIC; providers that accept HEIC get the file as it is
+    if (formats.includes(mimeType)) {
+      return { path: imagePath, mimeType, changed: false, reasons: [] };
+    }
+    throw new InvalidInputError(`Cannot convert ${imagePath} (${mimeType}) to ${formats.join(', ')}: ${error.message}`);
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const rotated = (metadata.orientation || 1) > 1;
+  const [width, height] = (metadata.orientation || 1) >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+  const oversized = maxEdge > 0 && Math.max(width, height) > maxEdge;
+  const transparent = !!metadata.hasAlpha && !(await sharp(data).stats()).isOpaque;
+  const flatten = transparent && alpha === 'flatten';
+  const animated = (metadata.pages || 1) > 1;
+
+  const reasons = [];
+  if (!formats.includes(mimeType)) reasons.push(`${mimeType} is not accepted`);
+  if (rotated) reasons.push(`EXIF orientation ${metadata.orientation}`);
+  if (oversized) reasons.push(`${width}x${height} is over ${maxEdge}px`);
+  if (flatten) reasons.push('transparency flattened');
+  if (animated && !formats.includes(mimeType)) reasons.push('first frame only');
+  if (reasons.length === 0) {
+    return { path: imagePath, mimeType, changed: false, reasons };
+  }
+
+  // Keep transparency and lossless sources in a lossless format, when the provider takes one
+  const preferred = (transparent && !flatten) || LOSSLESS_SOURCES.includes(mimeType)
+    ? ['image/png', 'image/webp', 'image/jpeg']
+    : ['image/jpeg', 'image/webp', 'image/png'];
+  const outputType = preferred.find(type => formats.includes(type));
+  if (!outputType) {
+    throw new InvalidInputError(`Cannot convert ${imagePath}: the provider accepts none of ${preferred.join(', ')}`);
+  }
+
+  const { extension, encode } = ENCODERS[outputType];
+  const key = crypto.createHash('sha256')
+    .update(data)
+    .update(JSON.stringify({ outputType, flatten, maxEdge: oversized ? maxEdge : 0 }))
+    .digest('hex');
+  const outputPath = path.join(outputDir, `${key.substring(0, 32)}.${extension}`);
+
+  // Frames generated in parallel may convert the same input; the rename keeps readers off half-written files
+  if (!fs.existsSync(outputPath)) {
+    let image = sharp(data).rotate();
+    if (oversized) {
+      image = image.resize(maxEdge, maxEdge, { fit: 'inside', withoutEnlargement: true });
+    }
+    if (flatten || outputType === 'image/jpeg') {
+      image = image.flatten({ background: '#ffffff' });
+    }
+    fs.mkdirSync(outputDir, { recursive: true });
+    const tempPath = `${outputPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await encode(image).toFile(tempPath);
+    fs.renameSync(tempPath, outputPath);
+  }
+
+  return { path: outputPath, mimeType: outputType, changed: true, reasons };
+}
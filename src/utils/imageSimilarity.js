@@ -0,0 +1,83 @@
+/**
+ * Image similarity for nano Banana GIF Generator
+ * Structural similarity (SSIM) between two images, computed locally on downscaled
+ * greyscale copies. Used to pick the frame candidate most consistent with the anchor frame
+ */
+
+import sharp from 'sharp';
+
+// Side of the square both images are downscaled to before comparing
+export const SIMILARITY_SIZE = 128;
+
+// SSIM window size and stabilizing constants for 8-bit images (Wang et al. 2004)
+const WINDOW = 8;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Load an image as greyscale pixels, resized to a square
+ * The aspect ratio is ignored on purpose: frames of one sequence share their size
+ * @param {string} imagePath - Image path
+ * @param {number} size - Side of the square in pixels
+ * @returns {Promise<Buffer>} size * size greyscale bytes
+ */
+export async function loadGreyscale(imagePath, size = SIMILARITY_SIZE) {
+  return await sharp(imagePath)
+    .flatten({ background: '#ffffff' })
+    .resize(size, size, { fit: 'fill' })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Mean SSIM of two greyscale images of the same size, over non-overlapping windows
+ * @param {Buffer|Uint8Array} a - First image pixels
+ * @param {Buffer|Uint8Array} b - Second image pixels
+ * @param {number} size - Side of the square images
+ * @returns {number} Similarity in [-1, 1]; 1 for identical images
+ */
+export function ssim(a, b, size = SIMILARITY_SIZE) {
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + WINDOW <= size; y += WINDOW) {
+    for (let x = 0; x + WINDOW <= size; x += WINDOW) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let dy = 0; dy < WINDOW; dy++) {
+        for (let dx = 0; dx < WINDOW; dx++) {
+          const i = (y + dy) * size + x + dx;
+          sumA += a[i];
+          sumB += b[i];
+          sumAA += a[i] * a[i];
+          sumBB += b[i] * b[i];
+          sumAB += a[i] * b[i];
+        }
+      }
+
+      const n = WINDOW * WINDOW;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+
+      total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+  return total / windows;
+}
+
+/**
+ * Structural similarity of two image files
+ * @param {string} imagePathA - First image
+ * @param {string} imagePathB - Second image
+ * @param {number} size - Side of the square both are downscaled to
+ * @returns {Promise<number>} SSIM in [-1, 1]
+ */
+export async function compareImages(imagePathA, imagePathB, size = SIMILARITY_SIZE) {
+  const [a, b] = await Promise.all([loadGreyscale(imagePathA, size), loadGreyscale(imagePathB, size)]);
+  return ssim(a, b, size);
+}
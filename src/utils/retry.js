@@ -0,0 +1,156 @@
+/**
+ * Retry utilities for nano Banana GIF Generator
+ * Exponential backoff with jitter, server retry hints, per-attempt timeouts
+ * and retryable/fatal error classification for model calls
+ */
+
+import { CONFIG } from '../core/config.js';
+import { ENV_CONFIG } from '../config/environment.js';
+import { RequestTimeoutError } from '../core/errors.js';
+
+// HTTP statuses worth another attempt: timeouts, rate limits and server-side failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Transient network failures reported by Node and undici
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Get the HTTP status of an SDK (ApiError) or axios error
+ * @param {Error} error - Error thrown by a model call
+ * @returns {number|null} HTTP status
+ */
+export function getErrorStatus(error) {
+  return error?.status ?? error?.response?.status ?? null;
+}
+
+/**
+ * Decide whether an error is transient and the call should be retried
+ * @param {Error} error - Error thrown by a model call
+ * @returns {boolean} True for timeouts, rate limits, 5xx and network failures
+ */
+export function isRetryableError(error) {
+  if (error instanceof RequestTimeoutError) return true;
+
+  const status = getErrorStatus(error);
+  if (status !== null) return RETRYABLE_STATUSES.includes(status);
+
+  const code = error?.code ?? error?.cause?.code;
+  if (RETRYABLE_CODES.includes(code)) return true;
+
+  // fetch() reports network failures as a bare TypeError
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
+
+/**
+ * Read a server retry hint, if the error carries one
+ * Supports the Retry-After header and the google.rpc.RetryInfo retryDelay field
+ * @param {Error} error - Error thrown by a model call
+ * @returns {number|null} Suggested delay in milliseconds
+ */
+export function getRetryAfter(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const match = /"retryDelay"\s*:\s*"([\d.]+)s"/.exec(error?.message || '');
+  return match ? parseFloat(match[1]) * 1000 : null;
+}
+
+/**
+ * Compute the backoff before the next attempt ("full jitter")
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay for the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for any delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, options = {}) {
+  const { baseDelay = CONFIG.retryBaseDelay, maxDelay = CONFIG.retryMaxDelay } = options;
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Short description of an error for retry logs
+ * @param {Error} error - Error thrown by a model call
+ * @returns {string} Status or error name plus message
+ */
+export function describeError(error) {
+  const status = getErrorStatus(error);
+  const message = (error?.message || String(error)).split('\n')[0].substring(0, 120);
+  return status ? `${status}: ${message}` : message;
+}
+
+/**
+ * Run an async call with retries, backoff and a per-attempt timeout
+ * @param {Function} fn - Call to run: (abortSignal, attempt) => Promise
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt (default MAX_RETRIES)
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds (default API_TIMEOUT)
+ * @param {number} options.baseDelay - Backoff for the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for a single backoff in milliseconds; a longer server
+ *   retry hint is still honoured
+ * @param {number} options.deadline - Time after the first attempt past which no retry is started; an
+ *   error whose wait would end later is thrown at once, keeping its retry hint (default RETRY_DEADLINE_MS)
+ * @param {string} options.label - Name of the call, used in timeout errors
+ * @param {Function} options.beforeAttempt - Awaited before each attempt, outside its timeout (e.g. rate limiting)
+ * @param {Function} options.onRetry - Called before each retry with { attempt, maxRetries, delay, error }
+ * @param {Function} options.onDeadline - Called with { attempt, maxRetries, delay, deadline, error } when the
+ *   deadline stops retries that MAX_RETRIES still allows
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    maxRetries = ENV_CONFIG.MAX_RETRIES,
+    timeout = ENV_CONFIG.API_TIMEOUT,
+    baseDelay = CONFIG.retryBaseDelay,
+    maxDelay = CONFIG.retryMaxDelay,
+    deadline = ENV_CONFIG.RETRY_DEADLINE_MS,
+    label = 'Request',
+    beforeAttempt = null,
+    onRetry = null,
+    onDeadline = null
+  } = options;
+
+  const startedAt = Date.now();
+  for (let attempt = 0; ; attempt++) {
+    if (beforeAttempt) {
+      await beforeAttempt(attempt);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await fn(controller.signal, attempt);
+    } catch (caught) {
+      const error = controller.signal.aborted
+        ? new RequestTimeoutError(`${label} timed out after ${timeout}ms`, timeout)
+        : caught;
+
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      // The server knows when quota frees up, so its hint wins over our own cap
+      const hint = getRetryAfter(error);
+      const delay = Math.max(hint ?? 0, computeBackoff(attempt + 1, { baseDelay, maxDelay }));
+      if (Date.now() - startedAt + delay > deadline) {
+        if (onDeadline) {
+          onDeadline({ attempt: attempt + 1, maxRetries, delay, deadline, error });
+        }
+        throw error;
+      }
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, maxRetries, delay, error });
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
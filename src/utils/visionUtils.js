@@ -0,0 +1,256 @@
+/**
+ * Vision utilities for nano Banana GIF Generator
+ * Response schemas, box and mask decoding and annotation drawing for structured image understanding
+ */
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import sharp from 'sharp';
+import { EmptyResponseError } from '../core/errors.js';
+
+// Gemini returns box_2d as [ymin, xmin, ymax, xmax] on this grid, whatever the image size
+export const BOX_SCALE = 1000;
+
+// JSON response schema for object detection (OpenAPI subset understood by Gemini)
+export const DETECTION_SCHEMA = {
+  type: 'ARRAY',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      label: { type: 'STRING', description: 'Short name of the object' },
+      confidence: { type: 'NUMBER', description: 'Detection confidence between 0 and 1' },
+      box_2d: {
+        type: 'ARRAY',
+        description: '[ymin, xmin, ymax, xmax] normalized to 0-1000',
+        items: { type: 'INTEGER' }
+      }
+    },
+    required: ['label', 'box_2d'],
+    propertyOrdering: ['label', 'confidence', 'box_2d']
+  }
+};
+
+// JSON response schema for segmentation: a detection plus a base64 PNG probability mask for the box
+export const SEGMENTATION_SCHEMA = {
+  type: 'ARRAY',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      label: { type: 'STRING', description: 'Short name of the object' },
+      box_2d: {
+        type: 'ARRAY',
+        description: '[ymin, xmin, ymax, xmax] normalized to 0-1000',
+        items: { type: 'INTEGER' }
+      },
+      mask: { type: 'STRING', description: 'Base64 PNG probability map covering box_2d' }
+    },
+    required: ['label', 'box_2d', 'mask'],
+    propertyOrdering: ['label', 'box_2d', 'mask']
+  }
+};
+
+// Mask probabilities (0-255) at or above this value count as part of the object
+export const MASK_THRESHOLD = 128;
+
+/**
+ * @typedef {Object} Detection
+ * @property {string} label - Object label
+ * @property {number|null} confidence - Confidence between 0 and 1, if the model gave one
+ * @property {{x: number, y: number, width: number, height: number}} box - Box as fractions of the image size (0-1)
+ * @property {{x: number, y: number, width: number, height: number}} pixelBox - Box in pixels
+ * @property {number[]} box_2d - Raw [ymin, xmin, ymax, xmax] on the 0-1000 grid
+ */
+
+/**
+ * Parse a JSON model response, tolerating Markdown code fences
+ * @param {string} text - Response text
+ * @returns {*} Parsed JSON
+ * @throws {EmptyResponseError} If the text holds no valid JSON
+ */
+export function parseJsonResponse(text) {
+  const cleaned = String(text ?? '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    throw new EmptyResponseError('The model did not return valid JSON', {
+      reason: 'INVALID_JSON',
+      explanation: cleaned.substring(0, 200)
+    });
+  }
+}
+
+/**
+ * Convert a raw box_2d item into a detection with normalized and pixel boxes
+ * Coordinates are clamped to the grid and swapped if the model reversed them
+ * @param {Object} item - Raw item ({ label, confidence, box_2d })
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Detection|null} Detection, or null if the item has no usable box
+ */
+export function toDetection(item, width, height) {
+  if (!Array.isArray(item?.box_2d) || item.box_2d.length !== 4) return null;
+
+  const clamp = value => Math.min(BOX_SCALE, Math.max(0, Number(value) || 0));
+  const [y0, x0, y1, x1] = item.box_2d.map(clamp);
+  const [ymin, ymax] = [Math.min(y0, y1), Math.max(y0, y1)];
+  const [xmin, xmax] = [Math.min(x0, x1), Math.max(x0, x1)];
+  if (ymax === ymin || xmax === xmin) return null;
+
+  const box = {
+    x: xmin / BOX_SCALE,
+    y: ymin / BOX_SCALE,
+    width: (xmax - xmin) / BOX_SCALE,
+    height: (ymax - ymin) / BOX_SCALE
+  };
+
+  // Slivers on the right or bottom edge would round to a box outside the image
+  const pixelX = Math.min(width - 1, Math.round(box.x * width));
+  const pixelY = Math.min(height - 1, Math.round(box.y * height));
+
+  return {
+    label: String(item.label || 'object'),
+    confidence: typeof item.confidence === 'number' ? Math.min(1, Math.max(0, item.confidence)) : null,
+    box,
+    pixelBox: {
+      x: pixelX,
+      y: pixelY,
+      width: Math.max(1, Math.min(width - pixelX, Math.round(box.width * width))),
+      height: Math.max(1, Math.min(height - pixelY, Math.round(box.height * height)))
+    },
+    box_2d: [ymin, xmin, ymax, xmax]
+  };
+}
+
+/**
+ * Decode a Gemini segmentation mask into a full-resolution binary mask
+ * The model returns a PNG covering only the bounding box; it is resized to the box,
+ * thresholded and placed on an image-sized canvas. Boxes reaching past the image are clipped
+ * to it, keeping at least one pixel
+ * @param {string} maskData - Base64 PNG, with or without a data: URL prefix
+ * @param {{x: number, y: number, width: number, height: number}} pixelBox - Box in pixels
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Promise<{mask: Buffer, area: number}>} One byte per pixel (0 or 255) and the covered fraction of the image
+ */
+export async function decodeMask(maskData, pixelBox, width, height) {
+  const base64 = String(maskData ?? '').replace(/^data:image\/\w+;base64,/, '');
+  const x = Math.min(width - 1, Math.max(0, pixelBox.x));
+  const y = Math.min(height - 1, Math.max(0, pixelBox.y));
+  const boxWidth = Math.max(1, Math.min(pixelBox.width, width - x));
+  const boxHeight = Math.max(1, Math.min(pixelBox.height, height - y));
+
+  const boxMask = await sharp(Buffer.from(base64, 'base64'))
+    .extractChannel(0)
+    .resize(boxWidth, boxHeight, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const mask = Buffer.alloc(width * height);
+  let covered = 0;
+  for (let row = 0; row < boxHeight; row++) {
+    for (let col = 0; col < boxWidth; col++) {
+      if (boxMask[row * boxWidth + col] >= MASK_THRESHOLD) {
+        mask[(y + row) * width + x + col] = 255;
+        covered++;
+      }
+    }
+  }
+
+  return { mask, area: covered / (width * height) };
+}
+
+/**
+ * Write a binary mask as a greyscale PNG (white = object), ready to use as an alpha channel
+ * @param {Buffer} mask - One byte per pixel
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {string} outputPath - PNG to write
+ * @returns {Promise<string>} Output path
+ */
+export async function writeMaskPng(mask, width, height, outputPath) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  await sharp(mask, { raw: { width, height, channels: 1 } }).toColourspace('b-w').png().toFile(outputPath);
+  return outputPath;
+}
+
+/**
+ * Cut an object out of its image, using the mask as the alpha channel
+ * @param {string} imagePath - Source image
+ * @param {Buffer} mask - One byte per pixel, same size as the (oriented) image
+ * @param {string} outputPath - PNG to write
+ * @returns {Promise<string>} Output path
+ */
+export async function writeCutout(imagePath, mask, outputPath) {
+  // Flatten to raw RGB first: sharp applies removeAlpha after joinChannel, which would drop the mask
+  const { data, info } = await sharp(imagePath)
+    .rotate()
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .joinChannel(mask, { raw: { width: info.width, height: info.height, channels: 1 } })
+    .png()
+    .toFile(outputPath);
+  return outputPath;
+}
+
+/**
+ * Read the pixel size of an image (EXIF orientation applied)
+ * @param {string} imagePath - Image path
+ * @returns {Promise<{width: number, height: number}>} Image size
+ */
+export async function getImageSize(imagePath) {
+  const { width, height, orientation } = await sharp(imagePath).metadata();
+  // Orientations 5-8 are rotated by 90 degrees
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Draw labelled detection boxes over an image
+ * @param {string} imagePath - Source image
+ * @param {Detection[]} detections - Detections from detectObjects
+ * @param {string} outputPath - PNG to write
+ * @returns {Promise<string>} Output path
+ */
+export async function annotateDetections(imagePath, detections, outputPath) {
+  const { createCanvas, loadImage } = await import('canvas');
+  const oriented = await sharp(imagePath).rotate().png().toBuffer();
+  const image = await loadImage(oriented);
+
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  const lineWidth = Math.max(2, Math.round(Math.min(image.width, image.height) / 200));
+  const fontSize = Math.max(12, lineWidth * 6);
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  ctx.textBaseline = 'top';
+
+  detections.forEach((detection, index) => {
+    const color = `hsl(${(index * 67) % 360}, 90%, 50%)`;
+    const { x, y, width, height } = detection.pixelBox;
+    const caption = detection.confidence !== null
+      ? `${detection.label} ${Math.round(detection.confidence * 100)}%`
+      : detection.label;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.strokeRect(x, y, width, height);
+
+    // Label tab above the box, or inside it when the box touches the top edge
+    const textWidth = ctx.measureText(caption).width;
+    const tabHeight = fontSize + 6;
+    const tabY = y >= tabHeight ? y - tabHeight : y;
+    ctx.fillStyle = color;
+    ctx.fillRect(x, tabY, textWidth + 8, tabHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(caption, x + 4, tabY + 3);
+  });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, canvas.toBuffer('image/png'));
+  return outputPath;
+}
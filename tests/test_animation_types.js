@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Test the animation type registry
+ * Covers lookup and detection of types, phases of cycles and one-way animations, the
+ * consistency suffix, playback order and repeat of each loop mode, the GIF, style and
+ * legacy pipelines building the same frame prompts from the registry, and user-defined
+ * types loaded from JSON and YAML files
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import {
+    LOOP_MODES,
+    createFramePrompt,
+    detectAnimationType,
+    getAnimationType,
+    getFrameDelays,
+    getFramePhase,
+    getGifRepeat,
+    getPlaybackOrder,
+    hasAnimationType,
+    listAnimationTypes,
+    loadAnimationTypes
+} from '../src/core/animationTypes.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { AnimationUtils } from '../src/utils/animationUtils.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/animation_types';
+
+function testRegistry() {
+    console.log('🧪 Testing type lookup...');
+    // No project or user directories here, so only the built-in types are registered
+    loadAnimationTypes([]);
+    const names = listAnimationTypes().map(type => type.name);
+    assert.deepEqual(names, ['walking', 'flying', 'dancing', 'transformation', 'flowing', 'rotating', 'general']);
+    for (const type of listAnimationTypes()) {
+        assert.ok(LOOP_MODES.includes(type.loop), `${type.name} has a known loop mode`);
+        assert.ok(type.defaults.frameCount >= 2 && type.defaults.delay > 0, `${type.name} has defaults`);
+    }
+
+    assert.equal(getAnimationType('Walking').name, 'walking', 'names are case-insensitive');
+    assert.equal(getAnimationType().name, 'general');
+    assert.equal(hasAnimationType('style-animation'), false);
+    assert.throws(() => getAnimationType('bouncing'), (error) => error instanceof InvalidInputError && /walking, flying/.test(error.message));
+
+    assert.equal(detectAnimationType('A fox walking through snow'), 'walking');
+    assert.equal(detectAnimationType('a flower blooms at dawn'), 'transformation');
+    assert.equal(detectAnimationType('ocean waves at night'), 'flowing');
+    assert.equal(detectAnimationType('a spinning coin'), 'rotating');
+    assert.equal(detectAnimationType('a lighthouse'), 'general');
+    console.log('✅ Types are looked up and detected from one registry');
+}
+
+function testPhases() {
+    console.log('🧪 Testing frame phases...');
+    const walking = getAnimationType('walking');
+    const phases = Array.from({ length: 8 }, (_, i) => getFramePhase(walking, i, 8));
+    assert.equal(new Set(phases).size, 4, 'an 8-frame walk spreads one cycle over its frames');
+    assert.equal(phases[7], walking.phases[3], 'the last frame of a cycle leads back into the first');
+
+    const transformation = getAnimationType('transformation');
+    assert.match(getFramePhase(transformation, 0, 6), /initial form/);
+    assert.match(getFramePhase(transformation, 5, 6), /final form/, 'one-way animations end on the last phase');
+
+    const rotating = getAnimationType('rotating');
+    assert.deepEqual([0, 1, 2, 3].map(i => getFramePhase(rotating, i, 4)), [
+        'turned 0 degrees', 'turned 90 degrees', 'turned 180 degrees', 'turned 270 degrees'
+    ]);
+
+    for (const type of listAnimationTypes()) {
+        const prompt = createFramePrompt('a fox', type.name, 1, 4);
+        assert.ok(prompt.startsWith('a fox, '));
+        assert.ok(prompt.includes('frame 2 of 4'));
+        assert.ok(prompt.endsWith(type.consistency), `${type.name} prompts end with its consistency suffix`);
+        assert.doesNotMatch(prompt, /\b(cat|bird)\b/i, 'prompts name no subject of their own');
+    }
+    console.log('✅ Frames step through the phases of their type');
+}
+
+function testPlayback() {
+    console.log('🧪 Testing loop modes...');
+    const frames = ['a.png', 'b.png', 'c.png', 'd.png'];
+    assert.deepEqual(getPlaybackOrder('walking', frames), frames);
+    assert.deepEqual(getPlaybackOrder('transformation', frames), ['a.png', 'b.png', 'c.png', 'd.png', 'c.png', 'b.png'], 'ping-pong plays back without repeating the ends');
+    assert.equal(getGifRepeat('walking'), 0);
+    assert.equal(getGifRepeat('transformation'), 0);
+    console.log('✅ Loop modes decide playback order and repeat');
+}
+
+async function testPipelines() {
+    console.log('🧪 Testing prompts of every pipeline...');
+    const expected = createFramePrompt('a fox', 'dancing', 2, 5);
+
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider: 'mock' });
+    assert.equal(sequenceGenerator.createFramePrompt('a fox', 2, 5, 'dancing'), expected);
+    assert.equal(sequenceGenerator.planSequence('a fox', 5, 'dancing')[2].prompt, expected);
+    assert.equal(AnimationUtils.createFramePrompt('a fox', 'dancing', 2, 5), expected);
+    assert.equal(AnimationUtils.generateFramePrompts('a fox dancing', 5)[2], createFramePrompt('a fox dancing', 'dancing', 2, 5));
+
+    const integration = new NanoBananaIntegration(undefined, { provider: 'mock' });
+    const stylePlan = integration.planStyleAnimationFrames({ width: 640, height: 480 }, 'a fox', 5, 'dancing');
+    assert.equal(stylePlan[2].prompt, integration.createStyleTransferPrompt(expected));
+    assert.ok(integration.planStyleAnimationFrames({ width: 640, height: 480 }, 'a fox walking', 4)[1].prompt.includes('walking motion'), 'style animations detect their type');
+
+    await assert.rejects(sequenceGenerator.generateSequence('a fox', 3, 'bouncing', TEST_DIR), InvalidInputError, 'unknown types fail before any frame is generated');
+    console.log('✅ Every pipeline builds the same frame prompts');
+}
+
+function testUserTypes() {
+    console.log('🧪 Testing user-defined types...');
+    const userDir = path.join(TEST_DIR, 'user');
+    const projectDir = path.join(TEST_DIR, 'project');
+    fs.mkdirSync(userDir, { recursive: true });
+    fs.mkdirSync(projectDir, { recursive: true });
+
+    fs.writeFileSync(path.join(userDir, 'blinking.yaml'), [
+        'name: blinking',
+        'description: Blinks once',
+        'phases:',
+        '  - eyes open',
+        '  - eyes closed'
+    ].join('\n'));
+    fs.writeFileSync(path.join(projectDir, 'team.yml'), [
+        '- name: blinking',
+        '  description: Slow blink',
+        '  keywords: [blink]',
+        '  phases:',
+        '    - { description: eyes open, delay: 1200 }',
+        '    - eyes half closed',
+        '    - { description: eyes closed, delay: 80 }',
+        '    - eyes half closed',
+        '  defaults: { delay: 60 }',
+        '- name: waving-hand',
+        '  keywords: [wave, waving]',
+        '  loop: pingpong',
+        '  phases: [hand raised, hand tilted left, hand tilted right]'
+    ].join('\n'));
+    fs.writeFileSync(path.join(projectDir, 'product-spin.json'), JSON.stringify({
+        name: 'product-spin',
+        description: 'Product turning on a turntable',
+        phases: ['front view', 'three-quarter view', 'side view', 'back view'],
+        motion: 'studio turntable',
+        defaults: { frameCount: 8, delay: 120 }
+    }));
+    fs.writeFileSync(path.join(projectDir, 'notes.txt'), 'not a definition');
+
+    const loaded = loadAnimationTypes([userDir, projectDir]);
+    assert.deepEqual(loaded.map(type => type.name), ['blinking', 'product-spin', 'blinking', 'waving-hand'], 'user files load before project files');
+    const blinking = getAnimationType('blinking');
+    assert.equal(blinking.description, 'Slow blink', 'project definitions override user ones');
+    assert.equal(blinking.source, path.join(projectDir, 'team.yml'));
+    assert.deepEqual(blinking.defaults, { frameCount: 4, delay: 60 }, 'the frame count defaults to one frame per phase');
+    assert.deepEqual(getFrameDelays('blinking', 4, 60), [1200, 60, 80, 60], 'phases with a delay keep it');
+    assert.deepEqual(getFrameDelays('walking', 3, 150), [150, 150, 150]);
+
+    assert.equal(detectAnimationType('a child waving at the ocean'), 'waving-hand', 'user keywords are tried before built-in ones');
+    assert.equal(getFramePhase(getAnimationType('waving-hand'), 4, 5), 'hand tilted right');
+    assert.equal(createFramePrompt('a robot', 'waving-hand', 0, 3), `a robot, waving hand: hand raised, frame 1 of 3, ${getAnimationType('general').consistency}`);
+    assert.ok(listAnimationTypes().some(type => type.name === 'product-spin'), 'listings include user types');
+
+    const invalid = (file, content, pattern) => {
+        const dir = path.join(TEST_DIR, `invalid_${file.replace(/\W/g, '_')}`);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+        assert.throws(() => loadAnimationTypes([dir]), (error) => error instanceof InvalidInputError && error.message.includes(file) && pattern.test(error.message));
+    };
+    invalid('typo.json', JSON.stringify({ name: 'typing', phase: ['keys down'] }), /unknown field\(s\) phase/);
+    invalid('name.json', JSON.stringify({ name: 'Waving Hand', phases: ['up'] }), /name must be/);
+    invalid('delay.yaml', 'name: typing\nphases:\n  - { description: keys down, delay: fast }', /phase 1 delay/);
+    invalid('loop.yaml', 'name: typing\nloop: forever\nphases: [keys down]', /loop must be one of cycle, pingpong, once/);
+    invalid('broken.yaml', 'name: [typing', /Cannot read animation types/);
+    console.log('✅ Definition files add validated types to the registry');
+}
+
+async function runAnimationTypeTests() {
+    console.log('🎬 Testing animation types');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        testRegistry();
+        testPhases();
+        testPlayback();
+        await testPipelines();
+        testUserTypes();
+        console.log('\n🎉 All animation type tests passed!');
+    } catch (error) {
+        console.error('❌ Animation type test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runAnimationTypeTests();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test run estimates and budgets
+ * Covers token estimates, the per-run and per-day budget checks against the usage
+ * ledger and the frame plans shown by --dry-run
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { estimateImageInputTokens, estimateRun, checkBudget, IMAGE_OUTPUT_TOKENS } from '../src/core/budget.js';
+import { UsageLedger } from '../src/core/usageLedger.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { BudgetExceededError, EXIT_CODES } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/budget';
+const PRICES = { 'gemini-2.5-flash-image': { input: 1, output: 1, image: 100 } };
+
+function testTokenEstimates() {
+    console.log('🧪 Testing token estimates...');
+    assert.equal(estimateImageInputTokens(300, 200), 258, 'small images are one tile');
+    assert.equal(estimateImageInputTokens(1024, 1024), 4 * 258, 'larger images are tiled at 768px');
+
+    const estimate = estimateRun([
+        { prompt: 'a'.repeat(40), inputImages: [] },
+        { prompt: 'a'.repeat(40), inputImages: [{ width: 1024, height: 1024 }] }
+    ], { model: 'gemini-2.5-flash-image', prices: PRICES });
+    assert.equal(estimate.calls, 2);
+    assert.equal(estimate.promptTokens, 10 + 10 + 1032);
+    assert.equal(estimate.imageTokens, 2 * IMAGE_OUTPUT_TOKENS);
+    assert.ok(Math.abs(estimate.cost - (1052 + 2 * IMAGE_OUTPUT_TOKENS * 100) / 1e6) < 1e-12);
+
+    assert.equal(estimateRun([{ prompt: 'x' }], { model: 'gemini-2.5-flash-image', free: true, prices: PRICES }).cost, 0);
+    assert.equal(estimateRun([{ prompt: 'x' }], { model: 'dall-e-3', prices: PRICES }).cost, null, 'unpriced models have no cost');
+    console.log('✅ Calls, tokens and cost are estimated');
+}
+
+function testBudgets() {
+    console.log('🧪 Testing per-run and per-day budgets...');
+    const ledger = new UsageLedger({ ledgerPath: `${TEST_DIR}/usage.jsonl` });
+    ledger.record({ model: 'gemini-2.5-flash-image', promptTokens: 0, outputTokens: 10000, imageTokens: 10000, thoughtsTokens: 0, totalTokens: 10000 });
+    const estimate = { cost: 0.5 };
+
+    assert.deepEqual(checkBudget(estimate, { perRun: null, perDay: null, ledger, prices: PRICES }).exceeded, []);
+    assert.equal(checkBudget(estimate, { perRun: 1, perDay: null, ledger, prices: PRICES }).exceeded.length, 0);
+    assert.match(checkBudget(estimate, { perRun: 0.25, perDay: null, ledger, prices: PRICES }).exceeded[0], /per-run budget of \$0\.25/);
+
+    // $1 already spent today (10,000 image tokens at $100 per million)
+    const daily = checkBudget(estimate, { perRun: null, perDay: 1.2, ledger, prices: PRICES });
+    assert.ok(Math.abs(daily.spentToday - 1) < 1e-9);
+    assert.match(daily.exceeded[0], /daily budget of \$1\.20/);
+    assert.equal(checkBudget(estimate, { perRun: null, perDay: 2, ledger, prices: PRICES }).exceeded.length, 0);
+
+    const unpriced = { model: 'dall-e-3', cost: null };
+    assert.match(checkBudget(unpriced, { perRun: 1, perDay: null, ledger, prices: PRICES }).exceeded[0], /dall-e-3 has no price/, 'runs of unpriced models are not treated as free');
+    assert.equal(checkBudget(unpriced, { perRun: null, perDay: 2, ledger, prices: PRICES }).exceeded.length, 1);
+    assert.deepEqual(checkBudget(unpriced, { perRun: null, perDay: null, ledger, prices: PRICES }).exceeded, [], 'without a budget there is nothing to check');
+
+    const error = new BudgetExceededError('Run refused', { estimate });
+    assert.equal(error.exitCode, EXIT_CODES.BUDGET_EXCEEDED);
+    assert.match(error.hint, /--force/);
+    console.log('✅ Budgets are checked against the estimate and today\'s spend');
+}
+
+function testFramePlans() {
+    console.log('🧪 Testing dry-run frame plans...');
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider: 'mock' });
+    const plan = sequenceGenerator.planSequence('a fox', 4, 'walking');
+
+    assert.equal(plan.length, 4);
+    assert.equal(plan[2].prompt, sequenceGenerator.createFramePrompt('a fox', 2, 4, 'walking'), 'plans hold the exact frame prompts');
+    assert.deepEqual(plan[0].inputImages, [], 'the anchor frame is text-only');
+    assert.deepEqual(plan[3].inputImages, [{ width: 1024, height: 1024 }], 'later frames send the anchor');
+
+    const integration = new NanoBananaIntegration(undefined, { provider: 'mock' });
+    const stylePlan = integration.planStyleAnimationFrames({ width: 640, height: 480 }, 'sunset glow', 3);
+    assert.equal(stylePlan.length, 3);
+    assert.ok(stylePlan[1].prompt.startsWith('Transform this image with the following style:'));
+    assert.deepEqual(stylePlan[1].inputImages, [{ width: 640, height: 480 }]);
+    console.log('✅ Frame prompts are planned without calling the model');
+}
+
+async function runBudgetTests() {
+    console.log('🧮 Testing run estimates and budgets');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    try {
+        testTokenEstimates();
+        testBudgets();
+        testFramePlans();
+        console.log('\n🎉 All budget tests passed!');
+    } catch (error) {
+        console.error('❌ Budget test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runBudgetTests();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Test concurrent frame generation
+ * Covers the token-bucket rate limiter, the worker pool and the anchor-first frame order
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { RateLimiter, mapWithConcurrency, sleep } from '../src/utils/concurrency.js';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+
+const TEST_DIR = './test_output/concurrency';
+
+/**
+ * Provider that records call order and overlap instead of drawing anything
+ */
+class RecordingProvider extends ImageProvider {
+    constructor() {
+        super('recording', { defaultModel: 'recording-1' });
+        this.calls = [];
+        this.active = 0;
+        this.maxActive = 0;
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: false };
+    }
+
+    async generate(prompt, options) {
+        return await this.record(null, options);
+    }
+
+    async edit(imagePath, prompt, options) {
+        return await this.record(imagePath, options);
+    }
+
+    async record(imagePath, options) {
+        this.active++;
+        this.maxActive = Math.max(this.maxActive, this.active);
+        this.calls.push({ frameIndex: options.frameIndex, imagePath });
+        // Later frames finish first, so results arrive out of order
+        await sleep(5 + (options.totalFrames - options.frameIndex) * 5);
+        this.active--;
+        return { images: [{ data: Buffer.from(`frame-${options.frameIndex}`), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+}
+
+async function testRateLimiter() {
+    console.log('🧪 Testing token-bucket rate limiter...');
+    const limiter = new RateLimiter({ requestsPerMinute: 1200 }); // one token every 50ms
+    const started = Date.now();
+
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    const elapsed = Date.now() - started;
+
+    assert.ok(elapsed >= 140, `4 requests at 1200 rpm must take at least ~150ms, took ${elapsed}ms`);
+    assert.ok(elapsed < 1000, `limiter waited far too long (${elapsed}ms)`);
+
+    const unlimited = new RateLimiter({ requestsPerMinute: 0 });
+    const unlimitedStart = Date.now();
+    await Promise.all(Array.from({ length: 20 }, () => unlimited.acquire()));
+    assert.ok(Date.now() - unlimitedStart < 50, 'rpm 0 disables limiting');
+    console.log('✅ Requests are spaced at the configured rate');
+}
+
+async function testWorkerPool() {
+    console.log('🧪 Testing worker pool...');
+    let active = 0;
+    let maxActive = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(ms);
+        active--;
+        return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4], 'results keep input order');
+    assert.equal(maxActive, 2, 'never more than the limit in flight');
+
+    let started = 0;
+    await assert.rejects(
+        () => mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+            started++;
+            await sleep(5);
+            if (item === 2) throw new Error('frame 2 failed');
+            return item;
+        }),
+        /frame 2 failed/
+    );
+    assert.ok(started < 6, 'a failure stops new work from starting');
+    console.log('✅ Pool limits concurrency, keeps order and fails fast');
+}
+
+async function testSequenceOrder() {
+    console.log('🧪 Testing concurrent sequence generation...');
+    const provider = new RecordingProvider();
+    const generator = new SequenceGenerator(undefined, { provider });
+
+    const framePaths = await generator.generateSequence('a fox running', 6, 'general', TEST_DIR, { concurrency: 3 });
+
+    assert.equal(framePaths.length, 6);
+    framePaths.forEach((framePath, i) => {
+        assert.equal(fs.readFileSync(framePath, 'utf8'), `frame-${i}`, `frame ${i} must be in position ${i}`);
+    });
+    assert.equal(provider.calls[0].frameIndex, 0, 'the anchor frame is generated first');
+    assert.equal(provider.calls[0].imagePath, null, 'the anchor frame is text-to-image');
+    assert.ok(provider.calls.slice(1).every(call => call.imagePath === framePaths[0]), 'later frames are edited from the anchor');
+    assert.equal(provider.maxActive, 3, 'frames after the anchor run up to the concurrency limit');
+    console.log('✅ Frames are generated concurrently and returned in order');
+}
+
+async function runConcurrencyTests() {
+    console.log('⚡ Testing concurrent frame generation');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    try {
+        await testRateLimiter();
+        await testWorkerPool();
+        await testSequenceOrder();
+        console.log('\n🎉 All concurrency tests passed!');
+    } catch (error) {
+        console.error('❌ Concurrency test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runConcurrencyTests();
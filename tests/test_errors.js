@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test the typed generation errors
+ * Feeds stubbed Gemini responses and API errors through the provider
+ */
+
+import * as assert from 'node:assert/strict';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import {
+    EXIT_CODES,
+    SafetyBlockedError,
+    QuotaExceededError,
+    InvalidInputError,
+    EmptyResponseError,
+    fromApiError
+} from '../src/core/errors.js';
+
+function createProvider(response) {
+    const provider = new GeminiProvider({ apiKey: 'test', maxRetries: 0 });
+    provider.ai.models.generateContent = async () => {
+        if (response instanceof Error) throw response;
+        return response;
+    };
+    return provider;
+}
+
+async function testPromptBlocked() {
+    console.log('🧪 Testing blocked prompts...');
+    const provider = createProvider({
+        promptFeedback: {
+            blockReason: 'SAFETY',
+            blockReasonMessage: 'The prompt describes graphic violence',
+            safetyRatings: [
+                { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true },
+                { category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }
+            ]
+        }
+    });
+
+    await assert.rejects(() => provider.generate('a blocked prompt'), (error) => {
+        assert.ok(error instanceof SafetyBlockedError);
+        assert.equal(error.reason, 'SAFETY');
+        assert.equal(error.explanation, 'The prompt describes graphic violence');
+        assert.deepEqual(error.safetyRatings.map(rating => rating.category), ['HARM_CATEGORY_DANGEROUS_CONTENT']);
+        assert.equal(error.exitCode, EXIT_CODES.SAFETY_BLOCKED);
+        return true;
+    });
+    console.log('✅ promptFeedback blocks become SafetyBlockedError');
+}
+
+async function testRecitationStop() {
+    console.log('🧪 Testing recitation stops...');
+    const provider = createProvider({
+        candidates: [{ finishReason: 'IMAGE_RECITATION', finishMessage: 'Output resembled copyrighted artwork', content: { parts: [] } }]
+    });
+
+    await assert.rejects(() => provider.generate('a famous cartoon mouse'), (error) => {
+        assert.ok(error instanceof SafetyBlockedError);
+        assert.equal(error.reason, 'IMAGE_RECITATION');
+        assert.equal(error.explanation, 'Output resembled copyrighted artwork');
+        assert.match(error.hint, /original/);
+        return true;
+    });
+    console.log('✅ Blocking finish reasons become SafetyBlockedError');
+}
+
+async function testTextOnlyResponse() {
+    console.log('🧪 Testing responses without an image...');
+    const provider = createProvider({
+        candidates: [{ finishReason: 'STOP', content: { parts: [{ text: 'Which style would you like?' }] } }]
+    });
+
+    await assert.rejects(() => provider.generate('a picture'), (error) => {
+        assert.ok(error instanceof EmptyResponseError);
+        assert.equal(error.explanation, 'Which style would you like?');
+        assert.equal(error.exitCode, EXIT_CODES.EMPTY_RESPONSE);
+        return true;
+    });
+    console.log('✅ Text-only responses become EmptyResponseError');
+}
+
+async function testApiErrors() {
+    console.log('🧪 Testing API error mapping...');
+    const quota = Object.assign(new Error('{"error":{"message":"Quota exceeded","details":[{"retryDelay":"30s"}]}}'), { status: 429 });
+
+    await assert.rejects(() => createProvider(quota).generate('a prompt'), (error) => {
+        assert.ok(error instanceof QuotaExceededError);
+        assert.equal(error.retryAfter, 30000);
+        assert.equal(error.exitCode, EXIT_CODES.QUOTA_EXCEEDED);
+        return true;
+    });
+
+    const invalid = fromApiError({ message: 'Request failed', response: { status: 400, data: { error: { message: 'Invalid size' } } } });
+    assert.ok(invalid instanceof InvalidInputError);
+    assert.equal(invalid.explanation, 'Invalid size');
+
+    const forbidden = Object.assign(new Error('forbidden'), { status: 403 });
+    assert.equal(fromApiError(forbidden), forbidden, 'unmapped errors pass through');
+    console.log('✅ 429 and 400 responses become typed errors');
+}
+
+async function runErrorTests() {
+    console.log('🚨 Testing typed generation errors');
+    console.log('='.repeat(50));
+
+    try {
+        await testPromptBlocked();
+        await testRecitationStop();
+        await testTextOnlyResponse();
+        await testApiErrors();
+        console.log('\n🎉 All error tests passed!');
+    } catch (error) {
+        console.error('❌ Error test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runErrorTests();
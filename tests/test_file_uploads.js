@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Test Files API uploads of reference images
+ * Covers one upload per image content, handles kept in a job's uploads file, re-upload
+ * before expiry, processing, failed and retried uploads, upload timeouts, fileData parts in Gemini requests and
+ * the retry with a fresh upload when the API no longer has a file
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import { FileUploads, isExpiredFileError } from '../src/providers/fileUploads.js';
+import { InvalidInputError, QuotaExceededError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/file_uploads';
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+const imageResponse = {
+    candidates: [{ finishReason: 'STOP', content: { parts: [{ inlineData: { mimeType: 'image/png', data: Buffer.from('frame').toString('base64') } }] } }]
+};
+
+/**
+ * Local stand-in for the Files API: upload() returns a new file per call and get() reports
+ * the states scripted for it
+ */
+class FakeFilesClient {
+    constructor(options = {}) {
+        this.uploads = [];
+        this.gets = 0;
+        this.expirationTime = options.expirationTime ?? inHours(48);
+        this.states = options.states || ['ACTIVE'];
+        this.uploadFailures = [];
+    }
+
+    async upload({ file, config }) {
+        if (this.uploadFailures.length > 0) throw this.uploadFailures.shift();
+        this.uploads.push(file);
+        const name = `files/upload-${this.uploads.length}`;
+        return this.describe(name, config.mimeType, this.states[0]);
+    }
+
+    async get({ name }) {
+        this.gets++;
+        return this.describe(name, 'image/png', this.states[Math.min(this.gets, this.states.length - 1)]);
+    }
+
+    describe(name, mimeType, state) {
+        return { name, uri: `https://files.test/${name}`, mimeType, state, expirationTime: this.expirationTime };
+    }
+}
+
+/**
+ * Gemini provider whose SDK calls answer locally and keep the requests they got
+ */
+class ScriptedProvider extends GeminiProvider {
+    constructor(options = {}) {
+        super({ apiKey: 'test-key', recordMode: 'off', maxRetries: 0, ...options });
+        this.files = new FakeFilesClient();
+        this.ai.files = this.files;
+        this.requests = [];
+        this.failures = [];
+        this.ai.models.generateContent = async (request) => {
+            this.requests.push(request);
+            if (this.failures.length > 0) throw this.failures.shift();
+            return imageResponse;
+        };
+    }
+
+    get lastParts() {
+        return this.requests[this.requests.length - 1].contents;
+    }
+}
+
+async function testHandles() {
+    console.log('🧪 Testing uploaded file handles...');
+    fs.writeFileSync(`${TEST_DIR}/anchor.png`, 'anchor frame');
+    fs.writeFileSync(`${TEST_DIR}/anchor_copy.png`, 'anchor frame');
+    const client = new FakeFilesClient();
+    const storePath = `${TEST_DIR}/job/uploads.json`;
+    const uploads = new FileUploads({ client, storePath });
+
+    const [first, parallel] = await Promise.all([
+        uploads.getHandle(`${TEST_DIR}/anchor.png`, 'image/png'),
+        uploads.getHandle(`${TEST_DIR}/anchor.png`, 'image/png')
+    ]);
+    assert.equal(client.uploads.length, 1, 'parallel frames share one upload');
+    assert.equal(parallel.uri, first.uri);
+    await uploads.getHandle(`${TEST_DIR}/anchor_copy.png`, 'image/png');
+    assert.equal(client.uploads.length, 1, 'handles follow the image bytes, not the path');
+
+    const resumed = new FileUploads({ client, storePath });
+    assert.equal((await resumed.getHandle(`${TEST_DIR}/anchor.png`, 'image/png')).uri, first.uri, 'a resumed job reuses its uploads');
+    assert.equal(client.uploads.length, 1);
+
+    const expiring = new FileUploads({ client: new FakeFilesClient({ expirationTime: inHours(0.05) }) });
+    await expiring.getHandle(`${TEST_DIR}/anchor.png`, 'image/png');
+    await expiring.getHandle(`${TEST_DIR}/anchor.png`, 'image/png');
+    assert.equal(expiring.client.uploads.length, 2, 'handles about to expire are uploaded again');
+
+    uploads.forget([`${TEST_DIR}/anchor.png`]);
+    await uploads.getHandle(`${TEST_DIR}/anchor.png`, 'image/png');
+    assert.equal(client.uploads.length, 2, 'forgotten handles are uploaded again');
+    console.log('✅ Each image is uploaded once and re-uploaded before it expires');
+}
+
+async function testProcessing() {
+    console.log('🧪 Testing uploads still processing...');
+    const processing = new FileUploads({ client: new FakeFilesClient({ states: ['PROCESSING', 'PROCESSING', 'ACTIVE'] }), pollInterval: 1 });
+    const handle = await processing.getHandle(`${TEST_DIR}/anchor.png`, 'image/png');
+    assert.equal(processing.client.gets, 2, 'the upload is polled until it is active');
+    assert.equal(handle.name, 'files/upload-1');
+
+    const failed = new FileUploads({ client: new FakeFilesClient({ states: ['PROCESSING', 'FAILED'] }), pollInterval: 1 });
+    await assert.rejects(failed.getHandle(`${TEST_DIR}/anchor.png`, 'image/png'), (error) => error instanceof InvalidInputError && /failed/.test(error.message));
+    assert.deepEqual(failed.handles, {}, 'failed uploads are not kept');
+    console.log('✅ Requests wait for processing and failed uploads are errors');
+}
+
+async function testUploadTimeouts() {
+    console.log('🧪 Testing upload timeouts...');
+    fs.writeFileSync(`${TEST_DIR}/large.png`, Buffer.alloc(Math.round(2.5 * 1024 * 1024)));
+    const timeouts = [];
+    const uploads = new FileUploads({
+        client: new FakeFilesClient({ states: ['PROCESSING', 'ACTIVE'] }),
+        pollInterval: 1,
+        timeout: 1000,
+        timeoutPerMb: 200,
+        request: (call, { timeout }) => {
+            timeouts.push(timeout);
+            return call(undefined);
+        }
+    });
+    await uploads.getHandle(`${TEST_DIR}/large.png`, 'image/png');
+    assert.deepEqual(timeouts, [1600, 1000], 'uploads get more time per MB; status checks keep the API timeout');
+
+    const provider = new ScriptedProvider({ timeout: 1000, fileUploads: 'always' });
+    assert.equal(provider.getUploads().getUploadTimeout(0), 1000, 'uploads start from the provider timeout');
+    console.log('✅ Large uploads are given time to finish');
+}
+
+async function testProviderParts() {
+    console.log('🧪 Testing image parts of Gemini requests...');
+    const provider = new ScriptedProvider();
+    const jobOptions = { jobId: 'job-1', uploadsPath: `${TEST_DIR}/provider_job/uploads.json` };
+
+    await provider.edit(`${TEST_DIR}/anchor.png`, 'frame 2', jobOptions);
+    const [part] = provider.lastParts;
+    assert.deepEqual(part, { fileData: { fileUri: 'https://files.test/files/upload-1', mimeType: 'image/png' } }, 'job images are referenced by URI');
+    await provider.edit(`${TEST_DIR}/anchor.png`, 'frame 3', jobOptions);
+    assert.equal(provider.files.uploads.length, 1, 'later frames reuse the upload');
+    assert.ok(fs.existsSync(jobOptions.uploadsPath));
+
+    await provider.analyze(`${TEST_DIR}/anchor.png`, 'Describe this image');
+    assert.ok(provider.lastParts[0].inlineData, 'small images outside jobs are inlined');
+
+    const always = new ScriptedProvider({ fileUploads: 'always' });
+    await always.analyze(`${TEST_DIR}/anchor.png`, 'Describe this image');
+    assert.ok(always.lastParts[0].fileData);
+
+    const off = new ScriptedProvider({ fileUploads: 'off' });
+    await off.edit(`${TEST_DIR}/anchor.png`, 'frame 2', jobOptions);
+    assert.ok(off.lastParts[0].inlineData);
+    assert.equal(off.files.uploads.length, 0);
+    console.log('✅ Reference images of jobs go through the Files API');
+}
+
+async function testUploadRetries() {
+    console.log('🧪 Testing uploads that fail transiently...');
+    const provider = new ScriptedProvider({ maxRetries: 1 });
+    provider.files.uploadFailures.push(Object.assign(new Error('service unavailable'), { status: 503 }));
+    const result = await provider.edit(`${TEST_DIR}/anchor.png`, 'frame 2', { jobId: 'job-3' });
+    assert.equal(result.images.length, 1, 'the upload is retried like a model call');
+    assert.equal(provider.files.uploads.length, 1);
+
+    const limited = new ScriptedProvider();
+    limited.files.uploadFailures.push(Object.assign(new Error('quota exhausted'), { status: 429 }));
+    await assert.rejects(limited.edit(`${TEST_DIR}/anchor.png`, 'frame 2', { jobId: 'job-4' }), QuotaExceededError);
+    assert.equal(limited.requests.length, 0, 'no model call is made without the upload');
+    console.log('✅ Uploads get retries and typed errors');
+}
+
+async function testExpiredFile() {
+    console.log('🧪 Testing a file the API no longer has...');
+    const provider = new ScriptedProvider();
+    const jobOptions = { jobId: 'job-2' };
+    await provider.edit(`${TEST_DIR}/anchor.png`, 'frame 2', jobOptions);
+
+    provider.failures.push(Object.assign(new Error('File files/upload-1 not found or permission denied'), { status: 403 }));
+    const result = await provider.edit(`${TEST_DIR}/anchor.png`, 'frame 3', jobOptions);
+    assert.equal(result.images.length, 1);
+    assert.equal(provider.files.uploads.length, 2, 'the image is uploaded again');
+    assert.equal(provider.lastParts[0].fileData.fileUri, 'https://files.test/files/upload-2');
+
+    provider.failures.push(Object.assign(new Error('Internal error'), { status: 403 }));
+    await assert.rejects(provider.edit(`${TEST_DIR}/anchor.png`, 'frame 4', jobOptions), /Internal error/, 'other errors are not retried');
+    assert.equal(isExpiredFileError(new Error('The File has expired')), true);
+    assert.equal(isExpiredFileError(new Error('Quota exceeded')), false);
+    console.log('✅ Expired files are uploaded again and the request is resent');
+}
+
+async function runFileUploadTests() {
+    console.log('⬆️ Testing Files API uploads');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        await testHandles();
+        await testProcessing();
+        await testUploadTimeouts();
+        await testProviderParts();
+        await testUploadRetries();
+        await testExpiredFile();
+        console.log('\n🎉 All file upload tests passed!');
+    } catch (error) {
+        console.error('❌ File upload test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runFileUploadTests();
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test multiple candidates per frame
+ * Covers the SSIM metric, picking the candidate closest to the anchor, keeping every
+ * candidate in the job folder, manual picks through the job manifest and run estimates
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import sharp from 'sharp';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { SequenceGenerator, getCandidateDir } from '../src/core/sequenceGenerator.js';
+import { JobManifest } from '../src/core/jobManifest.js';
+import { compareImages, ssim } from '../src/utils/imageSimilarity.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/frame_candidates';
+
+// Circle position of each candidate; the anchor's circle is at x = 100
+const CANDIDATE_X = [40, 110, 170];
+
+/**
+ * Draw a grey square with a white circle
+ * @param {number} x - Circle center
+ * @returns {Promise<Buffer>} PNG bytes
+ */
+async function drawCircle(x) {
+    const svg = `<svg width="200" height="200"><rect width="200" height="200" fill="#446688"/><circle cx="${x}" cy="100" r="35" fill="white"/></svg>`;
+    return await sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Provider drawing the anchor from text and a different circle position per candidate
+ */
+class CirclesProvider extends ImageProvider {
+    constructor() {
+        super('circles', { defaultModel: 'circles-1' });
+        this.calls = 0;
+        this.seeds = [];
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: false };
+    }
+
+    async generate() {
+        this.calls++;
+        return { images: [{ data: await drawCircle(100), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+
+    async edit(imagePath, prompt, options = {}) {
+        this.calls++;
+        this.seeds.push(options.seed);
+        const x = CANDIDATE_X[options.candidateIndex ?? 0];
+        return { images: [{ data: await drawCircle(x), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+}
+
+async function testSimilarity() {
+    console.log('🧪 Testing SSIM...');
+    const pixels = Buffer.alloc(64 * 64, 120);
+    assert.equal(ssim(pixels, pixels, 64), 1, 'identical images score 1');
+
+    fs.writeFileSync(`${TEST_DIR}/anchor.png`, await drawCircle(100));
+    fs.writeFileSync(`${TEST_DIR}/near.png`, await drawCircle(110));
+    fs.writeFileSync(`${TEST_DIR}/far.png`, await drawCircle(170));
+    const near = await compareImages(`${TEST_DIR}/anchor.png`, `${TEST_DIR}/near.png`);
+    const far = await compareImages(`${TEST_DIR}/anchor.png`, `${TEST_DIR}/far.png`);
+    assert.ok(near > far, `a small move (${near.toFixed(3)}) scores above a large one (${far.toFixed(3)})`);
+    console.log('✅ SSIM ranks images by similarity');
+}
+
+async function testCandidatePick() {
+    console.log('🧪 Testing the best-candidate pick...');
+    const provider = new CirclesProvider();
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider });
+    const job = JobManifest.create('a ball', { frameCount: 3, animationType: 'general', candidates: 3 }, TEST_DIR);
+
+    const framePaths = await sequenceGenerator.generateSequence('a ball', 3, 'general', job.framesDir, {
+        candidates: 3,
+        onFrame: (frameIndex, framePath, scored) => job.recordFrame(frameIndex, framePath, scored)
+    });
+    assert.equal(provider.calls, 1 + 2 * 3, 'the anchor is generated once, later frames once per candidate');
+
+    const candidateDir = getCandidateDir(job.framesDir, 1);
+    assert.deepEqual(fs.readdirSync(candidateDir).sort(), ['candidate_1.png', 'candidate_2.png', 'candidate_3.png'], 'every candidate is kept');
+    assert.deepEqual(fs.readFileSync(framePaths[1]), fs.readFileSync(path.join(candidateDir, 'candidate_2.png')), 'the candidate closest to the anchor is used');
+    assert.equal(fs.existsSync(getCandidateDir(job.framesDir, 0)), false, 'the anchor has no candidates');
+
+    const reloaded = JobManifest.load(job.jobId, TEST_DIR);
+    const recorded = reloaded.getCandidates(2);
+    assert.equal(recorded.chosen, 2);
+    assert.equal(recorded.candidates.length, 3);
+    assert.ok(recorded.candidates[1].score > recorded.candidates[2].score);
+    console.log('✅ The most consistent candidate is kept and the rest stay in the job folder');
+
+    console.log('🧪 Testing a manual pick...');
+    reloaded.pickCandidate(2, 3);
+    assert.deepEqual(fs.readFileSync(reloaded.frames[2]), fs.readFileSync(path.join(getCandidateDir(job.framesDir, 2), 'candidate_3.png')));
+    assert.equal(JobManifest.load(job.jobId, TEST_DIR).getCandidates(2).chosen, 3);
+    assert.throws(() => reloaded.pickCandidate(2, 4), InvalidInputError);
+    assert.throws(() => reloaded.pickCandidate(0, 1), InvalidInputError, 'the anchor cannot be picked');
+    console.log('✅ A frame can be swapped for another candidate');
+}
+
+async function testCandidateSeeds() {
+    console.log('🧪 Testing candidate seeds...');
+    const provider = new CirclesProvider();
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider });
+    await sequenceGenerator.generateSequence('a ball', 2, 'general', `${TEST_DIR}/seeded`, { candidates: 3, seed: 7, concurrency: 1 });
+    assert.deepEqual(provider.seeds, [7, 8, 9], 'every candidate gets its own seed');
+
+    provider.seeds = [];
+    await sequenceGenerator.generateSequence('a ball', 2, 'general', `${TEST_DIR}/unseeded`, { candidates: 2, concurrency: 1 });
+    assert.deepEqual(provider.seeds, [undefined, undefined], 'unseeded runs stay unseeded');
+    console.log('✅ Seeded providers draw different candidates');
+}
+
+function testPlan() {
+    console.log('🧪 Testing estimates with candidates...');
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider: new CirclesProvider() });
+    const plan = sequenceGenerator.planSequence('a ball', 4, 'general', { candidates: 3 });
+    assert.equal(plan.length, 1 + 3 * 3);
+    assert.deepEqual(plan.filter(call => call.frameIndex === 2).length, 3);
+    console.log('✅ Every candidate is counted as a call');
+}
+
+async function runFrameCandidateTests() {
+    console.log('🎯 Testing frame candidates');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        await testSimilarity();
+        await testCandidatePick();
+        await testCandidateSeeds();
+        testPlan();
+        console.log('\n🎉 All frame candidate tests passed!');
+    } catch (error) {
+        console.error('❌ Frame candidate test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runFrameCandidateTests();
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Test LLM-planned frame scripts
+ * Covers the planning request sent to Gemini, plans returned by the model or edited by hand,
+ * frame prompts built from a plan, plans saved with a job and the frame count following a
+ * plan whose frames were added or removed before rendering, keyframe jobs included
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import sharp from 'sharp';
+import { FRAME_PLAN_SCHEMA, createPlannedFramePrompt, planFrames, validatePlan } from '../src/core/framePlanner.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+import { JobManifest } from '../src/core/jobManifest.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { EmptyResponseError, InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/frame_plans';
+
+const KETTLE_PLAN = {
+    invariants: ['red enamel kettle', 'same stove and tiles'],
+    frames: [
+        { state: 'lid resting, a thin wisp of steam' },
+        { state: 'steam thickens, lid starts to rattle' },
+        { state: 'whistle blowing, steam jet at full force' }
+    ]
+};
+
+/**
+ * Gemini provider whose SDK calls answer with scripted text and keep the requests they got
+ */
+class ScriptedProvider extends GeminiProvider {
+    constructor(replies) {
+        super({ apiKey: 'test-key', recordMode: 'off', maxRetries: 0 });
+        this.requests = [];
+        this.ai.models.generateContent = async (request) => {
+            this.requests.push(request);
+            return { candidates: [{ finishReason: 'STOP', content: { parts: [{ text: replies.shift() }] } }] };
+        };
+    }
+}
+
+/**
+ * Provider that draws nothing and keeps the prompts of the frames it is asked for
+ */
+class PromptRecordingProvider extends ImageProvider {
+    constructor() {
+        super('recording', { defaultModel: 'recording-1' });
+        this.prompts = [];
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: false };
+    }
+
+    async generate(prompt) {
+        return await this.frame(prompt);
+    }
+
+    async edit(imagePath, prompt) {
+        return await this.frame(prompt);
+    }
+
+    async frame(prompt) {
+        this.prompts.push(prompt);
+        const data = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toBuffer();
+        return { images: [{ data, mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+}
+
+async function testPlanning() {
+    console.log('🧪 Testing the planning request...');
+    const provider = new ScriptedProvider([JSON.stringify(KETTLE_PLAN)]);
+    const integration = new NanoBananaIntegration(undefined, { provider });
+    const plan = await planFrames(integration, 'a kettle whistling', 3, { animationType: 'transformation' });
+
+    const [request] = provider.requests;
+    assert.equal(request.model, 'gemini-2.5-flash', 'plans come from the text model');
+    assert.equal(request.config.responseMimeType, 'application/json');
+    assert.deepEqual(request.config.responseSchema, FRAME_PLAN_SCHEMA);
+    assert.equal(request.contents.length, 1, 'no image is sent');
+    assert.match(request.contents[0].text, /3-frame animated GIF of: "a kettle whistling"/);
+    assert.match(request.contents[0].text, /forward and then backward/, 'the loop mode of the type shapes the plan');
+
+    assert.equal(plan.animationType, 'transformation');
+    assert.equal(plan.model, 'gemini-2.5-flash', 'the plan records the model that wrote it');
+    assert.deepEqual(plan.invariants, KETTLE_PLAN.invariants);
+    assert.deepEqual(plan.frames.map(frame => frame.frame), [1, 2, 3]);
+    assert.equal(plan.frames[2].state, 'whistle blowing, steam jet at full force');
+
+    const short = new NanoBananaIntegration(undefined, { provider: new ScriptedProvider([JSON.stringify(KETTLE_PLAN)]) });
+    await assert.rejects(planFrames(short, 'a kettle whistling', 5), EmptyResponseError, 'plans of the wrong length are refused');
+    const prose = new NanoBananaIntegration(undefined, { provider: new ScriptedProvider(['The kettle whistles.']) });
+    await assert.rejects(planFrames(prose, 'a kettle whistling', 3), EmptyResponseError);
+
+    const mockPlan = await planFrames(new NanoBananaIntegration(undefined, { provider: 'mock' }), 'a kettle whistling', 4);
+    assert.equal(mockPlan.frames.length, 4, 'the mock provider plans offline');
+    await assert.rejects(new NanoBananaIntegration(undefined, { provider: new PromptRecordingProvider() }).generateText('hello'), InvalidInputError, 'providers without text generation are refused');
+    console.log('✅ A text model writes one state per frame and the invariants');
+}
+
+function testValidation() {
+    console.log('🧪 Testing hand-edited plans...');
+    const edited = validatePlan({
+        ...KETTLE_PLAN,
+        frames: [{ frame: 7, state: '  lid resting ' }, { state: 'lid rattling' }]
+    });
+    assert.deepEqual(edited.frames, [{ frame: 1, state: 'lid resting' }, { frame: 2, state: 'lid rattling' }], 'frames are renumbered in order');
+    assert.deepEqual(validatePlan({ frames: [{ state: 'lid resting' }] }).invariants, [], 'invariants are optional');
+
+    const invalid = (plan, pattern) => assert.throws(() => validatePlan(plan, 'plan.json'), (error) => error instanceof InvalidInputError && error.message.includes('plan.json') && pattern.test(error.message));
+    invalid([], /expected an object/);
+    invalid({ frames: [] }, /non-empty list/);
+    invalid({ frames: [{ state: 'a' }, { pose: 'b' }] }, /frame 2 needs a non-empty state/);
+    invalid({ invariants: 'red kettle', frames: [{ state: 'a' }] }, /invariants must be a list of strings/);
+    console.log('✅ Edited plans are checked before they are rendered');
+}
+
+async function testFramePrompts() {
+    console.log('🧪 Testing frame prompts from a plan...');
+    const plan = validatePlan(KETTLE_PLAN);
+    assert.equal(createPlannedFramePrompt('a kettle on a stove', plan, 1, 3),
+        'a kettle on a stove, steam thickens, lid starts to rattle, frame 2 of 3, keep red enamel kettle; same stove and tiles');
+
+    const provider = new PromptRecordingProvider();
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider });
+    const calls = sequenceGenerator.planSequence('a kettle on a stove', 3, 'general', { plan });
+    assert.deepEqual(calls.map(call => call.prompt), [0, 1, 2].map(i => createPlannedFramePrompt('a kettle on a stove', plan, i, 3)), 'dry runs show the planned prompts');
+    assert.equal(sequenceGenerator.createFramePrompt('a kettle', 0, 3, 'general'), sequenceGenerator.createFramePrompt('a kettle', 0, 3, 'general', null), 'without a plan the type builds the prompts');
+
+    const frames = await sequenceGenerator.generateSequence('a kettle on a stove', 3, 'general', `${TEST_DIR}/frames`, { plan, concurrency: 1 });
+    assert.equal(frames.length, 3);
+    assert.deepEqual(provider.prompts, calls.map(call => call.prompt), 'every frame is rendered from its planned state');
+
+    await assert.rejects(sequenceGenerator.generateSequence('a kettle', 4, 'general', `${TEST_DIR}/frames`, { plan }), InvalidInputError, 'a plan of another length fails before the anchor');
+    assert.equal(provider.prompts.length, 3);
+    console.log('✅ SequenceGenerator renders the plan frame by frame');
+}
+
+function testJobPlans() {
+    console.log('🧪 Testing plans saved with a job...');
+    const job = JobManifest.create('a kettle whistling', { frameCount: 3, animationType: 'general' }, TEST_DIR);
+    assert.equal(job.loadPlan(), null, 'jobs without a plan use their animation type');
+
+    job.savePlan(validatePlan(KETTLE_PLAN));
+    job.markPlanned();
+    const loaded = JobManifest.load(job.jobId, TEST_DIR);
+    assert.equal(loaded.status, 'planned');
+    assert.deepEqual(loaded.loadPlan().frames, validatePlan(KETTLE_PLAN).frames);
+
+    const onDisk = JSON.parse(fs.readFileSync(loaded.planPath, 'utf8'));
+    onDisk.frames.push({ state: 'whistle fades, steam settles' });
+    fs.writeFileSync(loaded.planPath, JSON.stringify(onDisk, null, 2));
+    assert.equal(loaded.loadPlan().frames.length, 4, 'edits to plan.json are read back');
+    loaded.setFrameCount(4);
+    assert.equal(JobManifest.load(job.jobId, TEST_DIR).options.frameCount, 4);
+    assert.deepEqual(loaded.getMissingFrames(), [0, 1, 2, 3]);
+
+    fs.writeFileSync(`${TEST_DIR}/frame.png`, 'frame');
+    loaded.recordFrame(0, `${TEST_DIR}/frame.png`);
+    assert.throws(() => loaded.setFrameCount(5), InvalidInputError, 'rendered jobs keep their frame count');
+
+    fs.writeFileSync(loaded.planPath, '{ "frames": [');
+    assert.throws(() => loaded.loadPlan(), (error) => error instanceof InvalidInputError && error.message.includes(loaded.planPath));
+    console.log('✅ Plans live in the job folder and can be edited before rendering');
+}
+
+function testKeyframePlans() {
+    console.log('🧪 Testing plans of keyframe jobs...');
+    const job = JobManifest.create('a kettle whistling', {
+        frameCount: 3,
+        animationType: 'general',
+        tween: { method: 'dissolve', frameCount: 7 }
+    }, TEST_DIR);
+    job.savePlan(validatePlan(KETTLE_PLAN));
+
+    const onDisk = JSON.parse(fs.readFileSync(job.planPath, 'utf8'));
+    onDisk.frames.push(...['whistle fades', 'steam settles'].map(state => ({ state })));
+    fs.writeFileSync(job.planPath, JSON.stringify(onDisk, null, 2));
+    job.setFrameCount(job.loadPlan().frames.length);
+    assert.equal(job.options.frameCount, 5, 'added keyframes are tweened into the same GIF');
+
+    onDisk.frames.push(...['lid still', 'kettle cools', 'stove off'].map(state => ({ state })));
+    fs.writeFileSync(job.planPath, JSON.stringify(onDisk, null, 2));
+    assert.throws(() => job.setFrameCount(job.loadPlan().frames.length), /Cannot tween 8 keyframes into 7 frames/, 'the check comes before any keyframe is rendered');
+    assert.equal(JobManifest.load(job.jobId, TEST_DIR).options.frameCount, 5, 'the manifest keeps the keyframes that fit');
+    console.log('✅ Edited keyframe plans are checked against the GIF frame count');
+}
+
+async function runFramePlanTests() {
+    console.log('🗒️ Testing frame plans');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        await testPlanning();
+        testValidation();
+        await testFramePrompts();
+        testJobPlans();
+        testKeyframePlans();
+        console.log('\n🎉 All frame plan tests passed!');
+    } catch (error) {
+        console.error('❌ Frame plan test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runFramePlanTests();
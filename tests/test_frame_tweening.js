@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test keyframe tweening
+ * Covers how in-betweens are spread over the keyframe pairs, their delays, cross-dissolve and
+ * motion-compensated in-betweens, and the order of a tweened sequence
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import sharp from 'sharp';
+import {
+    estimateMotion,
+    getTweenCounts,
+    getTweenedDelays,
+    getTweenedFrameCount,
+    interpolateFrames,
+    tweenSequence
+} from '../src/utils/frameInterpolator.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/tweening';
+const SIZE = 64;
+
+/**
+ * Write a frame with a textured square on black
+ * @param {string} name - File name
+ * @param {number} left - Left edge of the square
+ * @returns {Promise<string>} Frame path
+ */
+async function writeSquare(name, left) {
+    const side = 20;
+    const texture = Buffer.alloc(side * side * 3);
+    for (let y = 0; y < side; y++) {
+        for (let x = 0; x < side; x++) {
+            texture.fill(90 + ((x * 37 + y * 53) % 7) * 20 + ((x >> 2) + (y >> 2)) % 2 * 25, (y * side + x) * 3, (y * side + x) * 3 + 3);
+        }
+    }
+    const framePath = path.join(TEST_DIR, name);
+    await sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: '#000000' } })
+        .composite([{ input: texture, raw: { width: side, height: side, channels: 3 }, left, top: 22 }])
+        .png()
+        .toFile(framePath);
+    return framePath;
+}
+
+async function meanDifference(pathA, pathB) {
+    const [a, b] = await Promise.all([pathA, pathB].map(framePath => sharp(framePath).removeAlpha().raw().toBuffer()));
+    return a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0) / a.length;
+}
+
+function testCounts() {
+    console.log('🧪 Testing in-between counts...');
+    assert.deepEqual(getTweenCounts(6, 24, true), [3, 3, 3, 3, 3, 3], 'looping animations tween back into the first keyframe');
+    assert.deepEqual(getTweenCounts(6, 24, false), [4, 4, 4, 3, 3], 'extra frames go to the earliest pairs');
+    assert.deepEqual(getTweenCounts(3, 3, false), [0, 0]);
+    assert.equal(getTweenedFrameCount(6, true), 24);
+    assert.equal(getTweenedFrameCount(6, false), 21);
+    assert.throws(() => getTweenCounts(1, 8), InvalidInputError);
+    assert.throws(() => getTweenCounts(6, 4), /at least 6 frames/);
+
+    assert.deepEqual(getTweenedDelays([400, 200, 900], [3, 1, 0]), [100, 100, 100, 100, 100, 100, 900], 'each keyframe shares its delay with its in-betweens');
+    assert.deepEqual(getTweenedDelays([40], [3]), [20, 20, 20, 20], 'delays stay playable');
+    console.log('✅ In-betweens are spread over the keyframe pairs');
+}
+
+async function testDissolve() {
+    console.log('🧪 Testing cross-dissolve...');
+    const black = path.join(TEST_DIR, 'black.png');
+    const white = path.join(TEST_DIR, 'white.png');
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } }).png().toFile(black);
+    await sharp({ create: { width: 16, height: 16, channels: 4, background: '#ffffffff' } }).png().toFile(white);
+
+    const [middle] = await interpolateFrames(black, white, 1, { method: 'dissolve', outputDir: TEST_DIR, prefix: 'dissolve' });
+    const { data, info } = await sharp(middle).raw().toBuffer({ resolveWithObject: true });
+    assert.deepEqual([info.width, info.height], [8, 8], 'in-betweens take the size of the first frame');
+    assert.ok(Math.abs(data[0] - 128) <= 1, `expected mid grey, got ${data[0]}`);
+    console.log('✅ Dissolves blend the two keyframes');
+}
+
+async function testMotion() {
+    console.log('🧪 Testing motion-compensated in-betweens...');
+    const from = await writeSquare('from.png', 10);
+    const to = await writeSquare('to.png', 34);
+    const truth = await writeSquare('truth.png', 22);
+
+    const field = await estimateMotion(from, to, SIZE, SIZE);
+    const centre = Math.floor(32 / field.blockSpan) * field.blocksX + Math.floor(20 / field.blockSpan);
+    assert.deepEqual([field.vectors[centre * 2], field.vectors[centre * 2 + 1]], [24, 0], 'the square is found where it moved');
+
+    const [motion] = await interpolateFrames(from, to, 1, { method: 'motion', outputDir: TEST_DIR, prefix: 'motion' });
+    const [dissolve] = await interpolateFrames(from, to, 1, { method: 'dissolve', outputDir: TEST_DIR, prefix: 'dissolve' });
+    const motionError = await meanDifference(motion, truth);
+    const dissolveError = await meanDifference(dissolve, truth);
+    assert.ok(motionError < dissolveError * 0.6, `motion in-between should be close to the real midpoint (${motionError.toFixed(2)} vs ${dissolveError.toFixed(2)} for a dissolve)`);
+    console.log('✅ Motion in-betweens move the square instead of fading it');
+}
+
+async function testSequence() {
+    console.log('🧪 Testing tweened sequences...');
+    const keyframes = await Promise.all([0, 8, 16].map((left, i) => writeSquare(`key_${i}.png`, left)));
+
+    const frames = await tweenSequence(keyframes, { frameCount: 7, method: 'dissolve', outputDir: `${TEST_DIR}/once` });
+    assert.deepEqual(frames.map(frame => path.basename(frame)), [
+        'key_0.png', 'tween_00_01.png', 'tween_00_02.png', 'key_1.png', 'tween_01_01.png', 'tween_01_02.png', 'key_2.png'
+    ]);
+    assert.ok(frames.every(frame => fs.existsSync(frame)));
+
+    const looped = await tweenSequence(keyframes, { frameCount: 6, wrap: true, outputDir: `${TEST_DIR}/loop` });
+    assert.equal(looped.length, 6);
+    assert.equal(path.basename(looped[5]), 'tween_02_01.png', 'the last in-between leads back to the first keyframe');
+
+    await assert.rejects(tweenSequence(keyframes, { frameCount: 6, method: 'morph', outputDir: TEST_DIR }), /Unknown tween method: morph/);
+    await assert.rejects(tweenSequence(keyframes.slice(0, 1), { frameCount: 6, outputDir: TEST_DIR }), InvalidInputError);
+    console.log('✅ Keyframes and in-betweens come out in playback order');
+}
+
+async function runTweeningTests() {
+    console.log('🪄 Testing keyframe tweening');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        testCounts();
+        await testDissolve();
+        await testMotion();
+        await testSequence();
+        console.log('\n🎉 All tweening tests passed!');
+    } catch (error) {
+        console.error('❌ Tweening test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runTweeningTests();
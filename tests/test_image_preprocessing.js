@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test input image preprocessing
+ * Covers format sniffing from magic bytes, EXIF orientation, downscaling to the longest
+ * edge, flattening or keeping transparency, conversion of formats a provider does not take
+ * and the integration sending converted copies only to providers with input requirements
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import sharp from 'sharp';
+import { FileUtils } from '../src/utils/fileUtils.js';
+import { normalizeImage } from '../src/utils/imagePreprocessor.js';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/image_preprocessing';
+const OUTPUT_DIR = `${TEST_DIR}/normalized`;
+
+const GEMINI_LIKE = { formats: ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'], alpha: 'flatten', outputDir: OUTPUT_DIR };
+
+/**
+ * Create a solid image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} background - RGBA background
+ * @returns {sharp.Sharp} Image to encode
+ */
+function solid(width, height, background = { r: 200, g: 40, b: 40, alpha: 1 }) {
+    return sharp({ create: { width, height, channels: 4, background } });
+}
+
+/**
+ * Provider that keeps the input images it receives
+ */
+class RecordingProvider extends ImageProvider {
+    constructor(requirements) {
+        super('recording', { defaultModel: 'recording-1' });
+        this.requirements = requirements;
+        this.received = [];
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: true };
+    }
+
+    get inputRequirements() {
+        return this.requirements;
+    }
+
+    async edit(imagePath) {
+        this.received.push(imagePath);
+        return { images: [{ data: fs.readFileSync(imagePath), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+
+    async analyze(imagePath) {
+        this.received.push(imagePath);
+        return 'a red square';
+    }
+}
+
+async function testSniffing() {
+    console.log('🧪 Testing format sniffing...');
+    await solid(8, 8).jpeg().toFile(`${TEST_DIR}/photo_named.png`);
+    await solid(8, 8).webp().toFile(`${TEST_DIR}/image.bin`);
+    fs.writeFileSync(`${TEST_DIR}/notes.txt`, 'not an image');
+
+    assert.equal(FileUtils.getMimeType(`${TEST_DIR}/photo_named.png`), 'image/jpeg', 'contents win over the extension');
+    assert.equal(FileUtils.getMimeType(`${TEST_DIR}/image.bin`), 'image/webp');
+    assert.throws(() => FileUtils.getMimeType(`${TEST_DIR}/notes.txt`), InvalidInputError, 'unknown files no longer pass as PNG');
+
+    const ftyp = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`), Buffer.alloc(4)]);
+    assert.equal(FileUtils.sniffMimeType(ftyp('heic')), 'image/heic');
+    assert.equal(FileUtils.sniffMimeType(ftyp('mif1')), 'image/heif');
+    assert.equal(FileUtils.sniffMimeType(ftyp('avif')), 'image/avif');
+    assert.equal(FileUtils.sniffMimeType(ftyp('mp42')), null, 'videos are not images');
+    assert.equal(FileUtils.sniffMimeType(Buffer.from('GIF89a')), 'image/gif');
+    console.log('✅ Formats come from magic bytes');
+}
+
+async function testNormalization() {
+    console.log('🧪 Testing normalization...');
+    await solid(64, 64).png().toFile(`${TEST_DIR}/small.png`);
+    const small = await normalizeImage(`${TEST_DIR}/small.png`, GEMINI_LIKE);
+    assert.equal(small.changed, false);
+    assert.equal(small.path, `${TEST_DIR}/small.png`, 'images that already fit are sent as they are');
+
+    await solid(3000, 1000).jpeg().toFile(`${TEST_DIR}/wide.jpg`);
+    const wide = await normalizeImage(`${TEST_DIR}/wide.jpg`, { ...GEMINI_LIKE, maxEdge: 1000 });
+    const wideMeta = await sharp(wide.path).metadata();
+    assert.equal(wide.mimeType, 'image/jpeg');
+    assert.deepEqual([wideMeta.width, wideMeta.height], [1000, 333], 'the longest edge is capped');
+    assert.equal((await normalizeImage(`${TEST_DIR}/wide.jpg`, { ...GEMINI_LIKE, maxEdge: 1000 })).path, wide.path, 'conversions are reused');
+    assert.equal((await normalizeImage(`${TEST_DIR}/wide.jpg`, { ...GEMINI_LIKE, maxEdge: 0 })).changed, false, 'a max edge of 0 disables downscaling');
+
+    await solid(200, 100).jpeg().withMetadata({ orientation: 6 }).toFile(`${TEST_DIR}/rotated.jpg`);
+    const rotated = await normalizeImage(`${TEST_DIR}/rotated.jpg`, GEMINI_LIKE);
+    const rotatedMeta = await sharp(rotated.path).metadata();
+    assert.deepEqual([rotatedMeta.width, rotatedMeta.height], [100, 200], 'EXIF orientation is applied');
+    assert.equal(rotatedMeta.orientation ?? 1, 1);
+
+    await solid(32, 32, { r: 0, g: 0, b: 0, alpha: 0 }).png().toFile(`${TEST_DIR}/transparent.png`);
+    const flattened = await normalizeImage(`${TEST_DIR}/transparent.png`, GEMINI_LIKE);
+    const { data } = await sharp(flattened.path).raw().toBuffer({ resolveWithObject: true });
+    assert.equal((await sharp(flattened.path).metadata()).hasAlpha, false);
+    assert.deepEqual([...data.subarray(0, 3)], [255, 255, 255], 'transparency becomes white');
+    const kept = await normalizeImage(`${TEST_DIR}/transparent.png`, { ...GEMINI_LIKE, alpha: 'keep' });
+    assert.equal(kept.changed, false, 'providers that keep alpha get the original');
+
+    await solid(16, 16).gif().toFile(`${TEST_DIR}/animation.gif`);
+    const gif = await normalizeImage(`${TEST_DIR}/animation.gif`, GEMINI_LIKE);
+    assert.equal(gif.mimeType, 'image/png', 'formats the provider does not take are converted losslessly');
+    assert.equal(FileUtils.getMimeType(gif.path), 'image/png');
+
+    await assert.rejects(normalizeImage(`${TEST_DIR}/notes.txt`, GEMINI_LIKE), InvalidInputError);
+    console.log('✅ Inputs are oriented, downscaled, flattened and converted as needed');
+}
+
+async function testIntegration() {
+    console.log('🧪 Testing preprocessing in the integration...');
+    await solid(1200, 600, { r: 10, g: 200, b: 10, alpha: 0.5 }).png().toFile(`${TEST_DIR}/large.png`);
+
+    const provider = new RecordingProvider({ formats: ['image/png', 'image/jpeg'], alpha: 'flatten' });
+    const integration = new NanoBananaIntegration(undefined, { provider, maxInputEdge: 512 });
+    await integration.analyzeImage(`${TEST_DIR}/large.png`, 'Describe this image');
+    await integration.imageEditing(`${TEST_DIR}/large.png`, 'Make it blue', { outputPath: `${TEST_DIR}/edited.png` });
+    assert.equal(provider.received.length, 2);
+    for (const received of provider.received) {
+        const metadata = await sharp(received).metadata();
+        assert.equal(Math.max(metadata.width, metadata.height), 512, 'the provider gets the converted copy');
+        assert.equal(metadata.hasAlpha, false);
+    }
+
+    const offline = new RecordingProvider(null);
+    await new NanoBananaIntegration(undefined, { provider: offline, maxInputEdge: 512 }).analyzeImage(`${TEST_DIR}/large.png`, 'Describe this image');
+    assert.deepEqual(offline.received, [`${TEST_DIR}/large.png`], 'providers without requirements get the original');
+    console.log('✅ Providers receive images they accept');
+}
+
+async function runImagePreprocessingTests() {
+    console.log('🪄 Testing input image preprocessing');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        await testSniffing();
+        await testNormalization();
+        await testIntegration();
+        console.log('\n🎉 All image preprocessing tests passed!');
+    } catch (error) {
+        console.error('❌ Image preprocessing test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runImagePreprocessingTests();
@@ -50,7 +50,7 @@ async function testImageUnderstanding() {
         console.log('\n🎯 Test 2: Object Detection');
         console.log('=' .repeat(50));
         const detection = await integration.detectObjects(testImagePath);
-        console.log('Detection Result:', detection);
+        console.log('Detection Result:', JSON.stringify(detection.objects, null, 2));
 
         // Test 3: Caption Generation
         console.log('\n📝 Test 3: Caption Generation');
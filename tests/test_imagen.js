@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Test Imagen generation through generateImages
+ * Covers the request sent to the SDK (model id, image count, aspect ratio, person
+ * generation), Vertex-only settings, filtered images, index-suffixed output files
+ * and per-image pricing in the usage ledger
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { UsageLedger, estimateCost } from '../src/core/usageLedger.js';
+import { CONFIG } from '../src/core/config.js';
+import { InvalidInputError, SafetyBlockedError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/imagen';
+
+const generatedImage = (label) => ({ image: { imageBytes: Buffer.from(label).toString('base64'), mimeType: 'image/png' } });
+
+/**
+ * Gemini provider whose generateImages answers locally (up to numberOfImages of the
+ * scripted images) and keeps the requests it got
+ */
+class ScriptedImagenProvider extends GeminiProvider {
+    constructor(generatedImages, options = {}) {
+        super({ apiKey: 'test-key', recordMode: 'off', ...options });
+        this.requests = [];
+        this.ai.models.generateImages = async (request) => {
+            this.requests.push(request);
+            return { generatedImages: generatedImages.slice(0, request.config.numberOfImages) };
+        };
+        this.ai.models.generateContent = async () => {
+            throw new Error('Imagen must not go through generateContent');
+        };
+    }
+}
+
+async function testGenerateImagesRequest() {
+    console.log('🧪 Testing the generateImages request...');
+    const ledger = new UsageLedger({ ledgerPath: `${TEST_DIR}/usage.jsonl` });
+    const provider = new ScriptedImagenProvider([
+        generatedImage('first'),
+        { raiFilteredReason: 'The image was filtered.' },
+        generatedImage('third')
+    ], { ledger });
+    const integration = new NanoBananaIntegration(undefined, { provider });
+
+    const result = await integration.generateWithImagen('a lighthouse at dawn', {
+        imagenVersion: '4',
+        numberOfImages: 3,
+        aspectRatio: '16:9',
+        personGeneration: 'allow_adult',
+        outputPath: `${TEST_DIR}/lighthouse.png`
+    });
+
+    const [request] = provider.requests;
+    assert.equal(request.model, 'imagen-4.0-generate-001', 'short names map to Imagen model ids');
+    assert.equal(request.prompt, 'a lighthouse at dawn');
+    assert.equal(request.config.numberOfImages, 3);
+    assert.equal(request.config.aspectRatio, '16:9');
+    assert.equal(request.config.personGeneration, 'ALLOW_ADULT');
+    assert.equal(request.config.negativePrompt, undefined);
+
+    assert.deepEqual(result.imagePaths, [`${TEST_DIR}/lighthouse_0.png`, `${TEST_DIR}/lighthouse_1.png`], 'filtered images are skipped');
+    assert.equal(result.imagePath, result.imagePaths[0]);
+    assert.equal(fs.readFileSync(result.imagePaths[1], 'utf8'), 'third');
+
+    const [entry] = ledger.read();
+    assert.equal(entry.model, 'imagen-4.0-generate-001');
+    assert.equal(entry.images, 2, 'the ledger counts images, not tokens');
+    assert.ok(Math.abs(estimateCost(entry, CONFIG.modelPrices) - 0.08) < 1e-9, 'Imagen is priced per image');
+
+    const single = await integration.textRendering('OPEN 24 HOURS', { outputPath: `${TEST_DIR}/sign.png` });
+    assert.equal(single.imagePath, `${TEST_DIR}/sign.png`, 'a single image keeps the requested path');
+    assert.equal(provider.requests.length, 2, 'text rendering uses Imagen too');
+    console.log('✅ Imagen requests go through generateImages');
+}
+
+async function testVertexOnlySettings() {
+    console.log('🧪 Testing negative prompts and seeds...');
+    const provider = new ScriptedImagenProvider([generatedImage('only')]);
+    const options = { model: 'imagen-4-ultra', negativePrompt: 'people, text', seed: 42 };
+
+    await assert.rejects(provider.generate('a quiet harbor', options), InvalidInputError, 'the Gemini API rejects negative prompts');
+    assert.equal(provider.requests.length, 0, 'nothing is sent');
+
+    provider.ai.vertexai = true;
+    await provider.generate('a quiet harbor', options);
+    const [request] = provider.requests;
+    assert.equal(request.model, 'imagen-4.0-ultra-generate-001');
+    assert.equal(request.config.negativePrompt, 'people, text');
+    assert.equal(request.config.seed, 42);
+    assert.equal(request.config.addWatermark, false, 'seeds need the watermark off');
+    console.log('✅ Vertex-only settings are sent on Vertex AI and refused elsewhere');
+}
+
+async function testInvalidRequests() {
+    console.log('🧪 Testing rejected Imagen requests...');
+    const filtered = new ScriptedImagenProvider([{ raiFilteredReason: 'Contains a public figure.' }]);
+    await assert.rejects(filtered.generate('a portrait', { model: 'imagen-4' }), (error) => {
+        assert.ok(error instanceof SafetyBlockedError);
+        assert.match(error.explanation, /public figure/);
+        return true;
+    });
+
+    const provider = new ScriptedImagenProvider([generatedImage('unused')]);
+    await assert.rejects(provider.generate('a portrait', { model: 'imagen-4', aspectRatio: '21:9' }), InvalidInputError);
+    await assert.rejects(provider.generate('a portrait', { model: 'imagen-4', numberOfImages: 5 }), InvalidInputError);
+    await assert.rejects(provider.generate('a portrait', { model: 'imagen-4', personGeneration: 'everyone' }), InvalidInputError);
+    fs.writeFileSync(`${TEST_DIR}/input.png`, 'input');
+    await assert.rejects(provider.edit(`${TEST_DIR}/input.png`, 'make it blue', { model: 'imagen-4' }), InvalidInputError, 'Imagen does not edit');
+    assert.equal(provider.requests.length, 0);
+    console.log('✅ Unsupported settings, edits and fully filtered results are errors');
+}
+
+async function runImagenTests() {
+    console.log('🖼️ Testing Imagen generation');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        await testGenerateImagesRequest();
+        await testVertexOnlySettings();
+        await testInvalidRequests();
+        console.log('\n🎉 All Imagen tests passed!');
+    } catch (error) {
+        console.error('❌ Imagen test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runImagenTests();
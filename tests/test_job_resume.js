@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test resumable GIF jobs
+ * A provider fails partway through a sequence; the job manifest keeps the finished
+ * frames and a second run generates only the missing ones
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+import { JobManifest } from '../src/core/jobManifest.js';
+
+const TEST_DIR = './test_output/job_resume';
+
+/**
+ * Provider that fails on chosen frames and counts the frames it generated
+ */
+class FlakyProvider extends ImageProvider {
+    constructor(failingFrames = []) {
+        super('flaky', { defaultModel: 'flaky-1' });
+        this.failingFrames = failingFrames;
+        this.generated = [];
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: false };
+    }
+
+    async generate(prompt, options) {
+        return this.frame(options);
+    }
+
+    async edit(imagePath, prompt, options) {
+        return this.frame(options);
+    }
+
+    frame(options) {
+        if (this.failingFrames.includes(options.frameIndex)) {
+            throw new Error(`frame ${options.frameIndex} exploded`);
+        }
+        this.generated.push(options.frameIndex);
+        return { images: [{ data: Buffer.from(`frame-${options.frameIndex}`), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+}
+
+async function runSequence(job, provider) {
+    const generator = new SequenceGenerator(undefined, { provider });
+    return await generator.generateSequence(job.prompt, job.options.frameCount, job.options.animationType, job.framesDir, {
+        concurrency: 1,
+        existingFrames: job.frames,
+        onFrame: (frameIndex, framePath) => job.recordFrame(frameIndex, framePath)
+    });
+}
+
+async function testResumeSkipsFinishedFrames() {
+    console.log('🧪 Testing resume after a failed frame...');
+    const job = JobManifest.create('a kite in the wind', { frameCount: 5, animationType: 'flying' }, TEST_DIR);
+
+    const firstRun = new FlakyProvider([3]);
+    await assert.rejects(() => runSequence(job, firstRun), /frame 3 exploded/);
+    job.fail(new Error('frame 3 exploded'));
+
+    const reloaded = JobManifest.load(job.jobId, TEST_DIR);
+    assert.equal(reloaded.status, 'failed');
+    assert.ok(reloaded.anchor, 'the anchor frame is recorded');
+    assert.deepEqual(reloaded.getMissingFrames(), [3, 4]);
+
+    reloaded.restart();
+    const secondRun = new FlakyProvider();
+    const framePaths = await runSequence(reloaded, secondRun);
+
+    assert.deepEqual(secondRun.generated, [3, 4], 'only missing frames are generated');
+    framePaths.forEach((framePath, i) => {
+        assert.equal(fs.readFileSync(framePath, 'utf8'), `frame-${i}`);
+    });
+    assert.deepEqual(JobManifest.load(job.jobId, TEST_DIR).getMissingFrames(), []);
+    console.log('✅ Resume generated only the missing frames');
+}
+
+async function testDeletedFramesAreRegenerated() {
+    console.log('🧪 Testing frames deleted from disk...');
+    const job = JobManifest.create('a spinning top', { frameCount: 3, animationType: 'rotating' }, TEST_DIR);
+    await runSequence(job, new FlakyProvider());
+
+    fs.unlinkSync(job.frames[1]);
+    const reloaded = JobManifest.load(job.jobId, TEST_DIR);
+    assert.deepEqual(reloaded.getMissingFrames(), [1], 'a frame missing on disk counts as not done');
+    console.log('✅ Missing frame files are detected');
+}
+
+function testUnknownJob() {
+    console.log('🧪 Testing unknown job ids...');
+    assert.throws(() => JobManifest.load('no-such-job', TEST_DIR), /Job not found/);
+    console.log('✅ Unknown jobs fail clearly');
+}
+
+async function runJobResumeTests() {
+    console.log('💾 Testing resumable GIF jobs');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    try {
+        await testResumeSkipsFinishedFrames();
+        await testDeletedFramesAreRegenerated();
+        testUnknownJob();
+        console.log('\n🎉 All job resume tests passed!');
+    } catch (error) {
+        console.error('❌ Job resume test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runJobResumeTests();
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Test per-job working directories
+ * Covers locking (processes racing for one job included), release on success/failure, SIGINT cleanup
+ * and clean skipping active jobs
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { spawn, spawnSync } from 'node:child_process';
+import { JobWorkspace, isWorkspaceActive, readLock, LOCK_FILE } from '../src/core/jobWorkspace.js';
+import { FileUtils } from '../src/utils/fileUtils.js';
+
+const TEST_DIR = './test_output/job_workspace';
+
+function writeLock(dir, pid) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, LOCK_FILE), JSON.stringify({ pid, jobId: path.basename(dir), startedAt: new Date().toISOString() }));
+}
+
+function testIsolationAndRelease() {
+    console.log('🧪 Testing isolated workspaces...');
+    const first = JobWorkspace.create(TEST_DIR);
+    const second = JobWorkspace.create(TEST_DIR);
+
+    assert.notEqual(first.dir, second.dir, 'every job gets its own directory');
+    fs.writeFileSync(first.path('frame_000.png'), 'first');
+    fs.writeFileSync(second.path('frame_000.png'), 'second');
+    assert.equal(fs.readFileSync(first.path('frame_000.png'), 'utf8'), 'first');
+    assert.ok(isWorkspaceActive(first.dir));
+
+    first.release();
+    second.release();
+    assert.ok(!fs.existsSync(first.dir), 'temporary workspaces are removed on release');
+
+    const kept = JobWorkspace.create(TEST_DIR, { removeOnRelease: false });
+    kept.release();
+    assert.ok(fs.existsSync(kept.dir) && !isWorkspaceActive(kept.dir), 'kept workspaces only lose their lock');
+    console.log('✅ Workspaces are isolated and released');
+}
+
+function testLocking() {
+    console.log('🧪 Testing job locks...');
+    const busyDir = path.join(TEST_DIR, 'busy-job');
+    writeLock(busyDir, process.ppid);
+    assert.throws(() => JobWorkspace.acquire(busyDir), /already running in process/);
+    fs.rmSync(busyDir, { recursive: true });
+
+    const staleDir = path.join(TEST_DIR, 'stale-job');
+    writeLock(staleDir, 2 ** 22 + 12345);
+    assert.ok(!isWorkspaceActive(staleDir), 'locks of dead processes are stale');
+    const takenOver = JobWorkspace.acquire(staleDir);
+    assert.equal(readLock(staleDir).pid, process.pid, 'the stale lock is replaced by ours');
+    takenOver.release();
+
+    const startingDir = path.join(TEST_DIR, 'starting-job');
+    fs.mkdirSync(startingDir, { recursive: true });
+    fs.writeFileSync(path.join(startingDir, LOCK_FILE), '');
+    assert.throws(() => JobWorkspace.acquire(startingDir), /being started by another process/, 'a lock still being written blocks');
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(path.join(startingDir, LOCK_FILE), old, old);
+    JobWorkspace.acquire(startingDir, { removeOnRelease: false }).release();
+    assert.deepEqual(fs.readdirSync(startingDir), [], 'unreadable old locks are taken over');
+    console.log('✅ Live locks block, stale locks are taken over');
+}
+
+async function testConcurrentAcquire() {
+    console.log('🧪 Testing processes racing for one job...');
+    const script = `
+        import { JobWorkspace } from './src/core/jobWorkspace.js';
+        try {
+            const workspace = JobWorkspace.acquire(${JSON.stringify(path.join(TEST_DIR, 'raced-job'))}, { removeOnRelease: false });
+            console.log('locked');
+            setTimeout(() => workspace.release(), 3000);
+        } catch (error) {
+            console.log('busy');
+        }
+    `;
+    const race = () => new Promise((resolve) => {
+        const child = spawn(process.execPath, ['--input-type=module', '-e', script], { timeout: 15000 });
+        let output = '';
+        child.stdout.on('data', (data) => { output += data; });
+        child.on('close', () => resolve(output.trim().split('\n').pop()));
+    });
+
+    const results = await Promise.all([race(), race(), race()]);
+    assert.deepEqual(results.sort(), ['busy', 'busy', 'locked'], 'only one process gets the lock');
+    console.log('✅ One process wins the lock');
+}
+
+async function testCleanSkipsActiveJobs() {
+    console.log('🧪 Testing clean with an active job...');
+    const active = JobWorkspace.create(TEST_DIR);
+    fs.writeFileSync(active.path('frame_000.png'), 'in progress');
+    fs.writeFileSync(path.join(TEST_DIR, 'stray.png'), 'old');
+
+    const kept = await FileUtils.cleanDirectory(TEST_DIR, { keep: isWorkspaceActive });
+
+    assert.deepEqual(kept, [active.dir]);
+    assert.ok(fs.existsSync(active.path('frame_000.png')), 'active job files survive clean');
+    assert.ok(!fs.existsSync(path.join(TEST_DIR, 'stray.png')), 'everything else is removed');
+    active.release();
+    console.log('✅ Clean never touches running jobs');
+}
+
+function testSigintCleanup() {
+    console.log('🧪 Testing SIGINT cleanup...');
+    const script = `
+        import { JobWorkspace } from './src/core/jobWorkspace.js';
+        const workspace = JobWorkspace.create(${JSON.stringify(TEST_DIR)}, { jobId: 'interrupted-job' });
+        process.kill(process.pid, 'SIGINT');
+        setTimeout(() => {}, 5000);
+    `;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 });
+
+    assert.equal(child.status, 130, 'interrupted jobs exit with 130');
+    assert.ok(!fs.existsSync(path.join(TEST_DIR, 'interrupted-job')), 'SIGINT removes the workspace');
+    console.log('✅ SIGINT releases the workspace');
+}
+
+async function runJobWorkspaceTests() {
+    console.log('🗂️ Testing per-job working directories');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    try {
+        testIsolationAndRelease();
+        testLocking();
+        await testConcurrentAcquire();
+        await testCleanSkipsActiveJobs();
+        testSigintCleanup();
+        console.log('\n🎉 All job workspace tests passed!');
+    } catch (error) {
+        console.error('❌ Job workspace test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runJobWorkspaceTests();
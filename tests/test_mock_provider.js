@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test the offline mock provider
+ * Runs the full GIF pipeline with no network access and no API key
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { MockProvider } from '../src/providers/mockProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { GifGenerator } from '../src/core/gifGenerator.js';
+
+const TEST_DIR = './test_output/mock_provider';
+
+async function testDeterministicFrames() {
+    console.log('🧪 Testing deterministic mock frames...');
+    const provider = new MockProvider();
+
+    const first = await provider.generate('a cat walking', { frameIndex: 2, totalFrames: 5, seed: 7 });
+    const second = await provider.generate('a cat walking', { frameIndex: 2, totalFrames: 5, seed: 7 });
+    const otherSeed = await provider.generate('a cat walking', { frameIndex: 2, totalFrames: 5, seed: 8 });
+    const otherFrame = await provider.generate('a cat walking', { frameIndex: 3, totalFrames: 5, seed: 7 });
+
+    assert.ok(first.images[0].data.equals(second.images[0].data), 'same inputs must produce identical bytes');
+    assert.ok(!first.images[0].data.equals(otherSeed.images[0].data), 'a different seed must change the frame');
+    assert.ok(!first.images[0].data.equals(otherFrame.images[0].data), 'a different frame index must change the frame');
+    console.log('✅ Mock frames are deterministic');
+}
+
+async function testCannedAnalysis() {
+    console.log('🧪 Testing canned analysis...');
+    const integration = new NanoBananaIntegration(undefined, { provider: 'mock' });
+    const imagePath = path.join(TEST_DIR, 'analysis_input.png');
+
+    const result = await integration.textToImage('a lighthouse at night', { outputPath: imagePath });
+    const analysis = await integration.analyzeImage(result.imagePath, 'Caption this image');
+
+    assert.equal(result.provider, 'mock');
+    assert.match(analysis, /^Mock analysis of analysis_input\.png/);
+    console.log('✅ Canned analysis returned');
+}
+
+async function testGifPipeline() {
+    console.log('🧪 Testing end-to-end GIF pipeline with the mock provider...');
+    const generator = new GifGenerator(undefined, { provider: 'mock' });
+
+    const result = await generator.generateAnimatedGif('a robot dancing', {
+        frameCount: 3,
+        animationType: 'dancing',
+        width: 128,
+        height: 128,
+        outputDir: TEST_DIR,
+        seed: 1
+    });
+
+    assert.ok(result.success);
+    assert.equal(result.frameCount, 3);
+    assert.ok(fs.existsSync(result.gifPath), 'GIF file must exist');
+    console.log(`✅ GIF generated offline: ${result.gifPath}`);
+}
+
+async function runMockProviderTests() {
+    console.log('🍌 Testing mock provider (offline)');
+    console.log('='.repeat(50));
+
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        await testDeterministicFrames();
+        await testCannedAnalysis();
+        await testGifPipeline();
+        console.log('\n🎉 All mock provider tests passed!');
+    } catch (error) {
+        console.error('❌ Mock provider test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runMockProviderTests();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test structured object detection and segmentation
+ * Covers box_2d conversion, tolerant JSON parsing, mask decoding and the
+ * detectObjects / segmentObjects calls with the mock provider
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import sharp from 'sharp';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { parseJsonResponse, toDetection, decodeMask } from '../src/utils/visionUtils.js';
+import { EmptyResponseError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/object_detection';
+
+function testBoxConversion() {
+    console.log('🧪 Testing box_2d conversion...');
+    const detection = toDetection({ label: 'cat', confidence: 0.8, box_2d: [100, 250, 600, 750] }, 800, 400);
+
+    assert.deepEqual(detection.box, { x: 0.25, y: 0.1, width: 0.5, height: 0.5 });
+    assert.deepEqual(detection.pixelBox, { x: 200, y: 40, width: 400, height: 200 });
+    assert.equal(detection.confidence, 0.8);
+
+    const swapped = toDetection({ label: 'dog', confidence: 7, box_2d: [900, 1200, 500, -20] }, 100, 100);
+    assert.deepEqual(swapped.box_2d, [500, 0, 900, 1000], 'coordinates are clamped and ordered');
+    assert.equal(swapped.confidence, 1);
+
+    assert.equal(toDetection({ label: 'line', box_2d: [10, 10, 10, 90] }, 100, 100), null, 'empty boxes are dropped');
+    assert.equal(toDetection({ label: 'nothing' }, 100, 100), null);
+    console.log('✅ Boxes are normalized, clamped and converted to pixels');
+}
+
+function testJsonParsing() {
+    console.log('🧪 Testing JSON response parsing...');
+    assert.deepEqual(parseJsonResponse('```json\n[{"label":"a"}]\n```'), [{ label: 'a' }]);
+    assert.throws(() => parseJsonResponse('I see a cat'), EmptyResponseError);
+    console.log('✅ Fenced JSON parses, prose is rejected');
+}
+
+async function testDetectWithMockProvider() {
+    console.log('🧪 Testing detectObjects with the mock provider...');
+    const imagePath = `${TEST_DIR}/scene.png`;
+    await sharp({ create: { width: 640, height: 480, channels: 3, background: '#336699' } }).png().toFile(imagePath);
+
+    const integration = new NanoBananaIntegration(undefined, { provider: 'mock' });
+    const result = await integration.detectObjects(imagePath, { maxObjects: 1 });
+
+    assert.equal(result.width, 640);
+    assert.equal(result.height, 480);
+    assert.equal(result.objects.length, 1, 'maxObjects caps the results');
+    const [first] = result.objects;
+    assert.equal(first.label, 'round character');
+    assert.deepEqual(first.pixelBox, { x: 224, y: 144, width: 192, height: 192 });
+    JSON.parse(JSON.stringify(result));
+    console.log('✅ Detections come back machine-readable');
+}
+
+async function testMaskDecoding() {
+    console.log('🧪 Testing mask decoding...');
+    // 2x2 box mask: only the top-left quarter is part of the object
+    const boxMask = await sharp(Buffer.from([255, 0, 0, 0]), { raw: { width: 2, height: 2, channels: 1 } }).png().toBuffer();
+    const { mask, area } = await decodeMask(boxMask.toString('base64'), { x: 2, y: 1, width: 4, height: 4 }, 8, 8);
+
+    assert.equal(mask.length, 64, 'masks are full resolution');
+    assert.equal(mask[1 * 8 + 2], 255, 'top-left of the box is set');
+    assert.equal(mask[4 * 8 + 5], 0, 'the opposite corner of the box is clear');
+    assert.equal(mask[0], 0, 'pixels outside the box are clear');
+    assert.ok(area > 0 && area < 16 / 64, 'only part of the box is covered');
+
+    // xmin 999 on a 500px image rounds to the right edge
+    const sliver = toDetection({ label: 'edge', box_2d: [0, 999, 1000, 1000] }, 500, 500);
+    assert.deepEqual(sliver.pixelBox, { x: 499, y: 0, width: 1, height: 500 }, 'edge boxes stay inside the image');
+    const full = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    const edge = await decodeMask(full.toString('base64'), sliver.pixelBox, 500, 500);
+    assert.equal(edge.mask[499], 255, 'the sliver covers the last column');
+    const outside = await decodeMask(full.toString('base64'), { x: 8, y: 8, width: 0, height: 0 }, 8, 8);
+    assert.equal(outside.mask[63], 255, 'boxes past the image are clipped to its last pixel');
+    console.log('✅ Box masks are resized, thresholded and placed');
+}
+
+async function testSegmentWithMockProvider() {
+    console.log('🧪 Testing segmentObjects with the mock provider...');
+    const imagePath = `${TEST_DIR}/scene.png`;
+    const integration = new NanoBananaIntegration(undefined, { provider: 'mock' });
+    const result = await integration.segmentObjects(imagePath, ['round character'], { outputDir: `${TEST_DIR}/masks`, cutout: true });
+
+    assert.equal(result.objects.length, 2);
+    const [character] = result.objects;
+    const maskInfo = await sharp(character.maskPath).metadata();
+    assert.equal(maskInfo.width, 640);
+    assert.equal(maskInfo.height, 480);
+    assert.equal(maskInfo.channels, 1, 'masks are single-channel');
+    assert.ok(Math.abs(character.area - Math.PI / 4 * 192 * 192 / (640 * 480)) < 0.01, 'the ellipse fills its box');
+
+    const cutout = await sharp(character.cutoutPath).metadata();
+    assert.equal(cutout.channels, 4, 'cutouts carry the mask as alpha');
+    console.log('✅ Masks and cutouts are written at image size');
+}
+
+async function runObjectDetectionTests() {
+    console.log('🎯 Testing structured object detection and segmentation');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        testBoxConversion();
+        testJsonParsing();
+        await testDetectWithMockProvider();
+        await testMaskDecoding();
+        await testSegmentWithMockProvider();
+        console.log('\n🎉 All object detection tests passed!');
+    } catch (error) {
+        console.error('❌ Object detection test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runObjectDetectionTests();
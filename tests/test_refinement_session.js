@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Test saved multi-turn refinement sessions
+ * Covers chat history sent to Gemini, persistence across loads, the session tree
+ * (branching, checkout, undo, before/after paths) and the fallback for providers
+ * without multi-turn chat
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { RefinementSession } from '../src/core/refinementSession.js';
+
+const TEST_DIR = './test_output/refinement_session';
+
+/**
+ * Gemini provider that answers locally and keeps every request it would have sent
+ */
+class CapturingGeminiProvider extends GeminiProvider {
+    constructor() {
+        super({ apiKey: 'test-key', recordMode: 'off' });
+        this.requests = [];
+    }
+
+    async callModel(request) {
+        this.requests.push(request);
+        const turn = this.requests.length;
+        return {
+            candidates: [{
+                finishReason: 'STOP',
+                content: {
+                    role: 'model',
+                    parts: [
+                        { text: `reply ${turn}` },
+                        { inlineData: { mimeType: 'image/png', data: Buffer.from(`image-${turn}`).toString('base64') }, thoughtSignature: `sig-${turn}` }
+                    ]
+                }
+            }]
+        };
+    }
+}
+
+/**
+ * Provider without chat support; records which image each edit received
+ */
+class EditOnlyProvider extends ImageProvider {
+    constructor() {
+        super('edit-only', { defaultModel: 'edit-1' });
+        this.calls = [];
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: false };
+    }
+
+    async generate(prompt) {
+        this.calls.push({ prompt, image: null });
+        return { images: [{ data: Buffer.from(prompt), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+
+    async edit(imagePath, prompt) {
+        this.calls.push({ prompt, image: fs.readFileSync(imagePath, 'utf8') });
+        return { images: [{ data: Buffer.from(prompt), mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+}
+
+async function testChatHistory() {
+    console.log('🧪 Testing chat history across turns...');
+    const provider = new CapturingGeminiProvider();
+    const integration = new NanoBananaIntegration(undefined, { provider });
+    const startImage = `${TEST_DIR}/start.png`;
+    fs.writeFileSync(startImage, 'start-photo');
+
+    const session = integration.startSession({ title: 'a red kite', outputDir: TEST_DIR });
+    await integration.refineSession(session, 'draw a red kite', { images: [startImage] });
+
+    // A later run picks the session up from disk
+    const reloaded = RefinementSession.load(session.sessionId, TEST_DIR);
+    const second = await integration.refineSession(reloaded, 'make it bigger');
+
+    const { contents } = provider.requests[1];
+    assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user']);
+    assert.equal(contents[0].parts.at(-1).text, 'draw a red kite');
+    assert.equal(Buffer.from(contents[0].parts[0].inlineData.data, 'base64').toString(), 'start-photo', 'input images stay in history');
+    assert.equal(Buffer.from(contents[1].parts[0].inlineData.data, 'base64').toString(), 'image-1', 'earlier results stay in history');
+    assert.equal(contents[1].parts[0].thoughtSignature, 'sig-1', 'thought signatures are sent back');
+    assert.equal(contents[1].parts[1].text, 'reply 1');
+    assert.equal(contents[2].parts[0].text, 'make it bigger');
+
+    assert.equal(second.node.id, 2);
+    assert.equal(second.node.parent, 1);
+    assert.equal(fs.readFileSync(reloaded.currentImage, 'utf8'), 'image-2');
+    console.log('✅ Earlier prompts and images are replayed as chat turns');
+    return reloaded;
+}
+
+async function testBranching(session) {
+    console.log('🧪 Testing branches from an earlier node...');
+    const provider = new CapturingGeminiProvider();
+    const integration = new NanoBananaIntegration(undefined, { provider });
+
+    // Failed branches must not move the head
+    await assert.rejects(integration.refineSession(session, 'make it green', { from: 1, images: [`${TEST_DIR}/missing.png`] }), /not found/);
+    const failing = new CapturingGeminiProvider();
+    failing.callModel = async () => {
+        throw new Error('network down');
+    };
+    await assert.rejects(new NanoBananaIntegration(undefined, { provider: failing }).refineSession(session, 'make it green', { from: 1 }), /network down/);
+    assert.equal(session.head.id, 2);
+    assert.equal(RefinementSession.load(session.sessionId, TEST_DIR).head.id, 2, 'failed branches leave the saved head alone');
+
+    const branch = await integration.refineSession(session, 'make it blue instead', { from: 1 });
+    assert.equal(branch.node.parent, 1, 'the new node hangs off the chosen node');
+    assert.deepEqual(session.getChildren(1).map(node => node.id), [2, 3], 'both refinements are kept');
+    assert.deepEqual(provider.requests[0].contents.map(content => content.parts.at(-1).text),
+        ['draw a red kite', 'reply 1', 'make it blue instead'], 'other branches are not part of the history');
+
+    const reloaded = RefinementSession.load(session.sessionId, TEST_DIR);
+    assert.equal(reloaded.head.id, 3, 'the head is saved');
+    assert.deepEqual(reloaded.getPath(2).map(node => node.id), [1, 2]);
+    assert.deepEqual(reloaded.getPathImages(2).map(imagePath => fs.readFileSync(imagePath, 'utf8')),
+        ['start-photo', 'image-1', 'image-2'], 'paths start with the before image');
+    console.log('✅ Branching keeps both results');
+    return reloaded;
+}
+
+function testListCheckoutAndUndo(session) {
+    console.log('🧪 Testing session list, checkout and undo...');
+    const listed = RefinementSession.list(TEST_DIR);
+    assert.deepEqual(listed.map(entry => entry.sessionId), [session.sessionId]);
+    assert.equal(listed[0].title, 'a red kite');
+
+    session.checkout(2);
+    assert.equal(fs.readFileSync(session.currentImage, 'utf8'), 'image-2');
+
+    const undone = session.undo();
+    assert.equal(undone.prompt, 'make it bigger');
+    assert.ok(fs.existsSync(session.resolve(undone.image)), 'undone nodes are kept');
+    assert.equal(session.head.id, 1);
+    assert.equal(RefinementSession.load(session.sessionId, TEST_DIR).head.id, 1, 'undo is saved');
+
+    session.undo();
+    assert.equal(session.currentImage, null);
+    assert.throws(() => session.undo(), /nothing to undo/);
+    assert.throws(() => session.checkout(42), /has no node 42/);
+    assert.throws(() => RefinementSession.load('no-such-session', TEST_DIR), /Session not found/);
+    console.log('✅ Sessions are listed, checked out and undone');
+}
+
+function testVersionOneSessions() {
+    console.log('🧪 Testing sessions saved before branching...');
+    const legacy = new RefinementSession(`${TEST_DIR}/legacy`, {
+        version: 1,
+        sessionId: 'legacy',
+        options: {},
+        turns: [
+            { index: 1, prompt: 'a', inputImages: [], image: 'turn_001.png' },
+            { index: 2, prompt: 'b', inputImages: [], image: 'turn_002.png' }
+        ]
+    });
+    assert.deepEqual(legacy.nodes.map(node => [node.id, node.parent]), [[1, null], [2, 1]]);
+    assert.equal(legacy.head.prompt, 'b');
+    console.log('✅ Linear sessions load as a single branch');
+}
+
+async function testFallbackWithoutChat() {
+    console.log('🧪 Testing providers without multi-turn chat...');
+    const provider = new EditOnlyProvider();
+    const integration = new NanoBananaIntegration(undefined, { provider });
+    const session = integration.startSession({ outputDir: TEST_DIR });
+
+    await integration.refineSession(session, 'first');
+    await integration.refineSession(session, 'second');
+
+    assert.deepEqual(provider.calls, [
+        { prompt: 'first', image: null },
+        { prompt: 'second', image: 'first' }
+    ], 'the latest image is edited');
+    console.log('✅ Stateless providers edit the latest image');
+}
+
+async function runRefinementSessionTests() {
+    console.log('💬 Testing refinement sessions');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        const session = await testBranching(await testChatHistory());
+        testListCheckoutAndUndo(session);
+        testVersionOneSessions();
+        await testFallbackWithoutChat();
+        console.log('\n🎉 All refinement session tests passed!');
+    } catch (error) {
+        console.error('❌ Refinement session test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runRefinementSessionTests();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Test the Gemini record/replay layer
+ * Records a stubbed generateContent call, then replays it with the network stub removed
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+
+const FIXTURES_DIR = './test_output/recorder_fixtures';
+const IMAGE_DATA = Buffer.from('fake-png-bytes').toString('base64');
+
+function createStubResponse() {
+    return {
+        candidates: [{
+            content: {
+                parts: [
+                    { text: 'A recorded description' },
+                    { inlineData: { mimeType: 'image/png', data: IMAGE_DATA } }
+                ]
+            }
+        }]
+    };
+}
+
+async function testRecordThenReplay() {
+    console.log('🧪 Testing record then replay...');
+
+    const recorder = new GeminiProvider({ apiKey: 'test', recordMode: 'record', fixturesDir: FIXTURES_DIR });
+    let liveCalls = 0;
+    recorder.ai.models.generateContent = async () => {
+        liveCalls++;
+        return createStubResponse();
+    };
+
+    const recorded = await recorder.generate('a banana on a table', { aspectRatio: '1:1' });
+    assert.equal(liveCalls, 1);
+    assert.equal(fs.readdirSync(FIXTURES_DIR).length, 1, 'one fixture must be written');
+
+    const replayer = new GeminiProvider({ recordMode: 'replay', fixturesDir: FIXTURES_DIR });
+    replayer.ai.models.generateContent = async () => {
+        throw new Error('replay mode must not call the API');
+    };
+
+    const replayed = await replayer.generate('a banana on a table', { aspectRatio: '1:1' });
+    assert.ok(replayed.images[0].data.equals(recorded.images[0].data), 'replayed image must match byte for byte');
+    assert.equal(replayed.text, 'A recorded description');
+    console.log('✅ Replay served the recorded response');
+}
+
+async function testReplayMiss() {
+    console.log('🧪 Testing replay of an unrecorded request...');
+
+    const replayer = new GeminiProvider({ recordMode: 'replay', fixturesDir: FIXTURES_DIR });
+    await assert.rejects(
+        () => replayer.generate('a prompt that was never recorded'),
+        /No recorded fixture/
+    );
+    console.log('✅ Unrecorded requests fail clearly');
+}
+
+async function testRequestKey() {
+    console.log('🧪 Testing fixture keys...');
+
+    const provider = new GeminiProvider({ recordMode: 'record', fixturesDir: FIXTURES_DIR });
+    const request = {
+        model: 'gemini-2.5-flash-image',
+        contents: [{ inlineData: { mimeType: 'image/png', data: IMAGE_DATA } }, { text: 'edit this' }],
+        config: { responseModalities: ['Image'], imageConfig: { aspectRatio: '1:1' } }
+    };
+    const withSignal = { ...request, config: { ...request.config, abortSignal: new AbortController().signal } };
+    const otherImage = { ...request, contents: [{ inlineData: { mimeType: 'image/png', data: 'b3RoZXI=' } }, { text: 'edit this' }] };
+
+    const key = provider.recorder.getFixtureKey(provider.recorder.describeRequest(request));
+    assert.equal(key, provider.recorder.getFixtureKey(provider.recorder.describeRequest(withSignal)), 'abort signals must not change the key');
+    assert.notEqual(key, provider.recorder.getFixtureKey(provider.recorder.describeRequest(otherImage)), 'image bytes must change the key');
+    console.log('✅ Fixture keys depend on model, config, prompt and image hashes');
+}
+
+async function runRecorderTests() {
+    console.log('📼 Testing Gemini record/replay');
+    console.log('='.repeat(50));
+
+    fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(FIXTURES_DIR), { recursive: true });
+
+    try {
+        await testRecordThenReplay();
+        await testReplayMiss();
+        await testRequestKey();
+        console.log('\n🎉 All record/replay tests passed!');
+    } catch (error) {
+        console.error('❌ Record/replay test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runRecorderTests();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Test the response cache
+ * Covers cache keys (prompt, config and input image bytes), generate, analyze and text hits,
+ * per-call bypass, sequence reruns answered from the cache and pruning by age
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+import { ResponseCache, parseDuration } from '../src/core/responseCache.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/response_cache';
+
+/**
+ * Provider that counts its calls and answers with bytes derived from the request
+ */
+class CountingProvider extends ImageProvider {
+    constructor() {
+        super('counting', { defaultModel: 'counting-1' });
+        this.calls = 0;
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: false, analyze: true, text: true };
+    }
+
+    async generate(prompt, options = {}) {
+        this.calls++;
+        const data = Buffer.from(`${prompt}:${options.frameIndex ?? 0}:${options.seed ?? ''}`);
+        return { images: [{ data, mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+
+    async edit(imagePath, prompt, options = {}) {
+        return this.generate(`${prompt}+${fs.readFileSync(imagePath)}`, options);
+    }
+
+    async analyze(imagePath, prompt) {
+        this.calls++;
+        return `analysis ${this.calls} of ${path.basename(imagePath)}: ${prompt}`;
+    }
+
+    async generateText(prompt) {
+        this.calls++;
+        return `text ${this.calls}: ${prompt}`;
+    }
+}
+
+function testKeys() {
+    console.log('🧪 Testing cache keys...');
+    const cache = new ResponseCache({ cacheDir: `${TEST_DIR}/keys` });
+    fs.writeFileSync(`${TEST_DIR}/a.png`, 'first image');
+    fs.writeFileSync(`${TEST_DIR}/b.png`, 'first image');
+    fs.writeFileSync(`${TEST_DIR}/c.png`, 'other image');
+    const request = (overrides) => ({ operation: 'generate', provider: 'counting', model: null, config: { seed: 1 }, prompt: 'a fox', images: [], ...overrides });
+
+    assert.equal(cache.getKey(request({ config: { seed: 1, aspectRatio: '1:1' } })), cache.getKey(request({ config: { aspectRatio: '1:1', seed: 1 } })), 'config order does not matter');
+    assert.notEqual(cache.getKey(request()), cache.getKey(request({ prompt: 'a wolf' })));
+    assert.notEqual(cache.getKey(request()), cache.getKey(request({ config: { seed: 2 } })));
+    assert.equal(cache.getKey(request({ images: [`${TEST_DIR}/a.png`] })), cache.getKey(request({ images: [`${TEST_DIR}/b.png`] })), 'images are keyed by their bytes');
+    assert.notEqual(cache.getKey(request({ images: [`${TEST_DIR}/a.png`] })), cache.getKey(request({ images: [`${TEST_DIR}/c.png`] })));
+    console.log('✅ Keys follow the prompt, config and image bytes');
+}
+
+async function testGenerateAndAnalyze() {
+    console.log('🧪 Testing cached generation and analysis...');
+    const provider = new CountingProvider();
+    const integration = new NanoBananaIntegration(undefined, { provider, cache: new ResponseCache({ cacheDir: `${TEST_DIR}/cache` }) });
+
+    const first = await integration.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/first.png`, seed: 3 });
+    const second = await integration.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/second.png`, seed: 3 });
+    assert.equal(provider.calls, 1, 'the repeated request is answered from the cache');
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.usage, null, 'cache hits used no tokens');
+    assert.deepEqual(fs.readFileSync(second.imagePath), fs.readFileSync(first.imagePath));
+
+    await integration.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/third.png`, seed: 4 });
+    await integration.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/fourth.png`, seed: 3, cache: false });
+    assert.equal(provider.calls, 3, 'a new seed and cache: false both call the model');
+
+    const analysis = await integration.analyzeImage(first.imagePath, 'Caption this image');
+    assert.equal(await integration.analyzeImage(first.imagePath, 'Caption this image'), analysis);
+    assert.equal(provider.calls, 4);
+    await integration.analyzeImage(first.imagePath, 'Caption this image', { responseSchema: { type: 'ARRAY' } });
+    assert.equal(provider.calls, 5, 'a response schema is part of the key');
+    provider.analysisModel = 'counting-vision-2';
+    await integration.analyzeImage(first.imagePath, 'Caption this image');
+    assert.equal(provider.calls, 6, 'a new default analysis model is not answered from the cache');
+    delete provider.analysisModel;
+
+    const uncached = new NanoBananaIntegration(undefined, { provider });
+    await uncached.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/fifth.png`, seed: 3 });
+    assert.equal(provider.calls, 7, 'integrations created without a cache always call the model');
+
+    const plan = await integration.generateText('Plan a walk cycle');
+    assert.equal(await integration.generateText('Plan a walk cycle'), plan);
+    assert.equal(provider.calls, 8);
+    provider.analysisModel = 'counting-text-2';
+    assert.notEqual(await integration.generateText('Plan a walk cycle'), plan, 'a new default text model is not answered from the cache');
+    assert.equal(provider.calls, 9);
+    delete provider.analysisModel;
+
+    provider.defaultModel = 'counting-2';
+    await integration.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/sixth.png`, seed: 3 });
+    assert.equal(provider.calls, 10, 'a new default image model is not answered from the cache');
+    provider.defaultModel = 'counting-1';
+    console.log('✅ Repeated calls skip the model');
+}
+
+async function testSequenceRerun() {
+    console.log('🧪 Testing a rerun sequence...');
+    const provider = new CountingProvider();
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider, cache: new ResponseCache({ cacheDir: `${TEST_DIR}/sequence_cache` }) });
+
+    const firstRun = await sequenceGenerator.generateSequence('a fox', 3, 'walking', `${TEST_DIR}/run1`, { seed: 7 });
+    assert.equal(provider.calls, 3);
+    const secondRun = await sequenceGenerator.generateSequence('a fox', 3, 'walking', `${TEST_DIR}/run2`, { seed: 7 });
+    assert.equal(provider.calls, 3, 'every frame of the rerun comes from the cache');
+    secondRun.forEach((framePath, i) => assert.deepEqual(fs.readFileSync(framePath), fs.readFileSync(firstRun[i])));
+    console.log('✅ Frames already generated are not generated again');
+}
+
+function testPrune() {
+    console.log('🧪 Testing cache pruning...');
+    const cache = new ResponseCache({ cacheDir: `${TEST_DIR}/prune` });
+    cache.set('old', { text: null, model: 'counting-1', images: [{ data: Buffer.from('old image'), mimeType: 'image/png' }] });
+    cache.set('new', { text: 'fresh analysis', model: 'counting-1' });
+    const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(cache.getEntryPath('old'), tenDaysAgo, tenDaysAgo);
+
+    const stats = cache.prune(parseDuration('7d'));
+    assert.equal(stats.removed, 1);
+    assert.equal(stats.kept, 1);
+    assert.equal(fs.existsSync(`${TEST_DIR}/prune/old_0.png`), false, 'the image goes with its entry');
+    assert.equal(cache.get('new').text, 'fresh analysis');
+    assert.equal(cache.prune(0).removed, 1, 'an age of 0 removes everything');
+
+    assert.equal(parseDuration('12h'), 12 * 60 * 60 * 1000);
+    assert.equal(parseDuration('2'), 2 * 24 * 60 * 60 * 1000, 'plain numbers are days');
+    assert.throws(() => parseDuration('last week'), InvalidInputError);
+    console.log('✅ Entries not used recently are removed');
+}
+
+async function runResponseCacheTests() {
+    console.log('♻️ Testing the response cache');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        testKeys();
+        await testGenerateAndAnalyze();
+        await testSequenceRerun();
+        testPrune();
+        console.log('\n🎉 All response cache tests passed!');
+    } catch (error) {
+        console.error('❌ Response cache test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runResponseCacheTests();
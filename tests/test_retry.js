@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Test the retry policy used around model calls
+ * Runs offline with stubbed calls and millisecond backoff
+ */
+
+import * as assert from 'node:assert/strict';
+import { withRetry, isRetryableError, getRetryAfter, computeBackoff } from '../src/utils/retry.js';
+import { RequestTimeoutError } from '../src/core/errors.js';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+
+const FAST = { baseDelay: 5, maxDelay: 20 };
+
+function apiError(status, message = `status ${status}`) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function testRetriesTransientErrors() {
+    console.log('🧪 Testing retries on transient errors...');
+    const retries = [];
+    let calls = 0;
+
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw apiError(calls === 1 ? 429 : 503);
+        return 'ok';
+    }, { ...FAST, maxRetries: 3, onRetry: (info) => retries.push(info.attempt) });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+    assert.deepEqual(retries, [1, 2]);
+    console.log('✅ 429 and 503 are retried');
+}
+
+async function testFatalErrorsFailFast() {
+    console.log('🧪 Testing fatal errors...');
+    let calls = 0;
+
+    await assert.rejects(
+        () => withRetry(async () => {
+            calls++;
+            throw apiError(400, 'invalid argument');
+        }, { ...FAST, maxRetries: 3 }),
+        /invalid argument/
+    );
+    assert.equal(calls, 1, 'a 400 must not be retried');
+    console.log('✅ Fatal errors are not retried');
+}
+
+async function testRetriesExhausted() {
+    console.log('🧪 Testing retry exhaustion...');
+    let calls = 0;
+
+    await assert.rejects(
+        () => withRetry(async () => {
+            calls++;
+            throw apiError(500);
+        }, { ...FAST, maxRetries: 2 }),
+        /status 500/
+    );
+    assert.equal(calls, 3, 'maxRetries counts retries after the first attempt');
+    console.log('✅ Gives up after maxRetries');
+}
+
+async function testTimeout() {
+    console.log('🧪 Testing per-attempt timeout...');
+    const signals = [];
+
+    await assert.rejects(
+        () => withRetry((signal) => {
+            signals.push(signal);
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            });
+        }, { ...FAST, maxRetries: 1, timeout: 20 }),
+        RequestTimeoutError
+    );
+    assert.equal(signals.length, 2, 'timeouts are retried');
+    assert.ok(signals.every(signal => signal.aborted), 'every attempt gets its own aborted signal');
+    console.log('✅ Slow attempts are aborted and retried');
+}
+
+async function testLongRetryHints() {
+    console.log('🧪 Testing retry hints longer than the backoff cap...');
+    const quota = (seconds) => apiError(429, `{"error":{"details":[{"retryDelay":"${seconds}s"}]}}`);
+    const delays = [];
+    let calls = 0;
+
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls === 1) throw quota(0.08);
+        return 'ok';
+    }, { ...FAST, maxRetries: 2, onRetry: (info) => delays.push(info.delay) });
+    assert.equal(result, 'ok');
+    assert.deepEqual(delays, [80], 'the server hint wins over maxDelay');
+
+    calls = 0;
+    const stopped = [];
+    const started = Date.now();
+    await assert.rejects(
+        () => withRetry(async () => {
+            calls++;
+            throw quota(60);
+        }, { ...FAST, maxRetries: 3, deadline: 1000, onDeadline: (info) => stopped.push(info) }),
+        (error) => getRetryAfter(error) === 60000
+    );
+    assert.equal(calls, 1, 'a hint past the deadline is not waited for');
+    assert.deepEqual(stopped.map(({ attempt, maxRetries, delay, deadline }) => ({ attempt, maxRetries, delay, deadline })),
+        [{ attempt: 1, maxRetries: 3, delay: 60000, deadline: 1000 }], 'the deadline reports that it stopped the retries');
+    assert.ok(Date.now() - started < 500, 'the error is thrown at once');
+    console.log('✅ Long hints are honoured up to the deadline');
+}
+
+function testClassificationAndHints() {
+    console.log('🧪 Testing error classification and retry hints...');
+
+    assert.ok(isRetryableError(apiError(429)));
+    assert.ok(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+    assert.ok(!isRetryableError(apiError(403)));
+    assert.ok(!isRetryableError(new Error('No image data found in response')));
+
+    assert.equal(getRetryAfter({ response: { headers: { 'retry-after': '7' } } }), 7000);
+    const quota = apiError(429, '{"error":{"details":[{"@type":"type.googleapis.com/google.rpc.RetryInfo","retryDelay":"12s"}]}}');
+    assert.equal(getRetryAfter(quota), 12000);
+    assert.equal(getRetryAfter(apiError(503)), null);
+
+    for (let attempt = 1; attempt <= 4; attempt++) {
+        const delay = computeBackoff(attempt, { baseDelay: 100, maxDelay: 1000 });
+        const ceiling = Math.min(1000, 100 * 2 ** (attempt - 1));
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling, `backoff ${delay} outside [${ceiling / 2}, ${ceiling}]`);
+    }
+    console.log('✅ Errors and hints are classified correctly');
+}
+
+async function testProviderRetries() {
+    console.log('🧪 Testing retries through the Gemini provider...');
+    const provider = new GeminiProvider({ apiKey: 'test', maxRetries: 2 });
+    let calls = 0;
+    provider.ai.models.generateContent = async (request) => {
+        calls++;
+        assert.ok(request.config.abortSignal instanceof AbortSignal, 'requests must carry an abort signal');
+        if (calls === 1) throw apiError(503, 'model overloaded');
+        return { candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/png', data: 'aW1n' } }] } }] };
+    };
+
+    const result = await provider.generate('a retried banana', { frameIndex: 3 });
+    assert.equal(calls, 2);
+    assert.equal(result.images.length, 1);
+    console.log('✅ Provider calls are retried');
+}
+
+async function runRetryTests() {
+    console.log('🔁 Testing retry policy');
+    console.log('='.repeat(50));
+
+    try {
+        await testRetriesTransientErrors();
+        await testFatalErrorsFailFast();
+        await testRetriesExhausted();
+        await testTimeout();
+        await testLongRetryHints();
+        testClassificationAndHints();
+        await testProviderRetries();
+        console.log('\n🎉 All retry tests passed!');
+    } catch (error) {
+        console.error('❌ Retry test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runRetryTests();
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Test storyboard files
+ * Covers reading JSON and YAML storyboards, defaults taken from the animation types, reference
+ * paths relative to the file, validation errors, frame prompt overrides and reference images
+ * in SequenceGenerator, renders resumed from their job and the timeline of frames and delays across scenes
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import sharp from 'sharp';
+import { getSceneDelays, getStoryboardTimeline, loadStoryboard } from '../src/core/storyboard.js';
+import { createFramePrompt, getAnimationType, loadAnimationTypes } from '../src/core/animationTypes.js';
+import { SequenceGenerator } from '../src/core/sequenceGenerator.js';
+import { JobManifest } from '../src/core/jobManifest.js';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/storyboards';
+
+/**
+ * Provider that draws a solid frame and keeps the prompt and input images of every call
+ */
+class RecordingProvider extends ImageProvider {
+    constructor(options = {}) {
+        super('recording', { defaultModel: 'recording-1' });
+        this.calls = [];
+        // Call number (0-based) that fails once, to interrupt a render
+        this.failAt = options.failAt ?? null;
+    }
+
+    get capabilities() {
+        return { generate: true, edit: true, compose: true, analyze: false };
+    }
+
+    async generate(prompt) {
+        return await this.frame(prompt, []);
+    }
+
+    async edit(imagePath, prompt) {
+        return await this.frame(prompt, [imagePath]);
+    }
+
+    async compose(imagePaths, prompt) {
+        return await this.frame(prompt, imagePaths);
+    }
+
+    async frame(prompt, imagePaths) {
+        if (this.calls.length === this.failAt) {
+            this.failAt = null;
+            throw new Error('connection reset');
+        }
+        this.calls.push({ prompt, imagePaths });
+        const data = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#aa3322' } }).png().toBuffer();
+        return { images: [{ data, mimeType: 'image/png' }], text: null, model: this.defaultModel };
+    }
+}
+
+async function testLoading() {
+    console.log('🧪 Testing storyboard files...');
+    fs.mkdirSync(`${TEST_DIR}/board/refs`, { recursive: true });
+    await sharp({ create: { width: 16, height: 16, channels: 3, background: '#ff0000' } }).png().toFile(`${TEST_DIR}/board/refs/kettle.png`);
+    await sharp({ create: { width: 16, height: 16, channels: 3, background: '#0000ff' } }).png().toFile(`${TEST_DIR}/board/refs/cup.png`);
+
+    fs.writeFileSync(`${TEST_DIR}/board/Tea Time.yaml`, [
+        'loop: false',
+        'scenes:',
+        '  - name: boil',
+        '    prompt: a kettle on a stove',
+        '    references: [refs/kettle.png, refs/cup.png]',
+        '    animation: transformation',
+        '    frameCount: 4',
+        '    prompts:',
+        '      4: a kettle on a stove, steam pouring out',
+        '    delays: { 1: 900 }',
+        '  - prompt: a bird flying over the kitchen'
+    ].join('\n'));
+
+    const storyboard = loadStoryboard(`${TEST_DIR}/board/Tea Time.yaml`);
+    assert.equal(storyboard.name, 'tea-time', 'the name defaults to the file name');
+    assert.deepEqual([storyboard.width, storyboard.height, storyboard.quality, storyboard.loop], [512, 512, 80, false]);
+
+    const [boil, second] = storyboard.scenes;
+    assert.deepEqual(boil.references, [path.resolve(`${TEST_DIR}/board/refs/kettle.png`), path.resolve(`${TEST_DIR}/board/refs/cup.png`)], 'references are relative to the storyboard');
+    assert.deepEqual(boil.prompts, [null, null, null, 'a kettle on a stove, steam pouring out']);
+    assert.deepEqual(boil.delays, [900, null, null, null]);
+    assert.equal(boil.delay, getAnimationType('transformation').defaults.delay);
+    assert.equal(second.name, 'scene-2');
+    assert.equal(second.animationType, 'flying', 'scenes without an animation detect it from the prompt');
+    assert.equal(second.frameCount, getAnimationType('flying').defaults.frameCount);
+
+    fs.writeFileSync(`${TEST_DIR}/board/short.json`, JSON.stringify({ name: 'short', scenes: [{ prompt: 'a lighthouse', frameCount: 2, delay: 250 }] }));
+    assert.equal(loadStoryboard(`${TEST_DIR}/board/short.json`).scenes[0].animationType, 'general');
+    assert.equal(loadStoryboard('./examples/storyboards/kettle.yaml').scenes.length, 2, 'the example storyboard is valid');
+    console.log('✅ Storyboards are read with the defaults of their animation types');
+}
+
+function testValidation() {
+    console.log('🧪 Testing invalid storyboards...');
+    const invalid = (name, content, pattern) => {
+        const file = `${TEST_DIR}/board/${name}`;
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        assert.throws(() => loadStoryboard(file), (error) => error instanceof InvalidInputError && error.message.includes(name) && pattern.test(error.message));
+    };
+    invalid('empty.json', { scenes: [] }, /scenes must be a non-empty list/);
+    invalid('typo.json', { scene: [] }, /unknown field\(s\) scene/);
+    invalid('field.json', { scenes: [{ prompt: 'a fox', frames: 4 }] }, /scene 1.*unknown field\(s\) frames/);
+    invalid('prompt.json', { scenes: [{ name: 'intro' }] }, /scene 1, intro.*prompt must be/);
+    invalid('type.json', { scenes: [{ prompt: 'a fox', animation: 'bouncing' }] }, /scene 1.*Unknown animation type/i);
+    invalid('reference.json', { scenes: [{ prompt: 'a fox', references: ['missing.png'] }] }, /reference image missing\.png not found/);
+    invalid('override.json', { scenes: [{ prompt: 'a fox', frameCount: 3, prompts: { 4: 'a fox sleeping' } }] }, /prompts has frame 4, but the scene has frames 1-3/);
+    invalid('delay.json', { scenes: [{ prompt: 'a fox', delays: { 1: 'slow' } }] }, /delays of frame 1 must be a positive number/);
+    invalid('names.json', { scenes: [{ name: 'a', prompt: 'a fox' }, { name: 'a', prompt: 'a cat' }] }, /scene 2.*used by an earlier scene/);
+    invalid('broken.yaml', 'scenes: [', /Cannot read storyboard/);
+    console.log('✅ Invalid storyboards name the file, the scene and the problem');
+}
+
+async function testScenes() {
+    console.log('🧪 Testing scene frames...');
+    const storyboard = loadStoryboard(`${TEST_DIR}/board/Tea Time.yaml`);
+    const [boil] = storyboard.scenes;
+    const provider = new RecordingProvider();
+    const sequenceGenerator = new SequenceGenerator(undefined, { provider });
+
+    const frames = await sequenceGenerator.generateSequence(boil.prompt, boil.frameCount, boil.animationType, `${TEST_DIR}/frames/boil`, {
+        concurrency: 1,
+        framePrompts: boil.prompts,
+        referenceImages: boil.references
+    });
+    assert.equal(frames.length, 4);
+    assert.equal(provider.calls[0].imagePaths.length, 2, 'the first frame is composed from the references');
+    assert.equal(provider.calls[0].prompt, createFramePrompt(boil.prompt, 'transformation', 0, 4));
+    assert.ok(provider.calls.slice(1).every(call => call.imagePaths.length === 1), 'later frames follow the anchor only');
+    assert.equal(provider.calls[3].prompt, 'a kettle on a stove, steam pouring out', 'overrides replace the whole frame prompt');
+
+    const calls = sequenceGenerator.planSequence(boil.prompt, boil.frameCount, boil.animationType, {
+        framePrompts: boil.prompts,
+        referenceSizes: [{ width: 16, height: 16 }, { width: 16, height: 16 }]
+    });
+    assert.deepEqual(calls.map(call => call.prompt), provider.calls.map(call => call.prompt), 'dry runs show the prompts that are sent');
+    assert.equal(calls[0].inputImages.length, 2);
+    console.log('✅ Scenes send their references and overrides');
+}
+
+async function testResumableRender() {
+    console.log('🧪 Testing an interrupted storyboard render...');
+    const storyboard = loadStoryboard(`${TEST_DIR}/board/Tea Time.yaml`);
+    const [boil, flight] = storyboard.scenes;
+    const frameCount = boil.frameCount + flight.frameCount;
+    const job = JobManifest.create(storyboard.name, { frameCount, storyboard }, `${TEST_DIR}/jobs_output`);
+    const render = (provider) => new SequenceGenerator(undefined, { provider }).generateScenes(storyboard.scenes, job.framesDir, {
+        concurrency: 1,
+        existingFrames: job.frames,
+        onFrame: (frameIndex, framePath) => job.recordFrame(frameIndex, framePath)
+    });
+
+    // The render stops at the second frame of the second scene
+    const flaky = new RecordingProvider({ failAt: boil.frameCount + 1 });
+    await assert.rejects(render(flaky), /connection reset/);
+    assert.deepEqual(job.getMissingFrames(), Array.from({ length: flight.frameCount - 1 }, (_, i) => boil.frameCount + 1 + i), 'frames are numbered across scenes');
+
+    const resumed = new RecordingProvider();
+    const sceneFrames = await render(resumed);
+    assert.equal(resumed.calls.length, flight.frameCount - 1, 'only the missing frames are generated again');
+    assert.ok(resumed.calls.every(call => call.imagePaths[0] === job.frames[boil.frameCount]), 'the second scene keeps its anchor');
+    assert.deepEqual(sceneFrames.map(frames => frames.length), [boil.frameCount, flight.frameCount]);
+    assert.deepEqual(sceneFrames.flat(), job.frames, 'the job holds every frame of the render');
+    assert.ok(path.dirname(sceneFrames[1][0]).endsWith(`02_${flight.name}`), 'each scene has its own folder');
+    console.log('✅ Storyboard renders resume from their job');
+}
+
+function testTimeline() {
+    console.log('🧪 Testing the storyboard timeline...');
+    const storyboard = loadStoryboard(`${TEST_DIR}/board/Tea Time.yaml`);
+    const [boil, flight] = storyboard.scenes;
+    assert.deepEqual(getSceneDelays(boil), [900, boil.delay, boil.delay, boil.delay], 'frame delays override the scene delay');
+
+    const boilFrames = ['b1', 'b2', 'b3', 'b4'];
+    const flightFrames = Array.from({ length: flight.frameCount }, (_, i) => `f${i + 1}`);
+    const { frames, delays } = getStoryboardTimeline(storyboard.scenes, [boilFrames, flightFrames]);
+    assert.deepEqual(frames, ['b1', 'b2', 'b3', 'b4', 'b3', 'b2', ...flightFrames], 'each scene keeps the loop mode of its type');
+    assert.equal(delays.length, frames.length);
+    assert.deepEqual(delays.slice(0, 6), [900, boil.delay, boil.delay, boil.delay, boil.delay, boil.delay]);
+    console.log('✅ Scenes play end to end with their own delays');
+}
+
+async function runStoryboardTests() {
+    console.log('🎞️ Testing storyboards');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+    // Only the built-in animation types, whatever is in the animation directories
+    loadAnimationTypes([]);
+
+    try {
+        await testLoading();
+        testValidation();
+        await testScenes();
+        await testResumableRender();
+        testTimeline();
+        console.log('\n🎉 All storyboard tests passed!');
+    } catch (error) {
+        console.error('❌ Storyboard test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runStoryboardTests();
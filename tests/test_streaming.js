@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Test streaming generation
+ * Covers event order, images saved as they arrive, failing fast on a blocked chunk,
+ * streams closed on every exit and the single-shot fallback for providers without streaming
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import { ImageProvider } from '../src/providers/imageProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { SafetyBlockedError, EmptyResponseError, QuotaExceededError, RequestTimeoutError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/streaming';
+
+const textChunk = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+const imageChunk = (label) => ({
+    candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/png', data: Buffer.from(label).toString('base64') } }] } }]
+});
+
+/**
+ * Gemini provider whose SDK stream is a scripted list of chunks
+ * Counts how many chunks the consumer actually pulled and whether the stream was closed and aborted
+ */
+class ScriptedStreamProvider extends GeminiProvider {
+    constructor(chunks) {
+        super({ apiKey: 'test-key', recordMode: 'off' });
+        this.pulled = 0;
+        this.closed = false;
+        this.aborted = false;
+        const provider = this;
+        this.ai.models.generateContentStream = async ({ config }) => {
+            config.abortSignal.addEventListener('abort', () => {
+                provider.aborted = true;
+            });
+            return (async function* () {
+                try {
+                    for (const chunk of chunks) {
+                        provider.pulled++;
+                        yield chunk;
+                    }
+                } finally {
+                    provider.closed = true;
+                }
+            })();
+        };
+    }
+}
+
+/**
+ * Provider without a streaming API
+ */
+class OneShotProvider extends ImageProvider {
+    constructor() {
+        super('one-shot', { defaultModel: 'one-shot-1' });
+    }
+
+    get capabilities() {
+        return { generate: true, edit: false, compose: false, analyze: false };
+    }
+
+    async generate() {
+        return { images: [{ data: Buffer.from('whole'), mimeType: 'image/png' }], text: 'all at once', model: this.defaultModel };
+    }
+}
+
+async function collect(integration, prompt, options = {}) {
+    const events = [];
+    for await (const event of integration.generateImageStream(prompt, options)) {
+        events.push(event);
+    }
+    return events;
+}
+
+async function testEventsArriveInOrder() {
+    console.log('🧪 Testing streamed events...');
+    const provider = new ScriptedStreamProvider([
+        textChunk('Here is '),
+        textChunk('a storyboard.'),
+        imageChunk('panel-1'),
+        imageChunk('panel-2'),
+        { candidates: [{ finishReason: 'STOP', content: { parts: [] } }] }
+    ]);
+    const integration = new NanoBananaIntegration(undefined, { provider });
+    const events = await collect(integration, 'two storyboard panels', { outputPath: `${TEST_DIR}/panels.png` });
+
+    assert.deepEqual(events.map(event => event.type), ['text', 'text', 'image', 'image', 'done']);
+    assert.equal(events[2].imagePath, `${TEST_DIR}/panels.png`, 'the first image keeps the requested path');
+    assert.equal(events[3].imagePath, `${TEST_DIR}/panels_1.png`);
+    assert.equal(fs.readFileSync(events[3].imagePath, 'utf8'), 'panel-2', 'images are written as they arrive');
+
+    const { result } = events[4];
+    assert.equal(result.text, 'Here is a storyboard.');
+    assert.deepEqual(result.imagePaths, [events[2].imagePath, events[3].imagePath]);
+    console.log('✅ Text and images stream in order');
+}
+
+async function testBlockedChunkFailsFast() {
+    console.log('🧪 Testing a block reported mid-stream...');
+    const provider = new ScriptedStreamProvider([
+        imageChunk('panel-1'),
+        { candidates: [{ finishReason: 'IMAGE_SAFETY', finishMessage: 'Panel 2 was filtered', content: { parts: [] } }] },
+        imageChunk('panel-2'),
+        imageChunk('panel-3')
+    ]);
+    const integration = new NanoBananaIntegration(undefined, { provider });
+    const seen = [];
+
+    await assert.rejects(async () => {
+        for await (const event of integration.generateImageStream('four panels', { outputPath: `${TEST_DIR}/blocked.png` })) {
+            seen.push(event.type);
+        }
+    }, (error) => error instanceof SafetyBlockedError && error.reason === 'IMAGE_SAFETY' && /filtered/.test(error.explanation));
+
+    assert.deepEqual(seen, ['image'], 'events before the block are still delivered');
+    assert.equal(provider.pulled, 2, 'no chunks are read after the block');
+    assert.deepEqual({ closed: provider.closed, aborted: provider.aborted }, { closed: true, aborted: true }, 'the blocked stream is closed');
+
+    const abandoned = new ScriptedStreamProvider([textChunk('Panel 1'), imageChunk('panel-1'), imageChunk('panel-2')]);
+    for await (const event of new NanoBananaIntegration(undefined, { provider: abandoned }).generateImageStream('panels', { outputPath: `${TEST_DIR}/abandoned.png` })) {
+        if (event.type === 'text') break;
+    }
+    assert.deepEqual({ pulled: abandoned.pulled, closed: abandoned.closed, aborted: abandoned.aborted }, { pulled: 1, closed: true, aborted: true }, 'consumers that stop early close the stream');
+    console.log('✅ The stream stops at the first blocked chunk');
+}
+
+async function testStreamWithoutImages() {
+    console.log('🧪 Testing a stream that ends without images...');
+    const provider = new ScriptedStreamProvider([textChunk('Which cat do you mean?')]);
+    const integration = new NanoBananaIntegration(undefined, { provider });
+
+    await assert.rejects(() => collect(integration, 'the cat'), (error) =>
+        error instanceof EmptyResponseError && error.explanation === 'Which cat do you mean?');
+    console.log('✅ Text-only streams raise EmptyResponseError');
+}
+
+async function testStalledAndFailingStreams() {
+    console.log('🧪 Testing streams that stall or fail mid-response...');
+    const stalling = new GeminiProvider({ apiKey: 'test-key', recordMode: 'off', timeout: 100, maxRetries: 0 });
+    let aborted = false;
+    stalling.ai.models.generateContentStream = async ({ config }) => (async function* () {
+        yield textChunk('Drawing');
+        // The connection stays open but nothing more arrives
+        await new Promise(resolve => config.abortSignal.addEventListener('abort', () => {
+            aborted = true;
+            resolve();
+        }));
+        await new Promise(() => {});
+    })();
+    const started = Date.now();
+    await assert.rejects(() => collect(new NanoBananaIntegration(undefined, { provider: stalling }), 'a slow cat'), RequestTimeoutError);
+    assert.ok(aborted, 'the stalled request is aborted');
+    assert.ok(Date.now() - started < 2000, 'the idle timeout ends the stream');
+
+    const failing = new GeminiProvider({ apiKey: 'test-key', recordMode: 'off', maxRetries: 0 });
+    failing.ai.models.generateContentStream = async () => (async function* () {
+        yield textChunk('Drawing');
+        throw Object.assign(new Error('quota exhausted mid-stream'), { status: 429 });
+    })();
+    await assert.rejects(() => collect(new NanoBananaIntegration(undefined, { provider: failing }), 'a cat'), QuotaExceededError);
+    console.log('✅ Stalled streams time out and failures are typed');
+}
+
+async function testFallbackWithoutStreaming() {
+    console.log('🧪 Testing providers without streaming...');
+    const integration = new NanoBananaIntegration(undefined, { provider: new OneShotProvider() });
+    const events = await collect(integration, 'anything', { outputPath: `${TEST_DIR}/one_shot.png` });
+
+    assert.deepEqual(events.map(event => event.type), ['text', 'image', 'done']);
+    assert.equal(events[2].result.model, 'one-shot-1');
+    console.log('✅ Non-streaming providers yield the whole result at once');
+}
+
+async function runStreamingTests() {
+    console.log('📡 Testing streaming generation');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+
+    try {
+        await testEventsArriveInOrder();
+        await testBlockedChunkFailsFast();
+        await testStreamWithoutImages();
+        await testStalledAndFailingStreams();
+        await testFallbackWithoutStreaming();
+        console.log('\n🎉 All streaming tests passed!');
+    } catch (error) {
+        console.error('❌ Streaming test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runStreamingTests();
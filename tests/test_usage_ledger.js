@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test the token usage ledger
+ * Covers reading usageMetadata, ledger entries written by the Gemini provider
+ * (plain and streamed calls) and the spend summary with a custom price table
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { GeminiProvider } from '../src/providers/geminiProvider.js';
+import { NanoBananaIntegration } from '../src/integrations/gemini_integration.js';
+import { UsageLedger, extractUsage, estimateCost, loadPriceTable } from '../src/core/usageLedger.js';
+import { InvalidInputError } from '../src/core/errors.js';
+
+const TEST_DIR = './test_output/usage_ledger';
+
+const USAGE_METADATA = {
+    promptTokenCount: 12,
+    candidatesTokenCount: 1300,
+    totalTokenCount: 1312,
+    candidatesTokensDetails: [
+        { modality: 'TEXT', tokenCount: 10 },
+        { modality: 'IMAGE', tokenCount: 1290 }
+    ]
+};
+
+const imageResponse = () => ({
+    candidates: [{
+        finishReason: 'STOP',
+        content: { parts: [{ inlineData: { mimeType: 'image/png', data: Buffer.from('image').toString('base64') } }] }
+    }],
+    usageMetadata: USAGE_METADATA
+});
+
+/**
+ * Gemini provider answering locally with a fixed usageMetadata
+ */
+class MeteredGeminiProvider extends GeminiProvider {
+    constructor(ledger) {
+        super({ apiKey: 'test-key', recordMode: 'off', ledger });
+        this.ai.models.generateContent = async () => imageResponse();
+        this.ai.models.generateContentStream = async () => (async function* () {
+            yield { candidates: [{ content: { parts: [{ text: 'Here you go' }] } }], usageMetadata: { promptTokenCount: 12 } };
+            yield { ...imageResponse() };
+        })();
+    }
+}
+
+function testExtractUsage() {
+    console.log('🧪 Testing usageMetadata parsing...');
+    assert.deepEqual(extractUsage(USAGE_METADATA), {
+        promptTokens: 12,
+        outputTokens: 1300,
+        imageTokens: 1290,
+        thoughtsTokens: 0,
+        totalTokens: 1312
+    });
+    assert.equal(extractUsage(undefined), null, 'responses without usage record nothing');
+    console.log('✅ Prompt, output and image tokens are read');
+}
+
+async function testProviderWritesLedger() {
+    console.log('🧪 Testing ledger entries for model calls...');
+    const ledger = new UsageLedger({ ledgerPath: `${TEST_DIR}/usage.jsonl`, context: { command: 'generate' } });
+    const integration = new NanoBananaIntegration(undefined, { provider: new MeteredGeminiProvider(ledger) });
+
+    const result = await integration.generateImage('a lighthouse', { outputPath: `${TEST_DIR}/lighthouse.png`, jobId: 'job-1' });
+    assert.equal(result.tokens, 1312, 'tokens come from the response, not the aspect ratio table');
+    assert.equal(result.usage.imageTokens, 1290);
+
+    for await (const event of integration.generateImageStream('a lighthouse at night', { outputPath: `${TEST_DIR}/night.png` })) {
+        if (event.type === 'done') {
+            assert.equal(event.result.tokens, 1312, 'streams report the totals of the last chunk');
+        }
+    }
+
+    const entries = ledger.read();
+    assert.equal(entries.length, 2, 'one entry per model call');
+    assert.equal(entries[0].provider, 'gemini');
+    assert.equal(entries[0].model, 'gemini-2.5-flash-image');
+    assert.equal(entries[0].command, 'generate');
+    assert.equal(entries[0].jobId, 'job-1');
+    assert.equal(entries[1].jobId, null);
+    assert.equal(entries[1].imageTokens, 1290);
+    console.log('✅ Every call is appended with model, command and job id');
+}
+
+function testSummary() {
+    console.log('🧪 Testing the spend summary...');
+    const ledgerPath = `${TEST_DIR}/summary.jsonl`;
+    const entry = (timestamp, command, model, promptTokens, imageTokens) => JSON.stringify({
+        timestamp, command, model, promptTokens, outputTokens: imageTokens, imageTokens, thoughtsTokens: 0, totalTokens: promptTokens + imageTokens
+    });
+    fs.writeFileSync(ledgerPath, [
+        entry('2026-10-18T09:00:00.000Z', 'generate', 'gemini-2.5-flash-image', 1000, 1000000),
+        entry('2026-10-19T09:00:00.000Z', 'generate', 'gemini-2.5-flash-image-preview', 1000, 0),
+        '{"timestamp": "2026-10-19T09:0',
+        entry('2026-10-19T10:00:00.000Z', 'analyze', 'some-other-model', 500, 0)
+    ].join('\n') + '\n');
+
+    const pricesPath = `${TEST_DIR}/prices.json`;
+    fs.writeFileSync(pricesPath, JSON.stringify({ 'gemini-2.5-flash-image': { input: 1, output: 2, image: 10 } }));
+    const prices = loadPriceTable(pricesPath);
+
+    const ledger = new UsageLedger({ ledgerPath });
+    const summary = ledger.summarize(ledger.read(), prices);
+    assert.equal(summary.total.calls, 3, 'truncated lines are skipped');
+    assert.ok(Math.abs(summary.total.cost - 10.002) < 1e-9);
+    assert.deepEqual(Object.keys(summary.byDay), ['2026-10-18', '2026-10-19']);
+    assert.equal(summary.byCommand.generate.calls, 2);
+    assert.ok(Math.abs(summary.byModel['gemini-2.5-flash-image-preview'].cost - 0.001) < 1e-9, 'models are priced by prefix');
+    assert.deepEqual(summary.unpriced, ['some-other-model']);
+    assert.equal(estimateCost({ model: 'some-other-model', promptTokens: 1, outputTokens: 0, imageTokens: 0 }, prices), null);
+
+    assert.equal(ledger.read({ since: '2026-10-19' }).length, 2);
+    assert.throws(() => ledger.read({ since: 'last tuesday' }), InvalidInputError);
+    assert.throws(() => loadPriceTable(`${TEST_DIR}/missing.json`), InvalidInputError);
+    console.log('✅ Spend is summarized by day, command and model');
+}
+
+function testDisabledLedger() {
+    console.log('🧪 Testing a disabled ledger...');
+    const ledger = new UsageLedger({ ledgerPath: 'off' });
+    assert.equal(ledger.record({ model: 'gemini-2.5-flash-image' }), null);
+    assert.deepEqual(ledger.read(), []);
+    console.log('✅ USAGE_LEDGER=off records nothing');
+}
+
+function testUnwritableLedger() {
+    console.log('🧪 Testing a ledger that cannot be written...');
+    // A file where the ledger folder should be makes every write fail
+    fs.writeFileSync(`${TEST_DIR}/blocked`, 'not a folder');
+    const ledger = new UsageLedger({ ledgerPath: `${TEST_DIR}/blocked/usage.jsonl` });
+    assert.equal(ledger.record({ model: 'gemini-2.5-flash-image', totalTokens: 10 }), null, 'the write failure is not thrown');
+    assert.deepEqual(ledger.read(), []);
+    console.log('✅ Bookkeeping failures do not fail the call');
+}
+
+async function runUsageLedgerTests() {
+    console.log('📒 Testing the usage ledger');
+    console.log('='.repeat(50));
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+
+    try {
+        testExtractUsage();
+        await testProviderWritesLedger();
+        testSummary();
+        testDisabledLedger();
+        testUnwritableLedger();
+        console.log('\n🎉 All usage ledger tests passed!');
+    } catch (error) {
+        console.error('❌ Usage ledger test failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runUsageLedgerTests();